@@ -1,4 +1,4 @@
-// furui_dsp_library.js (JavaScript version for Max/MSP)
+// SSARdsp.js (JavaScript version for Max/MSP)
 // Inspired by Sadao Furui's "Digital Speech Processing, Synthesis, and Recognition"
 // Implements key algorithms for educational purposes.
 // Uses TypedArrays for optimization; no external libraries.
@@ -29,53 +29,273 @@ Complex.prototype.cexp = function() {
   return new Complex(er * Math.cos(this.im), er * Math.sin(this.im));
 };
 
-// FFT implementation (recursive Cooley-Tukey; assumes power-of-2 length)
+// FFT tables (cos/sin twiddles and bit-reversal permutation), cached per power-of-2 size
+const fftTableCache = {};
+
+function isPowerOfTwo(n) {
+  return n > 0 && (n & (n - 1)) === 0;
+}
+
+function nextPowerOfTwo(n) {
+  let p = 1;
+  while (p < n) p <<= 1;
+  return p;
+}
+
+function getFftTables(N) {
+  let tables = fftTableCache[N];
+  if (tables) return tables;
+  const hN = N >> 1;
+  const cos = new Float64Array(hN);
+  const sin = new Float64Array(hN);
+  for (let k = 0; k < hN; k++) {
+    cos[k] = Math.cos(2 * Math.PI * k / N);
+    sin[k] = -Math.sin(2 * Math.PI * k / N); // forward twiddle e^(-j2πk/N)
+  }
+  let bits = 0;
+  while ((1 << bits) < N) bits++;
+  const rev = new Uint32Array(N);
+  for (let i = 0; i < N; i++) {
+    let r = 0;
+    for (let b = 0; b < bits; b++) {
+      r |= ((i >> b) & 1) << (bits - 1 - b);
+    }
+    rev[i] = r;
+  }
+  tables = { cos, sin, rev };
+  fftTableCache[N] = tables;
+  return tables;
+}
+
+// Iterative in-place radix-2 FFT on separate re/im buffers (power-of-2 length; inverse scales by 1/N)
+function fftRadix2(re, im, inverse = false) {
+  const N = re.length;
+  if (N <= 1) return;
+  const { cos, sin, rev } = getFftTables(N);
+  for (let i = 0; i < N; i++) {
+    const j = rev[i];
+    if (j > i) {
+      let tmp = re[i]; re[i] = re[j]; re[j] = tmp;
+      tmp = im[i]; im[i] = im[j]; im[j] = tmp;
+    }
+  }
+  const sign = inverse ? -1 : 1;
+  for (let size = 2; size <= N; size <<= 1) {
+    const half = size >> 1;
+    const step = N / size;
+    for (let start = 0; start < N; start += size) {
+      for (let k = 0; k < half; k++) {
+        const wr = cos[k * step];
+        const wi = sign * sin[k * step];
+        const a = start + k;
+        const b = a + half;
+        const tr = wr * re[b] - wi * im[b];
+        const ti = wr * im[b] + wi * re[b];
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+  if (inverse) {
+    const iN = 1 / N;
+    for (let i = 0; i < N; i++) {
+      re[i] *= iN;
+      im[i] *= iN;
+    }
+  }
+}
+
+// Bluestein chirp tables (chirp w[n] = e^(-jπn²/N) and FFT of its conjugate), cached per size
+const bluesteinCache = {};
+
+function getBluesteinTables(N) {
+  let tables = bluesteinCache[N];
+  if (tables) return tables;
+  const M = nextPowerOfTwo(2 * N - 1);
+  const wRe = new Float64Array(N);
+  const wIm = new Float64Array(N);
+  for (let n = 0; n < N; n++) {
+    const angle = Math.PI * ((n * n) % (2 * N)) / N; // reduce n² mod 2N to keep the angle accurate
+    wRe[n] = Math.cos(angle);
+    wIm[n] = -Math.sin(angle);
+  }
+  const bRe = new Float64Array(M);
+  const bIm = new Float64Array(M);
+  bRe[0] = wRe[0];
+  bIm[0] = -wIm[0];
+  for (let n = 1; n < N; n++) {
+    bRe[n] = bRe[M - n] = wRe[n];
+    bIm[n] = bIm[M - n] = -wIm[n];
+  }
+  fftRadix2(bRe, bIm);
+  tables = { M, wRe, wIm, bRe, bIm };
+  bluesteinCache[N] = tables;
+  return tables;
+}
+
+// Bluestein (chirp-z) FFT for arbitrary lengths, in place
+function fftBluestein(re, im, inverse = false) {
+  const N = re.length;
+  if (inverse) {
+    // ifft(x) = conj(fft(conj(x))) / N
+    for (let i = 0; i < N; i++) im[i] = -im[i];
+    fftBluestein(re, im, false);
+    const iN = 1 / N;
+    for (let i = 0; i < N; i++) {
+      re[i] *= iN;
+      im[i] = -im[i] * iN;
+    }
+    return;
+  }
+  const { M, wRe, wIm, bRe, bIm } = getBluesteinTables(N);
+  const aRe = new Float64Array(M);
+  const aIm = new Float64Array(M);
+  for (let n = 0; n < N; n++) {
+    aRe[n] = re[n] * wRe[n] - im[n] * wIm[n];
+    aIm[n] = re[n] * wIm[n] + im[n] * wRe[n];
+  }
+  fftRadix2(aRe, aIm);
+  for (let k = 0; k < M; k++) {
+    const r = aRe[k] * bRe[k] - aIm[k] * bIm[k];
+    aIm[k] = aRe[k] * bIm[k] + aIm[k] * bRe[k];
+    aRe[k] = r;
+  }
+  fftRadix2(aRe, aIm, true);
+  for (let k = 0; k < N; k++) {
+    re[k] = aRe[k] * wRe[k] - aIm[k] * wIm[k];
+    im[k] = aRe[k] * wIm[k] + aIm[k] * wRe[k];
+  }
+}
+
+// In-place complex FFT of any length (radix-2 for powers of 2, Bluestein otherwise)
+function fft(re, im, inverse = false) {
+  const N = re.length;
+  if (N <= 1) return;
+  if (isPowerOfTwo(N)) fftRadix2(re, im, inverse);
+  else fftBluestein(re, im, inverse);
+}
+
+// Real-input FFT: returns the non-negative half spectrum {re, im} (length floor(N/2) + 1)
+function rfft(signal) {
+  const N = signal.length;
+  const nBins = (N >> 1) + 1;
+  const outRe = new Float64Array(nBins);
+  const outIm = new Float64Array(nBins);
+  if (N < 4 || !isPowerOfTwo(N)) {
+    const re = Float64Array.from(signal);
+    const im = new Float64Array(N);
+    fft(re, im);
+    outRe.set(re.subarray(0, nBins));
+    outIm.set(im.subarray(0, nBins));
+    return { re: outRe, im: outIm };
+  }
+  // Pack even/odd samples into one N/2-point complex FFT, then split the spectra
+  const M = N >> 1;
+  const zRe = new Float64Array(M);
+  const zIm = new Float64Array(M);
+  for (let n = 0; n < M; n++) {
+    zRe[n] = signal[2 * n];
+    zIm[n] = signal[2 * n + 1];
+  }
+  fftRadix2(zRe, zIm);
+  const { cos, sin } = getFftTables(N);
+  for (let k = 0; k <= M; k++) {
+    const k1 = k % M;
+    const k2 = (M - k) % M;
+    const eRe = (zRe[k1] + zRe[k2]) / 2;
+    const eIm = (zIm[k1] - zIm[k2]) / 2;
+    const oRe = (zIm[k1] + zIm[k2]) / 2;
+    const oIm = -(zRe[k1] - zRe[k2]) / 2;
+    const wr = k < M ? cos[k] : -1;
+    const wi = k < M ? sin[k] : 0;
+    outRe[k] = eRe + wr * oRe - wi * oIm;
+    outIm[k] = eIm + wr * oIm + wi * oRe;
+  }
+  return { re: outRe, im: outIm };
+}
+
+// Inverse of rfft: rebuilds a length-N real signal from its half spectrum
+function irfft(re, im, N = 2 * (re.length - 1)) {
+  const output = new Float64Array(N);
+  if (N < 4 || !isPowerOfTwo(N)) {
+    const fullRe = new Float64Array(N);
+    const fullIm = new Float64Array(N);
+    for (let k = 0; k < N; k++) {
+      if (k < re.length) {
+        fullRe[k] = re[k];
+        fullIm[k] = im[k];
+      } else {
+        fullRe[k] = re[N - k];
+        fullIm[k] = -im[N - k];
+      }
+    }
+    fft(fullRe, fullIm, true);
+    output.set(fullRe);
+    return output;
+  }
+  const M = N >> 1;
+  const zRe = new Float64Array(M);
+  const zIm = new Float64Array(M);
+  const { cos, sin } = getFftTables(N);
+  for (let k = 0; k < M; k++) {
+    // E[k] = (X[k] + conj(X[M-k])) / 2, O[k] = (X[k] - conj(X[M-k])) e^(j2πk/N) / 2
+    const aRe = re[k];
+    const aIm = im[k];
+    const bRe = re[M - k];
+    const bIm = -im[M - k];
+    const eRe = (aRe + bRe) / 2;
+    const eIm = (aIm + bIm) / 2;
+    const dRe = (aRe - bRe) / 2;
+    const dIm = (aIm - bIm) / 2;
+    const oRe = dRe * cos[k] + dIm * sin[k];
+    const oIm = dIm * cos[k] - dRe * sin[k];
+    zRe[k] = eRe - oIm;
+    zIm[k] = eIm + oRe;
+  }
+  fftRadix2(zRe, zIm, true);
+  for (let n = 0; n < M; n++) {
+    output[2 * n] = zRe[n];
+    output[2 * n + 1] = zIm[n];
+  }
+  return output;
+}
+
+// Compatibility wrapper: FFT of an array of Complex (or plain numbers); returns a new array of Complex
 function cfft(amplitudes) {
-  const N = amplitudes.length;
-  if (N <= 1) return amplitudes;
-  const hN = N / 2;
-  const even = new Array(hN);
-  const odd = new Array(hN);
-  for (let i = 0; i < hN; ++i) {
-    even[i] = amplitudes[i * 2];
-    odd[i] = amplitudes[i * 2 + 1];
-  }
-  const evenFFT = cfft(even);
-  const oddFFT = cfft(odd);
-  const a = -2 * Math.PI;
-  for (let k = 0; k < hN; ++k) {
-    if (!(evenFFT[k] instanceof Complex)) evenFFT[k] = new Complex(evenFFT[k], 0);
-    if (!(oddFFT[k] instanceof Complex)) oddFFT[k] = new Complex(oddFFT[k], 0);
-    const p = k / N;
-    const t = new Complex(0, a * p).cexp();
-    t.mul(oddFFT[k]);
-    amplitudes[k] = evenFFT[k].add(t);
-    amplitudes[k + hN] = evenFFT[k].sub(t);
-  }
-  return amplitudes;
-}
-
-// IFFT (inverse FFT)
+  return complexFft(amplitudes, false);
+}
+
+// Compatibility wrapper: inverse FFT; leaves the input untouched
 function icfft(amplitudes) {
+  return complexFft(amplitudes, true);
+}
+
+function complexFft(amplitudes, inverse) {
   const N = amplitudes.length;
-  const iN = 1 / N;
-  for (let i = 0; i < N; ++i) {
-    if (amplitudes[i] instanceof Complex) amplitudes[i].im = -amplitudes[i].im;
-  }
-  amplitudes = cfft(amplitudes);
-  for (let i = 0; i < N; ++i) {
-    amplitudes[i].im = -amplitudes[i].im;
-    amplitudes[i].re *= iN;
-    amplitudes[i].im *= iN;
+  const re = new Float64Array(N);
+  const im = new Float64Array(N);
+  for (let i = 0; i < N; i++) {
+    const v = amplitudes[i];
+    if (v instanceof Complex) {
+      re[i] = v.re;
+      im[i] = v.im;
+    } else {
+      re[i] = v;
+    }
   }
-  return amplitudes;
+  fft(re, im, inverse);
+  const out = new Array(N);
+  for (let i = 0; i < N; i++) out[i] = new Complex(re[i], im[i]);
+  return out;
 }
 
-// Simple autocorrelation (raw sum, no normalization for LPC stability)
-function autocorr(signal) {
+// Simple autocorrelation (raw sum, no normalization for LPC stability); lags 0..maxLag
+function autocorr(signal, maxLag = signal.length - 1) {
   const n = signal.length;
-  const ac = new Float64Array(n);
-  for (let lag = 0; lag < n; lag++) {
+  const ac = new Float64Array(Math.max(0, Math.min(maxLag + 1, n)));
+  for (let lag = 0; lag < ac.length; lag++) {
     let sum = 0;
     for (let i = 0; i < n - lag; i++) {
       sum += signal[i] * signal[i + lag];
@@ -85,48 +305,78 @@ function autocorr(signal) {
   return ac;
 }
 
-// Levinson-Durbin for LPC coefficients (returns filter coeffs [1, -pred1, -pred2, ...])
-function levinsonDurbin(R, order) {
+// Autocorrelation through the FFT (zero-padded, so identical to autocorr); O(n log n) for long lags
+function autocorrFft(signal, maxLag = signal.length - 1) {
+  const n = signal.length;
+  const lags = Math.max(0, Math.min(maxLag + 1, n));
+  const size = nextPowerOfTwo(n + lags);
+  const padded = new Float64Array(size);
+  padded.set(signal);
+  const spectrum = rfft(padded);
+  for (let k = 0; k < spectrum.re.length; k++) {
+    spectrum.re[k] = spectrum.re[k] * spectrum.re[k] + spectrum.im[k] * spectrum.im[k];
+    spectrum.im[k] = 0;
+  }
+  return irfft(spectrum.re, spectrum.im, size).slice(0, lags);
+}
+
+// Levinson-Durbin recursion keeping the by-products: direct-form coeffs a = [1, a1, ..., ap],
+// reflection (PARCOR) coeffs k[1..p] in the same sign convention (k[m] = a[m] at step m, |k| < 1 when stable),
+// prediction error per step e[0..p], final residual energy and gain = sqrt(residual energy)
+function levinsonRecursion(R, order) {
   const a = new Float64Array(order + 1);
+  const k = new Float64Array(order + 1);
   const e = new Float64Array(order + 1);
+  const prev = new Float64Array(order + 1);
   a[0] = 1;
   e[0] = R[0];
+  let error = e[0];
   for (let m = 1; m <= order; m++) {
+    if (e[m - 1] <= 0) break; // silent or degenerate frame: keep the lower-order solution
     let sum = R[m];
     for (let j = 1; j < m; j++) {
       sum += a[j] * R[m - j];
     }
-    const k = -sum / e[m - 1];
-    a[m] = k;
+    const km = -sum / e[m - 1];
+    prev.set(a);
+    a[m] = km;
     for (let j = 1; j < m; j++) {
-      a[j] += k * a[m - j];
+      a[j] = prev[j] + km * prev[m - j];
     }
-    e[m] = e[m - 1] * (1 - k * k);
+    k[m] = km;
+    e[m] = e[m - 1] * (1 - km * km);
+    error = e[m];
   }
-  return a;
+  return { a, k, e, error, gain: Math.sqrt(Math.max(error, 0)) };
+}
+
+// Levinson-Durbin for LPC coefficients (returns filter coeffs [1, -pred1, -pred2, ...])
+function levinsonDurbin(R, order) {
+  return levinsonRecursion(R, order).a;
 }
 
-// Simple IIR filter for synthesis (denom coeffs [1, a1, a2, ...])
+// Simple IIR filter for synthesis (denom coeffs [1, a1, a2, ...]); one-shot use of StreamingIirFilter
 function iirFilter(input, coeffs, gain = 1.0) {
-  const output = new Float64Array(input.length);
-  const order = coeffs.length - 1;
-  const state = new Float64Array(order);
-  for (let i = 0; i < input.length; i++) {
-    let acc = input[i] * gain;
-    for (let j = 1; j <= order; j++) {
-      acc -= coeffs[j] * state[j - 1];
-    }
-    output[i] = acc;
-    for (let j = order - 1; j > 0; j--) {
-      state[j] = state[j - 1];
-    }
-    state[0] = acc;
-  }
+  return new StreamingIirFilter(coeffs, gain).process(input);
+}
+
+// Resampler (fs parameters are effective rates; can be sample counts if duration fixed).
+// quality: 'fast' (linear interpolation), 'low' | 'medium' | 'high' (windowed-sinc, see SincResampler) or an
+// object {halfLength, cutoff, beta}. Output length is ceil(signal.length * newFs / oldFs); equal rates return a copy.
+function resample(signal, oldFs, newFs, quality = 'medium') {
+  if (oldFs === newFs) return Float64Array.from(signal);
+  if (quality === 'fast') return resampleLinear(signal, oldFs, newFs);
+  const resampler = new SincResampler(oldFs, newFs, quality);
+  const head = resampler.process(signal);
+  const tail = resampler.flush();
+  const output = new Float64Array(head.length + tail.length);
+  output.set(head);
+  output.set(tail, head.length);
   return output;
 }
 
-// Simple linear interpolation resampler (fs parameters are effective rates; can be sample counts if duration fixed)
-function resample(signal, oldFs, newFs) {
+// Simple linear interpolation resampler (the 'fast' quality of resample; no anti-aliasing)
+function resampleLinear(signal, oldFs, newFs) {
   const ratio = oldFs / newFs;
   const newLength = Math.ceil(signal.length / ratio);
   const output = new Float64Array(newLength);
@@ -143,127 +393,589 @@ function resample(signal, oldFs, newFs) {
   return output;
 }
 
-// Cepstral analysis
+// Stateful IIR filter for block-by-block processing: keeps its delay line between process() calls
+function StreamingIirFilter(coeffs, gain = 1.0) {
+  this.coeffs = Float64Array.from(coeffs);
+  this.gain = gain;
+  this.state = new Float64Array(Math.max(this.coeffs.length - 1, 0)); // state[j - 1] = y[n - j]
+}
+
+// Replaces the coefficients (and optionally the gain) from the next sample on, keeping the output history
+StreamingIirFilter.prototype.setCoefficients = function(coeffs, gain = this.gain) {
+  const order = coeffs.length - 1;
+  if (order !== this.state.length) {
+    const state = new Float64Array(Math.max(order, 0));
+    state.set(this.state.subarray(0, Math.min(order, this.state.length)));
+    this.state = state;
+  }
+  this.coeffs = Float64Array.from(coeffs);
+  this.gain = gain;
+};
+
+StreamingIirFilter.prototype.reset = function() {
+  this.state.fill(0);
+};
+
+StreamingIirFilter.prototype.process = function(input) {
+  const output = new Float64Array(input.length);
+  const coeffs = this.coeffs;
+  const state = this.state;
+  const order = state.length;
+  for (let i = 0; i < input.length; i++) {
+    let acc = input[i] * this.gain;
+    for (let j = 1; j <= order; j++) {
+      acc -= coeffs[j] * state[j - 1];
+    }
+    output[i] = acc;
+    for (let j = order - 1; j > 0; j--) {
+      state[j] = state[j - 1];
+    }
+    if (order > 0) state[0] = acc;
+  }
+  return output;
+};
+
+// Streaming counterpart of lpcSynthesis: feed successive excitation blocks to process()
+function lpcSynthesisStream(lpcCoeffs, gain = 1.0) {
+  return new StreamingIirFilter(lpcCoeffs, gain);
+}
+
+// Stateful linear-interpolation resampler: keeps the fractional read position and the last input sample between blocks
+function StreamingResampler(oldFs, newFs) {
+  this.setRates(oldFs, newFs);
+  this.reset();
+}
+
+// Changes the conversion ratio from the next output sample on
+StreamingResampler.prototype.setRates = function(oldFs, newFs) {
+  this.ratio = oldFs / newFs;
+};
+
+StreamingResampler.prototype.reset = function() {
+  this.pos = 0; // read position of the next output, relative to the start of the next block (-1 = last sample seen)
+  this.last = 0;
+  this.started = false;
+};
+
+StreamingResampler.prototype.process = function(input) {
+  const len = input.length;
+  const output = [];
+  if (len === 0) return new Float64Array(0);
+  if (!this.started) {
+    this.last = input[0];
+    this.started = true;
+  }
+  while (this.pos < len - 1) {
+    const low = Math.floor(this.pos);
+    const frac = this.pos - low;
+    const s0 = low < 0 ? this.last : input[low];
+    const s1 = input[low + 1];
+    output.push(s0 * (1 - frac) + s1 * frac);
+    this.pos += this.ratio;
+  }
+  this.pos -= len;
+  this.last = input[len - 1];
+  return Float64Array.from(output);
+};
+
+// Emits the outputs still pending at the end of the stream (holding the last input sample), then resets
+StreamingResampler.prototype.flush = function() {
+  const output = [];
+  if (this.started) {
+    while (this.pos < 0) {
+      output.push(this.last);
+      this.pos += this.ratio;
+    }
+  }
+  this.reset();
+  return Float64Array.from(output);
+};
+
+// Windowed-sinc resampler presets: halfLength = sinc zero crossings per side, cutoff = fraction of the lower
+// Nyquist frequency, beta = Kaiser window shape
+const resamplerQualities = {
+  low: { halfLength: 8, cutoff: 0.9, beta: 6 },
+  medium: { halfLength: 16, cutoff: 0.95, beta: 8 },
+  high: { halfLength: 32, cutoff: 0.97, beta: 10 }
+};
+
+// Zeroth-order modified Bessel function of the first kind (series), for the Kaiser window
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  const q = x * x / 4;
+  for (let k = 1; k < 50; k++) {
+    term *= q / (k * k);
+    sum += term;
+    if (term < sum * 1e-16) break;
+  }
+  return sum;
+}
+
+function gcd(a, b) {
+  while (b) {
+    const t = a % b;
+    a = b;
+    b = t;
+  }
+  return a;
+}
+
+// Kaiser-windowed sinc taps for input samples at offsets (k - half + 1 - frac), normalized to unit DC gain
+function sincTaps(half, fc, beta, frac) {
+  const taps = new Float64Array(2 * half);
+  const i0Beta = besselI0(beta);
+  let sum = 0;
+  for (let k = 0; k < 2 * half; k++) {
+    const d = k - half + 1 - frac;
+    const r = d / half;
+    if (r <= -1 || r >= 1) continue;
+    const x = Math.PI * fc * d;
+    const sinc = x === 0 ? 1 : Math.sin(x) / x;
+    taps[k] = fc * sinc * besselI0(beta * Math.sqrt(1 - r * r)) / i0Beta;
+    sum += taps[k];
+  }
+  if (sum !== 0) {
+    for (let k = 0; k < taps.length; k++) taps[k] /= sum;
+  }
+  return taps;
+}
+
+// Polyphase tables (one tap set per fractional phase p / L, for p < count), cached per ratio and quality
+const polyphaseCache = {};
+
+function getPolyphaseTable(L, half, fc, beta, count = L) {
+  const key = [L, half, fc, beta, count].join(':');
+  if (polyphaseCache[key]) return polyphaseCache[key];
+  const table = new Array(count);
+  for (let p = 0; p < count; p++) table[p] = sincTaps(half, fc, beta, p / L);
+  polyphaseCache[key] = table;
+  return table;
+}
+
+// Phases of the table that non-integer rate ratios interpolate their taps from
+const sincPhases = 1024;
+
+// Streaming bandlimited resampler. Integer rate pairs use an exact L/M polyphase table (e.g. 44100 -> 16000 is
+// 160/441); other ratios interpolate linearly between the two nearest of sincPhases precomputed tap sets
+// instead of evaluating the Kaiser window per output sample. Output sample n sits at input time n * oldFs / newFs,
+// so the filter looks ahead: process() holds back the last few outputs until flush().
+function SincResampler(oldFs, newFs, quality = 'medium') {
+  const q = typeof quality === 'string' ? resamplerQualities[quality] : Object.assign({}, resamplerQualities.medium, quality);
+  if (!q) throw new Error('Unknown resampler quality: ' + quality);
+  this.oldFs = oldFs;
+  this.newFs = newFs;
+  this.fc = q.cutoff * Math.min(1, newFs / oldFs);
+  this.half = Math.ceil(q.halfLength / this.fc); // taps per side, in input samples
+  this.beta = q.beta;
+  this.table = null;
+  if (Number.isInteger(oldFs) && Number.isInteger(newFs)) {
+    const g = gcd(oldFs, newFs);
+    const L = newFs / g;
+    if (L <= 4096) {
+      this.L = L;
+      this.M = oldFs / g;
+      this.table = getPolyphaseTable(L, this.half, this.fc, this.beta);
+    }
+  }
+  if (!this.table) {
+    this.phases = getPolyphaseTable(sincPhases, this.half, this.fc, this.beta, sincPhases + 1);
+    this.taps = new Float64Array(2 * this.half);
+  }
+  this.reset();
+}
+
+SincResampler.prototype.reset = function() {
+  this.buffer = new Float64Array(this.half); // zeros before the first input sample
+  this.base = -this.half; // absolute input index of buffer[0]
+  this.totalIn = 0;
+  this.outIndex = 0;
+};
+
+// Input position of output n: {index, frac}
+SincResampler.prototype.position = function(n) {
+  if (this.table) {
+    const num = n * this.M;
+    const index = Math.floor(num / this.L);
+    return { index, phase: num - index * this.L };
+  }
+  const t = n * this.oldFs / this.newFs;
+  const index = Math.floor(t);
+  return { index, frac: t - index };
+};
+
+// Taps for a fractional position between table phases (reuses one scratch array)
+SincResampler.prototype.interpolatedTaps = function(frac) {
+  const x = frac * sincPhases;
+  const p = Math.floor(x);
+  const w = x - p;
+  const a = this.phases[p];
+  const b = this.phases[p + 1];
+  for (let k = 0; k < this.taps.length; k++) this.taps[k] = a[k] + w * (b[k] - a[k]);
+  return this.taps;
+};
+
+SincResampler.prototype.render = function(limit, available) {
+  const output = [];
+  const half = this.half;
+  while (this.outIndex < limit) {
+    const pos = this.position(this.outIndex);
+    if (pos.index + half > available - 1) break;
+    const taps = this.table ? this.table[pos.phase] : this.interpolatedTaps(pos.frac);
+    const start = pos.index - half + 1 - this.base;
+    let acc = 0;
+    for (let k = 0; k < taps.length; k++) acc += taps[k] * this.buffer[start + k];
+    output.push(acc);
+    this.outIndex++;
+  }
+  // Drop input no future output can reach
+  const keepFrom = Math.min(this.buffer.length, this.position(this.outIndex).index - half + 1 - this.base);
+  if (keepFrom > 0) {
+    this.buffer = this.buffer.slice(keepFrom);
+    this.base += keepFrom;
+  }
+  return Float64Array.from(output);
+};
+
+SincResampler.prototype.append = function(input) {
+  const merged = new Float64Array(this.buffer.length + input.length);
+  merged.set(this.buffer);
+  merged.set(input, this.buffer.length);
+  this.buffer = merged;
+};
+
+SincResampler.prototype.process = function(input) {
+  this.append(input);
+  this.totalIn += input.length;
+  return this.render(Infinity, this.totalIn);
+};
+
+// Emits the remaining outputs (zero-padding past the end), for a total of ceil(totalIn * newFs / oldFs), then resets
+SincResampler.prototype.flush = function() {
+  const total = this.table
+    ? Math.ceil(this.totalIn * this.L / this.M)
+    : Math.ceil(this.totalIn * this.newFs / this.oldFs);
+  this.append(new Float64Array(2 * this.half + 1));
+  const output = this.render(total, Infinity);
+  this.reset();
+  return output;
+};
+
+// Cepstral analysis (real cepstrum via the real-FFT path; any frame length)
 function cepstralAnalysis(signal, nCeps = 13) {
   const N = signal.length;
-  const spectrum = cfft(signal.map(v => new Complex(v, 0)));
-  const logSpectrum = spectrum.map(c => Math.log(c.re * c.re + c.im * c.im + 1e-10) / 2); // log |spectrum|
-  const cepstrum = icfft(logSpectrum.map(v => new Complex(v, 0)));
-  return cepstrum.slice(0, nCeps).map(c => c.re); // Real part
+  const spectrum = rfft(signal);
+  const nBins = spectrum.re.length;
+  const logSpectrum = new Float64Array(nBins);
+  for (let k = 0; k < nBins; k++) {
+    logSpectrum[k] = Math.log(spectrum.re[k] * spectrum.re[k] + spectrum.im[k] * spectrum.im[k] + 1e-10) / 2; // log |spectrum|
+  }
+  const cepstrum = irfft(logSpectrum, new Float64Array(nBins), N);
+  return cepstrum.slice(0, nCeps);
+}
+
+// Seedable pseudo-random generator (mulberry32) returning floats in [0, 1); falls back to Math.random without a seed
+function createRng(seed) {
+  if (seed === undefined || seed === null) return Math.random;
+  let state = seed >>> 0;
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Distortion measures for VQ: distance(x, y, bound) may stop early once the partial sum exceeds bound.
+// 'euclidean' is squared Euclidean; 'weighted' uses per-dimension weights; 'cepstral' skips c0 (energy);
+// 'itakuraSaito' compares positive power-spectrum vectors x (input) against codeword y.
+function vqDistance(measure = 'euclidean', weights = null) {
+  switch (measure) {
+    case 'euclidean':
+      return (x, y, bound = Infinity) => {
+        let dist = 0;
+        for (let d = 0; d < x.length && dist <= bound; d++) {
+          const diff = x[d] - y[d];
+          dist += diff * diff;
+        }
+        return dist;
+      };
+    case 'weighted':
+      if (!weights) throw new Error('Weighted VQ distance needs a weights vector');
+      return (x, y, bound = Infinity) => {
+        let dist = 0;
+        for (let d = 0; d < x.length && dist <= bound; d++) {
+          const diff = x[d] - y[d];
+          dist += weights[d] * diff * diff;
+        }
+        return dist;
+      };
+    case 'cepstral':
+      return (x, y, bound = Infinity) => {
+        let dist = 0;
+        for (let d = 1; d < x.length && dist <= bound; d++) {
+          const diff = x[d] - y[d];
+          dist += diff * diff;
+        }
+        return dist;
+      };
+    case 'itakuraSaito':
+      return (x, y) => {
+        let dist = 0;
+        for (let d = 0; d < x.length; d++) {
+          const ratio = (x[d] + 1e-12) / (y[d] + 1e-12);
+          dist += ratio - Math.log(ratio) - 1;
+        }
+        return dist / x.length;
+      };
+    default:
+      throw new Error('Unknown VQ distance: ' + measure);
+  }
+}
+
+// Nearest codeword by linear scan with partial-distance elimination: {index, distance}
+function nearestCodeword(codebook, x, distance) {
+  let minDist = Infinity;
+  let minIdx = 0;
+  for (let k = 0; k < codebook.length; k++) {
+    const dist = distance(x, codebook[k], minDist);
+    if (dist < minDist) {
+      minDist = dist;
+      minIdx = k;
+    }
+  }
+  return { index: minIdx, distance: minDist };
 }
 
-// k-means for vector quantization (basic implementation)
-function trainVqCodebook(features, codebookSize = 256, maxIter = 100, tol = 1e-4) {
+// Initial codewords: distinct random picks ('random') or k-means++ seeding ('kmeans++')
+function initCodebook(features, codebookSize, init, rng, distance) {
   const N = features.length;
-  const D = features[0].length;
-  const codebook = new Array(codebookSize);
+  const codebook = [];
+  if (init === 'kmeans++') {
+    codebook.push(Float64Array.from(features[Math.floor(rng() * N)]));
+    const nearest = new Float64Array(N).fill(Infinity);
+    while (codebook.length < codebookSize) {
+      const last = codebook[codebook.length - 1];
+      let total = 0;
+      for (let j = 0; j < N; j++) {
+        nearest[j] = Math.min(nearest[j], distance(features[j], last));
+        total += nearest[j];
+      }
+      let pick = Math.floor(rng() * N);
+      if (total > 0) {
+        let r = rng() * total;
+        for (let j = 0; j < N; j++) {
+          r -= nearest[j];
+          if (r <= 0) {
+            pick = j;
+            break;
+          }
+        }
+      }
+      codebook.push(Float64Array.from(features[pick]));
+    }
+    return codebook;
+  }
+  // Partial Fisher-Yates shuffle of the indices: no duplicate picks while N >= codebookSize
+  const order = Array.from({length: N}, (_, i) => i);
   for (let i = 0; i < codebookSize; i++) {
-    codebook[i] = features[Math.floor(Math.random() * N)].slice();
+    const j = i < N ? i + Math.floor(rng() * (N - i)) : Math.floor(rng() * N);
+    if (i < N) {
+      const tmp = order[i];
+      order[i] = order[j];
+      order[j] = tmp;
+      codebook.push(Float64Array.from(features[order[i]]));
+    } else {
+      codebook.push(Float64Array.from(features[j]));
+    }
   }
+  return codebook;
+}
+
+// Lloyd iterations until the relative drop in average distortion is below tol.
+// Empty cells are re-seeded with the worst-fitting vector of the highest-distortion cell.
+function lloydIterations(features, codebook, distance, maxIter, tol, distortions) {
+  const N = features.length;
+  const K = codebook.length;
+  const D = features[0].length;
+  const labels = new Int32Array(N);
+  const pointDist = new Float64Array(N);
+  let prevDistortion = Infinity;
+  let counts = new Int32Array(K);
   for (let iter = 0; iter < maxIter; iter++) {
-    const labels = new Array(N);
-    const counts = new Array(codebookSize).fill(0);
-    const newCodebook = Array.from({length: codebookSize}, () => new Array(D).fill(0));
+    counts = new Int32Array(K);
+    const cellDistortion = new Float64Array(K);
+    const sums = Array.from({length: K}, () => new Float64Array(D));
+    let total = 0;
     for (let j = 0; j < N; j++) {
-      let minDist = Infinity;
-      let minIdx = 0;
-      for (let k = 0; k < codebookSize; k++) {
-        let dist = 0;
-        for (let d = 0; d < D; d++) {
-          dist += (features[j][d] - codebook[k][d]) ** 2;
-        }
-        if (dist < minDist) {
-          minDist = dist;
-          minIdx = k;
-        }
+      const { index, distance: dist } = nearestCodeword(codebook, features[j], distance);
+      labels[j] = index;
+      pointDist[j] = dist;
+      counts[index]++;
+      cellDistortion[index] += dist;
+      total += dist;
+      const sum = sums[index];
+      for (let d = 0; d < D; d++) sum[d] += features[j][d];
+    }
+    const distortion = total / N;
+    distortions.push(distortion);
+    for (let k = 0; k < K; k++) {
+      if (counts[k] > 0) {
+        for (let d = 0; d < D; d++) codebook[k][d] = sums[k][d] / counts[k];
+      }
+    }
+    for (let k = 0; k < K; k++) {
+      if (counts[k] > 0) continue;
+      let worstCell = 0;
+      for (let c = 1; c < K; c++) {
+        if (cellDistortion[c] > cellDistortion[worstCell]) worstCell = c;
       }
-      labels[j] = minIdx;
-      counts[minIdx]++;
-      for (let d = 0; d < D; d++) {
-        newCodebook[minIdx][d] += features[j][d];
+      let worstPoint = -1;
+      for (let j = 0; j < N; j++) {
+        if (labels[j] === worstCell && (worstPoint < 0 || pointDist[j] > pointDist[worstPoint])) worstPoint = j;
       }
+      if (worstPoint < 0) break; // fewer distinct cells than codewords
+      codebook[k] = Float64Array.from(features[worstPoint]);
+      cellDistortion[worstCell] -= pointDist[worstPoint];
+      labels[worstPoint] = k;
+      pointDist[worstPoint] = 0;
     }
-    let changed = false;
-    for (let k = 0; k < codebookSize; k++) {
-      if (counts[k] > 0) {
+    if (distortion === 0 || (prevDistortion - distortion) / distortion < tol) break;
+    prevDistortion = distortion;
+  }
+  return { labels, counts };
+}
+
+// Codebook training with full reporting. Options: init ('lbg' | 'kmeans++' | 'random'), seed, distance
+// ('euclidean' | 'weighted' | 'cepstral' | 'itakuraSaito'), weights, splitEpsilon (LBG perturbation).
+// Returns {codebook, distortion, distortions (average distortion per iteration), labels, counts}.
+function trainVqCodebookFull(features, codebookSize = 256, maxIter = 100, tol = 1e-4, options = {}) {
+  const init = options.init || 'lbg';
+  const rng = createRng(options.seed);
+  const distance = vqDistance(options.distance, options.weights);
+  const distortions = [];
+  let codebook;
+  let result;
+  if (init === 'lbg') {
+    // LBG: start from the global centroid and split every cell in two until the target size is reached
+    const eps = options.splitEpsilon || 0.01;
+    const D = features[0].length;
+    const centroid = new Float64Array(D);
+    for (const f of features) {
+      for (let d = 0; d < D; d++) centroid[d] += f[d] / features.length;
+    }
+    codebook = [centroid];
+    result = lloydIterations(features, codebook, distance, maxIter, tol, distortions);
+    while (codebook.length < codebookSize) {
+      // Split the highest-count cells first when the target is not a power of two
+      const order = Array.from(codebook.keys()).sort((x, y) => result.counts[y] - result.counts[x]);
+      const nSplit = Math.min(codebook.length, codebookSize - codebook.length);
+      for (let s = 0; s < nSplit; s++) {
+        const c = codebook[order[s]];
+        const lower = new Float64Array(D);
+        const upper = new Float64Array(D);
         for (let d = 0; d < D; d++) {
-          newCodebook[k][d] /= counts[k];
+          const delta = eps * (Math.abs(c[d]) > 1e-12 ? c[d] : 1) * (rng() < 0.5 ? 1 : -1);
+          lower[d] = c[d] - delta;
+          upper[d] = c[d] + delta;
         }
+        codebook[order[s]] = lower;
+        codebook.push(upper);
       }
-      let dist = 0;
-      for (let d = 0; d < D; d++) {
-        dist += (newCodebook[k][d] - codebook[k][d]) ** 2;
-      }
-      if (Math.sqrt(dist) > tol) changed = true;
-      codebook[k] = newCodebook[k];
+      result = lloydIterations(features, codebook, distance, maxIter, tol, distortions);
     }
-    if (!changed) break;
+  } else {
+    codebook = initCodebook(features, codebookSize, init, rng, distance);
+    result = lloydIterations(features, codebook, distance, maxIter, tol, distortions);
   }
-  return codebook;
+  // Final assignment so labels and distortion describe the returned codebook
+  const labels = new Int32Array(features.length);
+  const counts = new Int32Array(codebook.length);
+  let total = 0;
+  for (let j = 0; j < features.length; j++) {
+    const nearest = nearestCodeword(codebook, features[j], distance);
+    labels[j] = nearest.index;
+    counts[nearest.index]++;
+    total += nearest.distance;
+  }
+  return {
+    codebook: codebook.map(c => Array.from(c)),
+    distortion: total / features.length,
+    distortions: Float64Array.from(distortions),
+    labels,
+    counts
+  };
+}
+
+// k-means / LBG vector quantizer training; returns the codebook (array of vectors). See trainVqCodebookFull for options.
+function trainVqCodebook(features, codebookSize = 256, maxIter = 100, tol = 1e-4, options = {}) {
+  return trainVqCodebookFull(features, codebookSize, maxIter, tol, options).codebook;
+}
+
+// Quantizes features to codeword indices. Options: distance, weights (as for trainVqCodebookFull)
+function vectorQuantization(codebook, features, options = {}) {
+  return vectorQuantizationFull(codebook, features, options).indices;
 }
 
-function vectorQuantization(codebook, features) {
+// vectorQuantization with per-vector distances and the average distortion
+function vectorQuantizationFull(codebook, features, options = {}) {
+  const distance = vqDistance(options.distance, options.weights);
   const indices = new Array(features.length);
+  const distances = new Float64Array(features.length);
+  let total = 0;
   for (let i = 0; i < features.length; i++) {
-    let minDist = Infinity;
-    let minIdx = 0;
-    for (let k = 0; k < codebook.length; k++) {
-      let dist = 0;
-      for (let d = 0; d < features[i].length; d++) {
-        dist += (features[i][d] - codebook[k][d]) ** 2;
-      }
-      if (dist < minDist) {
-        minDist = dist;
-        minIdx = k;
-      }
-    }
-    indices[i] = minIdx;
+    const nearest = nearestCodeword(codebook, features[i], distance);
+    indices[i] = nearest.index;
+    distances[i] = nearest.distance;
+    total += nearest.distance;
   }
-  return indices;
+  return { indices, distances, distortion: features.length ? total / features.length : 0 };
 }
 
 // Main functions
-function speechProductionModel(amplitude = 1.0, frequency = 100, duration = 1.0, fs = 16000) {
-  const len = Math.floor(fs * duration);
-  const waveform = new Float64Array(len);
-  for (let i = 0; i < len; i++) {
-    waveform[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / fs);
-  }
-  return waveform;
+// Source-filter vowel: glottal pulse train at `frequency` through vowel formants (see formantSynthesis),
+// peak-normalized to `amplitude`. vowel is a vowelFormants key or {formants, bandwidths}; options go to formantSynthesis.
+function speechProductionModel(amplitude = 1.0, frequency = 100, duration = 1.0, fs = 16000, vowel = 'a', options = {}) {
+  const v = typeof vowel === 'string' ? vowelFormants[vowel] : vowel;
+  if (!v) throw new Error('Unknown vowel: ' + vowel);
+  return formantSynthesis({
+    duration,
+    f0: frequency,
+    formants: v.formants,
+    bandwidths: v.bandwidths
+  }, Object.assign({ fs, normalize: amplitude }, options));
 }
 
-function pitchDetectionAutocorr(signal, fs = 16000, minFreq = 80, maxFreq = 300) {
-  const ac = autocorr(signal);
-  const maxAuto = Math.max(...ac);
-  if (maxAuto === 0) return 0.0;
-  const normalized = ac.map(v => v / maxAuto);
-  const minLag = Math.floor(fs / maxFreq);
-  const maxLag = Math.floor(fs / minFreq);
-  let peakLag = minLag;
-  let maxVal = normalized[minLag];
-  for (let i = minLag + 1; i < maxLag; i++) {
-    if (normalized[i] > maxVal) {
-      maxVal = normalized[i];
-      peakLag = i;
-    }
-  }
-  if (maxVal < 0.5) return 0.0;
-  return fs / peakLag;
+// Autocorrelation pitch in Hz (0 when unvoiced); see pitchAutocorr for confidence and candidates
+function pitchDetectionAutocorr(signal, fs = 16000, minFreq = 80, maxFreq = 300, voicingThreshold = 0.5) {
+  return pitchAutocorr(signal, fs, minFreq, maxFreq, voicingThreshold).frequency;
 }
 
-function lpcAnalysis(signal, order = 12, preemphasis = 0.97) {
+// First-order pre-emphasis y[n] = x[n] - coeff * x[n - 1]
+function preEmphasize(signal, coeff = 0.97) {
   const len = signal.length;
   const preemp = new Float64Array(len);
+  if (len === 0) return preemp;
   preemp[0] = signal[0];
-  if (preemphasis > 0) {
+  if (coeff > 0) {
     for (let i = 1; i < len; i++) {
-      preemp[i] = signal[i] - preemphasis * signal[i - 1];
+      preemp[i] = signal[i] - coeff * signal[i - 1];
     }
   } else {
     preemp.set(signal);
   }
-  const ac = autocorr(preemp).slice(0, order + 1);
-  return levinsonDurbin(ac, order);
+  return preemp;
+}
+
+function lpcAnalysis(signal, order = 12, preemphasis = 0.97) {
+  return lpcAnalysisFull(signal, order, preemphasis).a;
+}
+
+// lpcAnalysis returning the full Levinson-Durbin result {a, k, e, error, gain}
+function lpcAnalysisFull(signal, order = 12, preemphasis = 0.97) {
+  const ac = autocorr(preEmphasize(signal, preemphasis), order);
+  return levinsonRecursion(ac, order);
 }
 
 function lpcSynthesis(excitation, lpcCoeffs, gain = 1.0) {
@@ -275,4 +987,2725 @@ function waveformCodingSynthesis(originalSignal, bitRateReductionFactor = 2) {
   const reducedSamples = numSamples / bitRateReductionFactor;
   const downsampled = resample(originalSignal, numSamples, reducedSamples);
   return resample(downsampled, reducedSamples, numSamples);
-}
\ No newline at end of file
+}
+
+// Short-time analysis framework: windowing, framing and hop-based processing over whole buffers
+
+// Analysis windows (symmetric), cached per type and length; callers get a copy they may modify
+const windowCache = {};
+
+function makeWindow(type = 'hamming', length = 512) {
+  const key = type + ':' + length;
+  if (windowCache[key]) return windowCache[key].slice();
+  const w = new Float64Array(length);
+  const denom = length > 1 ? length - 1 : 1;
+  for (let i = 0; i < length; i++) {
+    const x = 2 * Math.PI * i / denom;
+    switch (type) {
+      case 'hann': w[i] = 0.5 - 0.5 * Math.cos(x); break;
+      case 'hamming': w[i] = 0.54 - 0.46 * Math.cos(x); break;
+      case 'blackman': w[i] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x); break;
+      case 'rectangular': w[i] = 1; break;
+      default: throw new Error('Unknown window type: ' + type);
+    }
+  }
+  windowCache[key] = w;
+  return w.slice();
+}
+
+// Frame length and hop must be positive integers: a zero hop never advances, fractional ones misplace frames
+function checkFrameGeometry(frameLength, hopSize) {
+  if (!Number.isInteger(frameLength) || frameLength <= 0) throw new Error('frameLength must be a positive integer, got ' + frameLength);
+  if (!Number.isInteger(hopSize) || hopSize <= 0) throw new Error('hopSize must be a positive integer, got ' + hopSize);
+}
+
+// Number of frames covering a signal (padEnd keeps the tail by zero-padding the last frame)
+function frameCount(signalLength, frameLength, hopSize, padEnd = true) {
+  checkFrameGeometry(frameLength, hopSize);
+  if (signalLength <= frameLength) return 1;
+  const extra = (signalLength - frameLength) / hopSize;
+  return 1 + (padEnd ? Math.ceil(extra) : Math.floor(extra));
+}
+
+// Copies one windowed frame starting at sample `start` (zero-padded past the end of the signal)
+function getFrame(signal, start, frameLength, window) {
+  const frame = new Float64Array(frameLength);
+  const end = Math.min(frameLength, signal.length - start);
+  for (let i = 0; i < end; i++) {
+    frame[i] = window ? signal[start + i] * window[i] : signal[start + i];
+  }
+  return frame;
+}
+
+// Named per-frame analysers usable with analyzeFrames; each receives (frame, options)
+const frameAnalysers = {
+  lpc: (frame, opts) => lpcAnalysis(frame, opts.order, opts.preemphasis),
+  cepstrum: (frame, opts) => cepstralAnalysis(frame, opts.nCeps),
+  pitch: (frame, opts) => pitchDetectionAutocorr(frame, opts.fs, opts.minFreq, opts.maxFreq),
+  mfcc: (frame, opts) => mfcc(frame, opts),
+  energy: frame => frameEnergyDb(frame),
+  zcr: frame => zeroCrossingRate(frame)
+};
+
+// Runs an analyser (function or frameAnalysers name) over every frame of a signal.
+// Returns per-frame results plus a row-major matrix (numFrames x dim) and frame timestamps (centre, seconds);
+// matrix is null when the analyser returns something other than numbers or vectors.
+function analyzeFrames(signal, analyser, options = {}) {
+  const opts = Object.assign({
+    frameLength: 512,
+    hopSize: 256,
+    window: 'hamming',
+    fs: 16000,
+    padEnd: true,
+    order: 12,
+    preemphasis: 0.97,
+    nCeps: 13,
+    minFreq: 80,
+    maxFreq: 300
+  }, options);
+  const fn = typeof analyser === 'function' ? analyser : frameAnalysers[analyser];
+  if (!fn) throw new Error('Unknown frame analyser: ' + analyser);
+  const { frameLength, hopSize, fs } = opts;
+  checkFrameGeometry(frameLength, hopSize);
+  const window = makeWindow(opts.window, frameLength);
+  const numFrames = frameCount(signal.length, frameLength, hopSize, opts.padEnd);
+  const starts = new Uint32Array(numFrames);
+  const times = new Float64Array(numFrames);
+  const values = new Array(numFrames);
+  for (let f = 0; f < numFrames; f++) {
+    const start = f * hopSize;
+    starts[f] = start;
+    times[f] = (start + frameLength / 2) / fs;
+    values[f] = fn(getFrame(signal, start, frameLength, window), opts, f);
+  }
+  const first = values[0];
+  const dim = typeof first === 'number' ? 1 : (first && typeof first.length === 'number' ? first.length : 0);
+  const matrix = dim > 0 ? new Float64Array(numFrames * dim) : null;
+  for (let f = 0; f < numFrames && matrix; f++) {
+    if (typeof values[f] === 'number') matrix[f] = values[f];
+    else matrix.set(values[f], f * dim);
+  }
+  return { numFrames, dim, frameLength, hopSize, fs, starts, times, values, matrix };
+}
+
+
+// Mel filterbank and MFCC feature extraction (HTK-style mel scale)
+
+function hzToMel(f) {
+  return 2595 * Math.log10(1 + f / 700);
+}
+
+function melToHz(m) {
+  return 700 * (Math.pow(10, m / 2595) - 1);
+}
+
+// Triangular mel filterbank: array of nBands weight vectors over the fftSize / 2 + 1 rfft bins; callers get copies
+// they may modify
+function melFilterbank(nBands = 26, fftSize = 512, fs = 16000, fmin = 0, fmax = fs / 2) {
+  return getMelFilterbank(nBands, fftSize, fs, fmin, fmax).map(weights => weights.slice());
+}
+
+// The cached filterbank shared by every mfcc call with the same geometry (read-only)
+const melFilterbankCache = {};
+
+function getMelFilterbank(nBands, fftSize, fs, fmin, fmax) {
+  const key = [nBands, fftSize, fs, fmin, fmax].join(':');
+  if (melFilterbankCache[key]) return melFilterbankCache[key];
+  const nBins = (fftSize >> 1) + 1;
+  const melMin = hzToMel(fmin);
+  const melMax = hzToMel(fmax);
+  const edges = new Float64Array(nBands + 2); // band edges in (fractional) bins
+  for (let i = 0; i < nBands + 2; i++) {
+    edges[i] = melToHz(melMin + (melMax - melMin) * i / (nBands + 1)) * fftSize / fs;
+  }
+  const bank = new Array(nBands);
+  for (let b = 0; b < nBands; b++) {
+    const lo = edges[b];
+    const mid = edges[b + 1];
+    const hi = edges[b + 2];
+    const weights = new Float64Array(nBins);
+    for (let k = Math.max(0, Math.ceil(lo)); k <= Math.min(nBins - 1, Math.floor(hi)); k++) {
+      if (k <= mid) weights[k] = mid > lo ? (k - lo) / (mid - lo) : 1;
+      else weights[k] = hi > mid ? (hi - k) / (hi - mid) : 1;
+    }
+    bank[b] = weights;
+  }
+  melFilterbankCache[key] = bank;
+  return bank;
+}
+
+// Power spectrum of a frame, zero-padded (or truncated) to fftSize
+function powerSpectrum(frame, fftSize = nextPowerOfTwo(frame.length)) {
+  const padded = new Float64Array(fftSize);
+  padded.set(frame.length > fftSize ? Array.prototype.slice.call(frame, 0, fftSize) : frame);
+  const spectrum = rfft(padded);
+  const power = new Float64Array(spectrum.re.length);
+  for (let k = 0; k < power.length; k++) {
+    power[k] = spectrum.re[k] * spectrum.re[k] + spectrum.im[k] * spectrum.im[k];
+  }
+  return power;
+}
+
+// Log mel-band energies of one frame
+function logMelEnergies(frame, filterbank, fftSize = nextPowerOfTwo(frame.length)) {
+  const power = powerSpectrum(frame, fftSize);
+  const energies = new Float64Array(filterbank.length);
+  for (let b = 0; b < filterbank.length; b++) {
+    const weights = filterbank[b];
+    let sum = 0;
+    for (let k = 0; k < power.length; k++) {
+      if (weights[k] !== 0) sum += weights[k] * power[k];
+    }
+    energies[b] = Math.log(sum + 1e-10);
+  }
+  return energies;
+}
+
+// Orthonormal DCT-II, keeping the first nOut coefficients
+function dct(input, nOut = input.length) {
+  const N = input.length;
+  const output = new Float64Array(nOut);
+  for (let k = 0; k < nOut; k++) {
+    let sum = 0;
+    for (let n = 0; n < N; n++) {
+      sum += input[n] * Math.cos(Math.PI * k * (n + 0.5) / N);
+    }
+    output[k] = sum * Math.sqrt((k === 0 ? 1 : 2) / N);
+  }
+  return output;
+}
+
+// Sinusoidal cepstral liftering, c[n] *= 1 + (L / 2) sin(πn / L); L = 0 leaves the coefficients unchanged
+function lifter(ceps, L = 22) {
+  const output = Float64Array.from(ceps);
+  if (L > 0) {
+    for (let n = 0; n < output.length; n++) {
+      output[n] *= 1 + (L / 2) * Math.sin(Math.PI * n / L);
+    }
+  }
+  return output;
+}
+
+// MFCCs of one frame. Options: fs, nBands, nCeps, fmin, fmax, fftSize, lifter
+function mfcc(frame, options = {}) {
+  const fs = options.fs || 16000;
+  const nBands = options.nBands || 26;
+  const nCeps = options.nCeps || 13;
+  const fftSize = options.fftSize || nextPowerOfTwo(frame.length);
+  const fmin = options.fmin || 0;
+  const fmax = options.fmax || fs / 2;
+  const L = options.lifter === undefined ? 22 : options.lifter;
+  const bank = getMelFilterbank(nBands, fftSize, fs, fmin, fmax);
+  return lifter(dct(logMelEnergies(frame, bank, fftSize), nCeps), L);
+}
+
+// Delta (regression) coefficients over a feature sequence, with edge frames replicated
+function deltas(features, N = 2) {
+  const T = features.length;
+  const output = new Array(T);
+  if (T === 0) return output;
+  const D = features[0].length;
+  let denom = 0;
+  for (let n = 1; n <= N; n++) denom += 2 * n * n;
+  for (let t = 0; t < T; t++) {
+    const d = new Float64Array(D);
+    for (let n = 1; n <= N; n++) {
+      const next = features[Math.min(T - 1, t + n)];
+      const prev = features[Math.max(0, t - n)];
+      for (let i = 0; i < D; i++) d[i] += n * (next[i] - prev[i]);
+    }
+    for (let i = 0; i < D; i++) d[i] /= denom;
+    output[t] = d;
+  }
+  return output;
+}
+
+// Appends delta and delta-delta coefficients to each feature vector ([c, Δc, ΔΔc])
+function appendDeltas(features, N = 2) {
+  const d1 = deltas(features, N);
+  const d2 = deltas(d1, N);
+  return features.map((f, t) => {
+    const D = f.length;
+    const out = new Float64Array(3 * D);
+    out.set(f, 0);
+    out.set(d1[t], D);
+    out.set(d2[t], 2 * D);
+    return out;
+  });
+}
+
+// MFCC feature sequence for a whole signal (framed via analyzeFrames), ready for trainVqCodebook / vectorQuantization
+function mfccFeatures(signal, options = {}) {
+  const frames = analyzeFrames(signal, 'mfcc', options);
+  return options.deltas ? appendDeltas(frames.values, options.deltaWindow || 2) : frames.values;
+}
+
+
+// LPC parameter conversions: PARCOR, log-area ratios, line spectral pairs, LPC cepstrum, formants.
+// All LPC vectors are filter coeffs [1, a1, ..., ap] as returned by lpcAnalysis; reflection vectors are k[1..p] (k[0] unused).
+
+// Step-up recursion: reflection coeffs -> direct-form LPC
+function reflectionToLpc(k) {
+  const order = k.length - 1;
+  const a = new Float64Array(order + 1);
+  const prev = new Float64Array(order + 1);
+  a[0] = 1;
+  for (let m = 1; m <= order; m++) {
+    prev.set(a);
+    a[m] = k[m];
+    for (let j = 1; j < m; j++) {
+      a[j] = prev[j] + k[m] * prev[m - j];
+    }
+  }
+  return a;
+}
+
+// Step-down recursion: direct-form LPC -> reflection coeffs (|k| >= 1 means the filter is unstable)
+function lpcToReflection(a) {
+  const order = a.length - 1;
+  const k = new Float64Array(order + 1);
+  let cur = Float64Array.from(a);
+  for (let m = order; m >= 1; m--) {
+    const km = cur[m];
+    k[m] = km;
+    const denom = 1 - km * km;
+    if (denom <= 0) break;
+    const next = new Float64Array(m);
+    next[0] = 1;
+    for (let j = 1; j < m; j++) {
+      next[j] = (cur[j] - km * cur[m - j]) / denom;
+    }
+    cur = next;
+  }
+  return k;
+}
+
+// Log-area ratios g = log((1 - k) / (1 + k)), clamped away from |k| = 1
+function reflectionToLar(k) {
+  const lar = new Float64Array(k.length);
+  for (let m = 1; m < k.length; m++) {
+    const km = Math.max(-0.999999, Math.min(0.999999, k[m]));
+    lar[m] = Math.log((1 - km) / (1 + km));
+  }
+  return lar;
+}
+
+function larToReflection(lar) {
+  const k = new Float64Array(lar.length);
+  for (let m = 1; m < lar.length; m++) {
+    const eg = Math.exp(lar[m]);
+    k[m] = (1 - eg) / (1 + eg);
+  }
+  return k;
+}
+
+// Sum/difference polynomials P(z) = A(z) + z^-(p+1) A(1/z), Q(z) = A(z) - z^-(p+1) A(1/z)
+function lspPolynomials(a) {
+  const order = a.length - 1;
+  const P = new Float64Array(order + 2);
+  const Q = new Float64Array(order + 2);
+  for (let i = 0; i <= order + 1; i++) {
+    const ai = i <= order ? a[i] : 0;
+    const ar = order + 1 - i <= order ? a[order + 1 - i] : 0;
+    P[i] = ai + ar;
+    Q[i] = ai - ar;
+  }
+  return { P, Q };
+}
+
+// Zero-phase real value of a (anti)symmetric polynomial on the unit circle at frequency w
+function symmetricPolyValue(c, w, antisymmetric) {
+  const half = (c.length - 1) / 2;
+  let sum = 0;
+  for (let i = 0; i < c.length; i++) {
+    sum += c[i] * (antisymmetric ? Math.sin(w * (half - i)) : Math.cos(w * (half - i)));
+  }
+  return sum;
+}
+
+// Line spectral frequencies (radians in (0, π), ascending) by grid search and bisection on P and Q
+function lpcToLsp(a, gridSize = 1024) {
+  const { P, Q } = lspPolynomials(a);
+  const lsf = [];
+  const polys = [[P, false], [Q, true]];
+  for (const [c, anti] of polys) {
+    let wPrev = Math.PI * 0.5 / gridSize;
+    let vPrev = symmetricPolyValue(c, wPrev, anti);
+    for (let i = 1; i < gridSize; i++) {
+      const w = Math.PI * (i + 0.5) / gridSize;
+      const v = symmetricPolyValue(c, w, anti);
+      if (vPrev * v < 0) {
+        let lo = wPrev;
+        let hi = w;
+        let vLo = vPrev;
+        for (let iter = 0; iter < 40; iter++) {
+          const mid = (lo + hi) / 2;
+          const vMid = symmetricPolyValue(c, mid, anti);
+          if (vLo * vMid <= 0) {
+            hi = mid;
+          } else {
+            lo = mid;
+            vLo = vMid;
+          }
+        }
+        lsf.push((lo + hi) / 2);
+      }
+      wPrev = w;
+      vPrev = v;
+    }
+  }
+  return Float64Array.from(lsf.sort((x, y) => x - y));
+}
+
+// Multiplies a polynomial (in z^-1) by (1 + b1 z^-1 + b2 z^-2)
+function polyMulQuadratic(poly, b1, b2) {
+  const out = new Float64Array(poly.length + 2);
+  for (let i = 0; i < poly.length; i++) {
+    out[i] += poly[i];
+    out[i + 1] += b1 * poly[i];
+    out[i + 2] += b2 * poly[i];
+  }
+  return out;
+}
+
+// Line spectral frequencies -> direct-form LPC (odd-numbered LSFs are roots of P, even-numbered of Q)
+function lspToLpc(lsf) {
+  const order = lsf.length;
+  let P = Float64Array.of(1);
+  let Q = Float64Array.of(1);
+  for (let i = 0; i < order; i++) {
+    if (i % 2 === 0) P = polyMulQuadratic(P, -2 * Math.cos(lsf[i]), 1);
+    else Q = polyMulQuadratic(Q, -2 * Math.cos(lsf[i]), 1);
+  }
+  // Trivial roots: P gets (1 + z^-1) and Q gets (1 - z^-1) for even order; Q gets (1 - z^-2) for odd order
+  if (order % 2 === 0) {
+    P = polyMulQuadratic(P, 1, 0);
+    Q = polyMulQuadratic(Q, -1, 0);
+  } else {
+    Q = polyMulQuadratic(Q, 0, -1);
+  }
+  const a = new Float64Array(order + 1);
+  for (let i = 0; i <= order; i++) {
+    a[i] = ((P[i] || 0) + (Q[i] || 0)) / 2;
+  }
+  return a;
+}
+
+// LPC cepstrum of the all-pole model gain / A(z); c[0] = log(gain)
+function lpcToCepstrum(a, nCeps = 13, gain = 1.0) {
+  const order = a.length - 1;
+  const c = new Float64Array(nCeps);
+  if (nCeps > 0) c[0] = Math.log(gain);
+  for (let n = 1; n < nCeps; n++) {
+    let sum = n <= order ? -a[n] : 0;
+    for (let k = Math.max(1, n - order); k < n; k++) {
+      sum -= (k / n) * c[k] * a[n - k];
+    }
+    c[n] = sum;
+  }
+  return c;
+}
+
+// Inverse of lpcToCepstrum for the first `order` coefficients (c[0] is ignored)
+function cepstrumToLpc(c, order = 12) {
+  const a = new Float64Array(order + 1);
+  a[0] = 1;
+  for (let n = 1; n <= order; n++) {
+    let sum = n < c.length ? -c[n] : 0;
+    for (let k = 1; k < n; k++) {
+      sum -= (k / n) * (k < c.length ? c[k] : 0) * a[n - k];
+    }
+    a[n] = sum;
+  }
+  return a;
+}
+
+// Complex roots of a polynomial given highest power first (Durand-Kerner iteration)
+function polynomialRoots(coeffs, maxIter = 500, tol = 1e-12) {
+  let lead = 0;
+  while (lead < coeffs.length - 1 && coeffs[lead] === 0) lead++;
+  const c = Array.from(coeffs.slice(lead)).map(v => v / coeffs[lead]);
+  const n = c.length - 1;
+  const re = new Float64Array(n);
+  const im = new Float64Array(n);
+  if (n < 1) return { re, im };
+  // Start on a circle that bounds the roots, rotated off the real axis
+  let radius = 0;
+  for (let i = 1; i <= n; i++) radius = Math.max(radius, Math.pow(Math.abs(c[i]), 1 / i));
+  radius = Math.max(radius, 0.5);
+  for (let i = 0; i < n; i++) {
+    const angle = 2 * Math.PI * i / n + 0.4;
+    re[i] = radius * Math.cos(angle);
+    im[i] = radius * Math.sin(angle);
+  }
+  for (let iter = 0; iter < maxIter; iter++) {
+    let maxDelta = 0;
+    for (let i = 0; i < n; i++) {
+      // p(z_i) by Horner
+      let pr = 1;
+      let pi = 0;
+      for (let j = 1; j <= n; j++) {
+        const r = pr * re[i] - pi * im[i] + c[j];
+        pi = pr * im[i] + pi * re[i];
+        pr = r;
+      }
+      // prod (z_i - z_j)
+      let dr = 1;
+      let di = 0;
+      for (let j = 0; j < n; j++) {
+        if (j === i) continue;
+        const xr = re[i] - re[j];
+        const xi = im[i] - im[j];
+        const r = dr * xr - di * xi;
+        di = dr * xi + di * xr;
+        dr = r;
+      }
+      const den = dr * dr + di * di || 1e-300;
+      const qr = (pr * dr + pi * di) / den;
+      const qi = (pi * dr - pr * di) / den;
+      re[i] -= qr;
+      im[i] -= qi;
+      maxDelta = Math.max(maxDelta, Math.abs(qr) + Math.abs(qi));
+    }
+    if (maxDelta < tol) break;
+  }
+  return { re, im };
+}
+
+// Formant frequencies/bandwidths (Hz) from the roots of A(z), ascending by frequency
+function lpcFormants(a, fs = 16000, maxBandwidth = 400, minFreq = 90) {
+  const roots = polynomialRoots(a);
+  const formants = [];
+  for (let i = 0; i < roots.re.length; i++) {
+    if (roots.im[i] <= 0) continue; // one of each conjugate pair
+    const r = Math.hypot(roots.re[i], roots.im[i]);
+    const frequency = Math.atan2(roots.im[i], roots.re[i]) * fs / (2 * Math.PI);
+    const bandwidth = -Math.log(r) * fs / Math.PI;
+    if (frequency >= minFreq && bandwidth > 0 && bandwidth <= maxBandwidth) {
+      formants.push({ frequency, bandwidth });
+    }
+  }
+  formants.sort((x, y) => x.frequency - y.frequency);
+  return {
+    frequencies: Float64Array.from(formants.map(f => f.frequency)),
+    bandwidths: Float64Array.from(formants.map(f => f.bandwidth))
+  };
+}
+
+
+// LPC vocoder: per-frame analysis into (reflection coeffs, gain, pitch) and resynthesis through a lattice filter
+// whose state carries across frames. Coefficients are interpolated per sample in the reflection domain,
+// which stays stable for any mix of stable frames.
+
+const vocoderDefaults = {
+  fs: 16000,
+  order: 12,
+  frameLength: 512,
+  hopSize: 256,
+  window: 'hamming',
+  preemphasis: 0.97,
+  minFreq: 80,
+  maxFreq: 300,
+  pitchShift: 1.0,
+  timeStretch: 1.0
+};
+
+// Zero-mean, unit-variance Gaussian noise sample (Box-Muller)
+function gaussianNoise() {
+  const u = 1 - Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * Math.random());
+}
+
+// Frame parameters: {numFrames, length, order, fs, hopSize, frameLength, preemphasis, k[], gain, pitch}.
+// gain is the per-sample RMS of the prediction residual; pitch is 0 for unvoiced frames.
+function lpcVocoderAnalyze(signal, options = {}) {
+  const opts = Object.assign({}, vocoderDefaults, options);
+  const { order, frameLength } = opts;
+  const window = makeWindow(opts.window, frameLength);
+  let windowEnergy = 0;
+  for (let i = 0; i < frameLength; i++) windowEnergy += window[i] * window[i];
+  const frames = analyzeFrames(signal, frame => {
+    const pitch = pitchDetectionAutocorr(frame, opts.fs, opts.minFreq, opts.maxFreq);
+    const emphasized = preEmphasize(frame, opts.preemphasis);
+    for (let i = 0; i < frameLength; i++) emphasized[i] *= window[i];
+    const lpc = levinsonRecursion(autocorr(emphasized, order), order);
+    return { k: lpc.k, gain: Math.sqrt(Math.max(lpc.error, 0) / windowEnergy), pitch };
+  }, Object.assign({}, opts, { window: 'rectangular' }));
+  const { numFrames } = frames;
+  const gain = new Float64Array(numFrames);
+  const pitch = new Float64Array(numFrames);
+  const k = new Array(numFrames);
+  for (let f = 0; f < numFrames; f++) {
+    k[f] = frames.values[f].k;
+    gain[f] = frames.values[f].gain;
+    pitch[f] = frames.values[f].pitch;
+  }
+  return {
+    numFrames,
+    length: signal.length,
+    order,
+    fs: opts.fs,
+    hopSize: opts.hopSize,
+    frameLength,
+    preemphasis: opts.preemphasis,
+    times: frames.times,
+    k,
+    gain,
+    pitch
+  };
+}
+
+// Interpolates frame parameters at output sample n (timeStretch scales the frame spacing); fills kOut, returns {gain, pitch}
+function vocoderParamsAt(params, n, timeStretch, kOut) {
+  const last = params.numFrames - 1;
+  const pos = Math.min(last, Math.max(0, (n / timeStretch - params.frameLength / 2) / params.hopSize));
+  const f0 = Math.floor(pos);
+  const f1 = Math.min(last, f0 + 1);
+  const frac = pos - f0;
+  const k0 = params.k[f0];
+  const k1 = params.k[f1];
+  for (let m = 1; m <= params.order; m++) {
+    kOut[m] = k0[m] + (k1[m] - k0[m]) * frac;
+  }
+  const p0 = params.pitch[f0];
+  const p1 = params.pitch[f1];
+  return {
+    gain: params.gain[f0] + (params.gain[f1] - params.gain[f0]) * frac,
+    pitch: p0 > 0 && p1 > 0 ? p0 + (p1 - p0) * frac : (frac < 0.5 ? p0 : p1)
+  };
+}
+
+// Resynthesizes vocoder parameters. Options: pitchShift (ratio), timeStretch (ratio), length (output samples),
+// excitation (unit-power Float64Array replacing the pulse/noise source, e.g. for cross-synthesis)
+function lpcVocoderSynthesize(params, options = {}) {
+  const opts = Object.assign({}, vocoderDefaults, options);
+  const { order, fs, preemphasis } = params;
+  const timeStretch = opts.timeStretch;
+  const length = opts.length || Math.round(params.length * timeStretch);
+  const excitation = opts.excitation;
+  const output = new Float64Array(length);
+  const k = new Float64Array(order + 1);
+  const b = new Float64Array(order + 1); // lattice backward errors from the previous sample
+  let phase = 1; // >= 1 so the first voiced sample fires a pulse
+  let deemphasis = 0;
+  for (let n = 0; n < length; n++) {
+    const frame = vocoderParamsAt(params, n, timeStretch, k);
+    let source = 0;
+    if (excitation) {
+      source = n < excitation.length ? excitation[n] : 0;
+    } else if (frame.pitch > 0) {
+      const f0 = frame.pitch * opts.pitchShift;
+      phase += f0 / fs;
+      if (phase >= 1) {
+        phase -= Math.floor(phase);
+        source = Math.sqrt(fs / f0); // unit average power pulse train
+      }
+    } else {
+      source = gaussianNoise();
+      phase = 1;
+    }
+    let f = source * frame.gain;
+    for (let m = order; m >= 1; m--) {
+      f -= k[m] * b[m - 1];
+      b[m] = k[m] * f + b[m - 1];
+    }
+    b[0] = f;
+    deemphasis = f + preemphasis * deemphasis;
+    output[n] = deemphasis;
+  }
+  return output;
+}
+
+// Unit-power prediction residual of a signal under its own vocoder parameters (lattice inverse filter)
+function lpcResidual(signal, params) {
+  const { order } = params;
+  const emphasized = preEmphasize(signal, params.preemphasis);
+  const residual = new Float64Array(signal.length);
+  const k = new Float64Array(order + 1);
+  const b = new Float64Array(order + 1);
+  for (let n = 0; n < signal.length; n++) {
+    const frame = vocoderParamsAt(params, n, 1, k);
+    let f = emphasized[n];
+    let bPrev = f; // b_0[n]
+    for (let m = 1; m <= order; m++) {
+      const fm = f + k[m] * b[m - 1];
+      const bm = k[m] * f + b[m - 1];
+      b[m - 1] = bPrev;
+      bPrev = bm;
+      f = fm;
+    }
+    b[order] = bPrev;
+    residual[n] = frame.gain > 1e-10 ? f / frame.gain : 0;
+  }
+  return residual;
+}
+
+// Analysis + resynthesis in one call, with pitchShift / timeStretch options
+function lpcVocoder(signal, options = {}) {
+  return lpcVocoderSynthesize(lpcVocoderAnalyze(signal, options), options);
+}
+
+// Cross-synthesis: the spectral envelope (and gain) of `modulator` applied to the whitened excitation of `carrier`
+function lpcCrossSynthesis(modulator, carrier, options = {}) {
+  const excitation = lpcResidual(carrier, lpcVocoderAnalyze(carrier, options));
+  const params = lpcVocoderAnalyze(modulator, options);
+  return lpcVocoderSynthesize(params, Object.assign({}, options, {
+    excitation,
+    timeStretch: 1.0,
+    length: Math.min(modulator.length, carrier.length)
+  }));
+}
+
+
+// Pitch estimation and tracking. Each estimator takes one frame and returns
+// {frequency (Hz, 0 when unvoiced), confidence (0..1 voicing probability), candidates: [{frequency, confidence}]}.
+
+// Parabolic interpolation of an extremum at index i: {position (fractional index), value}
+function parabolicPeak(values, i) {
+  if (i <= 0 || i >= values.length - 1) return { position: i, value: values[i] };
+  const a = values[i - 1];
+  const b = values[i];
+  const c = values[i + 1];
+  const denom = a - 2 * b + c;
+  if (denom === 0) return { position: i, value: b };
+  const delta = 0.5 * (a - c) / denom;
+  return { position: i + delta, value: b - 0.25 * (a - c) * delta };
+}
+
+// Lag search range in samples for a frequency range, limited by the frame length
+function pitchLagRange(n, fs, minFreq, maxFreq) {
+  return {
+    minLag: Math.max(2, Math.floor(fs / maxFreq)),
+    maxLag: Math.min(n - 2, Math.ceil(fs / minFreq))
+  };
+}
+
+// Local extrema of a lag-domain score turned into pitch candidates, best confidence first
+function pitchCandidates(score, minLag, maxLag, fs, findMinima, toConfidence, maxCandidates = 5) {
+  const candidates = [];
+  for (let lag = Math.max(1, minLag); lag <= maxLag && lag < score.length - 1; lag++) {
+    const v = score[lag];
+    const isExtremum = findMinima
+      ? v <= score[lag - 1] && v < score[lag + 1]
+      : v >= score[lag - 1] && v > score[lag + 1];
+    if (!isExtremum) continue;
+    const peak = parabolicPeak(score, lag);
+    candidates.push({ frequency: fs / peak.position, confidence: Math.max(0, Math.min(1, toConfidence(peak.value))) });
+  }
+  candidates.sort((x, y) => y.confidence - x.confidence);
+  return candidates.slice(0, maxCandidates);
+}
+
+// Picks the highest-frequency candidate within 90% of the best confidence (guards against sub-octave errors)
+function pitchDecision(candidates, voicingThreshold) {
+  if (candidates.length === 0) return { frequency: 0, confidence: 0, candidates };
+  const best = candidates[0];
+  let chosen = best;
+  for (const c of candidates) {
+    if (c.confidence >= 0.9 * best.confidence && c.frequency > chosen.frequency) chosen = c;
+  }
+  return {
+    frequency: chosen.confidence >= voicingThreshold ? chosen.frequency : 0,
+    confidence: chosen.confidence,
+    candidates
+  };
+}
+
+// Autocorrelation pitch: peaks of the normalized (biased) autocorrelation
+function pitchAutocorr(signal, fs = 16000, minFreq = 80, maxFreq = 300, voicingThreshold = 0.5) {
+  const { minLag, maxLag } = pitchLagRange(signal.length, fs, minFreq, maxFreq);
+  if (maxLag <= minLag) return pitchDecision([], voicingThreshold);
+  const ac = autocorrFft(signal, maxLag + 1);
+  if (ac[0] <= 0) return pitchDecision([], voicingThreshold);
+  const scale = 1 / ac[0];
+  for (let i = 0; i < ac.length; i++) ac[i] *= scale;
+  return pitchDecision(pitchCandidates(ac, minLag, maxLag, fs, false, v => v), voicingThreshold);
+}
+
+// YIN: cumulative mean normalized difference function, first dip below yinThreshold
+function pitchYin(signal, fs = 16000, minFreq = 80, maxFreq = 300, voicingThreshold = 0.5, yinThreshold = 0.15) {
+  const { minLag, maxLag } = pitchLagRange(signal.length, fs, minFreq, maxFreq);
+  const W = signal.length - maxLag - 1;
+  if (maxLag <= minLag || W < 1) return pitchDecision([], voicingThreshold);
+  const cmnd = new Float64Array(maxLag + 2);
+  cmnd[0] = 1;
+  let runningSum = 0;
+  for (let lag = 1; lag <= maxLag + 1; lag++) {
+    let d = 0;
+    for (let j = 0; j < W; j++) {
+      const diff = signal[j] - signal[j + lag];
+      d += diff * diff;
+    }
+    runningSum += d;
+    cmnd[lag] = runningSum > 0 ? d * lag / runningSum : 1;
+  }
+  const candidates = pitchCandidates(cmnd, minLag, maxLag, fs, true, v => 1 - v);
+  let lag = minLag;
+  while (lag <= maxLag && cmnd[lag] >= yinThreshold) lag++;
+  if (lag > maxLag) return pitchDecision(candidates, voicingThreshold);
+  while (lag < maxLag && cmnd[lag + 1] < cmnd[lag]) lag++;
+  const peak = parabolicPeak(cmnd, lag);
+  const confidence = Math.max(0, Math.min(1, 1 - peak.value));
+  return {
+    frequency: confidence >= voicingThreshold ? fs / peak.position : 0,
+    confidence,
+    candidates
+  };
+}
+
+// AMDF (average magnitude difference function) pitch, as in Furui; confidence = 1 - AMDF / mean AMDF
+function pitchAmdf(signal, fs = 16000, minFreq = 80, maxFreq = 300, voicingThreshold = 0.5) {
+  const { minLag, maxLag } = pitchLagRange(signal.length, fs, minFreq, maxFreq);
+  const W = signal.length - maxLag - 1;
+  if (maxLag <= minLag || W < 1) return pitchDecision([], voicingThreshold);
+  const amdf = new Float64Array(maxLag + 2);
+  let mean = 0;
+  for (let lag = 1; lag <= maxLag + 1; lag++) {
+    let d = 0;
+    for (let j = 0; j < W; j++) d += Math.abs(signal[j] - signal[j + lag]);
+    amdf[lag] = d / W;
+    if (lag >= minLag && lag <= maxLag) mean += amdf[lag];
+  }
+  mean /= maxLag - minLag + 1;
+  amdf[0] = 0;
+  if (mean <= 0) return pitchDecision([], voicingThreshold);
+  return pitchDecision(pitchCandidates(amdf, minLag, maxLag, fs, true, v => 1 - v / mean), voicingThreshold);
+}
+
+// Cepstral pitch: peak of the real cepstrum in the pitch quefrency range (a peak of 0.2 maps to full confidence)
+function pitchCepstral(signal, fs = 16000, minFreq = 80, maxFreq = 300, voicingThreshold = 0.5) {
+  const n = signal.length;
+  const { minLag, maxLag } = pitchLagRange(n, fs, minFreq, maxFreq);
+  if (maxLag <= minLag) return pitchDecision([], voicingThreshold);
+  const cepstrum = cepstralAnalysis(signal, maxLag + 2);
+  return pitchDecision(pitchCandidates(cepstrum, minLag, maxLag, fs, false, v => v / 0.2), voicingThreshold);
+}
+
+const pitchEstimators = {
+  autocorr: pitchAutocorr,
+  yin: pitchYin,
+  amdf: pitchAmdf,
+  cepstral: pitchCepstral
+};
+
+// Median smoothing of a pitch contour over voiced neighbours (unvoiced frames stay 0)
+function medianSmoothPitch(frequency, width = 5) {
+  const half = Math.floor(width / 2);
+  const output = new Float64Array(frequency.length);
+  for (let t = 0; t < frequency.length; t++) {
+    if (frequency[t] <= 0) continue;
+    const window = [];
+    for (let j = Math.max(0, t - half); j <= Math.min(frequency.length - 1, t + half); j++) {
+      if (frequency[j] > 0) window.push(frequency[j]);
+    }
+    window.sort((x, y) => x - y);
+    const mid = window.length >> 1;
+    output[t] = window.length % 2 ? window[mid] : (window[mid - 1] + window[mid]) / 2;
+  }
+  return output;
+}
+
+// Viterbi path through per-frame candidates plus an unvoiced state.
+// Local cost 1 - confidence (unvoiced: 1 - threshold + best confidence - threshold); transitions cost
+// octaveCost per octave of pitch change and voicingCost per voiced/unvoiced switch.
+function viterbiPitch(estimates, voicingThreshold = 0.5, octaveCost = 2, voicingCost = 0.5) {
+  const T = estimates.length;
+  const output = new Float64Array(T);
+  if (T === 0) return output;
+  const states = estimates.map(e => e.candidates.map(c => c.frequency).concat([0]));
+  const localCost = estimates.map(e => {
+    const best = e.candidates.length ? e.candidates[0].confidence : 0;
+    return e.candidates.map(c => 1 - c.confidence).concat([1 - voicingThreshold + best - voicingThreshold]);
+  });
+  let cost = localCost[0].slice();
+  const back = [null];
+  for (let t = 1; t < T; t++) {
+    const cur = states[t];
+    const prev = states[t - 1];
+    const nextCost = new Array(cur.length);
+    const pointers = new Int32Array(cur.length);
+    for (let i = 0; i < cur.length; i++) {
+      let bestCost = Infinity;
+      for (let j = 0; j < prev.length; j++) {
+        let trans;
+        if (cur[i] > 0 && prev[j] > 0) trans = octaveCost * Math.abs(Math.log2(cur[i] / prev[j]));
+        else if (cur[i] > 0 || prev[j] > 0) trans = voicingCost;
+        else trans = 0;
+        const c = cost[j] + trans;
+        if (c < bestCost) {
+          bestCost = c;
+          pointers[i] = j;
+        }
+      }
+      nextCost[i] = bestCost + localCost[t][i];
+    }
+    cost = nextCost;
+    back.push(pointers);
+  }
+  let state = 0;
+  for (let i = 1; i < cost.length; i++) {
+    if (cost[i] < cost[state]) state = i;
+  }
+  for (let t = T - 1; t >= 0; t--) {
+    output[t] = states[t][state];
+    if (t > 0) state = back[t][state];
+  }
+  return output;
+}
+
+function hzToMidi(f) {
+  return f > 0 ? 69 + 12 * Math.log2(f / 440) : 0;
+}
+
+// Pitch contour over a whole signal. Options: method ('yin' | 'autocorr' | 'amdf' | 'cepstral'), fs, frameLength,
+// hopSize, minFreq, maxFreq, voicingThreshold, smoothing ('median' | 'viterbi' | 'none'), medianWidth, octaveCost, voicingCost.
+// Returns {numFrames, times, frequency, midi, confidence, voiced, raw}; frequency/midi are 0 on unvoiced frames.
+function pitchTrack(signal, options = {}) {
+  const opts = Object.assign({
+    method: 'yin',
+    fs: 16000,
+    frameLength: 1024,
+    hopSize: 256,
+    window: 'rectangular',
+    minFreq: 80,
+    maxFreq: 300,
+    voicingThreshold: 0.5,
+    smoothing: 'median',
+    medianWidth: 5,
+    octaveCost: 2,
+    voicingCost: 0.5
+  }, options);
+  const estimator = pitchEstimators[opts.method];
+  if (!estimator) throw new Error('Unknown pitch method: ' + opts.method);
+  const frames = analyzeFrames(signal, frame =>
+    estimator(frame, opts.fs, opts.minFreq, opts.maxFreq, opts.voicingThreshold), opts);
+  const { numFrames, values } = frames;
+  const raw = new Float64Array(numFrames);
+  const confidence = new Float64Array(numFrames);
+  for (let t = 0; t < numFrames; t++) {
+    raw[t] = values[t].frequency;
+    confidence[t] = values[t].confidence;
+  }
+  let frequency;
+  if (opts.smoothing === 'viterbi') frequency = viterbiPitch(values, opts.voicingThreshold, opts.octaveCost, opts.voicingCost);
+  else if (opts.smoothing === 'median') frequency = medianSmoothPitch(raw, opts.medianWidth);
+  else frequency = raw.slice();
+  const voiced = new Uint8Array(numFrames);
+  const midi = new Float64Array(numFrames);
+  for (let t = 0; t < numFrames; t++) {
+    voiced[t] = frequency[t] > 0 ? 1 : 0;
+    midi[t] = hzToMidi(frequency[t]);
+  }
+  return { numFrames, times: frames.times, frequency, midi, confidence, voiced, raw };
+}
+
+
+// Serialization of codebooks and frame-analysis results: versioned JSON and a compact Float32 binary variant,
+// with file helpers that work in Node (fs) and in Max (File object).
+// Binary layout (little-endian): 4-byte magic, u32 version, u32 header length, ASCII JSON header padded to 4 bytes,
+// then the payload ('SSCB': size x dimension Float32 codewords; 'SSFR': Uint32 frame starts + numFrames x dim Float32 matrix).
+
+const SERIAL_VERSION = 1;
+const CODEBOOK_MAGIC = 'SSCB';
+const FRAMES_MAGIC = 'SSFR';
+
+// JSON with every non-ASCII character escaped, so one char is one byte in files
+function asciiJson(value, space) {
+  return JSON.stringify(value, null, space).replace(/[\u0080-\uffff]/g, c => '\\u' + ('0000' + c.charCodeAt(0).toString(16)).slice(-4));
+}
+
+function bytesToString(bytes, start = 0, end = bytes.length) {
+  let out = '';
+  for (let i = start; i < end; i += 8192) {
+    out += String.fromCharCode.apply(null, Array.from(bytes.subarray(i, Math.min(end, i + 8192))));
+  }
+  return out;
+}
+
+function checkSerialHeader(obj, format) {
+  if (!obj || obj.format !== format) throw new Error('Not a ' + format + ' document');
+  if (obj.version > SERIAL_VERSION) throw new Error(format + ' version ' + obj.version + ' is newer than supported (' + SERIAL_VERSION + ')');
+}
+
+// Accepts a codebook array or a trainVqCodebookFull result; meta may carry distance, weights and training info,
+// and the features and fs the codebook was trained on (kept under training)
+function codebookDocument(codebookOrResult, meta = {}) {
+  const isResult = !Array.isArray(codebookOrResult) && codebookOrResult.codebook;
+  const codebook = isResult ? codebookOrResult.codebook : codebookOrResult;
+  const training = Object.assign({}, meta.training);
+  if (meta.features) training.features = meta.features;
+  if (meta.fs) training.fs = meta.fs;
+  if (isResult) {
+    training.distortion = codebookOrResult.distortion;
+    training.iterations = codebookOrResult.distortions.length;
+    training.counts = Array.from(codebookOrResult.counts);
+  }
+  return {
+    format: 'ssar-vq-codebook',
+    version: SERIAL_VERSION,
+    dimension: codebook.length ? codebook[0].length : 0,
+    size: codebook.length,
+    distance: meta.distance || 'euclidean',
+    weights: meta.weights ? Array.from(meta.weights) : null,
+    created: new Date().toISOString(),
+    training,
+    codewords: codebook.map(c => Array.from(c))
+  };
+}
+
+function serializeCodebook(codebookOrResult, meta = {}) {
+  return asciiJson(codebookDocument(codebookOrResult, meta));
+}
+
+// Parses a JSON codebook: {codebook, dimension, size, distance, weights, training}
+function parseCodebook(json) {
+  const doc = typeof json === 'string' ? JSON.parse(json) : json;
+  checkSerialHeader(doc, 'ssar-vq-codebook');
+  const codebook = doc.codewords;
+  if (!Array.isArray(codebook) || codebook.length !== doc.size) throw new Error('Codebook size does not match its codewords');
+  for (const c of codebook) {
+    if (c.length !== doc.dimension) throw new Error('Codeword dimension does not match header (' + doc.dimension + ')');
+  }
+  return {
+    codebook,
+    dimension: doc.dimension,
+    size: doc.size,
+    distance: doc.distance,
+    weights: doc.weights,
+    training: doc.training || {}
+  };
+}
+
+// Accepts an analyzeFrames result; meta may name the analyser and add parameters
+function framesDocument(frames, meta = {}) {
+  if (!frames.matrix) throw new Error('Only numeric frame results can be serialized');
+  return {
+    format: 'ssar-frames',
+    version: SERIAL_VERSION,
+    analyser: meta.analyser || null,
+    params: meta.params || {},
+    numFrames: frames.numFrames,
+    dim: frames.dim,
+    frameLength: frames.frameLength,
+    hopSize: frames.hopSize,
+    fs: frames.fs,
+    starts: Array.from(frames.starts),
+    matrix: Array.from(frames.matrix)
+  };
+}
+
+function serializeFrames(frames, meta = {}) {
+  return asciiJson(framesDocument(frames, meta));
+}
+
+// Rebuilds an analyzeFrames-shaped result (values as row views into matrix) plus analyser/params
+function parseFrames(json) {
+  const doc = typeof json === 'string' ? JSON.parse(json) : json;
+  checkSerialHeader(doc, 'ssar-frames');
+  if (doc.matrix.length !== doc.numFrames * doc.dim) throw new Error('Frame matrix size does not match numFrames x dim');
+  return framesFromParts(doc, Uint32Array.from(doc.starts), Float64Array.from(doc.matrix));
+}
+
+function framesFromParts(header, starts, matrix) {
+  const { numFrames, dim, frameLength, fs } = header;
+  const times = new Float64Array(numFrames);
+  const values = new Array(numFrames);
+  for (let f = 0; f < numFrames; f++) {
+    times[f] = (starts[f] + frameLength / 2) / fs;
+    values[f] = matrix.subarray(f * dim, (f + 1) * dim);
+  }
+  return {
+    numFrames,
+    dim,
+    frameLength,
+    hopSize: header.hopSize,
+    fs,
+    starts,
+    times,
+    values,
+    matrix,
+    analyser: header.analyser,
+    params: header.params
+  };
+}
+
+// Packs a JSON header and Float32/Uint32 payload arrays into a Uint8Array
+function encodeBinary(magic, header, payloads) {
+  const headerText = asciiJson(header);
+  const headerBytes = (headerText.length + 3) & ~3;
+  let payloadBytes = 0;
+  for (const p of payloads) payloadBytes += p.length * 4;
+  const buffer = new ArrayBuffer(12 + headerBytes + payloadBytes);
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  for (let i = 0; i < 4; i++) bytes[i] = magic.charCodeAt(i);
+  view.setUint32(4, SERIAL_VERSION, true);
+  view.setUint32(8, headerText.length, true);
+  for (let i = 0; i < headerText.length; i++) bytes[12 + i] = headerText.charCodeAt(i);
+  for (let i = headerText.length; i < headerBytes; i++) bytes[12 + i] = 0x20;
+  let offset = 12 + headerBytes;
+  for (const p of payloads) {
+    const isUint = p instanceof Uint32Array;
+    for (let i = 0; i < p.length; i++, offset += 4) {
+      if (isUint) view.setUint32(offset, p[i], true);
+      else view.setFloat32(offset, p[i], true);
+    }
+  }
+  return bytes;
+}
+
+// Splits a binary document into {magic, version, header, view, payloadOffset}
+function decodeBinary(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 12) throw new Error('Binary document is truncated');
+  const magic = bytesToString(bytes, 0, 4);
+  const version = view.getUint32(4, true);
+  if (version > SERIAL_VERSION) throw new Error('Binary version ' + version + ' is newer than supported (' + SERIAL_VERSION + ')');
+  const headerLength = view.getUint32(8, true);
+  if (12 + headerLength > bytes.length) throw new Error('Binary header is truncated');
+  const header = JSON.parse(bytesToString(bytes, 12, 12 + headerLength));
+  return { magic, version, header, view, payloadOffset: 12 + ((headerLength + 3) & ~3) };
+}
+
+function readFloat32s(view, offset, count) {
+  if (offset + count * 4 > view.byteLength) throw new Error('Binary payload is truncated');
+  const out = new Float64Array(count);
+  for (let i = 0; i < count; i++) out[i] = view.getFloat32(offset + i * 4, true);
+  return out;
+}
+
+function encodeCodebookBinary(codebookOrResult, meta = {}) {
+  const doc = codebookDocument(codebookOrResult, meta);
+  const data = new Float32Array(doc.size * doc.dimension);
+  doc.codewords.forEach((c, k) => data.set(c, k * doc.dimension));
+  delete doc.codewords;
+  return encodeBinary(CODEBOOK_MAGIC, doc, [data]);
+}
+
+function decodeCodebookBinary(bytes) {
+  const { magic, header, view, payloadOffset } = decodeBinary(bytes);
+  if (magic !== CODEBOOK_MAGIC) throw new Error('Not a binary codebook');
+  const data = readFloat32s(view, payloadOffset, header.size * header.dimension);
+  const codewords = [];
+  for (let k = 0; k < header.size; k++) {
+    codewords.push(Array.from(data.subarray(k * header.dimension, (k + 1) * header.dimension)));
+  }
+  return parseCodebook(Object.assign({}, header, { codewords }));
+}
+
+function encodeFramesBinary(frames, meta = {}) {
+  const doc = framesDocument(frames, meta);
+  delete doc.starts;
+  delete doc.matrix;
+  return encodeBinary(FRAMES_MAGIC, doc, [Uint32Array.from(frames.starts), Float32Array.from(frames.matrix)]);
+}
+
+function decodeFramesBinary(bytes) {
+  const { magic, header, view, payloadOffset } = decodeBinary(bytes);
+  if (magic !== FRAMES_MAGIC) throw new Error('Not a binary frame document');
+  checkSerialHeader(header, 'ssar-frames');
+  const { numFrames, dim } = header;
+  if (payloadOffset + numFrames * 4 > view.byteLength) throw new Error('Binary payload is truncated');
+  const starts = new Uint32Array(numFrames);
+  for (let f = 0; f < numFrames; f++) starts[f] = view.getUint32(payloadOffset + f * 4, true);
+  const matrix = readFloat32s(view, payloadOffset + numFrames * 4, numFrames * dim);
+  return framesFromParts(header, starts, matrix);
+}
+
+// True inside Max's [js] object (Node also defines a global File, so check for post as well)
+function inMax() {
+  return typeof File === 'function' && typeof post === 'function';
+}
+
+// Writes a string or Uint8Array to disk (Node fs or Max File)
+function writeFileData(path, data) {
+  if (inMax()) {
+    const f = new File(path, 'write', typeof data === 'string' ? 'TEXT' : 'BINA');
+    if (!f.isopen) throw new Error('Cannot open ' + path + ' for writing');
+    if (typeof data === 'string') {
+      for (let i = 0; i < data.length; i += 16384) f.writestring(data.slice(i, i + 16384)); // writestring has a per-call limit
+    } else {
+      for (let i = 0; i < data.length; i += 16384) f.writebytes(Array.from(data.subarray(i, i + 16384)));
+    }
+    f.eof = f.position;
+    f.close();
+    return;
+  }
+  require('fs').writeFileSync(path, typeof data === 'string' ? data : Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+}
+
+// Reads a whole file as a Uint8Array (Node fs or Max File)
+function readFileData(path) {
+  if (inMax()) {
+    const f = new File(path, 'read');
+    if (!f.isopen) throw new Error('Cannot open ' + path + ' for reading');
+    const length = f.eof;
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    while (offset < length) {
+      const chunk = f.readbytes(Math.min(16384, length - offset));
+      if (!chunk || chunk.length === 0) break;
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    }
+    f.close();
+    return bytes.subarray(0, offset);
+  }
+  const buf = require('fs').readFileSync(path);
+  return new Uint8Array(buf.buffer, buf.byteOffset, buf.byteLength);
+}
+
+function isBinaryDocument(bytes, magic) {
+  return bytes.length >= 4 && bytesToString(bytes, 0, 4) === magic;
+}
+
+// Saves a codebook (or trainVqCodebookFull result) as JSON, or as Float32 binary with binary = true
+function saveCodebook(path, codebookOrResult, meta = {}, binary = false) {
+  writeFileData(path, binary ? encodeCodebookBinary(codebookOrResult, meta) : serializeCodebook(codebookOrResult, meta));
+}
+
+// Loads a codebook saved by saveCodebook (format detected from the file contents)
+function loadCodebook(path) {
+  const bytes = readFileData(path);
+  return isBinaryDocument(bytes, CODEBOOK_MAGIC) ? decodeCodebookBinary(bytes) : parseCodebook(bytesToString(bytes));
+}
+
+function saveFrames(path, frames, meta = {}, binary = false) {
+  writeFileData(path, binary ? encodeFramesBinary(frames, meta) : serializeFrames(frames, meta));
+}
+
+function loadFrames(path) {
+  const bytes = readFileData(path);
+  return isBinaryDocument(bytes, FRAMES_MAGIC) ? decodeFramesBinary(bytes) : parseFrames(bytesToString(bytes));
+}
+
+
+// Isolated-word recognition: dynamic time warping against enrolled templates, and a VQ-distortion classifier.
+// Features are sequences of vectors (e.g. from mfccFeatures); lower scores are better.
+
+// Local distance for DTW: true (not squared) distance for the VQ measures, so path sums stay comparable
+function dtwLocalDistance(measure = 'euclidean', weights = null) {
+  const d = vqDistance(measure, weights);
+  return measure === 'itakuraSaito' ? d : (x, y) => Math.sqrt(d(x, y));
+}
+
+// Normalized DTW distance between two feature sequences. Options: distance, weights,
+// slope ('p0': steps (1,0)/(0,1)/(1,1), or 'p1': Sakoe-Chiba symmetric P = 1), band (Sakoe-Chiba window,
+// fraction of the longer length; 1 disables). Returns Infinity when no path satisfies the constraints.
+function dtwDistance(a, b, options = {}) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 || m === 0) return Infinity;
+  const local = options.localDistance || dtwLocalDistance(options.distance, options.weights);
+  const slope = options.slope || 'p0';
+  const band = Math.max(Math.abs(n - m), Math.ceil((options.band === undefined ? 1 : options.band) * Math.max(n, m)));
+  const d = Array.from({length: n}, () => new Float64Array(m).fill(Infinity));
+  for (let i = 0; i < n; i++) {
+    const jc = Math.round(i * (m - 1) / Math.max(1, n - 1));
+    for (let j = Math.max(0, jc - band); j <= Math.min(m - 1, jc + band); j++) {
+      d[i][j] = local(a[i], b[j]);
+    }
+  }
+  const g = Array.from({length: n}, () => new Float64Array(m).fill(Infinity));
+  g[0][0] = 2 * d[0][0];
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < m; j++) {
+      if ((i === 0 && j === 0) || d[i][j] === Infinity) continue;
+      let best = Infinity;
+      if (slope === 'p1') {
+        if (i >= 1 && j >= 1) best = g[i - 1][j - 1] + 2 * d[i][j];
+        if (i >= 1 && j >= 2) best = Math.min(best, g[i - 1][j - 2] + 2 * d[i][j - 1] + d[i][j]);
+        if (i >= 2 && j >= 1) best = Math.min(best, g[i - 2][j - 1] + 2 * d[i - 1][j] + d[i][j]);
+      } else {
+        if (i >= 1) best = g[i - 1][j] + d[i][j];
+        if (j >= 1) best = Math.min(best, g[i][j - 1] + d[i][j]);
+        if (i >= 1 && j >= 1) best = Math.min(best, g[i - 1][j - 1] + 2 * d[i][j]);
+      }
+      g[i][j] = best;
+    }
+  }
+  return g[n - 1][m - 1] / (n + m);
+}
+
+// DTW template recognizer. Options: distance, weights, slope, band (as dtwDistance), threshold (drop matches
+// scoring above it), featureOptions (mfccFeatures options for the *Signal methods)
+function DtwRecognizer(options = {}) {
+  this.options = Object.assign({ distance: 'euclidean', slope: 'p0', band: 1, threshold: Infinity }, options);
+  this.templates = {}; // label -> array of feature sequences
+}
+
+DtwRecognizer.prototype.enroll = function(label, features) {
+  if (!features || features.length === 0) throw new Error('Cannot enroll an empty template for ' + label);
+  if (!this.templates[label]) this.templates[label] = [];
+  this.templates[label].push(features);
+};
+
+DtwRecognizer.prototype.remove = function(label) {
+  delete this.templates[label];
+};
+
+DtwRecognizer.prototype.labels = function() {
+  return Object.keys(this.templates);
+};
+
+// Ranked [{label, score, template}] (best first); score is the smallest DTW distance over the label's templates
+DtwRecognizer.prototype.recognize = function(features) {
+  const ranking = [];
+  for (const label of this.labels()) {
+    let score = Infinity;
+    let template = -1;
+    this.templates[label].forEach((t, i) => {
+      const dist = dtwDistance(features, t, this.options);
+      if (dist < score) {
+        score = dist;
+        template = i;
+      }
+    });
+    if (score <= this.options.threshold) ranking.push({ label, score, template });
+  }
+  return ranking.sort((x, y) => x.score - y.score);
+};
+
+DtwRecognizer.prototype.enrollSignal = function(label, signal) {
+  this.enroll(label, mfccFeatures(signal, this.options.featureOptions || {}));
+};
+
+DtwRecognizer.prototype.recognizeSignal = function(signal) {
+  return this.recognize(mfccFeatures(signal, this.options.featureOptions || {}));
+};
+
+// VQ-distortion classifier (one codebook per word or speaker). Options: codebookSize, distance, weights, seed,
+// threshold, featureOptions
+function VqClassifier(options = {}) {
+  this.options = Object.assign({ codebookSize: 16, distance: 'euclidean', threshold: Infinity }, options);
+  this.codebooks = {}; // label -> codebook
+}
+
+// Trains the label's codebook from one or more feature sequences (pooled)
+VqClassifier.prototype.train = function(label, sequences) {
+  const pooled = [].concat(...sequences);
+  if (pooled.length === 0) throw new Error('No training vectors for ' + label);
+  const size = Math.min(this.options.codebookSize, pooled.length);
+  this.codebooks[label] = trainVqCodebook(pooled, size, 100, 1e-4, this.options);
+};
+
+VqClassifier.prototype.remove = function(label) {
+  delete this.codebooks[label];
+};
+
+VqClassifier.prototype.labels = function() {
+  return Object.keys(this.codebooks);
+};
+
+// Ranked [{label, score}] (best first); score is the average quantization distortion under each codebook
+VqClassifier.prototype.classify = function(features) {
+  const ranking = [];
+  for (const label of this.labels()) {
+    const score = vectorQuantizationFull(this.codebooks[label], features, this.options).distortion;
+    if (score <= this.options.threshold) ranking.push({ label, score });
+  }
+  return ranking.sort((x, y) => x.score - y.score);
+};
+
+VqClassifier.prototype.trainSignals = function(label, signals) {
+  this.train(label, signals.map(s => mfccFeatures(s, this.options.featureOptions || {})));
+};
+
+VqClassifier.prototype.classifySignal = function(signal) {
+  return this.classify(mfccFeatures(signal, this.options.featureOptions || {}));
+};
+
+
+// Discrete-observation hidden Markov models over VQ symbol sequences (e.g. from vectorQuantization).
+// All scoring is done in the log domain; -Infinity stands for probability 0.
+
+// log(exp(a) + exp(b)) without overflow
+function logAdd(a, b) {
+  if (a === -Infinity) return b;
+  if (b === -Infinity) return a;
+  return a > b ? a + Math.log1p(Math.exp(b - a)) : b + Math.log1p(Math.exp(a - b));
+}
+
+function toLogMatrix(rows) {
+  return rows.map(row => Float64Array.from(row, p => Math.log(p)));
+}
+
+// HMM with numStates states emitting symbols 0..numSymbols-1. Options: topology ('leftRight' | 'ergodic'),
+// maxJump (states a left-to-right transition may skip ahead, default 1), seed (initial parameter jitter),
+// minProb (emission floor applied during training)
+function DiscreteHmm(numStates, numSymbols, options = {}) {
+  this.numStates = numStates;
+  this.numSymbols = numSymbols;
+  this.topology = options.topology || 'leftRight';
+  this.minProb = options.minProb || 1e-5;
+  const rng = createRng(options.seed === undefined ? 1 : options.seed);
+  const N = numStates;
+  const pi = new Float64Array(N);
+  const A = Array.from({length: N}, () => new Float64Array(N));
+  if (this.topology === 'leftRight') {
+    const maxJump = options.maxJump || 1;
+    pi[0] = 1;
+    for (let i = 0; i < N; i++) {
+      const last = Math.min(N - 1, i + maxJump);
+      for (let j = i; j <= last; j++) A[i][j] = 1 / (last - i + 1);
+    }
+  } else if (this.topology === 'ergodic') {
+    pi.fill(1 / N);
+    for (let i = 0; i < N; i++) {
+      for (let j = 0; j < N; j++) A[i][j] = 0.5 + rng();
+      const sum = A[i].reduce((s, v) => s + v, 0);
+      for (let j = 0; j < N; j++) A[i][j] /= sum;
+    }
+  } else {
+    throw new Error('Unknown HMM topology: ' + this.topology);
+  }
+  const B = Array.from({length: N}, () => {
+    const row = Float64Array.from({length: numSymbols}, () => 0.5 + rng());
+    const sum = row.reduce((s, v) => s + v, 0);
+    return row.map(v => v / sum);
+  });
+  this.setParameters(pi, A, B);
+}
+
+// Sets probabilities (pi: initial, A: transitions, B: emissions) and refreshes the log tables
+DiscreteHmm.prototype.setParameters = function(pi, A, B) {
+  this.pi = Float64Array.from(pi);
+  this.A = A.map(row => Float64Array.from(row));
+  this.B = B.map(row => Float64Array.from(row));
+  this.logPi = Float64Array.from(this.pi, p => Math.log(p));
+  this.logA = toLogMatrix(this.A);
+  this.logB = toLogMatrix(this.B);
+};
+
+DiscreteHmm.prototype.checkSequence = function(seq) {
+  if (!seq || seq.length === 0) throw new Error('HMM observation sequence is empty');
+  for (let t = 0; t < seq.length; t++) {
+    const o = seq[t];
+    if (!(o >= 0 && o < this.numSymbols && o === Math.floor(o))) {
+      throw new Error('Observation ' + o + ' at t = ' + t + ' is not a symbol in 0..' + (this.numSymbols - 1));
+    }
+  }
+};
+
+// Forward pass: {logAlpha (T rows of N), logLikelihood}
+DiscreteHmm.prototype.forward = function(seq) {
+  this.checkSequence(seq);
+  const N = this.numStates;
+  const T = seq.length;
+  const logAlpha = new Array(T);
+  logAlpha[0] = new Float64Array(N);
+  for (let i = 0; i < N; i++) logAlpha[0][i] = this.logPi[i] + this.logB[i][seq[0]];
+  for (let t = 1; t < T; t++) {
+    const row = new Float64Array(N);
+    const prev = logAlpha[t - 1];
+    for (let j = 0; j < N; j++) {
+      let sum = -Infinity;
+      for (let i = 0; i < N; i++) sum = logAdd(sum, prev[i] + this.logA[i][j]);
+      row[j] = sum + this.logB[j][seq[t]];
+    }
+    logAlpha[t] = row;
+  }
+  let logLikelihood = -Infinity;
+  for (let i = 0; i < N; i++) logLikelihood = logAdd(logLikelihood, logAlpha[T - 1][i]);
+  return { logAlpha, logLikelihood };
+};
+
+// Backward pass: logBeta (T rows of N)
+DiscreteHmm.prototype.backward = function(seq) {
+  this.checkSequence(seq);
+  const N = this.numStates;
+  const T = seq.length;
+  const logBeta = new Array(T);
+  logBeta[T - 1] = new Float64Array(N);
+  for (let t = T - 2; t >= 0; t--) {
+    const row = new Float64Array(N);
+    const next = logBeta[t + 1];
+    for (let i = 0; i < N; i++) {
+      let sum = -Infinity;
+      for (let j = 0; j < N; j++) sum = logAdd(sum, this.logA[i][j] + this.logB[j][seq[t + 1]] + next[j]);
+      row[i] = sum;
+    }
+    logBeta[t] = row;
+  }
+  return logBeta;
+};
+
+DiscreteHmm.prototype.logLikelihood = function(seq) {
+  return this.forward(seq).logLikelihood;
+};
+
+// Most likely state path: {path (Int32Array of states), logProbability}
+DiscreteHmm.prototype.viterbi = function(seq) {
+  this.checkSequence(seq);
+  const N = this.numStates;
+  const T = seq.length;
+  let delta = new Float64Array(N);
+  const psi = new Array(T);
+  for (let i = 0; i < N; i++) delta[i] = this.logPi[i] + this.logB[i][seq[0]];
+  for (let t = 1; t < T; t++) {
+    const next = new Float64Array(N);
+    psi[t] = new Int32Array(N);
+    for (let j = 0; j < N; j++) {
+      let best = -Infinity;
+      let arg = 0;
+      for (let i = 0; i < N; i++) {
+        const v = delta[i] + this.logA[i][j];
+        if (v > best) {
+          best = v;
+          arg = i;
+        }
+      }
+      next[j] = best + this.logB[j][seq[t]];
+      psi[t][j] = arg;
+    }
+    delta = next;
+  }
+  const path = new Int32Array(T);
+  let logProbability = -Infinity;
+  for (let i = 0; i < N; i++) {
+    if (delta[i] > logProbability) {
+      logProbability = delta[i];
+      path[T - 1] = i;
+    }
+  }
+  for (let t = T - 1; t > 0; t--) path[t - 1] = psi[t][path[t]];
+  return { path, logProbability };
+};
+
+// Baum-Welch re-estimation over several sequences until the total log-likelihood gain drops below tol.
+// Returns the total log-likelihood before each iteration (Float64Array).
+DiscreteHmm.prototype.train = function(sequences, maxIter = 20, tol = 1e-4) {
+  const N = this.numStates;
+  const M = this.numSymbols;
+  const history = [];
+  let prevTotal = -Infinity;
+  for (let iter = 0; iter < maxIter; iter++) {
+    const piAcc = new Float64Array(N);
+    const aNum = Array.from({length: N}, () => new Float64Array(N));
+    const aDen = new Float64Array(N);
+    const bNum = Array.from({length: N}, () => new Float64Array(M));
+    const bDen = new Float64Array(N);
+    let total = 0;
+    let used = 0;
+    for (const seq of sequences) {
+      const { logAlpha, logLikelihood } = this.forward(seq);
+      if (logLikelihood === -Infinity) continue; // impossible under the current model (e.g. too short for left-right)
+      const logBeta = this.backward(seq);
+      const T = seq.length;
+      total += logLikelihood;
+      used++;
+      for (let t = 0; t < T; t++) {
+        for (let i = 0; i < N; i++) {
+          const gamma = Math.exp(logAlpha[t][i] + logBeta[t][i] - logLikelihood);
+          if (t === 0) piAcc[i] += gamma;
+          bNum[i][seq[t]] += gamma;
+          bDen[i] += gamma;
+          if (t < T - 1) {
+            aDen[i] += gamma;
+            for (let j = 0; j < N; j++) {
+              if (this.logA[i][j] === -Infinity) continue;
+              aNum[i][j] += Math.exp(logAlpha[t][i] + this.logA[i][j] + this.logB[j][seq[t + 1]] + logBeta[t + 1][j] - logLikelihood);
+            }
+          }
+        }
+      }
+    }
+    if (used === 0) throw new Error('No training sequence has non-zero likelihood');
+    history.push(total);
+    const pi = piAcc.map(v => v / used);
+    const A = this.A.map((row, i) => aDen[i] > 0 ? aNum[i].map(v => v / aDen[i]) : Float64Array.from(row));
+    const B = bNum.map((row, i) => {
+      const probs = bDen[i] > 0 ? row.map(v => Math.max(v / bDen[i], this.minProb)) : Float64Array.from(this.B[i]);
+      const sum = probs.reduce((s, v) => s + v, 0);
+      return probs.map(v => v / sum);
+    });
+    this.setParameters(pi, A, B);
+    if (total - prevTotal < tol * Math.abs(total)) break;
+    prevTotal = total;
+  }
+  return Float64Array.from(history);
+};
+
+// One HMM per label, ranked by log-likelihood. Options: numStates, numSymbols (codebook size), plus DiscreteHmm
+// options, maxIter, tol
+function HmmClassifier(options = {}) {
+  this.options = Object.assign({ numStates: 5, numSymbols: 16, maxIter: 20, tol: 1e-4 }, options);
+  this.models = {}; // label -> DiscreteHmm
+}
+
+HmmClassifier.prototype.train = function(label, sequences) {
+  const model = new DiscreteHmm(this.options.numStates, this.options.numSymbols, this.options);
+  model.train(sequences, this.options.maxIter, this.options.tol);
+  this.models[label] = model;
+};
+
+HmmClassifier.prototype.labels = function() {
+  return Object.keys(this.models);
+};
+
+// Ranked [{label, score}] (best first); score is the log-likelihood (higher is better)
+HmmClassifier.prototype.classify = function(seq) {
+  return this.labels()
+    .map(label => ({ label, score: this.models[label].logLikelihood(seq) }))
+    .sort((x, y) => y.score - x.score);
+};
+
+
+// Voice activity and endpoint detection (Rabiner-Sambur style): short-time energy and zero-crossing rate,
+// an adaptive noise floor, dual energy thresholds, zero-crossing extension of the endpoints and a hangover.
+
+// Short-time energy in dB (mean square)
+function frameEnergyDb(frame) {
+  let sum = 0;
+  for (let i = 0; i < frame.length; i++) sum += frame[i] * frame[i];
+  return 10 * Math.log10(sum / Math.max(frame.length, 1) + 1e-12);
+}
+
+// Zero crossings per sample
+function zeroCrossingRate(frame) {
+  let crossings = 0;
+  for (let i = 1; i < frame.length; i++) {
+    if ((frame[i] >= 0) !== (frame[i - 1] >= 0)) crossings++;
+  }
+  return frame.length > 1 ? crossings / (frame.length - 1) : 0;
+}
+
+// Per-frame energy (dB), zero-crossing rate and normalized lag-1 autocorrelation r1 (high for voiced speech)
+function shortTimeFeatures(signal, options = {}) {
+  const fs = options.fs || 16000;
+  const opts = Object.assign({
+    frameLength: Math.round(0.025 * fs),
+    hopSize: Math.round(0.01 * fs),
+    window: 'rectangular'
+  }, options, { fs });
+  const frames = analyzeFrames(signal, frame => {
+    const ac = autocorr(frame, 1);
+    return [frameEnergyDb(frame), zeroCrossingRate(frame), ac[0] > 0 ? ac[1] / ac[0] : 0];
+  }, opts);
+  const { numFrames, matrix } = frames;
+  const energy = new Float64Array(numFrames);
+  const zcr = new Float64Array(numFrames);
+  const r1 = new Float64Array(numFrames);
+  for (let f = 0; f < numFrames; f++) {
+    energy[f] = matrix[3 * f];
+    zcr[f] = matrix[3 * f + 1];
+    r1[f] = matrix[3 * f + 2];
+  }
+  return { numFrames, frameLength: opts.frameLength, hopSize: opts.hopSize, fs, starts: frames.starts, times: frames.times, energy, zcr, r1 };
+}
+
+const FRAME_SILENCE = 0;
+const FRAME_UNVOICED = 1;
+const FRAME_VOICED = 2;
+const frameClassNames = ['silence', 'unvoiced', 'voiced'];
+
+// Endpoint detection. Options: fs, frameLength, hopSize, initialSilence (seconds used to seed the noise floor),
+// lowMargin / highMargin (dB above the noise floor for the lower / upper energy thresholds), noiseAdapt (noise floor
+// smoothing, 0..1), maxZcr (cap for the zero-crossing threshold), zcrLookback (seconds to extend endpoints over
+// fricatives), hangover (seconds of sub-threshold energy tolerated inside speech), minSpeech (seconds), voicedR1 and
+// voicedZcr (voiced/unvoiced decision inside speech).
+// Returns {segments: [{label, start, end, startTime, endTime}] (sample offsets, end exclusive), classes (Uint8Array:
+// 0 silence, 1 unvoiced, 2 voiced), labels (names), noiseFloor (dB per frame), plus the shortTimeFeatures fields}.
+function detectEndpoints(signal, options = {}) {
+  const opts = Object.assign({
+    initialSilence: 0.1,
+    lowMargin: 6,
+    highMargin: 15,
+    noiseAdapt: 0.95,
+    maxZcr: 0.25,
+    zcrLookback: 0.25,
+    hangover: 0.2,
+    minSpeech: 0.05,
+    voicedR1: 0.5,
+    voicedZcr: 0.3
+  }, options);
+  const features = shortTimeFeatures(signal, opts);
+  const { numFrames, energy, zcr, r1, hopSize, frameLength, fs } = features;
+  const secondsToFrames = s => Math.max(1, Math.round(s * fs / hopSize));
+
+  // Noise statistics from the leading frames (assumed silent)
+  const initFrames = Math.min(numFrames, secondsToFrames(opts.initialSilence));
+  let noise = 0;
+  let zcrMean = 0;
+  for (let f = 0; f < initFrames; f++) {
+    noise += energy[f] / initFrames;
+    zcrMean += zcr[f] / initFrames;
+  }
+  let zcrVar = 0;
+  for (let f = 0; f < initFrames; f++) zcrVar += (zcr[f] - zcrMean) * (zcr[f] - zcrMean) / initFrames;
+  const zcrThreshold = Math.min(opts.maxZcr, zcrMean + 2 * Math.sqrt(zcrVar));
+
+  // Energy state machine: a candidate start above the lower threshold becomes speech once the upper one is crossed
+  const hangover = secondsToFrames(opts.hangover);
+  const noiseFloor = new Float64Array(numFrames);
+  const speech = new Uint8Array(numFrames);
+  const regions = [];
+  let candidate = -1;
+  let confirmed = false;
+  let lastAbove = -1;
+  for (let f = 0; f < numFrames; f++) {
+    noiseFloor[f] = noise;
+    const lower = noise + opts.lowMargin;
+    const upper = noise + opts.highMargin;
+    if (energy[f] > lower) {
+      if (candidate < 0) candidate = f;
+      if (energy[f] > upper) confirmed = true;
+      lastAbove = f;
+    } else if (candidate >= 0 && f - lastAbove > (confirmed ? hangover : 0)) {
+      if (confirmed) regions.push([candidate, lastAbove]);
+      candidate = -1;
+      confirmed = false;
+    }
+    if (candidate < 0) noise = opts.noiseAdapt * noise + (1 - opts.noiseAdapt) * Math.min(energy[f], noise + opts.lowMargin);
+  }
+  if (candidate >= 0 && confirmed) regions.push([candidate, lastAbove]);
+
+  // Extend endpoints over unvoiced frames (high zero-crossing rate and energy above the noise floor),
+  // then drop short regions and merge overlaps
+  const lookback = secondsToFrames(opts.zcrLookback);
+  const minSpeech = secondsToFrames(opts.minSpeech);
+  const isFricative = f => zcr[f] > zcrThreshold && energy[f] > noiseFloor[f] + opts.lowMargin / 2;
+  const merged = [];
+  for (let [s, e] of regions) {
+    const first = Math.max(0, s - lookback);
+    let count = 0;
+    for (let f = s - 1; f >= first; f--) if (isFricative(f)) count++;
+    if (count >= 3) while (s > first && isFricative(s - 1)) s--;
+    const last = Math.min(numFrames - 1, e + lookback);
+    count = 0;
+    for (let f = e + 1; f <= last; f++) if (isFricative(f)) count++;
+    if (count >= 3) while (e < last && isFricative(e + 1)) e++;
+    if (e - s + 1 < minSpeech) continue;
+    const prev = merged[merged.length - 1];
+    if (prev && s <= prev[1] + 1) prev[1] = Math.max(prev[1], e);
+    else merged.push([s, e]);
+  }
+  for (const [s, e] of merged) speech.fill(1, s, e + 1);
+
+  // Per-frame voiced / unvoiced / silence classes
+  const classes = new Uint8Array(numFrames);
+  const labels = new Array(numFrames);
+  for (let f = 0; f < numFrames; f++) {
+    if (!speech[f]) classes[f] = FRAME_SILENCE;
+    else classes[f] = r1[f] >= opts.voicedR1 && zcr[f] <= opts.voicedZcr ? FRAME_VOICED : FRAME_UNVOICED;
+    labels[f] = frameClassNames[classes[f]];
+  }
+
+  // Alternating silence / speech segments in samples
+  const segments = [];
+  const frameStart = f => f * hopSize;
+  const frameEnd = f => Math.min(signal.length, f * hopSize + frameLength);
+  let cursor = 0;
+  for (const [s, e] of merged) {
+    const start = Math.max(cursor, frameStart(s));
+    const end = frameEnd(e);
+    if (start > cursor) segments.push({ label: 'silence', start: cursor, end: start });
+    segments.push({ label: 'speech', start, end });
+    cursor = end;
+  }
+  if (cursor < signal.length) segments.push({ label: 'silence', start: cursor, end: signal.length });
+  for (const seg of segments) {
+    seg.startTime = seg.start / fs;
+    seg.endTime = seg.end / fs;
+  }
+
+  return Object.assign(features, { segments, classes, labels, noiseFloor, zcrThreshold });
+}
+
+// Speech-only portions of a signal (e.g. to trim silence before recognition or analysis)
+function extractSpeech(signal, options = {}) {
+  return detectEndpoints(signal, options).segments
+    .filter(seg => seg.label === 'speech')
+    .map(seg => signal.slice(seg.start, seg.end));
+}
+
+
+// Waveform coding (Furui's coding chapter): uniform and companded PCM, G.711 mu-law/A-law, DPCM, IMA ADPCM and
+// LPC-based adaptive predictive coding. Signals are floats in [-1, 1]. Each encoder returns
+// {codec, length, bits, codes, ...}; codes are unsigned integers of `bits` bits, ready for packBits.
+
+// Packs unsigned codes into bytes (MSB first); bits is one width for all codes or an array of per-code widths
+function packBits(codes, bits) {
+  const width = i => typeof bits === 'number' ? bits : bits[i];
+  let totalBits = 0;
+  for (let i = 0; i < codes.length; i++) totalBits += width(i);
+  const bytes = new Uint8Array(Math.ceil(totalBits / 8));
+  let bitPos = 0;
+  for (let i = 0; i < codes.length; i++) {
+    for (let b = width(i) - 1; b >= 0; b--, bitPos++) {
+      if ((codes[i] >>> b) & 1) bytes[bitPos >> 3] |= 0x80 >> (bitPos & 7);
+    }
+  }
+  return bytes;
+}
+
+// Reads count codes back from packBits output, starting bitOffset bits in
+function unpackBits(bytes, bits, count, bitOffset = 0) {
+  const width = i => typeof bits === 'number' ? bits : bits[i];
+  const codes = new Uint32Array(count);
+  let bitPos = bitOffset;
+  for (let i = 0; i < count; i++) {
+    let v = 0;
+    for (let b = 0; b < width(i); b++, bitPos++) {
+      v = (v << 1) | ((bytes[bitPos >> 3] >> (7 - (bitPos & 7))) & 1);
+    }
+    codes[i] = v >>> 0;
+  }
+  return codes;
+}
+
+// Signal-to-noise ratio of a decoded signal in dB
+function snr(original, decoded) {
+  let signalEnergy = 0;
+  let noiseEnergy = 0;
+  const n = Math.min(original.length, decoded.length);
+  for (let i = 0; i < n; i++) {
+    signalEnergy += original[i] * original[i];
+    noiseEnergy += (original[i] - decoded[i]) * (original[i] - decoded[i]);
+  }
+  return 10 * Math.log10((signalEnergy + 1e-20) / (noiseEnergy + 1e-20));
+}
+
+// Segmental SNR: mean of per-frame SNRs clamped to [-10, 35] dB, skipping silent frames
+function segmentalSnr(original, decoded, frameLength = 256) {
+  const n = Math.min(original.length, decoded.length);
+  let sum = 0;
+  let count = 0;
+  for (let start = 0; start + frameLength <= n; start += frameLength) {
+    let signalEnergy = 0;
+    let noiseEnergy = 0;
+    for (let i = start; i < start + frameLength; i++) {
+      signalEnergy += original[i] * original[i];
+      noiseEnergy += (original[i] - decoded[i]) * (original[i] - decoded[i]);
+    }
+    if (signalEnergy < 1e-10 * frameLength) continue;
+    sum += Math.max(-10, Math.min(35, 10 * Math.log10(signalEnergy / (noiseEnergy + 1e-20))));
+    count++;
+  }
+  return count ? sum / count : 0;
+}
+
+// Float [-1, 1] <-> 16-bit integer
+function toInt16(x) {
+  return Math.max(-32768, Math.min(32767, Math.round(x * 32767)));
+}
+
+// Uniform mid-rise N-bit PCM over [-1, 1)
+function pcmEncode(signal, bits = 8) {
+  const levels = 1 << bits;
+  const codes = new Uint32Array(signal.length);
+  for (let i = 0; i < signal.length; i++) {
+    codes[i] = Math.max(0, Math.min(levels - 1, Math.floor((signal[i] + 1) / 2 * levels)));
+  }
+  return { codec: 'pcm', length: signal.length, bits, codes };
+}
+
+function pcmDecode(encoded) {
+  const levels = 1 << encoded.bits;
+  return Float64Array.from(encoded.codes, c => (c + 0.5) / levels * 2 - 1);
+}
+
+// Non-uniform N-bit PCM with continuous mu-law (mu, default 255) or A-law (A, default 87.6) companding
+function companderEncode(signal, bits = 8, law = 'mu', param = law === 'mu' ? 255 : 87.6) {
+  const compressed = Float64Array.from(signal, x => compress(x, law, param));
+  return Object.assign(pcmEncode(compressed, bits), { codec: 'compander', law, param });
+}
+
+function companderDecode(encoded) {
+  return pcmDecode(encoded).map(y => expand(y, encoded.law, encoded.param));
+}
+
+function compress(x, law, param) {
+  const a = Math.min(1, Math.abs(x));
+  let y;
+  if (law === 'mu') y = Math.log1p(param * a) / Math.log1p(param);
+  else y = a < 1 / param ? param * a / (1 + Math.log(param)) : (1 + Math.log(param * a)) / (1 + Math.log(param));
+  return x < 0 ? -y : y;
+}
+
+function expand(y, law, param) {
+  const a = Math.min(1, Math.abs(y));
+  let x;
+  if (law === 'mu') x = (Math.pow(1 + param, a) - 1) / param;
+  else x = a < 1 / (1 + Math.log(param)) ? a * (1 + Math.log(param)) / param : Math.exp(a * (1 + Math.log(param)) - 1) / param;
+  return y < 0 ? -x : x;
+}
+
+// G.711 segment search: index of the first segment end >= value (8 when beyond the last)
+function g711Segment(value, ends) {
+  for (let i = 0; i < ends.length; i++) {
+    if (value <= ends[i]) return i;
+  }
+  return ends.length;
+}
+
+const G711_MU_ENDS = [0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF, 0x1FFF];
+const G711_A_ENDS = [0x1F, 0x3F, 0x7F, 0xFF, 0x1FF, 0x3FF, 0x7FF, 0xFFF];
+
+// G.711 mu-law: 16-bit linear sample -> 8-bit code
+function linearToMulaw(pcm) {
+  let value = pcm >> 2;
+  let mask = 0xFF;
+  if (value < 0) {
+    value = -value;
+    mask = 0x7F;
+  }
+  value = Math.min(value, 8159) + (0x84 >> 2);
+  const seg = g711Segment(value, G711_MU_ENDS);
+  if (seg >= 8) return 0x7F ^ mask;
+  return (((seg << 4) | ((value >> (seg + 1)) & 0xF)) ^ mask) & 0xFF;
+}
+
+function mulawToLinear(code) {
+  const u = ~code & 0xFF;
+  let t = ((u & 0x0F) << 3) + 0x84;
+  t <<= (u & 0x70) >> 4;
+  return (u & 0x80) ? 0x84 - t : t - 0x84;
+}
+
+// G.711 A-law: 16-bit linear sample -> 8-bit code
+function linearToAlaw(pcm) {
+  let value = pcm >> 3;
+  let mask = 0xD5;
+  if (value < 0) {
+    mask = 0x55;
+    value = -value - 1;
+  }
+  const seg = g711Segment(value, G711_A_ENDS);
+  if (seg >= 8) return 0x7F ^ mask;
+  let aval = seg << 4;
+  aval |= seg < 2 ? (value >> 1) & 0xF : (value >> seg) & 0xF;
+  return (aval ^ mask) & 0xFF;
+}
+
+function alawToLinear(code) {
+  const a = code ^ 0x55;
+  let t = (a & 0x0F) << 4;
+  const seg = (a & 0x70) >> 4;
+  if (seg === 0) t += 8;
+  else if (seg === 1) t += 0x108;
+  else t = (t + 0x108) << (seg - 1);
+  return (a & 0x80) ? t : -t;
+}
+
+function mulawEncode(signal) {
+  return { codec: 'mulaw', length: signal.length, bits: 8, codes: Uint32Array.from(signal, x => linearToMulaw(toInt16(x))) };
+}
+
+function mulawDecode(encoded) {
+  return Float64Array.from(encoded.codes, c => mulawToLinear(c) / 32768);
+}
+
+function alawEncode(signal) {
+  return { codec: 'alaw', length: signal.length, bits: 8, codes: Uint32Array.from(signal, x => linearToAlaw(toInt16(x))) };
+}
+
+function alawDecode(encoded) {
+  return Float64Array.from(encoded.codes, c => alawToLinear(c) / 32768);
+}
+
+// Closed-loop DPCM with a fixed first-order predictor and a uniform N-bit quantizer of the prediction error
+function dpcmEncode(signal, bits = 4, predictor = 0.9, step = 2 / (1 << bits)) {
+  const half = 1 << (bits - 1);
+  const codes = new Uint32Array(signal.length);
+  let previous = 0;
+  for (let i = 0; i < signal.length; i++) {
+    const prediction = predictor * previous;
+    const code = Math.max(0, Math.min(2 * half - 1, Math.floor((signal[i] - prediction) / step) + half));
+    codes[i] = code;
+    previous = prediction + (code - half + 0.5) * step;
+  }
+  return { codec: 'dpcm', length: signal.length, bits, codes, predictor, step };
+}
+
+function dpcmDecode(encoded) {
+  const { bits, predictor, step } = encoded;
+  const half = 1 << (bits - 1);
+  const output = new Float64Array(encoded.length);
+  let previous = 0;
+  for (let i = 0; i < encoded.length; i++) {
+    previous = predictor * previous + (encoded.codes[i] - half + 0.5) * step;
+    output[i] = previous;
+  }
+  return output;
+}
+
+const IMA_INDEX_TABLE = [-1, -1, -1, -1, 2, 4, 6, 8, -1, -1, -1, -1, 2, 4, 6, 8];
+const IMA_STEP_TABLE = [
+  7, 8, 9, 10, 11, 12, 13, 14, 16, 17, 19, 21, 23, 25, 28, 31, 34, 37, 41, 45, 50, 55, 60, 66, 73, 80, 88, 97,
+  107, 118, 130, 143, 157, 173, 190, 209, 230, 253, 279, 307, 337, 371, 408, 449, 494, 544, 598, 658, 724, 796,
+  876, 963, 1060, 1166, 1282, 1411, 1552, 1707, 1878, 2066, 2272, 2499, 2749, 3024, 3327, 3660, 4026, 4428, 4871,
+  5358, 5894, 6484, 7132, 7845, 8630, 9493, 10442, 11487, 12635, 13899, 15289, 16818, 18500, 20350, 22385, 24623,
+  27086, 29794, 32767
+];
+
+// IMA ADPCM decoder step: updates state {predicted, index} from a 4-bit code, returns the new sample
+function imaAdpcmStep(state, code) {
+  const step = IMA_STEP_TABLE[state.index];
+  let diff = step >> 3;
+  if (code & 4) diff += step;
+  if (code & 2) diff += step >> 1;
+  if (code & 1) diff += step >> 2;
+  state.predicted = Math.max(-32768, Math.min(32767, state.predicted + (code & 8 ? -diff : diff)));
+  state.index = Math.max(0, Math.min(88, state.index + IMA_INDEX_TABLE[code]));
+  return state.predicted;
+}
+
+// IMA ADPCM: 4 bits per sample with an adaptive step size
+function adpcmEncode(signal) {
+  const codes = new Uint32Array(signal.length);
+  const state = { predicted: 0, index: 0 };
+  for (let i = 0; i < signal.length; i++) {
+    let diff = toInt16(signal[i]) - state.predicted;
+    let code = 0;
+    if (diff < 0) {
+      code = 8;
+      diff = -diff;
+    }
+    let step = IMA_STEP_TABLE[state.index];
+    if (diff >= step) {
+      code |= 4;
+      diff -= step;
+    }
+    step >>= 1;
+    if (diff >= step) {
+      code |= 2;
+      diff -= step;
+    }
+    step >>= 1;
+    if (diff >= step) code |= 1;
+    codes[i] = code;
+    imaAdpcmStep(state, code); // track the decoder
+  }
+  return { codec: 'adpcm', length: signal.length, bits: 4, codes };
+}
+
+function adpcmDecode(encoded) {
+  const state = { predicted: 0, index: 0 };
+  return Float64Array.from(encoded.codes, c => imaAdpcmStep(state, c) / 32768);
+}
+
+// Adaptive predictive coding: per-frame LPC (reflection coeffs sent as quantized log-area ratios) and gain,
+// closed-loop prediction from decoded samples, residual quantized with a gain-adapted N-bit step.
+// Options: order, frameLength, bits (residual), coeffBits, gainBits, clip (residual range in gains)
+function apcEncode(signal, options = {}) {
+  const opts = Object.assign({ order: 10, frameLength: 160, bits: 3, coeffBits: 6, gainBits: 6, clip: 2 }, options);
+  const { order, frameLength, bits } = opts;
+  const numFrames = Math.ceil(signal.length / frameLength);
+  const window = makeWindow('hamming', frameLength);
+  let windowEnergy = 0;
+  for (let i = 0; i < frameLength; i++) windowEnergy += window[i] * window[i];
+  const side = new Uint32Array(numFrames * (order + 1));
+  const codes = new Uint32Array(signal.length);
+  const decoder = apcDecoderState(opts);
+  for (let f = 0; f < numFrames; f++) {
+    const start = f * frameLength;
+    const frame = getFrame(signal, start, frameLength, window);
+    const lpc = levinsonRecursion(autocorr(frame, order), order);
+    const lar = reflectionToLar(lpc.k);
+    for (let m = 1; m <= order; m++) side[f * (order + 1) + m - 1] = quantizeUniform(lar[m], -APC_LAR_RANGE, APC_LAR_RANGE, opts.coeffBits);
+    const gain = Math.sqrt(Math.max(lpc.error, 0) / windowEnergy);
+    side[f * (order + 1) + order] = quantizeUniform(Math.log2(gain + 1e-9), APC_LOG_GAIN_MIN, APC_LOG_GAIN_MAX, opts.gainBits);
+    decoder.setFrame(side.subarray(f * (order + 1), (f + 1) * (order + 1)));
+    for (let i = start; i < Math.min(signal.length, start + frameLength); i++) {
+      const prediction = decoder.predict();
+      const code = Math.max(0, Math.min((1 << bits) - 1, Math.floor((signal[i] - prediction) / decoder.step) + (1 << (bits - 1))));
+      codes[i] = code;
+      decoder.push(prediction, code);
+    }
+  }
+  const sideWidths = new Uint8Array(side.length).map((_, i) => i % (order + 1) === order ? opts.gainBits : opts.coeffBits);
+  return { codec: 'apc', length: signal.length, bits, codes, side, sideWidths, options: opts };
+}
+
+function apcDecode(encoded) {
+  const opts = encoded.options;
+  const { order, frameLength } = opts;
+  const output = new Float64Array(encoded.length);
+  const decoder = apcDecoderState(opts);
+  for (let i = 0; i < encoded.length; i++) {
+    if (i % frameLength === 0) {
+      const f = i / frameLength;
+      decoder.setFrame(encoded.side.subarray(f * (order + 1), (f + 1) * (order + 1)));
+    }
+    output[i] = decoder.push(decoder.predict(), encoded.codes[i]);
+  }
+  return output;
+}
+
+const APC_LAR_RANGE = 6;
+const APC_LOG_GAIN_MIN = -16;
+const APC_LOG_GAIN_MAX = 1;
+
+function quantizeUniform(value, min, max, bits) {
+  const levels = 1 << bits;
+  return Math.max(0, Math.min(levels - 1, Math.round((value - min) / (max - min) * (levels - 1))));
+}
+
+function dequantizeUniform(code, min, max, bits) {
+  return min + code / ((1 << bits) - 1) * (max - min);
+}
+
+// Shared APC encoder/decoder state: decoded history, current predictor and residual step
+function apcDecoderState(opts) {
+  const { order, bits } = opts;
+  const history = new Float64Array(order); // history[j] = y[n - 1 - j]
+  let a = new Float64Array(order + 1);
+  const state = {
+    step: 1,
+    setFrame(frameCodes) {
+      const lar = new Float64Array(order + 1);
+      for (let m = 1; m <= order; m++) lar[m] = dequantizeUniform(frameCodes[m - 1], -APC_LAR_RANGE, APC_LAR_RANGE, opts.coeffBits);
+      a = reflectionToLpc(larToReflection(lar));
+      const gain = Math.pow(2, dequantizeUniform(frameCodes[order], APC_LOG_GAIN_MIN, APC_LOG_GAIN_MAX, opts.gainBits));
+      state.step = 2 * opts.clip * gain / (1 << bits);
+    },
+    predict() {
+      let prediction = 0;
+      for (let j = 1; j <= order; j++) prediction -= a[j] * history[j - 1];
+      return prediction;
+    },
+    push(prediction, code) {
+      const y = prediction + (code - (1 << (bits - 1)) + 0.5) * state.step;
+      history.copyWithin(1, 0, order - 1);
+      history[0] = y;
+      return y;
+    }
+  };
+  return state;
+}
+
+// Codec registry for runCodec: encode(signal, options) / decode(encoded)
+const waveformCodecs = {
+  pcm: { encode: (x, o) => pcmEncode(x, o.bits || 8), decode: pcmDecode },
+  mulaw: { encode: x => mulawEncode(x), decode: mulawDecode },
+  alaw: { encode: x => alawEncode(x), decode: alawDecode },
+  compander: { encode: (x, o) => companderEncode(x, o.bits || 8, o.law || 'mu', o.param), decode: companderDecode },
+  dpcm: { encode: (x, o) => dpcmEncode(x, o.bits || 4, o.predictor, o.step), decode: dpcmDecode },
+  adpcm: { encode: x => adpcmEncode(x), decode: adpcmDecode },
+  apc: { encode: (x, o) => apcEncode(x, o), decode: apcDecode }
+};
+
+// Encodes, packs and decodes a signal with one codec and reports the degradation. The decoder reads the codes back
+// from the bitstream, so a packing error shows up in the SNR.
+// Returns {encoded, bitstream (Uint8Array), decoded, totalBits, bitsPerSample, bitRate (bit/s at options.fs), snr, segmentalSnr}
+function runCodec(name, signal, options = {}) {
+  const codec = waveformCodecs[name];
+  if (!codec) throw new Error('Unknown codec: ' + name);
+  const encoded = codec.encode(signal, options);
+  let totalBits = encoded.codes.length * encoded.bits;
+  let bitstream = packBits(encoded.codes, encoded.bits);
+  const codeBytes = bitstream.length;
+  if (encoded.side) {
+    // Side information (e.g. APC frame parameters) follows the residual codes
+    const sideStream = packBits(encoded.side, encoded.sideWidths);
+    for (let i = 0; i < encoded.sideWidths.length; i++) totalBits += encoded.sideWidths[i];
+    const merged = new Uint8Array(bitstream.length + sideStream.length);
+    merged.set(bitstream);
+    merged.set(sideStream, bitstream.length);
+    bitstream = merged;
+  }
+  const received = Object.assign({}, encoded, { codes: unpackBits(bitstream, encoded.bits, encoded.codes.length) });
+  if (encoded.side) received.side = unpackBits(bitstream, encoded.sideWidths, encoded.side.length, 8 * codeBytes);
+  const decoded = codec.decode(received);
+  const fs = options.fs || 16000;
+  return {
+    encoded,
+    bitstream,
+    decoded,
+    totalBits,
+    bitsPerSample: totalBits / Math.max(signal.length, 1),
+    bitRate: totalBits / Math.max(signal.length, 1) * fs,
+    snr: snr(signal, decoded),
+    segmentalSnr: segmentalSnr(signal, decoded)
+  };
+}
+
+
+// Parametric source-filter synthesis: Rosenberg or Liljencrants-Fant glottal source with jitter/shimmer and
+// aspiration noise, Klatt-style cascade or parallel formant resonators driven by parameter trajectories, and lip
+// radiation. A trajectory is a constant or an array of [time (s), value] breakpoints, linearly interpolated.
+
+// Male vowel formants (Peterson & Barney) with F4/F5 fixed for the cascade branch
+const vowelFormants = {
+  a: { formants: [730, 1090, 2440, 3300, 3750], bandwidths: [60, 90, 120, 200, 250] },
+  e: { formants: [530, 1840, 2480, 3300, 3750], bandwidths: [60, 100, 120, 200, 250] },
+  i: { formants: [270, 2290, 3010, 3300, 3750], bandwidths: [60, 100, 120, 200, 250] },
+  o: { formants: [570, 840, 2410, 3300, 3750], bandwidths: [60, 80, 120, 200, 250] },
+  u: { formants: [300, 870, 2240, 3300, 3750], bandwidths: [60, 80, 120, 200, 250] }
+};
+
+// Value of a trajectory at time t (seconds)
+function trackValue(track, t) {
+  if (typeof track === 'number') return track;
+  if (!track || track.length === 0) return 0;
+  if (t <= track[0][0]) return track[0][1];
+  const last = track[track.length - 1];
+  if (t >= last[0]) return last[1];
+  let lo = 0;
+  let hi = track.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (track[mid][0] <= t) lo = mid;
+    else hi = mid;
+  }
+  const [t0, v0] = track[lo];
+  const [t1, v1] = track[hi];
+  return t1 > t0 ? v0 + (v1 - v0) * (t - t0) / (t1 - t0) : v1;
+}
+
+// Rosenberg glottal flow at phase (0..1 of a period): cosine opening, quarter-cosine closing, then closed
+function rosenbergPulse(phase, openQuotient = 0.6, speedQuotient = 2) {
+  const tp = openQuotient * speedQuotient / (1 + speedQuotient);
+  const tn = openQuotient / (1 + speedQuotient);
+  if (phase < tp) return 0.5 * (1 - Math.cos(Math.PI * phase / tp));
+  if (phase < tp + tn) return Math.cos(Math.PI * (phase - tp) / (2 * tn));
+  return 0;
+}
+
+// One period of the LF glottal flow derivative (tp, te, ta as fractions of the period), scaled so E(te) = -1.
+// alpha is found by bisection so the flow returns to zero at the end of the period. Cached per shape.
+const lfPulseCache = {};
+
+function lfPulseTable(tp = 0.4, te = 0.55, ta = 0.02, size = 1024) {
+  const key = [tp, te, ta, size].join(':');
+  if (lfPulseCache[key]) return lfPulseCache[key];
+  const wg = Math.PI / tp;
+  const tc = 1;
+  let eps = 1 / ta;
+  for (let i = 0; i < 50; i++) eps = (1 - Math.exp(-eps * (tc - te))) / ta;
+  const returnPhase = t => -(Math.exp(-eps * (t - te)) - Math.exp(-eps * (tc - te))) / (eps * ta);
+  const build = alpha => {
+    const table = new Float64Array(size);
+    const e0 = -1 / (Math.exp(alpha * te) * Math.sin(wg * te));
+    let sum = 0;
+    for (let i = 0; i < size; i++) {
+      const t = i / size;
+      table[i] = t <= te ? e0 * Math.exp(alpha * t) * Math.sin(wg * t) : returnPhase(t);
+      sum += table[i];
+    }
+    return { table, sum };
+  };
+  // The net flow (sum) decreases as alpha grows; bracket its zero
+  let lo = -20;
+  let hi = 60;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (build(mid).sum > 0) lo = mid;
+    else hi = mid;
+  }
+  const table = build((lo + hi) / 2).table;
+  lfPulseCache[key] = table;
+  return table;
+}
+
+function lfPulse(phase, table) {
+  const pos = phase * table.length;
+  const i = Math.floor(pos);
+  const frac = pos - i;
+  return table[i % table.length] * (1 - frac) + table[(i + 1) % table.length] * frac;
+}
+
+// Klatt digital resonator y[n] = A x[n] + B y[n-1] + C y[n-2] (unity gain at DC)
+function KlattResonator() {
+  this.a = 1;
+  this.b = 0;
+  this.c = 0;
+  this.y1 = 0;
+  this.y2 = 0;
+}
+
+KlattResonator.prototype.set = function(frequency, bandwidth, fs) {
+  const r = Math.exp(-Math.PI * bandwidth / fs);
+  this.c = -r * r;
+  this.b = 2 * r * Math.cos(2 * Math.PI * frequency / fs);
+  this.a = 1 - this.b - this.c;
+};
+
+KlattResonator.prototype.tick = function(x) {
+  const y = this.a * x + this.b * this.y1 + this.c * this.y2;
+  this.y2 = this.y1;
+  this.y1 = y;
+  return y;
+};
+
+// Synthesizes speech from parameter trajectories.
+// params: duration (s), f0 (Hz, 0 = unvoiced), voicing (source amplitude, default 1), aspiration (noise amplitude,
+// default 0), formants / bandwidths (arrays of trajectories, Hz), amplitudes (per-formant gains for the parallel branch).
+// Options: fs, source ('rosenberg' | 'lf'), openQuotient, speedQuotient (Rosenberg), tp / te / ta (LF),
+// jitter / shimmer (per-period relative deviation), seed, structure ('cascade' | 'parallel'), radiation (true: first
+// difference; the LF source is already a flow derivative and skips it), controlRate (samples per parameter update),
+// normalize (peak value, or 0 to leave unscaled)
+function formantSynthesis(params, options = {}) {
+  const opts = Object.assign({
+    fs: 16000,
+    source: 'rosenberg',
+    openQuotient: 0.6,
+    speedQuotient: 2,
+    tp: 0.4,
+    te: 0.55,
+    ta: 0.02,
+    jitter: 0,
+    shimmer: 0,
+    seed: undefined,
+    structure: 'cascade',
+    radiation: true,
+    controlRate: 16,
+    normalize: 0
+  }, options);
+  const fs = opts.fs;
+  const length = Math.floor(fs * params.duration);
+  const output = new Float64Array(length);
+  const formants = params.formants || vowelFormants.a.formants;
+  const bandwidths = params.bandwidths || formants.map(() => 100);
+  const amplitudes = params.amplitudes || formants.map(() => 1);
+  const voicingTrack = params.voicing === undefined ? 1 : params.voicing;
+  const aspirationTrack = params.aspiration || 0;
+  const rng = createRng(opts.seed);
+  const gauss = () => Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+  const lfTable = opts.source === 'lf' ? lfPulseTable(opts.tp, opts.te, opts.ta) : null;
+  const resonators = formants.map(() => new KlattResonator());
+  const gains = new Float64Array(formants.length);
+  const radiate = opts.radiation && !lfTable;
+  let phase = 1;
+  let periodF0 = 0;
+  let periodAmp = 1;
+  let f0 = 0;
+  let voicing = 0;
+  let aspiration = 0;
+  let previous = 0;
+  for (let n = 0; n < length; n++) {
+    if (n % opts.controlRate === 0) {
+      const t = n / fs;
+      f0 = trackValue(params.f0, t);
+      voicing = trackValue(voicingTrack, t);
+      aspiration = trackValue(aspirationTrack, t);
+      for (let i = 0; i < resonators.length; i++) {
+        resonators[i].set(trackValue(formants[i], t), trackValue(bandwidths[i], t), fs);
+        gains[i] = trackValue(amplitudes[i], t);
+      }
+    }
+    // Glottal source: a new period picks its own jittered F0 and shimmered amplitude
+    let glottal = 0;
+    if (f0 > 0) {
+      if (phase >= 1) {
+        phase -= Math.floor(phase);
+        periodF0 = f0 * (1 + opts.jitter * gauss());
+        periodAmp = Math.max(0, 1 + opts.shimmer * gauss());
+      }
+      glottal = lfTable ? lfPulse(phase, lfTable) : rosenbergPulse(phase, opts.openQuotient, opts.speedQuotient);
+      phase += Math.max(periodF0, 1) / fs;
+    } else {
+      phase = 1;
+    }
+    // Aspiration noise, modulated by the glottal opening when voiced
+    const noiseGain = f0 > 0 ? 0.5 + 0.5 * Math.min(1, Math.abs(glottal)) : 1;
+    const source = voicing * periodAmp * glottal + aspiration * noiseGain * gauss();
+    let y;
+    if (opts.structure === 'parallel') {
+      y = 0;
+      for (let i = 0; i < resonators.length; i++) {
+        y += (i % 2 ? -1 : 1) * gains[i] * resonators[i].tick(source); // alternate signs, as in Klatt's parallel branch
+      }
+    } else {
+      y = source;
+      for (let i = 0; i < resonators.length; i++) y = resonators[i].tick(y);
+    }
+    if (radiate) {
+      const r = y - previous;
+      previous = y;
+      y = r;
+    }
+    output[n] = y;
+  }
+  if (opts.normalize > 0) {
+    let peak = 0;
+    for (let n = 0; n < length; n++) peak = Math.max(peak, Math.abs(output[n]));
+    if (peak > 0) {
+      const scale = opts.normalize / peak;
+      for (let n = 0; n < length; n++) output[n] *= scale;
+    }
+  }
+  return output;
+}
+
+
+// Spectral analysis for visualization: dB spectra, LPC and cepstral envelopes, group delay and STFT matrices.
+// Matrix results are flat row-major Float32Arrays (one row of numBins per frame) with rows/cols and a Jitter-style
+// dim = [cols, rows], so they can be copied straight into a 1-plane float32 jit.matrix.
+
+// Converts power values to dB (10 log10), clamped below at floorDb
+function powerToDb(power, floorDb = -120) {
+  const output = new Float64Array(power.length);
+  const floor = Math.pow(10, floorDb / 10);
+  for (let k = 0; k < power.length; k++) output[k] = 10 * Math.log10(Math.max(power[k], floor));
+  return output;
+}
+
+// Magnitude spectrum of a frame (fftSize / 2 + 1 bins); db = true returns 20 log10 |X|
+function magnitudeSpectrum(frame, fftSize = nextPowerOfTwo(frame.length), db = false) {
+  const power = powerSpectrum(frame, fftSize);
+  if (db) return powerToDb(power);
+  return power.map(Math.sqrt);
+}
+
+// LPC spectral envelope gain^2 / |A(e^jw)|^2 in dB over fftSize / 2 + 1 bins, from lpcAnalysis coefficients
+// (a[0] = 1). Matches the power spectrum scale of the (pre-emphasized) analysed frame.
+function lpcEnvelope(a, gain = 1, fftSize = 512) {
+  const padded = new Float64Array(fftSize);
+  padded.set(a.length > fftSize ? Array.prototype.slice.call(a, 0, fftSize) : a);
+  const inverse = powerSpectrum(padded, fftSize);
+  const envelope = new Float64Array(inverse.length);
+  for (let k = 0; k < inverse.length; k++) envelope[k] = gain * gain / Math.max(inverse[k], 1e-20);
+  return powerToDb(envelope);
+}
+
+// Cepstrally smoothed envelope in dB: keeps the first nCeps real-cepstrum coefficients (low quefrencies)
+function cepstralEnvelope(frame, nCeps = 30, fftSize = nextPowerOfTwo(frame.length)) {
+  const padded = new Float64Array(fftSize);
+  padded.set(frame.length > fftSize ? Array.prototype.slice.call(frame, 0, fftSize) : frame);
+  const ceps = cepstralAnalysis(padded, fftSize);
+  const nBins = (fftSize >> 1) + 1;
+  const smoothed = new Float64Array(fftSize);
+  const keep = Math.min(nCeps, nBins);
+  smoothed[0] = ceps[0];
+  for (let n = 1; n < keep; n++) {
+    smoothed[n] = ceps[n];
+    smoothed[fftSize - n] = ceps[fftSize - n];
+  }
+  const logSpectrum = rfft(smoothed).re; // log |X| (natural log)
+  const output = new Float64Array(nBins);
+  for (let k = 0; k < nBins; k++) output[k] = 20 * logSpectrum[k] / Math.LN10;
+  return output;
+}
+
+// Group delay in samples, -d(phase)/dw = Re(X conj(Y)) / |X|^2 with Y the transform of n x[n].
+// Works on a frame or on filter coefficients (e.g. lpcAnalysis output gives the delay of 1 / A as the negative).
+function groupDelay(frame, fftSize = nextPowerOfTwo(frame.length)) {
+  const n = Math.min(frame.length, fftSize);
+  const x = new Float64Array(fftSize);
+  const nx = new Float64Array(fftSize);
+  for (let i = 0; i < n; i++) {
+    x[i] = frame[i];
+    nx[i] = i * frame[i];
+  }
+  const X = rfft(x);
+  const Y = rfft(nx);
+  const output = new Float64Array(X.re.length);
+  for (let k = 0; k < output.length; k++) {
+    const power = X.re[k] * X.re[k] + X.im[k] * X.im[k];
+    output[k] = power > 1e-20 ? (X.re[k] * Y.re[k] + X.im[k] * Y.im[k]) / power : 0;
+  }
+  return output;
+}
+
+// Per-frame spectral analysers for spectralMatrix; each maps a windowed frame to fftSize / 2 + 1 values
+const spectralAnalysers = {
+  power: (frame, opts) => powerSpectrum(frame, opts.fftSize),
+  magnitude: (frame, opts) => magnitudeSpectrum(frame, opts.fftSize),
+  db: (frame, opts) => magnitudeSpectrum(frame, opts.fftSize, true),
+  lpc: (frame, opts) => {
+    const lpc = lpcAnalysisFull(frame, opts.order, opts.preemphasis);
+    return lpcEnvelope(lpc.a, lpc.gain, opts.fftSize);
+  },
+  cepstrum: (frame, opts) => cepstralEnvelope(frame, opts.nCeps, opts.fftSize),
+  groupDelay: (frame, opts) => groupDelay(frame, opts.fftSize)
+};
+
+// Short-time spectral matrix of a signal. type is a spectralAnalysers name ('db' by default).
+// Options: frameLength, hopSize, window, fftSize (default nextPowerOfTwo(frameLength)), fs, padEnd,
+// order / preemphasis (lpc), nCeps (cepstrum). Returns { data, rows, cols, dim, numFrames, numBins, fftSize,
+// frameLength, hopSize, fs, times, frequencies, min, max }
+function spectralMatrix(signal, type = 'db', options = {}) {
+  const fn = spectralAnalysers[type];
+  if (!fn) throw new Error('Unknown spectral analysis: ' + type);
+  const opts = Object.assign({ frameLength: 512, hopSize: 128, nCeps: 30 }, options);
+  opts.fftSize = opts.fftSize || nextPowerOfTwo(opts.frameLength);
+  const frames = analyzeFrames(signal, fn, opts);
+  const numBins = (opts.fftSize >> 1) + 1;
+  const data = Float32Array.from(frames.matrix);
+  const frequencies = new Float64Array(numBins);
+  for (let k = 0; k < numBins; k++) frequencies[k] = k * frames.fs / opts.fftSize;
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] < min) min = data[i];
+    if (data[i] > max) max = data[i];
+  }
+  return {
+    data,
+    rows: frames.numFrames,
+    cols: numBins,
+    dim: [numBins, frames.numFrames],
+    numFrames: frames.numFrames,
+    numBins,
+    fftSize: opts.fftSize,
+    frameLength: frames.frameLength,
+    hopSize: frames.hopSize,
+    fs: frames.fs,
+    times: frames.times,
+    frequencies,
+    min,
+    max
+  };
+}
+
+// STFT spectrogram (dB by default; scale 'power' | 'magnitude' | 'db')
+function spectrogram(signal, options = {}) {
+  return spectralMatrix(signal, options.scale || 'db', options);
+}
+
+
+// WAV file I/O: RIFF/WAVE decoding of 8-bit (unsigned), 16/24/32-bit integer and 32/64-bit float PCM, including
+// WAVE_FORMAT_EXTENSIBLE, to channels of Float64Array in [-1, 1); encoding to 16/24-bit PCM or 32-bit float.
+// AIFF/AIFF-C decoding to the same result.
+
+const WAV_FORMAT_PCM = 1;
+const WAV_FORMAT_FLOAT = 3;
+const WAV_FORMAT_EXTENSIBLE = 0xFFFE;
+
+// Decodes WAV bytes. Returns {fs, numChannels, bitsPerSample, format ('pcm' | 'float'), length, channels}
+function decodeWav(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 12 || bytesToString(bytes, 0, 4) !== 'RIFF' || bytesToString(bytes, 8, 12) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+  let fmt = null;
+  let dataStart = -1;
+  let dataLength = 0;
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const id = bytesToString(bytes, offset, offset + 4);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      if (size < 16 || body + size > bytes.length) throw new Error('WAV fmt chunk is truncated');
+      fmt = {
+        code: view.getUint16(body, true),
+        numChannels: view.getUint16(body + 2, true),
+        fs: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample: view.getUint16(body + 14, true)
+      };
+      if (fmt.code === WAV_FORMAT_EXTENSIBLE) {
+        if (size < 40) throw new Error('WAV extensible fmt chunk is truncated');
+        fmt.code = view.getUint16(body + 24, true); // first two bytes of the sub-format GUID
+      }
+    } else if (id === 'data') {
+      dataStart = body;
+      dataLength = Math.min(size, bytes.length - body); // tolerate a truncated final chunk
+      break;
+    }
+    offset = body + size + (size & 1); // chunks are word aligned
+  }
+  if (!fmt) throw new Error('WAV file has no fmt chunk');
+  if (dataStart < 0) throw new Error('WAV file has no data chunk');
+  const { code, numChannels, fs, bitsPerSample } = fmt;
+  const bytesPerSample = bitsPerSample >> 3;
+  const supported = code === WAV_FORMAT_PCM ? [8, 16, 24, 32].indexOf(bitsPerSample) >= 0
+    : code === WAV_FORMAT_FLOAT && (bitsPerSample === 32 || bitsPerSample === 64);
+  if (!supported) throw new Error('Unsupported WAV encoding: format ' + code + ', ' + bitsPerSample + ' bits');
+  if (numChannels < 1) throw new Error('WAV file has no channels');
+  const blockAlign = fmt.blockAlign || numChannels * bytesPerSample;
+  if (blockAlign < numChannels * bytesPerSample) {
+    throw new Error('WAV block align ' + blockAlign + ' is smaller than ' + numChannels + ' channels x ' + bytesPerSample + ' bytes');
+  }
+  const length = Math.floor(dataLength / blockAlign);
+  const channels = [];
+  for (let c = 0; c < numChannels; c++) channels.push(new Float64Array(length));
+  for (let n = 0; n < length; n++) {
+    for (let c = 0; c < numChannels; c++) {
+      const p = dataStart + n * blockAlign + c * bytesPerSample;
+      let v;
+      if (code === WAV_FORMAT_FLOAT) v = bitsPerSample === 32 ? view.getFloat32(p, true) : view.getFloat64(p, true);
+      else if (bitsPerSample === 8) v = (bytes[p] - 128) / 128;
+      else if (bitsPerSample === 16) v = view.getInt16(p, true) / 32768;
+      else if (bitsPerSample === 24) v = ((bytes[p] | (bytes[p + 1] << 8) | (bytes[p + 2] << 16)) << 8 >> 8) / 8388608;
+      else v = view.getInt32(p, true) / 2147483648;
+      channels[c][n] = v;
+    }
+  }
+  return { fs, numChannels, bitsPerSample, format: code === WAV_FORMAT_FLOAT ? 'float' : 'pcm', length, channels };
+}
+
+// IEEE 754 80-bit extended float (big-endian), the AIFF COMM sample rate
+function readExtended(view, offset) {
+  const sign = view.getUint8(offset) & 0x80 ? -1 : 1;
+  const exponent = view.getUint16(offset) & 0x7FFF;
+  const mantissa = view.getUint32(offset + 2) * 4294967296 + view.getUint32(offset + 6);
+  if (exponent === 0 && mantissa === 0) return 0;
+  if (exponent === 0x7FFF) return mantissa === 0 ? sign * Infinity : NaN;
+  return sign * mantissa * Math.pow(2, exponent - 16383 - 63);
+}
+
+// Decodes AIFF and AIFF-C bytes: big-endian integer PCM of 1 to 32 bits ('NONE', 'twos'; samples left-justified in
+// whole bytes), little-endian integer PCM ('sowt') and 32/64-bit float ('fl32', 'fl64'). Returns the decodeWav result
+function decodeAiff(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const form = bytes.length >= 12 ? bytesToString(bytes, 8, 12) : '';
+  if (bytes.length < 12 || bytesToString(bytes, 0, 4) !== 'FORM' || (form !== 'AIFF' && form !== 'AIFC')) {
+    throw new Error('Not an AIFF/AIFF-C file');
+  }
+  let comm = null;
+  let dataStart = -1;
+  let dataLength = 0;
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const id = bytesToString(bytes, offset, offset + 4);
+    const size = view.getUint32(offset + 4);
+    const body = offset + 8;
+    if (id === 'COMM') {
+      if (size < 18 || body + size > bytes.length) throw new Error('AIFF COMM chunk is truncated');
+      comm = {
+        numChannels: view.getUint16(body),
+        numFrames: view.getUint32(body + 2),
+        bitsPerSample: view.getUint16(body + 6),
+        fs: readExtended(view, body + 8),
+        compression: form === 'AIFC' && size >= 22 ? bytesToString(bytes, body + 18, body + 22) : 'NONE'
+      };
+    } else if (id === 'SSND') {
+      if (body + 8 > bytes.length) throw new Error('AIFF SSND chunk is truncated');
+      dataStart = body + 8 + view.getUint32(body); // offset to the first sample frame
+      dataLength = Math.max(0, Math.min(size - 8 - view.getUint32(body), bytes.length - dataStart)); // tolerate truncation
+    }
+    offset = body + size + (size & 1); // chunks are word aligned
+  }
+  if (!comm) throw new Error('AIFF file has no COMM chunk');
+  if (dataStart < 0) throw new Error('AIFF file has no SSND chunk');
+  const { numChannels, fs, bitsPerSample, compression } = comm;
+  const float = ['fl32', 'FL32', 'fl64', 'FL64'].indexOf(compression) >= 0;
+  const littleEndian = compression === 'sowt';
+  if (!float && ['NONE', 'twos', 'sowt'].indexOf(compression) < 0) throw new Error('Unsupported AIFF-C compression: ' + compression);
+  const bytesPerSample = float ? (compression.toLowerCase() === 'fl32' ? 4 : 8) : (bitsPerSample + 7) >> 3;
+  if (bytesPerSample < 1 || (bytesPerSample > 4 && !float)) throw new Error('Unsupported AIFF sample size: ' + bitsPerSample + ' bits');
+  if (numChannels < 1) throw new Error('AIFF file has no channels');
+  const blockAlign = numChannels * bytesPerSample;
+  const length = Math.min(comm.numFrames, Math.floor(dataLength / blockAlign));
+  const full = Math.pow(2, 8 * bytesPerSample - 1);
+  const channels = [];
+  for (let c = 0; c < numChannels; c++) channels.push(new Float64Array(length));
+  for (let n = 0; n < length; n++) {
+    for (let c = 0; c < numChannels; c++) {
+      const p = dataStart + n * blockAlign + c * bytesPerSample;
+      let v;
+      if (float) {
+        v = bytesPerSample === 4 ? view.getFloat32(p) : view.getFloat64(p);
+      } else {
+        // Two's complement over the whole sample (AIFF 8-bit is signed)
+        v = 0;
+        for (let b = 0; b < bytesPerSample; b++) v = v * 256 + bytes[littleEndian ? p + bytesPerSample - 1 - b : p + b];
+        if (v >= full) v -= 2 * full;
+        v /= full;
+      }
+      channels[c][n] = v;
+    }
+  }
+  return { fs, numChannels, bitsPerSample, format: float ? 'float' : 'pcm', length, channels };
+}
+
+// Average of all channels (the channel itself when mono)
+function mixToMono(channels) {
+  if (channels.length === 1) return channels[0];
+  const length = channels[0].length;
+  const output = new Float64Array(length);
+  for (const channel of channels) {
+    for (let n = 0; n < length; n++) output[n] += channel[n] / channels.length;
+  }
+  return output;
+}
+
+// Encodes a signal (or an array of equal-length channels) as WAV bytes. bitsPerSample: 16 | 24 (PCM, clipped
+// and rounded) or 32 (float)
+function encodeWav(signal, fs = 16000, bitsPerSample = 16) {
+  if ([16, 24, 32].indexOf(bitsPerSample) < 0) throw new Error('Unsupported WAV bit depth: ' + bitsPerSample);
+  const channels = typeof signal[0] === 'number' || signal.length === 0 ? [signal] : signal;
+  const numChannels = channels.length;
+  const length = channels[0].length;
+  const bytesPerSample = bitsPerSample >> 3;
+  const blockAlign = numChannels * bytesPerSample;
+  const dataLength = length * blockAlign;
+  const bytes = new Uint8Array(44 + dataLength + (dataLength & 1));
+  const view = new DataView(bytes.buffer);
+  const writeId = (offset, id) => {
+    for (let i = 0; i < 4; i++) bytes[offset + i] = id.charCodeAt(i);
+  };
+  writeId(0, 'RIFF');
+  view.setUint32(4, bytes.length - 8, true);
+  writeId(8, 'WAVE');
+  writeId(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, bitsPerSample === 32 ? WAV_FORMAT_FLOAT : WAV_FORMAT_PCM, true);
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, fs, true);
+  view.setUint32(28, fs * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitsPerSample, true);
+  writeId(36, 'data');
+  view.setUint32(40, dataLength, true);
+  const full = bitsPerSample === 16 ? 32768 : 8388608;
+  for (let n = 0; n < length; n++) {
+    for (let c = 0; c < numChannels; c++) {
+      const p = 44 + n * blockAlign + c * bytesPerSample;
+      const x = channels[c][n];
+      if (bitsPerSample === 32) {
+        view.setFloat32(p, x, true);
+        continue;
+      }
+      const v = Math.max(-full, Math.min(full - 1, Math.round(x * full)));
+      if (bitsPerSample === 16) {
+        view.setInt16(p, v, true);
+      } else {
+        bytes[p] = v & 0xFF;
+        bytes[p + 1] = (v >> 8) & 0xFF;
+        bytes[p + 2] = (v >> 16) & 0xFF;
+      }
+    }
+  }
+  return bytes;
+}
+
+// Reads a WAV file (decodeWav result plus signal, the mono mix)
+function readWav(path) {
+  const wav = decodeWav(readFileData(path));
+  wav.signal = mixToMono(wav.channels);
+  return wav;
+}
+
+function writeWav(path, signal, fs = 16000, bitsPerSample = 16) {
+  writeFileData(path, encodeWav(signal, fs, bitsPerSample));
+}
+
+// Module export for Node (CommonJS, and ES module imports through Node's CommonJS interop); Max's [js] include
+// has no module object and keeps using the globals above
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Complex, isPowerOfTwo, nextPowerOfTwo, getFftTables, fftRadix2, getBluesteinTables, fftBluestein, fft, rfft, irfft,
+    cfft, icfft, complexFft, autocorr, autocorrFft, levinsonRecursion, levinsonDurbin, iirFilter, resample,
+    resampleLinear, StreamingIirFilter, lpcSynthesisStream, StreamingResampler, resamplerQualities, besselI0, gcd,
+    sincTaps, getPolyphaseTable, SincResampler, cepstralAnalysis, createRng, vqDistance, nearestCodeword, initCodebook,
+    lloydIterations, trainVqCodebookFull, trainVqCodebook, vectorQuantization, vectorQuantizationFull,
+    speechProductionModel, pitchDetectionAutocorr, preEmphasize, lpcAnalysis, lpcAnalysisFull, lpcSynthesis,
+    waveformCodingSynthesis, makeWindow, checkFrameGeometry, frameCount, getFrame, frameAnalysers, analyzeFrames, hzToMel, melToHz,
+    melFilterbank, getMelFilterbank, powerSpectrum, logMelEnergies, dct, lifter, mfcc, deltas, appendDeltas, mfccFeatures,
+    reflectionToLpc, lpcToReflection, reflectionToLar, larToReflection, lspPolynomials, symmetricPolyValue, lpcToLsp,
+    polyMulQuadratic, lspToLpc, lpcToCepstrum, cepstrumToLpc, polynomialRoots, lpcFormants, vocoderDefaults,
+    gaussianNoise, lpcVocoderAnalyze, vocoderParamsAt, lpcVocoderSynthesize, lpcResidual, lpcVocoder,
+    lpcCrossSynthesis, parabolicPeak, pitchLagRange, pitchCandidates, pitchDecision, pitchAutocorr, pitchYin,
+    pitchAmdf, pitchCepstral, pitchEstimators, medianSmoothPitch, viterbiPitch, hzToMidi, pitchTrack, SERIAL_VERSION,
+    CODEBOOK_MAGIC, FRAMES_MAGIC, asciiJson, bytesToString, checkSerialHeader, codebookDocument, serializeCodebook,
+    parseCodebook, framesDocument, serializeFrames, parseFrames, framesFromParts, encodeBinary, decodeBinary,
+    readFloat32s, encodeCodebookBinary, decodeCodebookBinary, encodeFramesBinary, decodeFramesBinary, inMax,
+    writeFileData, readFileData, isBinaryDocument, saveCodebook, loadCodebook, saveFrames, loadFrames,
+    dtwLocalDistance, dtwDistance, DtwRecognizer, VqClassifier, logAdd, toLogMatrix, DiscreteHmm, HmmClassifier,
+    frameEnergyDb, zeroCrossingRate, shortTimeFeatures, FRAME_SILENCE, FRAME_UNVOICED, FRAME_VOICED, frameClassNames,
+    detectEndpoints, extractSpeech, packBits, unpackBits, snr, segmentalSnr, toInt16, pcmEncode, pcmDecode,
+    companderEncode, companderDecode, compress, expand, g711Segment, G711_MU_ENDS, G711_A_ENDS, linearToMulaw,
+    mulawToLinear, linearToAlaw, alawToLinear, mulawEncode, mulawDecode, alawEncode, alawDecode, dpcmEncode,
+    dpcmDecode, IMA_INDEX_TABLE, IMA_STEP_TABLE, imaAdpcmStep, adpcmEncode, adpcmDecode, apcEncode, apcDecode,
+    APC_LAR_RANGE, APC_LOG_GAIN_MIN, APC_LOG_GAIN_MAX, quantizeUniform, dequantizeUniform, apcDecoderState,
+    waveformCodecs, runCodec, vowelFormants, trackValue, rosenbergPulse, lfPulseTable, lfPulse, KlattResonator,
+    formantSynthesis, powerToDb, magnitudeSpectrum, lpcEnvelope, cepstralEnvelope, groupDelay, spectralAnalysers,
+    spectralMatrix, spectrogram, WAV_FORMAT_PCM, WAV_FORMAT_FLOAT, WAV_FORMAT_EXTENSIBLE, decodeWav, readExtended,
+    decodeAiff, mixToMono, encodeWav, readWav, writeWav
+  };
+}
@@ -0,0 +1,287 @@
+const fs = require('fs');
+const path = require('path');
+const dsp = require('./SSARdsp.js');
+
+// Command-line batch analyser: runs SSARdsp analyses over WAV files and writes CSV/JSON tables, SSAR frame documents
+// (loadable in Max with loadFrames) or resynthesized WAVs, so analysis can be pre-computed offline.
+
+const usage = `Usage: node batchSSARdsp.js <analysis> [options] <file.wav ...>
+
+Analyses:
+  lpc | reflection | cepstrum | mfcc   per-frame coefficients
+  pitch                                pitch contour (time, frequency, midi, confidence, voiced)
+  vq                                   trains a codebook over all files (or loads --codebook) and writes
+                                       per-frame codeword indices; the codebook is saved as JSON
+                                       (--codebook-out, the --out directory, or beside the table / input)
+  vocoder                              LPC vocoder resynthesis to WAV
+
+Options:
+  --format csv|json|frames|frames-bin  table format (default csv); frames formats are SSAR frame documents
+  --out <path>                         output file, or directory for several inputs; - writes to stdout
+                                       (default: next to each input as <name>.<analysis>.<ext>)
+  --resample <Hz>                      resample the (mono-mixed) input before analysis
+  --frame-length <n> --hop-size <n> --window hann|hamming|blackman|rectangular
+  --order <n> --preemphasis <x> --n-ceps <n> --deltas
+  --method yin|autocorr|amdf|cepstral --min-freq <Hz> --max-freq <Hz> --smoothing median|viterbi|none
+  --features mfcc|lpc|cepstrum --codebook-size <n> --codebook <file> --codebook-out <file> --seed <n>
+  --pitch-shift <ratio> --time-stretch <ratio> --bits 16|24|32`;
+
+// Option name -> parser; flags take no value
+const optionParsers = {
+  format: v => oneOf('format', v, ['csv', 'json', 'frames', 'frames-bin']),
+  out: String,
+  resample: v => positiveNumber('resample', v),
+  frameLength: v => positiveInteger('frame-length', v),
+  hopSize: v => positiveInteger('hop-size', v),
+  window: v => oneOf('window', v, ['hann', 'hamming', 'blackman', 'rectangular']),
+  order: v => positiveInteger('order', v),
+  preemphasis: v => positiveNumber('preemphasis', v, true),
+  nCeps: v => positiveInteger('n-ceps', v),
+  deltas: null,
+  method: v => oneOf('method', v, Object.keys(dsp.pitchEstimators)),
+  minFreq: v => positiveNumber('min-freq', v),
+  maxFreq: v => positiveNumber('max-freq', v),
+  smoothing: v => oneOf('smoothing', v, ['median', 'viterbi', 'none']),
+  features: v => oneOf('features', v, ['mfcc', 'lpc', 'cepstrum']),
+  codebookSize: v => positiveInteger('codebook-size', v),
+  codebook: String,
+  codebookOut: v => {
+    if (v === '-') throw new Error('--codebook-out expects a file path, got -');
+    return v;
+  },
+  seed: v => positiveInteger('seed', v, true),
+  pitchShift: v => positiveNumber('pitch-shift', v),
+  timeStretch: v => positiveNumber('time-stretch', v),
+  bits: v => Number(oneOf('bits', v, ['16', '24', '32']))
+};
+
+function positiveNumber(name, v, allowZero = false) {
+  const x = Number(v);
+  if (!isFinite(x) || x < 0 || (x === 0 && !allowZero)) throw new Error(`--${name} expects a positive number, got ${v}`);
+  return x;
+}
+
+function positiveInteger(name, v, allowZero = false) {
+  const x = positiveNumber(name, v, allowZero);
+  if (Math.floor(x) !== x) throw new Error(`--${name} expects an integer, got ${v}`);
+  return x;
+}
+
+function oneOf(name, v, values) {
+  if (values.indexOf(v) < 0) throw new Error(`--${name} expects one of ${values.join(', ')}, got ${v}`);
+  return v;
+}
+
+// Splits argv into {analysis, options, files}; --kebab-case options map to camelCase keys
+function parseArgs(argv) {
+  const options = { format: 'csv', bits: 16, codebookSize: 64, features: 'mfcc' };
+  const files = [];
+  let analysis = null;
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2).replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+      if (!(key in optionParsers)) throw new Error(`Unknown option ${arg}`);
+      if (optionParsers[key] === null) {
+        options[key] = true;
+        continue;
+      }
+      if (i + 1 >= argv.length) throw new Error(`${arg} expects a value`);
+      options[key] = optionParsers[key](argv[++i]);
+    } else if (analysis === null) {
+      analysis = arg;
+    } else {
+      files.push(arg);
+    }
+  }
+  if (!analysis || !(analysis in analyses)) throw new Error(`Unknown or missing analysis ${analysis || ''}`.trim());
+  if (files.length === 0) throw new Error('No input files');
+  return { analysis, options, files };
+}
+
+// Loads a WAV as a mono signal, resampled when requested
+function loadSignal(file, options) {
+  const wav = dsp.readWav(file);
+  if (!options.resample || options.resample === wav.fs) return { signal: wav.signal, fs: wav.fs };
+  return { signal: dsp.resample(wav.signal, wav.fs, options.resample), fs: options.resample };
+}
+
+// analyzeFrames options from the command line (unset values fall back to the library defaults)
+function frameOptions(options, fs) {
+  const opts = { fs };
+  for (const key of ['frameLength', 'hopSize', 'window', 'order', 'preemphasis', 'nCeps', 'minFreq', 'maxFreq']) {
+    if (options[key] !== undefined) opts[key] = options[key];
+  }
+  return opts;
+}
+
+const frameAnalyses = {
+  lpc: 'lpc',
+  reflection: (frame, opts) => dsp.lpcAnalysisFull(frame, opts.order, opts.preemphasis).k.subarray(1),
+  cepstrum: 'cepstrum',
+  mfcc: 'mfcc'
+};
+
+function analyseFrames(name, signal, fs, options) {
+  const frames = dsp.analyzeFrames(signal, frameAnalyses[name], frameOptions(options, fs));
+  if (name === 'mfcc' && options.deltas) {
+    const values = dsp.appendDeltas(frames.values);
+    const dim = values[0].length;
+    const matrix = new Float64Array(values.length * dim);
+    values.forEach((v, f) => matrix.set(v, f * dim));
+    return Object.assign(frames, { values, dim, matrix });
+  }
+  return frames;
+}
+
+// Table {columns, rows} with one row per frame, led by the frame time
+function framesTable(frames, prefix) {
+  const columns = ['time'];
+  for (let d = 0; d < frames.dim; d++) columns.push(prefix + d);
+  const rows = [];
+  for (let f = 0; f < frames.numFrames; f++) rows.push([frames.times[f]].concat(Array.from(frames.values[f])));
+  return { columns, rows };
+}
+
+function framesAnalysis(name, prefix) {
+  return inputs => inputs.map(({ file, signal, fs }) => {
+    const frames = analyseFrames(name, signal, fs, inputs.options);
+    return { file, frames, table: framesTable(frames, prefix) };
+  });
+}
+
+// Each analysis receives the loaded inputs [{file, signal, fs}] (options attached as inputs.options) and returns one
+// output per input: {file, table} (plus frames for the per-frame analyses) or {file, wav: {signal, fs}} for audio
+const analyses = {
+  lpc: framesAnalysis('lpc', 'a'),
+  reflection: framesAnalysis('reflection', 'k'),
+  cepstrum: framesAnalysis('cepstrum', 'c'),
+  mfcc: framesAnalysis('mfcc', 'mfcc'),
+
+  pitch: inputs => inputs.map(({ file, signal, fs }) => {
+    const options = inputs.options;
+    const opts = frameOptions(options, fs);
+    if (options.method) opts.method = options.method;
+    if (options.smoothing) opts.smoothing = options.smoothing;
+    const track = dsp.pitchTrack(signal, opts);
+    const rows = [];
+    for (let f = 0; f < track.numFrames; f++) {
+      rows.push([track.times[f], track.frequency[f], track.midi[f], track.confidence[f], track.voiced[f] ? 1 : 0]);
+    }
+    return { file, table: { columns: ['time', 'frequency', 'midi', 'confidence', 'voiced'], rows } };
+  }),
+
+  vq: inputs => {
+    const options = inputs.options;
+    const features = inputs.map(({ signal, fs }) => analyseFrames(options.features, signal, fs, options));
+    let codebook;
+    if (options.codebook) {
+      codebook = loadRunCodebook(options.codebook, options, features[0].dim);
+    } else {
+      const all = [].concat(...features.map(f => f.values));
+      const size = Math.min(options.codebookSize, all.length);
+      const trained = dsp.trainVqCodebookFull(all, size, 100, 1e-4, { seed: options.seed });
+      codebook = trained.codebook;
+      const target = codebookPath(inputs[0].file, options, inputs.length);
+      dsp.saveCodebook(target, trained, { features: options.features, fs: inputs[0].fs });
+      console.error(`codebook (${size} x ${all[0].length}) -> ${target}`);
+    }
+    return inputs.map(({ file }, i) => {
+      const frames = features[i];
+      const vq = dsp.vectorQuantizationFull(codebook, frames.values);
+      const rows = vq.indices.map((index, f) => [frames.times[f], index, vq.distances[f]]);
+      return { file, table: { columns: ['time', 'index', 'distance'], rows } };
+    });
+  },
+
+  vocoder: inputs => inputs.map(({ file, signal, fs }) => {
+    const options = inputs.options;
+    const opts = frameOptions(options, fs);
+    if (options.pitchShift) opts.pitchShift = options.pitchShift;
+    if (options.timeStretch) opts.timeStretch = options.timeStretch;
+    return { file, wav: { signal: dsp.lpcVocoder(signal, opts), fs } };
+  })
+};
+
+// Output path for one input: --out as a file (single input), as a directory, or next to the input by default
+function outputPath(input, suffix, ext, options, numInputs) {
+  const name = path.basename(input, path.extname(input)) + '.' + suffix + '.' + ext;
+  if (!options.out) return path.join(path.dirname(input), name);
+  if (options.out === '-') return '-';
+  const isDir = numInputs > 1 || (fs.existsSync(options.out) && fs.statSync(options.out).isDirectory());
+  if (!isDir) return options.out;
+  fs.mkdirSync(options.out, { recursive: true });
+  return path.join(options.out, name);
+}
+
+// Loads --codebook, rejecting one trained on other features or with another codeword dimension than this run
+function loadRunCodebook(file, options, dim) {
+  const loaded = dsp.loadCodebook(file);
+  const trainedOn = loaded.training.features;
+  if (trainedOn && trainedOn !== options.features) {
+    throw new Error(`${file} was trained on ${trainedOn} features, this run uses --features ${options.features}`);
+  }
+  if (loaded.dimension !== dim) {
+    throw new Error(`${file} has ${loaded.dimension}-dimensional codewords, this run's ${options.features} frames have ${dim}`);
+  }
+  return loaded.codebook;
+}
+
+// Codebook path for vq: --codebook-out, else the --out directory; when --out names the table file (or stdout) the
+// codebook goes beside that file (or beside the first input) instead of overwriting it
+function codebookPath(input, options, numInputs) {
+  if (options.codebookOut) return options.codebookOut;
+  const target = outputPath(input, 'codebook', 'json', options, numInputs);
+  if (target !== '-' && target !== options.out) return target;
+  const dir = path.dirname(target === '-' ? input : options.out);
+  return path.join(dir, path.basename(input, path.extname(input)) + '.codebook.json');
+}
+
+function toCsv(table) {
+  return [table.columns.join(',')].concat(table.rows.map(row => row.join(','))).join('\n') + '\n';
+}
+
+function writeOutput(target, data) {
+  if (target === '-') process.stdout.write(typeof data === 'string' ? data : Buffer.from(data));
+  else dsp.writeFileData(target, data);
+}
+
+function run(argv) {
+  const { analysis, options, files } = parseArgs(argv);
+  if ((options.format === 'frames' || options.format === 'frames-bin') && !(analysis in frameAnalyses)) {
+    throw new Error(`--format ${options.format} is only available for ${Object.keys(frameAnalyses).join(', ')}`);
+  }
+  const inputs = files.map(file => Object.assign({ file }, loadSignal(file, options)));
+  inputs.options = options;
+  for (const output of analyses[analysis](inputs)) {
+    if (output.wav) {
+      const target = outputPath(output.file, analysis, 'wav', options, files.length);
+      writeOutput(target, dsp.encodeWav(output.wav.signal, output.wav.fs, options.bits));
+      if (target !== '-') console.error(`${output.file} -> ${target}`);
+      continue;
+    }
+    const ext = options.format === 'csv' ? 'csv' : options.format === 'json' ? 'json' : 'ssfr';
+    const target = outputPath(output.file, analysis, options.format === 'frames' ? 'json' : ext, options, files.length);
+    const meta = { analysis, source: path.basename(output.file) };
+    const frameMeta = { analyser: analysis, params: frameOptions(options, output.frames ? output.frames.fs : 0) };
+    let data;
+    if (options.format === 'csv') data = toCsv(output.table);
+    else if (options.format === 'json') data = JSON.stringify(Object.assign(meta, output.table)) + '\n';
+    else if (options.format === 'frames') data = dsp.serializeFrames(output.frames, frameMeta);
+    else data = dsp.encodeFramesBinary(output.frames, frameMeta);
+    writeOutput(target, data);
+    if (target !== '-') console.error(`${output.file} -> ${target}`);
+  }
+}
+
+// Usage: node batchSSARdsp.js <analysis> [options] <file.wav ...>
+if (require.main === module) {
+  try {
+    run(process.argv.slice(2));
+  } catch (e) {
+    console.error(`batchSSARdsp: ${e.message}\n\n${usage}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { parseArgs, run, analyses, toCsv };
@@ -1,314 +1,2279 @@
 const fs = require('fs');
 const crypto = require('crypto');
+const zlib = require('zlib');
+const dsp = require('./SSARdsp.js');
 
 // Function to inspect a binary file and determine attributes inspired by techniques in "Practical Binary Analysis" by Dennis Andriesse.
 // This includes file type detection, header parsing (focusing on ELF, with basic support for PE and Mach-O), string extraction, entropy calculation, and basic section/symbol listing.
 // Outputs a JSON object with structured data following a universal schema for use in Max/MSP or similar.
-// Assumes little-endian where applicable; limited big-endian support.
+// ELF and Mach-O are parsed in both byte orders and classes (Mach-O universal binaries per slice), PE in both PE32 and PE32+.
+// Formats are detected through a registry of signatures (registerFormat); besides executables it covers the containers
+// used in sonification work: WAV and AIFF (chunks and sample format, decoded with SSARdsp), PNG, ZIP, PDF and gzip.
 // Structures are normalized: headers as name-value pairs, tables as arrays of entries, segments/sections as grouped data pointers.
+// Malformed files do not fail the inspection: every read is bounds-checked, and truncated or inconsistent structures are
+// parsed as far as possible with {field, offset, reason} entries in warnings.
 
 function inspectBinary(filePath) {
   try {
-    const buffer = fs.readFileSync(filePath);
-    const size = buffer.length;
-
-    const result = {
-      metadata: {
-        filePath: filePath,
-        size: size,
-        hash: crypto.createHash('sha256').update(buffer).digest('hex'),
-        magic: buffer.slice(0, 4).toString('hex').toUpperCase(),
-        fileType: 'Unknown',
-        entropy: 0,
-        strings: []
-      },
-      structures: {
-        headers: [], // Array of {name: string, value: any, type: string, offset: number}
-        tables: [],  // Array of {name: string, entries: array of objects}
-        segments: [], // Array of {name: string, offset: number, size: number, type: string}
-        groups: {    // Categorized groupings (logical, mechanical, physical, etc.)
-          logical: [],
-          mechanical: [],
-          physical: [],
-          other: []
-        },
-        flags: []    // Array of {name: string, value: number, bits: object}
-      }
-    };
+    return JSON.stringify(inspectBuffer(fs.readFileSync(filePath), filePath), null, 2);
+  } catch (error) {
+    return JSON.stringify({ error: error.message });
+  }
+}
 
-    // Detect file type
-    if (result.metadata.magic === '7F454C46') result.metadata.fileType = 'ELF';
-    else if (result.metadata.magic.startsWith('4D5A')) result.metadata.fileType = 'PE';
-    else if (result.metadata.magic === 'CAFEDEAD' || result.metadata.magic === 'FEEDFACE' || result.metadata.magic === 'FEEDFACF') result.metadata.fileType = 'Mach-O';
-    else if (result.metadata.magic === '25504446') result.metadata.fileType = 'PDF'; // Example for extension
-    // Add more magic numbers as needed for universality
-
-    // Entropy calculation
-    const freq = new Array(256).fill(0);
-    for (let i = 0; i < size; i++) freq[buffer[i]]++;
-    for (let f of freq) {
-      if (f > 0) {
-        const p = f / size;
-        result.metadata.entropy -= p * Math.log2(p);
-      }
+// inspectBinary over bytes already in memory, returning the result object
+function inspectBuffer(buffer, filePath = null) {
+  const size = buffer.length;
+
+  const result = {
+    metadata: {
+      filePath: filePath,
+      size: size,
+      hash: crypto.createHash('sha256').update(buffer).digest('hex'),
+      magic: buffer.slice(0, 4).toString('hex').toUpperCase(),
+      fileType: 'Unknown',
+      entropy: 0,
+      strings: []
+    },
+    structures: createStructures(),
+    warnings: [] // Array of {field: string, offset: number, reason: string}
+  };
+
+  // Detect file type (first registered format whose signature matches)
+  const format = detectFormat(buffer);
+  if (format) result.metadata.fileType = format.name;
+
+  // Entropy calculation
+  const freq = new Array(256).fill(0);
+  for (let i = 0; i < size; i++) freq[buffer[i]]++;
+  for (let f of freq) {
+    if (f > 0) {
+      const p = f / size;
+      result.metadata.entropy -= p * Math.log2(p);
     }
-    result.metadata.entropy = result.metadata.entropy.toFixed(4);
+  }
+  result.metadata.entropy = result.metadata.entropy.toFixed(4);
 
-    // Extract strings (printable ASCII >=4 chars)
-    let currentStr = '';
-    for (let i = 0; i < size; i++) {
-      const c = buffer[i];
-      if (c >= 32 && c <= 126) {
-        currentStr += String.fromCharCode(c);
-      } else {
-        if (currentStr.length >= 4) result.metadata.strings.push(currentStr);
-        currentStr = '';
-      }
+  // Extract strings (printable ASCII >=4 chars)
+  let currentStr = '';
+  for (let i = 0; i < size; i++) {
+    const c = buffer[i];
+    if (c >= 32 && c <= 126) {
+      currentStr += String.fromCharCode(c);
+    } else {
+      if (currentStr.length >= 4) result.metadata.strings.push(currentStr);
+      currentStr = '';
     }
-    if (currentStr.length >= 4) result.metadata.strings.push(currentStr);
+  }
+  if (currentStr.length >= 4) result.metadata.strings.push(currentStr);
 
-    // Format-specific parsing, normalized to universal schema
-    if (result.metadata.fileType === 'ELF') {
-      parseELF(buffer, size, result.structures);
-    } else if (result.metadata.fileType === 'PE') {
-      parsePE(buffer, size, result.structures);
-    } else if (result.metadata.fileType === 'Mach-O') {
-      parseMachO(buffer, size, result.structures);
+  // Format-specific parsing, normalized to universal schema. Parsers report malformed input as warnings; an exception
+  // is a parser bug, recorded as a warning so the partial result is still returned.
+  const warnings = result.warnings;
+  try {
+    if (format) {
+      // Extra top-level fields from the parser (slices of a universal binary, the sample format of audio files)
+      Object.assign(result, format.parse(buffer, size, result.structures, warnings));
     } else {
       // Generic raw data: treat as single segment, group by entropy thresholds or fixed chunks
       parseGeneric(buffer, size, result.structures);
     }
-
-    return JSON.stringify(result, null, 2);
   } catch (error) {
-    return JSON.stringify({ error: error.message });
+    addWarning(warnings, result.metadata.fileType, 0, `Unexpected error: ${error.message}`);
+  }
+
+  return result;
+}
+
+// Empty universal schema (one per file, and one per architecture slice of a universal binary)
+function createStructures() {
+  return {
+    headers: [], // Array of {name: string, value: any, type: string, offset: number}
+    tables: [],  // Array of {name: string, entries: array of objects}
+    segments: [], // Array of {name: string, offset: number, size: number, type: string}
+    groups: {    // Categorized groupings (logical, mechanical, physical, etc.)
+      logical: [],
+      mechanical: [],
+      physical: [],
+      other: []
+    },
+    flags: []    // Array of {name: string, value: number, bits: object}
+  };
+}
+
+// Format registry. A format is {name, signatures, match?, parse, decode?}:
+//   signatures  alternatives, each one test or a list of tests that must all match; a test is {offset = 0, hex | ascii,
+//               mask?} where mask (hex, as long as the bytes) selects the compared bits
+//   match       optional refinement match(buffer) for signatures shared with other formats
+//   parse       parse(buffer, size, structures, warnings) fills the universal schema and may return extra top-level
+//               result fields
+//   decode      optional decode(buffer) to SSARdsp samples (decodeWav result shape), used by decodeAudio
+// Formats registered later are tried first, so a specific format can claim files of a generic container; registering
+// an existing name replaces that format in place.
+const formats = [];
+
+function registerFormat(format) {
+  if (!format || typeof format.name !== 'string' || typeof format.parse !== 'function') {
+    throw new Error('A format needs a name and a parse function');
   }
+  const signatures = (format.signatures || []).map(alternative => [].concat(alternative).map(test => {
+    const bytes = test.hex !== undefined ? Buffer.from(test.hex, 'hex') : Buffer.from(test.ascii || '', 'latin1');
+    const mask = test.mask !== undefined ? Buffer.from(test.mask, 'hex') : null;
+    if (bytes.length === 0 || (test.hex !== undefined && test.hex.length !== 2 * bytes.length) || (mask && mask.length !== bytes.length)) {
+      throw new Error(`Invalid signature for format ${format.name}: ${JSON.stringify(test)}`);
+    }
+    return { offset: test.offset || 0, bytes, mask };
+  }));
+  if (signatures.length === 0) throw new Error(`Format ${format.name} has no signatures`);
+  const entry = Object.assign({}, format, { signatures });
+  const index = formats.findIndex(f => f.name === format.name);
+  if (index >= 0) formats[index] = entry;
+  else formats.unshift(entry);
+  return entry;
+}
+
+// Registered format of buffer, or null
+function detectFormat(buffer) {
+  const matches = ({ offset, bytes, mask }) => {
+    if (offset + bytes.length > buffer.length) return false;
+    for (let i = 0; i < bytes.length; i++) {
+      const m = mask ? mask[i] : 0xFF;
+      if ((buffer[offset + i] & m) !== (bytes[i] & m)) return false;
+    }
+    return true;
+  };
+  return formats.find(format => format.signatures.some(tests => tests.every(matches)) && (!format.match || format.match(buffer))) || null;
+}
+
+// Samples of an audio file through its format's decoder: the decodeWav result plus signal (the mono mix)
+function decodeAudio(buffer) {
+  const format = detectFormat(buffer);
+  if (!format || !format.decode) throw new Error(`No audio decoder for ${format ? format.name : 'Unknown'} files`);
+  const audio = format.decode(buffer);
+  audio.signal = dsp.mixToMono(audio.channels);
+  return audio;
 }
 
-// Helper: Parse ELF and populate universal structures
-function parseELF(buffer, size, structures) {
+// Built-in formats (tried in reverse order; none of their signatures overlap)
+registerFormat({ name: 'ELF', signatures: [{ hex: '7F454C46' }], parse: parseELF });
+registerFormat({ name: 'PE', signatures: [{ hex: '4D5A' }], parse: parsePE });
+registerFormat({
+  name: 'Mach-O',
+  signatures: [{ hex: 'FEEDFACE', mask: 'FFFFFFFE' }, { hex: 'CEFAEDFE', mask: 'FEFFFFFF' }], // 32/64-bit, either byte order
+  parse: parseMachO
+});
+registerFormat({
+  name: 'Mach-O Universal',
+  signatures: [{ hex: 'CAFEBABE', mask: 'FFFFFFFE' }], // fat_header and fat_header_64
+  // Java class files share CAFEBABE; their version word is >= 45 where a fat header has a small arch count
+  match: buffer => buffer.length >= 8 && buffer.readUInt32BE(4) < 45,
+  parse: (buffer, size, structures, warnings) => ({ slices: parseMachOUniversal(buffer, size, structures, warnings) }) // one {cpu, offset, size, structures} per architecture
+});
+registerFormat({
+  name: 'WAV',
+  signatures: [[{ ascii: 'RIFF' }, { offset: 8, ascii: 'WAVE' }]],
+  parse: parseWAV,
+  decode: buffer => dsp.decodeWav(buffer)
+});
+registerFormat({
+  name: 'AIFF',
+  signatures: [[{ ascii: 'FORM' }, { offset: 8, ascii: 'AIFF' }], [{ ascii: 'FORM' }, { offset: 8, ascii: 'AIFC' }]],
+  parse: parseAIFF,
+  decode: buffer => dsp.decodeAiff(buffer)
+});
+registerFormat({ name: 'PNG', signatures: [{ hex: '89504E470D0A1A0A' }], parse: parsePNG });
+// Local file header, or the end of central directory record of an empty archive
+registerFormat({ name: 'ZIP', signatures: [{ hex: '504B0304' }, { hex: '504B0506' }], parse: parseZIP });
+registerFormat({ name: 'PDF', signatures: [{ ascii: '%PDF-' }], parse: parsePDF });
+registerFormat({ name: 'gzip', signatures: [{ hex: '1F8B' }], parse: parseGzip });
+
+// ELF lookup tables (names for the numeric fields; unknown values are reported as numbers)
+const ELF_TYPES = { 0: 'ET_NONE', 1: 'ET_REL', 2: 'ET_EXEC', 3: 'ET_DYN', 4: 'ET_CORE' };
+const ELF_MACHINES = {
+  0: 'None', 2: 'SPARC', 3: 'x86', 8: 'MIPS', 20: 'PowerPC', 21: 'PowerPC64', 22: 'S390', 40: 'ARM', 42: 'SuperH',
+  43: 'SPARCv9', 50: 'IA-64', 62: 'x86-64', 183: 'AArch64', 243: 'RISC-V', 247: 'BPF', 258: 'LoongArch'
+};
+const ELF_OSABI = { 0: 'SYSV', 1: 'HP-UX', 2: 'NetBSD', 3: 'Linux', 6: 'Solaris', 9: 'FreeBSD', 12: 'OpenBSD', 97: 'ARM', 255: 'Standalone' };
+const ELF_PROGRAM_TYPES = {
+  0: 'NULL', 1: 'LOAD', 2: 'DYNAMIC', 3: 'INTERP', 4: 'NOTE', 5: 'SHLIB', 6: 'PHDR', 7: 'TLS',
+  0x6474E550: 'GNU_EH_FRAME', 0x6474E551: 'GNU_STACK', 0x6474E552: 'GNU_RELRO', 0x6474E553: 'GNU_PROPERTY'
+};
+const ELF_DYNAMIC_TAGS = {
+  0: 'NULL', 1: 'NEEDED', 2: 'PLTRELSZ', 3: 'PLTGOT', 4: 'HASH', 5: 'STRTAB', 6: 'SYMTAB', 7: 'RELA', 8: 'RELASZ',
+  9: 'RELAENT', 10: 'STRSZ', 11: 'SYMENT', 12: 'INIT', 13: 'FINI', 14: 'SONAME', 15: 'RPATH', 16: 'SYMBOLIC', 17: 'REL',
+  18: 'RELSZ', 19: 'RELENT', 20: 'PLTREL', 21: 'DEBUG', 22: 'TEXTREL', 23: 'JMPREL', 24: 'BIND_NOW', 25: 'INIT_ARRAY',
+  26: 'FINI_ARRAY', 27: 'INIT_ARRAYSZ', 28: 'FINI_ARRAYSZ', 29: 'RUNPATH', 30: 'FLAGS', 32: 'PREINIT_ARRAY',
+  33: 'PREINIT_ARRAYSZ', 0x6FFFFEF5: 'GNU_HASH', 0x6FFFFFF0: 'VERSYM', 0x6FFFFFF9: 'RELACOUNT', 0x6FFFFFFA: 'RELCOUNT',
+  0x6FFFFFFB: 'FLAGS_1', 0x6FFFFFFE: 'VERNEED', 0x6FFFFFFF: 'VERNEEDNUM'
+};
+const ELF_DYNAMIC_STRING_TAGS = [1, 14, 15, 29]; // NEEDED, SONAME, RPATH, RUNPATH
+const ELF_SYMBOL_BINDS = { 0: 'LOCAL', 1: 'GLOBAL', 2: 'WEAK', 10: 'GNU_UNIQUE' };
+const ELF_SYMBOL_TYPES = { 0: 'NOTYPE', 1: 'OBJECT', 2: 'FUNC', 3: 'SECTION', 4: 'FILE', 5: 'COMMON', 6: 'TLS', 10: 'GNU_IFUNC' };
+const ELF_SYMBOL_VISIBILITY = ['DEFAULT', 'INTERNAL', 'HIDDEN', 'PROTECTED'];
+const ELF_SECTION_FLAGS = [
+  [0x1, 'W', 'write'], [0x2, 'A', 'alloc'], [0x4, 'X', 'execinstr'], [0x10, 'M', 'merge'], [0x20, 'S', 'strings'],
+  [0x40, 'I', 'info_link'], [0x80, 'L', 'link_order'], [0x100, 'O', 'os_nonconforming'], [0x200, 'G', 'group'],
+  [0x400, 'T', 'tls'], [0x800, 'C', 'compressed']
+];
+const ELF_GNU_NOTE_TYPES = { 1: 'ABI_TAG', 2: 'HWCAP', 3: 'BUILD_ID', 4: 'GOLD_VERSION', 5: 'PROPERTY_TYPE_0' };
+// Relocation type names for the common machines (by e_machine)
+const ELF_RELOCATION_TYPES = {
+  3: { 0: 'R_386_NONE', 1: 'R_386_32', 2: 'R_386_PC32', 3: 'R_386_GOT32', 4: 'R_386_PLT32', 5: 'R_386_COPY', 6: 'R_386_GLOB_DAT', 7: 'R_386_JMP_SLOT', 8: 'R_386_RELATIVE', 9: 'R_386_GOTOFF', 10: 'R_386_GOTPC' },
+  62: { 0: 'R_X86_64_NONE', 1: 'R_X86_64_64', 2: 'R_X86_64_PC32', 3: 'R_X86_64_GOT32', 4: 'R_X86_64_PLT32', 5: 'R_X86_64_COPY', 6: 'R_X86_64_GLOB_DAT', 7: 'R_X86_64_JUMP_SLOT', 8: 'R_X86_64_RELATIVE', 9: 'R_X86_64_GOTPCREL', 10: 'R_X86_64_32', 11: 'R_X86_64_32S', 16: 'R_X86_64_DTPMOD64', 17: 'R_X86_64_DTPOFF64', 18: 'R_X86_64_TPOFF64', 37: 'R_X86_64_IRELATIVE', 41: 'R_X86_64_GOTPCRELX', 42: 'R_X86_64_REX_GOTPCRELX' },
+  183: { 0: 'R_AARCH64_NONE', 257: 'R_AARCH64_ABS64', 261: 'R_AARCH64_PREL32', 275: 'R_AARCH64_ADR_PREL_PG_HI21', 277: 'R_AARCH64_ADD_ABS_LO12_NC', 282: 'R_AARCH64_JUMP26', 283: 'R_AARCH64_CALL26', 1024: 'R_AARCH64_COPY', 1025: 'R_AARCH64_GLOB_DAT', 1026: 'R_AARCH64_JUMP_SLOT', 1027: 'R_AARCH64_RELATIVE' },
+  40: { 0: 'R_ARM_NONE', 2: 'R_ARM_ABS32', 3: 'R_ARM_REL32', 20: 'R_ARM_COPY', 21: 'R_ARM_GLOB_DAT', 22: 'R_ARM_JUMP_SLOT', 23: 'R_ARM_RELATIVE', 28: 'R_ARM_CALL', 29: 'R_ARM_JUMP24' }
+};
+
+// Limits for corrupt inputs, where overlapping tables and strings could otherwise re-read the file without end:
+// entries per table and per file, characters per string and per file, and warnings kept per file
+const MAX_TABLE_ENTRIES = 0x40000;
+const MAX_FILE_ENTRIES = 0x100000;
+const MAX_STRING_LENGTH = 4096;
+const MAX_FILE_TEXT = 0x4000000;
+const MAX_WARNINGS = 256;
+
+// Structured parse diagnostic {field, offset, reason}; past MAX_WARNINGS one final note replaces the rest
+function addWarning(warnings, field, offset, reason) {
+  if (warnings.length < MAX_WARNINGS) warnings.push({ field, offset, reason });
+  else if (warnings.length === MAX_WARNINGS) warnings.push({ field: 'warnings', offset, reason: `More than ${MAX_WARNINGS} warnings, the rest are suppressed` });
+}
+
+// Bounds-checked cursor over a file buffer with explicit byte order and word size (Elf32/Elf64 addresses, Mach-O
+// and PE fields). Every read is validated against the buffer: out-of-range reads return 0 ('' for strings) and add a
+// warning instead of throwing. base is the buffer's position in the file (fat slices), added to reported offsets.
+function binaryReader(buffer, littleEndian, is64bit, warnings, base = 0) {
+  let position = 0;
+  let entries = MAX_FILE_ENTRIES;
+  let text = MAX_FILE_TEXT;
+  const capped = new Set();
+  const fits = (off, length) => Number.isSafeInteger(off) && off >= 0 && length >= 0 && off + length <= buffer.length;
+  const warn = (field, off, reason) => addWarning(warnings, field, base + off, reason);
+  // True when [off, off + length) lies inside the buffer, else warns for field
+  const need = (off, length, field) => {
+    if (fits(off, length)) return true;
+    warn(field, off, `${length} bytes at offset ${base + off} extend past end of file`);
+    return false;
+  };
+  // Charges decoded characters to the file's text budget; false (with one warning) once it is spent
+  const spend = (length, field, off) => {
+    if (text === 0) return false;
+    text = Math.max(0, text - length);
+    if (text === 0) warn(field, off, `More than ${MAX_FILE_TEXT} characters of strings, the rest are left empty`);
+    return text > 0;
+  };
+  const reader = (width, name, le, be) => (off, field = name) => {
+    if (!need(off, width, field)) return 0;
+    return littleEndian ? le.call(buffer, off) : be.call(buffer, off);
+  };
+  const u8 = (off, field = 'u8') => need(off, 1, field) ? buffer[off] : 0;
+  const u16 = reader(2, 'u16', buffer.readUInt16LE, buffer.readUInt16BE);
+  const u32 = reader(4, 'u32', buffer.readUInt32LE, buffer.readUInt32BE);
+  const i32 = reader(4, 'i32', buffer.readInt32LE, buffer.readInt32BE);
+  const big = reader(8, 'u64', buffer.readBigUInt64LE, buffer.readBigUInt64BE);
+  const bigSigned = reader(8, 'i64', buffer.readBigInt64LE, buffer.readBigInt64BE);
+  const u64 = (off, field) => Number(big(off, field));
+  const i64 = (off, field) => Number(bigSigned(off, field));
+  const word = (off, field = 'word') => is64bit ? u64(off, field) : u32(off, field); // addresses, offsets and sizes
+  const sword = (off, field = 'sword') => is64bit ? i64(off, field) : i32(off, field);
+  const types = { u8: [u8, 1], u16: [u16, 2], u32: [u32, 4], u64: [u64, 8], word: [word, is64bit ? 8 : 4] };
+  return {
+    fits,
+    need,
+    warn,
+    u8,
+    u16,
+    u32,
+    u64,
+    word,
+    sword,
+    // NUL-terminated string, capped at MAX_STRING_LENGTH characters
+    cstring: (off, field = 'string') => {
+      if (!need(off, 1, field) || text === 0) return '';
+      const str = readCString(buffer, off);
+      if (!spend(str.length, field, off)) return '';
+      if (str.length === MAX_STRING_LENGTH) warn(field, off, `String truncated to ${MAX_STRING_LENGTH} characters`);
+      return str;
+    },
+    // length bytes decoded as encoding ('latin1', 'utf16le', 'hex'), clipped to the end of the buffer
+    text: (off, length, encoding, field = 'string') => {
+      if (!need(off, Math.min(length, 1), field) || text === 0) return '';
+      const end = Math.min(off + length, buffer.length);
+      if (!fits(off, length)) warn(field, off, `${length} bytes at offset ${base + off} extend past end of file`);
+      const str = buffer.toString(encoding, off, end);
+      return spend(str.length, field, off) ? str : '';
+    },
+    // Number of whole entries of entrySize at off that can be read: n clamped to the end of the buffer, to limit and
+    // to what is left of the file's entry budget
+    count: (n, off, entrySize, field, limit = MAX_TABLE_ENTRIES) => {
+      const available = fits(off, 0) ? Math.floor((buffer.length - off) / entrySize) : 0;
+      let clamped = n;
+      if (clamped > available) {
+        warn(field, off, `${n} entries of ${entrySize} bytes extend past end of file, reading ${available}`);
+        clamped = available;
+      }
+      const allowed = Math.min(limit, entries);
+      if (clamped > allowed) {
+        warn(field, off, `${clamped} entries exceed the entry limit, reading ${allowed}`);
+        clamped = allowed;
+      }
+      entries -= clamped;
+      return clamped;
+    },
+    // True once a table holds MAX_TABLE_ENTRIES entries (warned once per table), for lists ended by a terminator
+    full: (table, off) => {
+      if (table.entries.length < MAX_TABLE_ENTRIES) return false;
+      if (!capped.has(table)) warn(table.name, off, `More than ${MAX_TABLE_ENTRIES} entries, the rest are skipped`);
+      capped.add(table);
+      return true;
+    },
+    // Cursor: seek/tell, and next(type, field) reads at the cursor and advances past the value
+    seek: off => { position = off; },
+    tell: () => position,
+    next: (type, field) => {
+      const [read, width] = types[type];
+      const value = read(position, field);
+      position += width;
+      return value;
+    }
+  };
+}
+
+// NUL-terminated ASCII string at offset ('' when out of range), at most maxLength characters
+function readCString(buffer, offset, maxLength = MAX_STRING_LENGTH) {
+  let str = '';
+  for (let j = offset; j >= 0 && j < buffer.length && buffer[j] !== 0 && str.length < maxLength; j++) str += String.fromCharCode(buffer[j]);
+  return str;
+}
+
+// Flag letters as printed by readelf (e.g. 'AX') and a name -> boolean map; rows are [mask, letter, name] or [mask, name]
+function decodeFlags(value, table) {
+  const bits = {};
+  let letters = '';
+  for (const row of table) {
+    const [mask, letter, name] = row.length === 3 ? row : [row[0], '', row[1]];
+    bits[name] = (value & mask) !== 0;
+    if (bits[name]) letters += letter;
+  }
+  return { letters, bits };
+}
+
+// Helper: Parse ELF (ELF32/ELF64, either byte order) and populate universal structures. Truncated or inconsistent
+// tables are read as far as the file allows, with the problems recorded in warnings.
+function parseELF(buffer, size, structures, warnings) {
   const ei_class = buffer[4];
   const ei_data = buffer[5];
-  if (ei_data !== 1) throw new Error('Big-endian not supported');
+  if (ei_class !== 1 && ei_class !== 2) return addWarning(warnings, 'ei_class', 4, `Invalid ELF class ${ei_class}`);
+  if (ei_data !== 1 && ei_data !== 2) return addWarning(warnings, 'ei_data', 5, `Invalid ELF data encoding ${ei_data}`);
   const is64bit = ei_class === 2;
+  const littleEndian = ei_data === 1;
+  const r = binaryReader(buffer, littleEndian, is64bit, warnings);
+  const wordSize = is64bit ? 8 : 4;
+  const ehsize = is64bit ? 64 : 52;
+  if (!r.need(0, ehsize, 'elf_header')) return;
 
-  // Headers (e_ident, e_type, etc.)
+  // Headers (e_ident, then the class-dependent layout of the rest of the ELF header, read with the cursor)
   structures.headers.push({ name: 'ei_class', value: is64bit ? '64-bit' : '32-bit', type: 'integer', offset: 4 });
-  structures.headers.push({ name: 'ei_data', value: 'Little-endian', type: 'string', offset: 5 });
-  structures.headers.push({ name: 'ei_osabi', value: buffer[7], type: 'integer', offset: 7 });
-  structures.headers.push({ name: 'e_type', value: buffer.readUInt16LE(16), type: 'integer', offset: 16 });
-  structures.headers.push({ name: 'e_machine', value: buffer.readUInt16LE(18), type: 'integer', offset: 18 });
-
-  let offset = 24;
-  structures.headers.push({ name: 'e_entry', value: is64bit ? Number(buffer.readBigUInt64LE(offset)) : buffer.readUInt32LE(offset), type: 'address', offset });
-  offset += is64bit ? 8 : 4;
-  structures.headers.push({ name: 'e_phoff', value: is64bit ? Number(buffer.readBigUInt64LE(offset)) : buffer.readUInt32LE(offset), type: 'offset', offset });
-  offset += is64bit ? 8 : 4;
-  const shoff = is64bit ? Number(buffer.readBigUInt64LE(offset)) : buffer.readUInt32LE(offset);
-  structures.headers.push({ name: 'e_shoff', value: shoff, type: 'offset', offset });
-  offset += is64bit ? 8 : 4 + 4; // Skip flags and ehsize
-  offset += 4; // phentsize + phnum
-  const shentsize = buffer.readUInt16LE(offset);
-  offset += 2;
-  const shnum = buffer.readUInt16LE(offset);
-  structures.headers.push({ name: 'e_shnum', value: shnum, type: 'integer', offset });
-  offset += 2;
-  const shstrndx = buffer.readUInt16LE(offset);
-  structures.headers.push({ name: 'e_shstrndx', value: shstrndx, type: 'integer', offset });
-
-  // Flags (from e_flags, but simplified)
-  structures.flags.push({ name: 'e_flags', value: buffer.readUInt32LE(36), bits: {} }); // Expand bits if needed
+  structures.headers.push({ name: 'ei_data', value: littleEndian ? 'Little-endian' : 'Big-endian', type: 'string', offset: 5 });
+  structures.headers.push({ name: 'ei_version', value: buffer[6], type: 'integer', offset: 6 });
+  structures.headers.push({ name: 'ei_osabi', value: buffer[7], type: 'integer', offset: 7, label: ELF_OSABI[buffer[7]] || 'Unknown' });
+  structures.headers.push({ name: 'ei_abiversion', value: buffer[8], type: 'integer', offset: 8 });
+  const header = {};
+  const headerOffsets = {};
+  r.seek(16);
+  for (const [name, type, headerType] of [
+    ['e_type', 'u16', 'integer'], ['e_machine', 'u16', 'integer'], ['e_version', 'u32', 'integer'], ['e_entry', 'word', 'address'],
+    ['e_phoff', 'word', 'offset'], ['e_shoff', 'word', 'offset'], ['e_flags', 'u32', 'flags'], ['e_ehsize', 'u16', 'integer'],
+    ['e_phentsize', 'u16', 'integer'], ['e_phnum', 'u16', 'integer'], ['e_shentsize', 'u16', 'integer'],
+    ['e_shnum', 'u16', 'integer'], ['e_shstrndx', 'u16', 'integer']
+  ]) {
+    const offset = r.tell();
+    headerOffsets[name] = offset;
+    header[name] = r.next(type, name);
+    const entry = { name, value: header[name], type: headerType, offset };
+    if (name === 'e_type') entry.label = ELF_TYPES[header[name]] || 'Unknown';
+    if (name === 'e_machine') entry.label = ELF_MACHINES[header[name]] || 'Unknown';
+    structures.headers.push(entry);
+  }
+  const { e_machine, e_flags, e_phoff: phoff, e_shoff: shoff, e_phentsize: phentsize, e_shentsize: shentsize } = header;
+  let { e_phnum: phnum, e_shnum: shnum, e_shstrndx: shstrndx } = header;
+
+  // Flags (e_flags is processor-specific; ARM carries the EABI version in the top byte)
+  const flagBits = {};
+  if (e_machine === 40) {
+    flagBits.eabi_version = e_flags >>> 24;
+    flagBits.hard_float = (e_flags & 0x400) !== 0;
+    flagBits.soft_float = (e_flags & 0x200) !== 0;
+  } else if (e_machine === 243) {
+    flagBits.rvc = (e_flags & 0x1) !== 0;
+    flagBits.float_abi = ['soft', 'single', 'double', 'quad'][(e_flags >> 1) & 3];
+  }
+  structures.flags.push({ name: 'e_flags', value: e_flags, bits: flagBits });
+
+  // Section header fields (Elf32_Shdr / Elf64_Shdr)
+  const readSection = off => ({
+    sh_name_idx: r.u32(off),
+    sh_type: r.u32(off + 4),
+    sh_flags: r.word(off + 8),
+    sh_addr: r.word(off + (is64bit ? 16 : 12)),
+    sh_offset: r.word(off + (is64bit ? 24 : 16)),
+    sh_size: r.word(off + (is64bit ? 32 : 20)),
+    sh_link: r.u32(off + (is64bit ? 40 : 24)),
+    sh_info: r.u32(off + (is64bit ? 44 : 28)),
+    sh_addralign: r.word(off + (is64bit ? 48 : 32)),
+    sh_entsize: r.word(off + (is64bit ? 56 : 36))
+  });
+
+  // Extended numbering: counts that do not fit the header live in section 0
+  const shdrSize = is64bit ? 64 : 40;
+  const phdrSize = is64bit ? 56 : 32;
+  if (shoff > 0 && shentsize >= shdrSize && r.fits(shoff, shdrSize) && (shnum === 0 || shstrndx === 0xFFFF || phnum === 0xFFFF)) {
+    const first = readSection(shoff);
+    if (shnum === 0) shnum = first.sh_size;
+    if (shstrndx === 0xFFFF) shstrndx = first.sh_link;
+    if (phnum === 0xFFFF) phnum = first.sh_info;
+  }
+
+  // Entries smaller than the header structures would overlap; counts are clamped to what the file holds
+  if (shoff > 0 && shnum > 0 && shentsize < shdrSize) {
+    r.warn('e_shentsize', headerOffsets.e_shentsize, `Section header size ${shentsize} is smaller than ${shdrSize}`);
+    shnum = 0;
+  }
+  if (phoff > 0 && phnum > 0 && phentsize < phdrSize) {
+    r.warn('e_phentsize', headerOffsets.e_phentsize, `Program header size ${phentsize} is smaller than ${phdrSize}`);
+    phnum = 0;
+  }
+  if (shoff > 0 && shnum > 0) shnum = r.count(shnum, shoff, shentsize, 'section_headers');
+  if (phoff > 0 && phnum > 0) phnum = r.count(phnum, phoff, phentsize, 'program_headers');
 
   // Tables: Section header table
   const sectionTable = { name: 'section_headers', entries: [] };
+  const sections = [];
   if (shnum > 0 && shoff > 0) {
-    const shstr_off = is64bit ? Number(buffer.readBigUInt64LE(shoff + shstrndx * shentsize + 24)) : buffer.readUInt32LE(shoff + shstrndx * shentsize + 16);
-    for (let i = 0; i < shnum; i++) {
-      const sec_offset = shoff + i * shentsize;
-      const sh_name_idx = is64bit ? buffer.readUInt32LE(sec_offset) : buffer.readUInt32LE(sec_offset);
-      const sh_type = is64bit ? buffer.readUInt32LE(sec_offset + 4) : buffer.readUInt32LE(sec_offset + 4);
-      const sh_flags = is64bit ? Number(buffer.readBigUInt64LE(sec_offset + 8)) : buffer.readUInt32LE(sec_offset + 8);
-      const sh_addr = is64bit ? Number(buffer.readBigUInt64LE(sec_offset + 16)) : buffer.readUInt32LE(sec_offset + 12);
-      const sh_offset = is64bit ? Number(buffer.readBigUInt64LE(sec_offset + 24)) : buffer.readUInt32LE(sec_offset + 16);
-      const sh_size = is64bit ? Number(buffer.readBigUInt64LE(sec_offset + 32)) : buffer.readUInt32LE(sec_offset + 20);
-      let name = '';
-      let j = shstr_off + sh_name_idx;
-      while (buffer[j] !== 0 && j < size) {
-        name += String.fromCharCode(buffer[j]);
-        j++;
-      }
-      const entry = { sh_name: name, sh_type, sh_flags, sh_addr, sh_offset, sh_size };
+    for (let i = 0; i < shnum; i++) sections.push(readSection(shoff + i * shentsize));
+    if (shstrndx >= shnum && shstrndx !== 0) r.warn('e_shstrndx', headerOffsets.e_shstrndx, `Section name table index ${shstrndx} is out of range`);
+    const shstr_off = shstrndx < shnum ? sections[shstrndx].sh_offset : -1;
+    sections.forEach((sec, i) => {
+      const name = shstr_off >= 0 ? r.cstring(shstr_off + sec.sh_name_idx, 'sh_name') : '';
+      const flags = decodeFlags(sec.sh_flags, ELF_SECTION_FLAGS);
+      sec.name = name;
+      sec.index = i;
+      const entry = {
+        index: i,
+        sh_name: name,
+        sh_type: sec.sh_type,
+        type: getSectionType(sec.sh_type),
+        sh_flags: sec.sh_flags,
+        flags: flags.letters,
+        sh_addr: sec.sh_addr,
+        sh_offset: sec.sh_offset,
+        sh_size: sec.sh_size,
+        sh_link: sec.sh_link,
+        sh_info: sec.sh_info,
+        sh_addralign: sec.sh_addralign,
+        sh_entsize: sec.sh_entsize
+      };
       sectionTable.entries.push(entry);
 
       // Segments/Sections
-      structures.segments.push({ name, offset: sh_offset, size: sh_size, type: getSectionType(sh_type) });
+      structures.segments.push({ name, offset: sec.sh_offset, size: sec.sh_type === 8 ? 0 : sec.sh_size, type: getSectionType(sec.sh_type) });
+      if (sec.sh_type !== 8 && sec.sh_size > 0) r.need(sec.sh_offset, sec.sh_size, name || `section_${i}`);
 
-      // Groups (categorize)
+      // Groups (categorize by name, then by type and flags)
       if (name.startsWith('.text') || name.startsWith('.code')) structures.groups.logical.push(name);
       else if (name.startsWith('.data') || name.startsWith('.bss')) structures.groups.physical.push(name);
       else if (name === '.symtab' || name === '.strtab') structures.groups.mechanical.push(name);
+      else if ([2, 3, 4, 5, 6, 9, 11, 0x6FFFFFF6].includes(sec.sh_type)) structures.groups.mechanical.push(name); // linker metadata
+      else if (flags.bits.execinstr) structures.groups.logical.push(name);
+      else if (flags.bits.write) structures.groups.physical.push(name);
       else structures.groups.other.push(name);
-    }
+    });
   }
   structures.tables.push(sectionTable);
 
-  // Tables: Symbol table (if found)
-  const symTable = { name: 'symbols', entries: [] };
-  for (let sec of sectionTable.entries) {
-    if (sec.sh_type === 2) { // SYMTAB
-      const sym_size = is64bit ? 24 : 16;
-      const num_syms = sec.sh_size / sym_size;
-      const strtab_idx = is64bit ? buffer.readUInt32LE(shoff + sec.sh_index * shentsize + 8) : buffer.readUInt32LE(shoff + sec.sh_index * shentsize + 8); // Assume sh_index is i, but adjust
-      const strtab_off = is64bit ? Number(buffer.readBigUInt64LE(shoff + strtab_idx * shentsize + 24)) : buffer.readUInt32LE(shoff + strtab_idx * shentsize + 16);
-      for (let s = 0; s < num_syms; s++) {
-        const sym_off = sec.sh_offset + s * sym_size;
-        const st_name = is64bit ? buffer.readUInt32LE(sym_off) : buffer.readUInt32LE(sym_off);
-        const st_value = is64bit ? Number(buffer.readBigUInt64LE(sym_off + 8)) : buffer.readUInt32LE(sym_off + 4);
-        let sym_name = '';
-        let j = strtab_off + st_name;
-        while (buffer[j] !== 0 && j < size) {
-          sym_name += String.fromCharCode(buffer[j]);
-          j++;
-        }
-        if (sym_name) symTable.entries.push({ name: sym_name, value: st_value });
+  // Tables: Program headers (Elf32_Phdr / Elf64_Phdr), also reported as segments
+  const programs = [];
+  const programTable = { name: 'program_headers', entries: [] };
+  for (let i = 0; i < phnum && phoff > 0; i++) {
+    const off = phoff + i * phentsize;
+    const ph = is64bit ? {
+      p_type: r.u32(off), p_flags: r.u32(off + 4), p_offset: r.u64(off + 8), p_vaddr: r.u64(off + 16),
+      p_paddr: r.u64(off + 24), p_filesz: r.u64(off + 32), p_memsz: r.u64(off + 40), p_align: r.u64(off + 48)
+    } : {
+      p_type: r.u32(off), p_offset: r.u32(off + 4), p_vaddr: r.u32(off + 8), p_paddr: r.u32(off + 12),
+      p_filesz: r.u32(off + 16), p_memsz: r.u32(off + 20), p_flags: r.u32(off + 24), p_align: r.u32(off + 28)
+    };
+    const typeName = ELF_PROGRAM_TYPES[ph.p_type] || `0x${ph.p_type.toString(16)}`;
+    const perms = (ph.p_flags & 4 ? 'R' : '-') + (ph.p_flags & 2 ? 'W' : '-') + (ph.p_flags & 1 ? 'X' : '-');
+    const entry = Object.assign({ index: i, type: typeName }, ph, { permissions: perms });
+    if (ph.p_type === 3) entry.interpreter = r.cstring(ph.p_offset, 'interpreter'); // PT_INTERP
+    programs.push(ph);
+    programTable.entries.push(entry);
+
+    const name = `${typeName}_${i}`;
+    structures.segments.push({ name, offset: ph.p_offset, size: ph.p_filesz, type: 'ELF Segment', vaddr: ph.p_vaddr, memsz: ph.p_memsz, permissions: perms });
+    if (ph.p_filesz > 0) r.need(ph.p_offset, ph.p_filesz, name);
+    if (ph.p_type === 1 && (ph.p_flags & 1)) structures.groups.logical.push(name);
+    else if (ph.p_type === 1) structures.groups.physical.push(name);
+    else if ([2, 3, 4, 6].includes(ph.p_type)) structures.groups.mechanical.push(name);
+    else structures.groups.other.push(name);
+    if (entry.interpreter) structures.headers.push({ name: 'interpreter', value: entry.interpreter, type: 'string', offset: ph.p_offset });
+  }
+  if (programTable.entries.length > 0) structures.tables.push(programTable);
+
+  // Virtual address -> file offset through the PT_LOAD segments (-1 when unmapped)
+  const vaddrToOffset = vaddr => {
+    for (const ph of programs) {
+      if (ph.p_type === 1 && vaddr >= ph.p_vaddr && vaddr < ph.p_vaddr + ph.p_filesz) return ph.p_offset + (vaddr - ph.p_vaddr);
+    }
+    return -1;
+  };
+
+  // Tables: Symbol tables (.symtab and .dynsym), names from the linked string table
+  const symbolTables = {};
+  for (const sec of sections) {
+    if (sec.sh_type !== 2 && sec.sh_type !== 11) continue; // SYMTAB, DYNSYM
+    const sym_size = is64bit ? 24 : 16;
+    const symTable = { name: sec.sh_type === 2 ? 'symbols' : 'dynamic_symbols', section: sec.name, entries: [] };
+    const num_syms = r.count(Math.floor(sec.sh_size / sym_size), sec.sh_offset, sym_size, symTable.name);
+    const strtab = sections[sec.sh_link];
+    const strtab_off = strtab ? strtab.sh_offset : -1;
+    const symbols = [];
+    for (let s = 0; s < num_syms; s++) {
+      const sym_off = sec.sh_offset + s * sym_size;
+      const st_name = r.u32(sym_off);
+      const st_info = r.u8(sym_off + (is64bit ? 4 : 12));
+      const st_other = r.u8(sym_off + (is64bit ? 5 : 13));
+      const st_shndx = r.u16(sym_off + (is64bit ? 6 : 14));
+      const st_value = r.word(sym_off + (is64bit ? 8 : 4));
+      const st_size = r.word(sym_off + (is64bit ? 16 : 8));
+      const sym_name = strtab_off >= 0 && st_name > 0 ? r.cstring(strtab_off + st_name, 'st_name') : '';
+      const section = st_shndx === 0 ? 'UNDEF' : st_shndx === 0xFFF1 ? 'ABS' : st_shndx === 0xFFF2 ? 'COMMON'
+        : (sections[st_shndx] ? sections[st_shndx].name : st_shndx);
+      const entry = {
+        name: sym_name,
+        value: st_value,
+        size: st_size,
+        bind: ELF_SYMBOL_BINDS[st_info >> 4] || st_info >> 4,
+        type: ELF_SYMBOL_TYPES[st_info & 0xF] || st_info & 0xF,
+        visibility: ELF_SYMBOL_VISIBILITY[st_other & 3],
+        section
+      };
+      symbols.push(entry);
+      if (sym_name) symTable.entries.push(entry);
+    }
+    symbolTables[sec.index] = symbols;
+    if (symTable.entries.length > 0) structures.tables.push(symTable);
+  }
+
+  // Tables: Dynamic section (from SHT_DYNAMIC, or PT_DYNAMIC when there are no section headers)
+  const dynSection = sections.find(sec => sec.sh_type === 6);
+  const dynProgram = programs.find(ph => ph.p_type === 2);
+  if (dynSection || dynProgram) {
+    const dyn_off = dynSection ? dynSection.sh_offset : dynProgram.p_offset;
+    const dyn_size = dynSection ? dynSection.sh_size : dynProgram.p_filesz;
+    const count = r.count(Math.floor(dyn_size / (2 * wordSize)), dyn_off, 2 * wordSize, 'dynamic');
+    const raw = [];
+    for (let k = 0; k < count; k++) {
+      const off = dyn_off + k * 2 * wordSize;
+      const tag = r.sword(off);
+      const value = r.word(off + wordSize);
+      raw.push({ tag, value, offset: off });
+      if (tag === 0) break; // DT_NULL
+    }
+    // Strings come from the linked section, or from DT_STRTAB mapped through the load segments
+    let dynstr_off = dynSection && sections[dynSection.sh_link] ? sections[dynSection.sh_link].sh_offset : -1;
+    if (dynstr_off < 0) {
+      const strtabTag = raw.find(d => d.tag === 5);
+      if (strtabTag) dynstr_off = vaddrToOffset(strtabTag.value);
+    }
+    const dynTable = { name: 'dynamic', entries: [] };
+    const needed = { name: 'needed_libraries', entries: [] };
+    for (const d of raw) {
+      const entry = { tag: d.tag, name: ELF_DYNAMIC_TAGS[d.tag] || `0x${d.tag.toString(16)}`, value: d.value };
+      if (ELF_DYNAMIC_STRING_TAGS.includes(d.tag) && dynstr_off >= 0) entry.string = r.cstring(dynstr_off + d.value, entry.name);
+      dynTable.entries.push(entry);
+      if (d.tag === 1) needed.entries.push({ name: entry.string });
+      if (d.tag === 14) structures.headers.push({ name: 'soname', value: entry.string, type: 'string', offset: d.offset });
+      if (d.tag === 15 || d.tag === 29) structures.headers.push({ name: entry.name.toLowerCase(), value: entry.string, type: 'string', offset: d.offset });
+    }
+    structures.tables.push(dynTable);
+    if (needed.entries.length > 0) structures.tables.push(needed);
+  }
+
+  // Tables: Relocations (SHT_REL / SHT_RELA), symbol names from the linked symbol table
+  const relocNames = ELF_RELOCATION_TYPES[e_machine] || {};
+  for (const sec of sections) {
+    if (sec.sh_type !== 4 && sec.sh_type !== 9) continue;
+    const isRela = sec.sh_type === 4;
+    const entsize = (isRela ? 3 : 2) * wordSize;
+    const count = r.count(Math.floor(sec.sh_size / entsize), sec.sh_offset, entsize, 'relocations');
+    const symbols = symbolTables[sec.sh_link] || [];
+    const relTable = { name: 'relocations', section: sec.name, entries: [] };
+    for (let k = 0; k < count; k++) {
+      const off = sec.sh_offset + k * entsize;
+      let symIndex;
+      let type;
+      if (is64bit) { // r_info: symbol index in the high word, type in the low word
+        symIndex = r.u32(off + (littleEndian ? 12 : 8));
+        type = r.u32(off + (littleEndian ? 8 : 12));
+      } else {
+        const info = r.u32(off + 4);
+        symIndex = info >>> 8;
+        type = info & 0xFF;
       }
-      break;
+      const entry = { offset: r.word(off), type, typeName: relocNames[type] || String(type), symbolIndex: symIndex };
+      if (symbols[symIndex] && symbols[symIndex].name) entry.symbol = symbols[symIndex].name;
+      if (isRela) entry.addend = r.sword(off + 2 * wordSize);
+      relTable.entries.push(entry);
+    }
+    structures.tables.push(relTable);
+  }
+
+  // Tables: Notes (SHT_NOTE sections, or PT_NOTE segments without section headers)
+  const noteRanges = sections.length > 0
+    ? sections.filter(sec => sec.sh_type === 7).map(sec => ({ source: sec.name, offset: sec.sh_offset, size: sec.sh_size }))
+    : programs.filter(ph => ph.p_type === 4).map((ph, i) => ({ source: `NOTE_${i}`, offset: ph.p_offset, size: ph.p_filesz }));
+  const noteTable = { name: 'notes', entries: [] };
+  const align4 = n => Math.ceil(n / 4) * 4; // sizes are u32, past the range of the bitwise operators
+  for (const range of noteRanges) {
+    let off = range.offset;
+    const end = Math.min(range.offset + range.size, size);
+    if (range.size > 0 && !r.need(off, Math.min(range.size, 12), 'notes')) continue;
+    while (off + 12 <= end && !r.full(noteTable, off)) {
+      const namesz = r.u32(off);
+      const descsz = r.u32(off + 4);
+      const type = r.u32(off + 8);
+      const nameStart = off + 12;
+      const descStart = nameStart + align4(namesz);
+      if (descStart + descsz > end) {
+        r.warn('notes', off, `Note of ${namesz} + ${descsz} bytes extends past the end of ${range.source}`);
+        break;
+      }
+      const owner = r.text(nameStart, Math.max(0, namesz - 1), 'latin1', 'note_owner').replace(/\0+$/, '');
+      const entry = { source: range.source, owner, type, typeName: owner === 'GNU' ? (ELF_GNU_NOTE_TYPES[type] || String(type)) : String(type), size: descsz };
+      if (owner === 'GNU' && type === 3) {
+        entry.buildId = r.text(descStart, descsz, 'hex', 'build_id');
+        structures.headers.push({ name: 'build_id', value: entry.buildId, type: 'string', offset: descStart });
+      } else if (owner === 'GNU' && type === 1 && descsz >= 16) {
+        const os = ['Linux', 'GNU', 'Solaris2', 'FreeBSD'][r.u32(descStart)] || r.u32(descStart);
+        entry.abi = `${os} ${r.u32(descStart + 4)}.${r.u32(descStart + 8)}.${r.u32(descStart + 12)}`;
+      } else {
+        entry.description = r.text(descStart, descsz, 'hex', 'notes');
+      }
+      noteTable.entries.push(entry);
+      off = descStart + align4(descsz);
     }
   }
-  if (symTable.entries.length > 0) structures.tables.push(symTable);
+  if (noteTable.entries.length > 0) structures.tables.push(noteTable);
 }
 
 // Helper for section type
 function getSectionType(type) {
   switch (type) {
+    case 0: return 'NULL';
     case 1: return 'PROGBITS';
     case 2: return 'SYMTAB';
     case 3: return 'STRTAB';
+    case 4: return 'RELA';
+    case 5: return 'HASH';
+    case 6: return 'DYNAMIC';
+    case 7: return 'NOTE';
     case 8: return 'NOBITS';
+    case 9: return 'REL';
+    case 11: return 'DYNSYM';
+    case 14: return 'INIT_ARRAY';
+    case 15: return 'FINI_ARRAY';
+    case 16: return 'PREINIT_ARRAY';
+    case 17: return 'GROUP';
+    case 18: return 'SYMTAB_SHNDX';
+    case 0x6FFFFFF6: return 'GNU_HASH';
+    case 0x6FFFFFFD: return 'VERDEF';
+    case 0x6FFFFFFE: return 'VERNEED';
+    case 0x6FFFFFFF: return 'VERSYM';
     default: return 'Other';
   }
 }
 
-// Basic PE parse
-function parsePE(buffer, size, structures) {
+// PE lookup tables (flag tables are [mask, name] rows for decodeFlags)
+const PE_MACHINES = {
+  0x0: 'UNKNOWN', 0x14C: 'I386', 0x166: 'R4000', 0x1A2: 'SH3', 0x1A6: 'SH4', 0x1C0: 'ARM', 0x1C2: 'THUMB', 0x1C4: 'ARMNT',
+  0x200: 'IA64', 0xEBC: 'EBC', 0x5032: 'RISCV32', 0x5064: 'RISCV64', 0x6232: 'LOONGARCH32', 0x6264: 'LOONGARCH64',
+  0x8664: 'AMD64', 0xA641: 'ARM64EC', 0xAA64: 'ARM64'
+};
+const PE_OPTIONAL_MAGIC = { 0x10B: 'PE32', 0x20B: 'PE32+', 0x107: 'ROM' };
+const PE_SUBSYSTEMS = {
+  0: 'UNKNOWN', 1: 'NATIVE', 2: 'WINDOWS_GUI', 3: 'WINDOWS_CUI', 5: 'OS2_CUI', 7: 'POSIX_CUI', 8: 'NATIVE_WINDOWS',
+  9: 'WINDOWS_CE_GUI', 10: 'EFI_APPLICATION', 11: 'EFI_BOOT_SERVICE_DRIVER', 12: 'EFI_RUNTIME_DRIVER', 13: 'EFI_ROM',
+  14: 'XBOX', 16: 'WINDOWS_BOOT_APPLICATION'
+};
+const PE_CHARACTERISTICS = [
+  [0x0001, 'relocs_stripped'], [0x0002, 'executable'], [0x0004, 'line_nums_stripped'], [0x0008, 'local_syms_stripped'],
+  [0x0010, 'aggressive_ws_trim'], [0x0020, 'large_address_aware'], [0x0080, 'bytes_reversed_lo'], [0x0100, 'machine_32bit'],
+  [0x0200, 'debug_stripped'], [0x0400, 'removable_run_from_swap'], [0x0800, 'net_run_from_swap'], [0x1000, 'system'],
+  [0x2000, 'dll'], [0x4000, 'up_system_only'], [0x8000, 'bytes_reversed_hi']
+];
+const PE_DLL_CHARACTERISTICS = [
+  [0x0020, 'high_entropy_va'], [0x0040, 'dynamic_base'], [0x0080, 'force_integrity'], [0x0100, 'nx_compat'],
+  [0x0200, 'no_isolation'], [0x0400, 'no_seh'], [0x0800, 'no_bind'], [0x1000, 'appcontainer'], [0x2000, 'wdm_driver'],
+  [0x4000, 'guard_cf'], [0x8000, 'terminal_server_aware']
+];
+const PE_SECTION_FLAGS = [
+  [0x00000020, 'cnt_code'], [0x00000040, 'cnt_initialized_data'], [0x00000080, 'cnt_uninitialized_data'],
+  [0x00000200, 'lnk_info'], [0x00000800, 'lnk_remove'], [0x00001000, 'lnk_comdat'], [0x00008000, 'gprel'],
+  [0x01000000, 'lnk_nreloc_ovfl'], [0x02000000, 'mem_discardable'], [0x04000000, 'mem_not_cached'],
+  [0x08000000, 'mem_not_paged'], [0x10000000, 'mem_shared'], [0x20000000, 'mem_execute'], [0x40000000, 'mem_read'],
+  [0x80000000, 'mem_write']
+];
+const PE_DATA_DIRECTORIES = [
+  'EXPORT', 'IMPORT', 'RESOURCE', 'EXCEPTION', 'CERTIFICATE', 'BASERELOC', 'DEBUG', 'ARCHITECTURE',
+  'GLOBALPTR', 'TLS', 'LOAD_CONFIG', 'BOUND_IMPORT', 'IAT', 'DELAY_IMPORT', 'CLR_RUNTIME', 'RESERVED'
+];
+const PE_RESOURCE_TYPES = {
+  1: 'CURSOR', 2: 'BITMAP', 3: 'ICON', 4: 'MENU', 5: 'DIALOG', 6: 'STRING', 7: 'FONTDIR', 8: 'FONT', 9: 'ACCELERATOR',
+  10: 'RCDATA', 11: 'MESSAGETABLE', 12: 'GROUP_CURSOR', 14: 'GROUP_ICON', 16: 'VERSION', 17: 'DLGINCLUDE',
+  19: 'PLUGPLAY', 20: 'VXD', 21: 'ANICURSOR', 22: 'ANIICON', 23: 'HTML', 24: 'MANIFEST'
+};
+
+// Optional header fields after Magic, as [name, width, type]; 'word' is 4 bytes in PE32 and 8 in PE32+
+const PE_OPTIONAL_FIELDS = [
+  ['majorLinkerVersion', 1, 'integer'], ['minorLinkerVersion', 1, 'integer'], ['sizeOfCode', 4, 'integer'],
+  ['sizeOfInitializedData', 4, 'integer'], ['sizeOfUninitializedData', 4, 'integer'], ['addressOfEntryPoint', 4, 'address'],
+  ['baseOfCode', 4, 'address'], ['baseOfData', 4, 'address'], ['imageBase', 'word', 'address'],
+  ['sectionAlignment', 4, 'integer'], ['fileAlignment', 4, 'integer'], ['majorOperatingSystemVersion', 2, 'integer'],
+  ['minorOperatingSystemVersion', 2, 'integer'], ['majorImageVersion', 2, 'integer'], ['minorImageVersion', 2, 'integer'],
+  ['majorSubsystemVersion', 2, 'integer'], ['minorSubsystemVersion', 2, 'integer'], ['win32VersionValue', 4, 'integer'],
+  ['sizeOfImage', 4, 'integer'], ['sizeOfHeaders', 4, 'integer'], ['checkSum', 4, 'integer'], ['subsystem', 2, 'integer'],
+  ['dllCharacteristics', 2, 'flags'], ['sizeOfStackReserve', 'word', 'integer'], ['sizeOfStackCommit', 'word', 'integer'],
+  ['sizeOfHeapReserve', 'word', 'integer'], ['sizeOfHeapCommit', 'word', 'integer'], ['loaderFlags', 4, 'integer'],
+  ['numberOfRvaAndSizes', 4, 'integer']
+];
+
+// Helper: Parse PE/COFF (PE32 and PE32+) and populate universal structures. Truncated or inconsistent tables are read
+// as far as the file allows, with the problems recorded in warnings.
+function parsePE(buffer, size, structures, warnings) {
+  const r = binaryReader(buffer, true, false, warnings);
+  const { u16, u32, u64 } = r;
+
   // DOS header
-  structures.headers.push({ name: 'dos_magic', value: buffer.readUInt16LE(0), type: 'magic', offset: 0 });
-  const e_lfanew = buffer.readUInt32LE(60);
+  structures.headers.push({ name: 'dos_magic', value: u16(0), type: 'magic', offset: 0 });
+  if (!r.need(0, 64, 'dos_header')) return;
+  const e_lfanew = u32(60);
   structures.headers.push({ name: 'e_lfanew', value: e_lfanew, type: 'offset', offset: 60 });
 
-  // NT header
+  // NT header (signature + COFF file header)
   const nt_off = e_lfanew;
-  structures.headers.push({ name: 'nt_signature', value: buffer.readUInt32LE(nt_off), type: 'signature', offset: nt_off });
-  structures.headers.push({ name: 'machine', value: buffer.readUInt16LE(nt_off + 4), type: 'integer', offset: nt_off + 4 });
-  const num_sections = buffer.readUInt16LE(nt_off + 6);
+  if (!r.need(nt_off, 24, 'nt_header')) return;
+  const signature = u32(nt_off);
+  structures.headers.push({ name: 'nt_signature', value: signature, type: 'signature', offset: nt_off });
+  if (signature !== 0x00004550) return r.warn('nt_signature', nt_off, `Invalid PE signature 0x${signature.toString(16)}`);
+  const machine = u16(nt_off + 4);
+  structures.headers.push({ name: 'machine', value: machine, type: 'integer', offset: nt_off + 4, label: PE_MACHINES[machine] || 'Unknown' });
+  const num_sections = u16(nt_off + 6);
   structures.headers.push({ name: 'numberOfSections', value: num_sections, type: 'integer', offset: nt_off + 6 });
-  structures.headers.push({ name: 'characteristics', value: buffer.readUInt16LE(nt_off + 22), type: 'flags', offset: nt_off + 22 });
+  const timeDateStamp = u32(nt_off + 8);
+  structures.headers.push({ name: 'timeDateStamp', value: timeDateStamp, type: 'integer', offset: nt_off + 8, label: new Date(timeDateStamp * 1000).toISOString() });
+  structures.headers.push({ name: 'pointerToSymbolTable', value: u32(nt_off + 12), type: 'offset', offset: nt_off + 12 });
+  structures.headers.push({ name: 'numberOfSymbols', value: u32(nt_off + 16), type: 'integer', offset: nt_off + 16 });
+  const sizeOfOptionalHeader = u16(nt_off + 20);
+  structures.headers.push({ name: 'sizeOfOptionalHeader', value: sizeOfOptionalHeader, type: 'integer', offset: nt_off + 20 });
+  const characteristics = u16(nt_off + 22);
+  structures.headers.push({ name: 'characteristics', value: characteristics, type: 'flags', offset: nt_off + 22 });
 
   // Flags
-  structures.flags.push({ name: 'characteristics', value: buffer.readUInt16LE(nt_off + 22), bits: parsePECharacteristics(buffer.readUInt16LE(nt_off + 22)) });
+  structures.flags.push({ name: 'characteristics', value: characteristics, bits: parsePECharacteristics(characteristics) });
 
-  // Optional header
+  // Optional header (absent in COFF objects); fields are read only as far as sizeOfOptionalHeader allows
   const opt_off = nt_off + 24;
-  structures.headers.push({ name: 'opt_magic', value: buffer.readUInt16LE(opt_off), type: 'magic', offset: opt_off });
-  // Add more optional header fields as name=value
+  const opt_end = Math.min(opt_off + sizeOfOptionalHeader, size);
+  const opt = {};
+  let is64bit = false;
+  if (sizeOfOptionalHeader >= 2 && opt_off + 2 <= size) {
+    const opt_magic = u16(opt_off);
+    structures.headers.push({ name: 'opt_magic', value: opt_magic, type: 'magic', offset: opt_off, label: PE_OPTIONAL_MAGIC[opt_magic] || 'Unknown' });
+    if (opt_magic === 0x10B || opt_magic === 0x20B) {
+      is64bit = opt_magic === 0x20B;
+      r.seek(opt_off + 2);
+      for (const [name, width, type] of PE_OPTIONAL_FIELDS) {
+        if (name === 'baseOfData' && is64bit) continue;
+        const w = width === 'word' ? (is64bit ? 8 : 4) : width;
+        const off = r.tell();
+        if (off + w > opt_end) break;
+        const value = r.next(w === 1 ? 'u8' : w === 2 ? 'u16' : w === 4 ? 'u32' : 'u64', name);
+        opt[name] = value;
+        const header = { name, value, type, offset: off };
+        if (name === 'subsystem') header.label = PE_SUBSYSTEMS[value] || 'Unknown';
+        structures.headers.push(header);
+      }
+      if (opt.dllCharacteristics !== undefined) {
+        structures.flags.push({ name: 'dllCharacteristics', value: opt.dllCharacteristics, bits: decodeFlags(opt.dllCharacteristics, PE_DLL_CHARACTERISTICS).bits });
+      }
+      opt.dataDirectoryOffset = r.tell();
+    } else {
+      r.warn('opt_magic', opt_off, `Unsupported PE optional header magic 0x${opt_magic.toString(16)}`);
+    }
+  }
 
   // Section table
-  const sec_off = opt_off + buffer.readUInt16LE(nt_off + 20); // sizeOfOptionalHeader
+  const sec_off = opt_off + sizeOfOptionalHeader;
+  const sectionCount = r.count(num_sections, sec_off, 40, 'section_table');
   const sectionTable = { name: 'section_table', entries: [] };
-  for (let i = 0; i < num_sections; i++) {
+  const sections = [];
+  for (let i = 0; i < sectionCount; i++) {
     const s_off = sec_off + i * 40;
     let name = '';
     for (let j = 0; j < 8; j++) {
       if (buffer[s_off + j] === 0) break;
       name += String.fromCharCode(buffer[s_off + j]);
     }
+    const sectionCharacteristics = u32(s_off + 36);
+    const flags = decodeFlags(sectionCharacteristics, PE_SECTION_FLAGS);
+    const perms = (flags.bits.mem_read ? 'R' : '-') + (flags.bits.mem_write ? 'W' : '-') + (flags.bits.mem_execute ? 'X' : '-');
+    const alignment = (sectionCharacteristics >>> 20) & 0xF;
     const entry = {
       name,
-      virtualSize: buffer.readUInt32LE(s_off + 8),
-      virtualAddress: buffer.readUInt32LE(s_off + 12),
-      sizeOfRawData: buffer.readUInt32LE(s_off + 16),
-      pointerToRawData: buffer.readUInt32LE(s_off + 20),
-      characteristics: buffer.readUInt32LE(s_off + 36)
+      virtualSize: u32(s_off + 8),
+      virtualAddress: u32(s_off + 12),
+      sizeOfRawData: u32(s_off + 16),
+      pointerToRawData: u32(s_off + 20),
+      pointerToRelocations: u32(s_off + 24),
+      pointerToLinenumbers: u32(s_off + 28),
+      numberOfRelocations: u16(s_off + 32),
+      numberOfLinenumbers: u16(s_off + 34),
+      characteristics: sectionCharacteristics,
+      flags: Object.keys(flags.bits).filter(bit => flags.bits[bit]),
+      permissions: perms
     };
+    if (alignment > 0 && alignment < 15) entry.alignment = 1 << (alignment - 1);
+    sections.push(entry);
     sectionTable.entries.push(entry);
 
     // Segments
-    structures.segments.push({ name, offset: entry.pointerToRawData, size: entry.sizeOfRawData, type: 'PE Section' });
+    structures.segments.push({ name, offset: entry.pointerToRawData, size: entry.sizeOfRawData, type: 'PE Section', vaddr: entry.virtualAddress, memsz: entry.virtualSize, permissions: perms });
+    if (entry.sizeOfRawData > 0) r.need(entry.pointerToRawData, entry.sizeOfRawData, name || `section_${i}`);
 
-    // Groups
+    // Groups (by name, then loader metadata, then by flags)
     if (name === '.text') structures.groups.logical.push(name);
     else if (name === '.data' || name === '.rdata') structures.groups.physical.push(name);
+    else if (['.idata', '.edata', '.rsrc', '.reloc', '.pdata', '.tls', '.didat'].includes(name)) structures.groups.mechanical.push(name);
+    else if (flags.bits.mem_execute || flags.bits.cnt_code) structures.groups.logical.push(name);
+    else if (flags.bits.mem_write || flags.bits.cnt_initialized_data || flags.bits.cnt_uninitialized_data) structures.groups.physical.push(name);
     else structures.groups.other.push(name);
   }
   structures.tables.push(sectionTable);
+
+  // RVA -> file offset through the section that maps it (headers map 1:1); -1 when the RVA has no file backing
+  const rvaToOffset = rva => {
+    for (const s of sections) {
+      const span = Math.max(s.virtualSize, s.sizeOfRawData);
+      if (rva >= s.virtualAddress && rva < s.virtualAddress + span) {
+        const delta = rva - s.virtualAddress;
+        return delta < s.sizeOfRawData && s.pointerToRawData + delta < size ? s.pointerToRawData + delta : -1;
+      }
+    }
+    return rva < (opt.sizeOfHeaders || 0) && rva < size ? rva : -1;
+  };
+  const sectionOf = rva => {
+    const s = sections.find(s => rva >= s.virtualAddress && rva < s.virtualAddress + Math.max(s.virtualSize, s.sizeOfRawData));
+    return s ? s.name : null;
+  };
+  // String at an RVA; at is the file offset of the field that refers to it, reported when the RVA is unmapped
+  const cstringAt = (rva, field, at) => {
+    const off = rvaToOffset(rva);
+    if (off < 0) {
+      r.warn(field, at, `RVA 0x${rva.toString(16)} is not mapped to the file`);
+      return '';
+    }
+    return r.cstring(off, field);
+  };
+
+  // Tables: Data directories (the certificate table is addressed by file offset, not RVA)
+  const directories = [];
+  if (opt.dataDirectoryOffset !== undefined) {
+    const dirTable = { name: 'data_directories', entries: [] };
+    const count = Math.min(opt.numberOfRvaAndSizes || 0, 16);
+    for (let i = 0; i < count; i++) {
+      const off = opt.dataDirectoryOffset + i * 8;
+      if (off + 8 > opt_end) break;
+      const rva = u32(off);
+      const dirSize = u32(off + 4);
+      const isFileOffset = i === 4;
+      const entry = {
+        index: i,
+        name: PE_DATA_DIRECTORIES[i],
+        rva,
+        size: dirSize,
+        fileOffset: dirSize === 0 ? -1 : isFileOffset ? rva : rvaToOffset(rva),
+        section: dirSize === 0 || isFileOffset ? null : sectionOf(rva)
+      };
+      if (dirSize > 0 && (isFileOffset ? !r.fits(rva, dirSize) : entry.fileOffset < 0)) {
+        r.warn(entry.name, off, `Directory at ${isFileOffset ? 'offset' : 'RVA'} 0x${rva.toString(16)} is not in the file`);
+      }
+      directories[i] = entry;
+      dirTable.entries.push(entry);
+    }
+    structures.tables.push(dirTable);
+  }
+  const directory = i => directories[i] && directories[i].size > 0 && directories[i].fileOffset >= 0 ? directories[i] : null;
+  const thunkSize = is64bit ? 8 : 4;
+
+  // Entries of an RVA-addressed array that can be read; at is the file offset of the field holding the RVA
+  const arrayCount = (n, fileOff, entrySize, field, at) => {
+    if (n === 0) return 0;
+    if (fileOff < 0) {
+      r.warn(field, at, `RVA of ${n} entries is not mapped to the file`);
+      return 0;
+    }
+    return r.count(n, fileOff, entrySize, field);
+  };
+
+  // Tables: Imports (IMAGE_IMPORT_DESCRIPTOR list, then the lookup table of each DLL: by ordinal or by hint/name)
+  const importDir = directory(1);
+  if (importDir) {
+    const importTable = { name: 'imports', entries: [] };
+    const dllTable = { name: 'imported_dlls', entries: [] };
+    for (let off = importDir.fileOffset; off + 20 <= size && !r.full(dllTable, off) && !r.full(importTable, off); off += 20) {
+      const lookupRva = u32(off);
+      const nameRva = u32(off + 12);
+      const iatRva = u32(off + 16);
+      if (lookupRva === 0 && nameRva === 0 && iatRva === 0) break;
+      const dll = cstringAt(nameRva, 'imported_dll', off + 12);
+      const thunkRva = lookupRva || iatRva; // bound images may carry only the IAT
+      let thunkOff = rvaToOffset(thunkRva);
+      let count = 0;
+      for (let i = 0; thunkOff >= 0 && thunkOff + thunkSize <= size && !r.full(importTable, thunkOff); i++, thunkOff += thunkSize) {
+        const lo = u32(thunkOff);
+        const hi = is64bit ? u32(thunkOff + 4) : 0;
+        if (lo === 0 && hi === 0) break;
+        const entry = { dll, iatRva: iatRva + i * thunkSize };
+        if ((is64bit ? hi : lo) & 0x80000000) {
+          entry.ordinal = lo & 0xFFFF;
+        } else {
+          const hintOff = rvaToOffset(lo & 0x7FFFFFFF);
+          if (hintOff < 0) r.warn('import_name', thunkOff, `RVA 0x${(lo & 0x7FFFFFFF).toString(16)} is not mapped to the file`);
+          entry.hint = hintOff >= 0 && hintOff + 2 <= size ? u16(hintOff) : null;
+          entry.name = hintOff >= 0 ? r.cstring(hintOff + 2, 'import_name') : '';
+        }
+        importTable.entries.push(entry);
+        count++;
+      }
+      dllTable.entries.push({ name: dll, functions: count, timeDateStamp: u32(off + 4), forwarderChain: u32(off + 8), lookupRva, iatRva });
+    }
+    structures.tables.push(dllTable);
+    structures.tables.push(importTable);
+  }
+
+  // Tables: Exports (IMAGE_EXPORT_DIRECTORY; addresses inside the export directory are forwarder strings)
+  const exportDir = directory(0);
+  if (exportDir && r.need(exportDir.fileOffset, 40, 'export_directory')) {
+    const off = exportDir.fileOffset;
+    const ordinalBase = u32(off + 16);
+    const functionsOff = rvaToOffset(u32(off + 28));
+    const namesOff = rvaToOffset(u32(off + 32));
+    const ordinalsOff = rvaToOffset(u32(off + 36));
+    const numFunctions = arrayCount(u32(off + 20), functionsOff, 4, 'export_address_table', off + 28);
+    const numNames = Math.min(arrayCount(u32(off + 24), namesOff, 4, 'export_name_table', off + 32),
+      arrayCount(u32(off + 24), ordinalsOff, 2, 'export_ordinal_table', off + 36));
+    structures.headers.push({ name: 'exportName', value: cstringAt(u32(off + 12), 'exportName', off + 12), type: 'string', offset: off + 12 });
+    structures.headers.push({ name: 'exportOrdinalBase', value: ordinalBase, type: 'integer', offset: off + 16 });
+    const names = {};
+    for (let i = 0; i < numNames; i++) names[u16(ordinalsOff + i * 2)] = cstringAt(u32(namesOff + i * 4), 'export_name', namesOff + i * 4);
+    const exportTable = { name: 'exports', entries: [] };
+    for (let i = 0; i < numFunctions; i++) {
+      const rva = u32(functionsOff + i * 4);
+      if (rva === 0) continue;
+      const entry = { ordinal: ordinalBase + i, name: names[i] !== undefined ? names[i] : null, rva };
+      if (rva >= exportDir.rva && rva < exportDir.rva + exportDir.size) entry.forwarder = cstringAt(rva, 'forwarder', functionsOff + i * 4);
+      else entry.section = sectionOf(rva);
+      exportTable.entries.push(entry);
+    }
+    structures.tables.push(exportTable);
+  }
+
+  // Tables: Resources (type / name / language directory tree flattened to one entry per data leaf)
+  const resourceDir = directory(2);
+  if (resourceDir) {
+    const base = resourceDir.fileOffset;
+    const resourceTable = { name: 'resources', entries: [] };
+    const visited = new Set();
+    const resourceName = field => {
+      if (!(field & 0x80000000)) return field;
+      const off = base + (field & 0x7FFFFFFF);
+      if (!r.need(off, 2, 'resource_name')) return '';
+      return r.text(off + 2, u16(off) * 2, 'utf16le', 'resource_name');
+    };
+    const walk = (dirOff, path) => {
+      if (visited.has(dirOff) || !r.need(dirOff, 16, 'resource_directory')) return;
+      visited.add(dirOff);
+      const count = r.count(u16(dirOff + 12) + u16(dirOff + 14), dirOff + 16, 8, 'resource_directory'); // named, then id entries
+      for (let k = 0; k < count; k++) {
+        const entryOff = dirOff + 16 + k * 8;
+        const key = resourceName(u32(entryOff));
+        const target = u32(entryOff + 4);
+        const keys = path.concat([key]);
+        if (target & 0x80000000) {
+          if (keys.length < 3) walk(base + (target & 0x7FFFFFFF), keys);
+          continue;
+        }
+        const dataOff = base + target;
+        if (!r.need(dataOff, 16, 'resource_data')) continue;
+        const type = keys[0];
+        const dataRva = u32(dataOff);
+        resourceTable.entries.push({
+          type: typeof type === 'number' ? PE_RESOURCE_TYPES[type] || String(type) : type,
+          typeId: type,
+          name: keys.length > 1 ? keys[1] : null,
+          language: keys.length > 2 ? keys[2] : null,
+          rva: dataRva,
+          size: u32(dataOff + 4),
+          codePage: u32(dataOff + 8),
+          offset: rvaToOffset(dataRva)
+        });
+      }
+    };
+    walk(base, []);
+    structures.tables.push(resourceTable);
+  }
+
+  // TLS directory (IMAGE_TLS_DIRECTORY32/64: VAs, then SizeOfZeroFill and Characteristics) and its callback array
+  const tlsDir = directory(9);
+  if (tlsDir && r.need(tlsDir.fileOffset, 4 * thunkSize + 8, 'tls_directory')) {
+    const word = off => is64bit ? u64(off) : u32(off);
+    let off = tlsDir.fileOffset;
+    for (const name of ['tlsStartAddressOfRawData', 'tlsEndAddressOfRawData', 'tlsAddressOfIndex', 'tlsAddressOfCallBacks']) {
+      structures.headers.push({ name, value: word(off), type: 'address', offset: off });
+      off += thunkSize;
+    }
+    structures.headers.push({ name: 'tlsSizeOfZeroFill', value: u32(off), type: 'integer', offset: off });
+    structures.headers.push({ name: 'tlsCharacteristics', value: u32(off + 4), type: 'flags', offset: off + 4 });
+    const callbacksVa = word(tlsDir.fileOffset + 3 * thunkSize);
+    const callbackTable = { name: 'tls_callbacks', entries: [] };
+    let cbOff = callbacksVa ? rvaToOffset(callbacksVa - (opt.imageBase || 0)) : -1;
+    for (let i = 0; cbOff >= 0 && cbOff + thunkSize <= size && !r.full(callbackTable, cbOff); i++, cbOff += thunkSize) {
+      const va = word(cbOff);
+      if (va === 0) break;
+      callbackTable.entries.push({ index: i, address: va, rva: va - (opt.imageBase || 0) });
+    }
+    structures.tables.push(callbackTable);
+  }
 }
 
 // Helper for PE characteristics bits
 function parsePECharacteristics(value) {
-  return {
-    relocs_stripped: (value & 0x0001) !== 0,
-    executable: (value & 0x0002) !== 0,
-    // Add more bits
-  };
+  return decodeFlags(value, PE_CHARACTERISTICS).bits;
+}
+
+// Mach-O lookup tables
+const MACHO_CPU_TYPES = {
+  1: 'VAX', 6: 'MC680x0', 7: 'X86', 0x01000007: 'X86_64', 10: 'MC98000', 11: 'HPPA', 12: 'ARM', 0x0100000C: 'ARM64',
+  0x0200000C: 'ARM64_32', 13: 'MC88000', 14: 'SPARC', 15: 'I860', 18: 'POWERPC', 0x01000012: 'POWERPC64'
+};
+const MACHO_FILE_TYPES = {
+  1: 'OBJECT', 2: 'EXECUTE', 3: 'FVMLIB', 4: 'CORE', 5: 'PRELOAD', 6: 'DYLIB', 7: 'DYLINKER', 8: 'BUNDLE',
+  9: 'DYLIB_STUB', 10: 'DSYM', 11: 'KEXT_BUNDLE', 12: 'FILESET'
+};
+const MACHO_HEADER_FLAGS = [
+  [0x1, 'noundefs'], [0x2, 'incrlink'], [0x4, 'dyldlink'], [0x8, 'bindatload'], [0x10, 'prebound'], [0x20, 'split_segs'],
+  [0x40, 'lazy_init'], [0x80, 'twolevel'], [0x100, 'force_flat'], [0x200, 'nomultidefs'], [0x400, 'nofixprebinding'],
+  [0x800, 'prebindable'], [0x1000, 'allmodsbound'], [0x2000, 'subsections_via_symbols'], [0x4000, 'canonical'],
+  [0x8000, 'weak_defines'], [0x10000, 'binds_to_weak'], [0x20000, 'allow_stack_execution'], [0x40000, 'root_safe'],
+  [0x80000, 'setuid_safe'], [0x100000, 'no_reexported_dylibs'], [0x200000, 'pie'], [0x400000, 'dead_strippable_dylib'],
+  [0x800000, 'has_tlv_descriptors'], [0x1000000, 'no_heap_execution'], [0x2000000, 'app_extension_safe'],
+  [0x4000000, 'nlist_outofsync_with_dyldinfo'], [0x8000000, 'sim_support'], [0x80000000, 'dylib_in_cache']
+];
+const MACHO_LOAD_COMMANDS = {
+  0x1: 'LC_SEGMENT', 0x2: 'LC_SYMTAB', 0x3: 'LC_SYMSEG', 0x4: 'LC_THREAD', 0x5: 'LC_UNIXTHREAD', 0x6: 'LC_LOADFVMLIB',
+  0x7: 'LC_IDFVMLIB', 0x8: 'LC_IDENT', 0x9: 'LC_FVMFILE', 0xA: 'LC_PREPAGE', 0xB: 'LC_DYSYMTAB', 0xC: 'LC_LOAD_DYLIB',
+  0xD: 'LC_ID_DYLIB', 0xE: 'LC_LOAD_DYLINKER', 0xF: 'LC_ID_DYLINKER', 0x10: 'LC_PREBOUND_DYLIB', 0x11: 'LC_ROUTINES',
+  0x12: 'LC_SUB_FRAMEWORK', 0x13: 'LC_SUB_UMBRELLA', 0x14: 'LC_SUB_CLIENT', 0x15: 'LC_SUB_LIBRARY',
+  0x16: 'LC_TWOLEVEL_HINTS', 0x17: 'LC_PREBIND_CKSUM', 0x80000018: 'LC_LOAD_WEAK_DYLIB', 0x19: 'LC_SEGMENT_64',
+  0x1A: 'LC_ROUTINES_64', 0x1B: 'LC_UUID', 0x8000001C: 'LC_RPATH', 0x1D: 'LC_CODE_SIGNATURE',
+  0x1E: 'LC_SEGMENT_SPLIT_INFO', 0x8000001F: 'LC_REEXPORT_DYLIB', 0x20: 'LC_LAZY_LOAD_DYLIB', 0x21: 'LC_ENCRYPTION_INFO',
+  0x22: 'LC_DYLD_INFO', 0x80000022: 'LC_DYLD_INFO_ONLY', 0x80000023: 'LC_LOAD_UPWARD_DYLIB', 0x24: 'LC_VERSION_MIN_MACOSX',
+  0x25: 'LC_VERSION_MIN_IPHONEOS', 0x26: 'LC_FUNCTION_STARTS', 0x27: 'LC_DYLD_ENVIRONMENT', 0x80000028: 'LC_MAIN',
+  0x29: 'LC_DATA_IN_CODE', 0x2A: 'LC_SOURCE_VERSION', 0x2B: 'LC_DYLIB_CODE_SIGN_DRS', 0x2C: 'LC_ENCRYPTION_INFO_64',
+  0x2D: 'LC_LINKER_OPTION', 0x2E: 'LC_LINKER_OPTIMIZATION_HINT', 0x2F: 'LC_VERSION_MIN_TVOS',
+  0x30: 'LC_VERSION_MIN_WATCHOS', 0x31: 'LC_NOTE', 0x32: 'LC_BUILD_VERSION', 0x80000033: 'LC_DYLD_EXPORTS_TRIE',
+  0x80000034: 'LC_DYLD_CHAINED_FIXUPS', 0x80000035: 'LC_FILESET_ENTRY'
+};
+// Dylib-bearing load commands -> kind reported in the dylibs table
+const MACHO_DYLIB_COMMANDS = {
+  0xC: 'load', 0xD: 'id', 0x80000018: 'weak', 0x8000001F: 'reexport', 0x20: 'lazy', 0x80000023: 'upward'
+};
+const MACHO_PLATFORMS = {
+  1: 'MACOS', 2: 'IOS', 3: 'TVOS', 4: 'WATCHOS', 5: 'BRIDGEOS', 6: 'MACCATALYST', 7: 'IOSSIMULATOR', 8: 'TVOSSIMULATOR',
+  9: 'WATCHOSSIMULATOR', 10: 'DRIVERKIT'
+};
+const MACHO_SECTION_TYPES = [
+  'REGULAR', 'ZEROFILL', 'CSTRING_LITERALS', '4BYTE_LITERALS', '8BYTE_LITERALS', 'LITERAL_POINTERS',
+  'NON_LAZY_SYMBOL_POINTERS', 'LAZY_SYMBOL_POINTERS', 'SYMBOL_STUBS', 'MOD_INIT_FUNC_POINTERS', 'MOD_TERM_FUNC_POINTERS',
+  'COALESCED', 'GB_ZEROFILL', 'INTERPOSING', '16BYTE_LITERALS', 'DTRACE_DOF', 'LAZY_DYLIB_SYMBOL_POINTERS',
+  'THREAD_LOCAL_REGULAR', 'THREAD_LOCAL_ZEROFILL', 'THREAD_LOCAL_VARIABLES', 'THREAD_LOCAL_VARIABLE_POINTERS',
+  'THREAD_LOCAL_INIT_FUNCTION_POINTERS', 'INIT_FUNC_OFFSETS'
+];
+const MACHO_SECTION_ATTRIBUTES = [
+  [0x80000000, 'pure_instructions'], [0x40000000, 'no_toc'], [0x20000000, 'strip_static_syms'],
+  [0x10000000, 'no_dead_strip'], [0x08000000, 'live_support'], [0x04000000, 'self_modifying_code'], [0x02000000, 'debug'],
+  [0x400, 'some_instructions'], [0x200, 'ext_reloc'], [0x100, 'loc_reloc']
+];
+const MACHO_SYMBOL_TYPES = { 0x0: 'UNDF', 0x2: 'ABS', 0xA: 'INDR', 0xC: 'PBUD', 0xE: 'SECT' };
+const MACHO_ZEROFILL_TYPES = [1, 12, 18]; // ZEROFILL, GB_ZEROFILL, THREAD_LOCAL_ZEROFILL occupy no file space
+
+// Fixed-width, NUL-padded name field (segment and section names)
+function readFixedString(buffer, offset, length) {
+  let str = '';
+  for (let j = offset; j < offset + length && j < buffer.length && buffer[j] !== 0; j++) str += String.fromCharCode(buffer[j]);
+  return str;
 }
 
-// Basic Mach-O parse
-function parseMachO(buffer, size, structures) {
-  const magic = buffer.readUInt32LE(0);
+// Packed xxxx.yy.zz version (dylib and platform versions)
+function machOVersion(v) {
+  return `${v >>> 16}.${(v >>> 8) & 0xFF}.${v & 0xFF}`;
+}
+
+// Helper: Parse a fat/universal binary (big-endian fat_header + fat_arch[] or fat_arch_64[]); each architecture slice
+// is parsed as a thin Mach-O into its own structures, with offsets (and warnings) reported from the start of the file
+function parseMachOUniversal(buffer, size, structures, warnings) {
+  const r = binaryReader(buffer, false, false, warnings);
+  const magic = r.u32(0);
+  const is64bit = magic === 0xCAFEBABF;
+  const nfat_arch = r.u32(4, 'nfat_arch');
   structures.headers.push({ name: 'magic', value: magic, type: 'magic', offset: 0 });
-  structures.headers.push({ name: 'cputype', value: buffer.readUInt32LE(4), type: 'integer', offset: 4 });
-  structures.headers.push({ name: 'cpusubtype', value: buffer.readUInt32LE(8), type: 'integer', offset: 8 });
-  structures.headers.push({ name: 'filetype', value: buffer.readUInt32LE(12), type: 'integer', offset: 12 });
-  const ncmds = buffer.readUInt32LE(16);
-  structures.headers.push({ name: 'ncmds', value: ncmds, type: 'integer', offset: 16 });
-  structures.headers.push({ name: 'sizeofcmds', value: buffer.readUInt32LE(20), type: 'integer', offset: 20 });
-  const flags = buffer.readUInt32LE(24);
-  structures.headers.push({ name: 'flags', value: flags, type: 'flags', offset: 24 });
+  structures.headers.push({ name: 'nfat_arch', value: nfat_arch, type: 'integer', offset: 4 });
+  const archSize = is64bit ? 32 : 20;
+  const archCount = r.count(nfat_arch, 8, archSize, 'fat_arches');
+
+  const archTable = { name: 'fat_arches', entries: [] };
+  const slices = [];
+  for (let i = 0; i < archCount; i++) {
+    const off = 8 + i * archSize;
+    const cputype = r.u32(off);
+    const arch = {
+      index: i,
+      cputype,
+      cpu: MACHO_CPU_TYPES[cputype] || 'Unknown',
+      cpusubtype: r.u32(off + 4) & 0x00FFFFFF,
+      offset: is64bit ? r.u64(off + 8) : r.u32(off + 8),
+      size: is64bit ? r.u64(off + 16) : r.u32(off + 12),
+      align: r.u32(off + (is64bit ? 24 : 16))
+    };
+    archTable.entries.push(arch);
+    const name = `${arch.cpu}_${i}`;
+    structures.segments.push({ name, offset: arch.offset, size: arch.size, type: 'Mach-O Slice' });
+    structures.groups.other.push(name);
+
+    // Slices that do not fit the file or hold no Mach-O image keep empty structures
+    const slice = { index: i, cpu: arch.cpu, cputype, cpusubtype: arch.cpusubtype, offset: arch.offset, size: arch.size, structures: createStructures() };
+    slices.push(slice);
+    if (!r.need(arch.offset, arch.size, `${name} slice`)) continue;
+    const image = buffer.subarray(arch.offset, arch.offset + arch.size);
+    const sliceMagic = image.length >= 4 ? image.toString('hex', 0, 4).toUpperCase() : '';
+    if (!['FEEDFACE', 'FEEDFACF', 'CEFAEDFE', 'CFFAEDFE'].includes(sliceMagic)) {
+      r.warn(`${name} slice`, arch.offset, `Slice is not a Mach-O image (magic ${sliceMagic})`);
+      continue;
+    }
+    parseMachO(image, image.length, slice.structures, warnings, arch.offset);
+  }
+  structures.tables.push(archTable);
+  return slices;
+}
+
+// Helper: Parse a thin Mach-O (32/64-bit, either byte order) and populate universal structures. Truncated load
+// commands and tables are read as far as the image allows, with the problems recorded in warnings.
+// base is the image's position in the file (fat slices), added to every reported file offset.
+function parseMachO(buffer, size, structures, warnings, base = 0) {
+  const rawMagic = buffer.readUInt32BE(0);
+  const littleEndian = rawMagic === 0xCEFAEDFE || rawMagic === 0xCFFAEDFE;
+  const magic = littleEndian ? buffer.readUInt32LE(0) : rawMagic;
+  const is64bit = magic === 0xFEEDFACF;
+  const r = binaryReader(buffer, littleEndian, is64bit, warnings, base);
+  if (!r.need(0, is64bit ? 32 : 28, 'mach_header')) return;
+
+  // Header (mach_header / mach_header_64)
+  const cputype = r.u32(4);
+  const filetype = r.u32(12);
+  structures.headers.push({ name: 'magic', value: magic, type: 'magic', offset: base });
+  structures.headers.push({ name: 'byte_order', value: littleEndian ? 'Little-endian' : 'Big-endian', type: 'string', offset: base });
+  structures.headers.push({ name: 'cputype', value: cputype, type: 'integer', offset: base + 4, label: MACHO_CPU_TYPES[cputype] || 'Unknown' });
+  structures.headers.push({ name: 'cpusubtype', value: r.u32(8) & 0x00FFFFFF, type: 'integer', offset: base + 8 });
+  structures.headers.push({ name: 'filetype', value: filetype, type: 'integer', offset: base + 12, label: MACHO_FILE_TYPES[filetype] || 'Unknown' });
+  const ncmds = r.u32(16);
+  structures.headers.push({ name: 'ncmds', value: ncmds, type: 'integer', offset: base + 16 });
+  const sizeofcmds = r.u32(20);
+  structures.headers.push({ name: 'sizeofcmds', value: sizeofcmds, type: 'integer', offset: base + 20 });
+  const flags = r.u32(24);
+  structures.headers.push({ name: 'flags', value: flags, type: 'flags', offset: base + 24 });
 
   // Flags
   structures.flags.push({ name: 'flags', value: flags, bits: parseMachOFlags(flags) });
 
-  let offset = magic === 0xFEEDFACF ? 32 : 28; // 64-bit vs 32-bit
+  let offset = is64bit ? 32 : 28;
+  r.need(offset, sizeofcmds, 'sizeofcmds'); // the commands that fit are still read
+  const commandCount = r.count(ncmds, offset, 8, 'load_commands');
 
-  // Load commands table
+  // Load commands table, with segments/sections, symbols and dylibs collected on the way
   const cmdTable = { name: 'load_commands', entries: [] };
-  for (let i = 0; i < ncmds; i++) {
-    const cmd = buffer.readUInt32LE(offset);
-    const cmdsize = buffer.readUInt32LE(offset + 4);
-    const entry = { cmd, cmdsize, offset };
-    cmdTable.entries.push(entry);
+  const sectionTable = { name: 'sections', entries: [] };
+  const dylibTable = { name: 'dylibs', entries: [] };
+  const sections = [];
+  const dylibs = [];
+  let symtab = null;
+  let textVmaddr = null;
+  for (let i = 0; i < commandCount; i++) {
+    if (!r.need(offset, 8, 'load_commands')) break;
+    const cmd = r.u32(offset);
+    const cmdsize = r.u32(offset + 4);
+    if (cmdsize < 8 || !r.fits(offset, cmdsize)) {
+      r.warn('cmdsize', offset + 4, `Load command ${i} has invalid size ${cmdsize}`);
+      break;
+    }
+    const name = MACHO_LOAD_COMMANDS[cmd] || `0x${cmd.toString(16)}`;
+    const entry = { index: i, cmd, name, cmdsize, offset: base + offset };
+    const lcString = field => readCString(buffer.subarray(0, offset + cmdsize), offset + r.u32(offset + field));
 
-    // Segments (if LC_SEGMENT or LC_SEGMENT_64)
     if (cmd === 0x1 || cmd === 0x19) { // LC_SEGMENT / LC_SEGMENT_64
-      let segname = '';
-      for (let j = offset + 8; j < offset + 24; j++) {
-        if (buffer[j] === 0) break;
-        segname += String.fromCharCode(buffer[j]);
-      }
-      const vmaddr = cmd === 0x19 ? Number(buffer.readBigUInt64LE(offset + 24)) : buffer.readUInt32LE(offset + 24);
-      const vmsize = cmd === 0x19 ? Number(buffer.readBigUInt64LE(offset + 32)) : buffer.readUInt32LE(offset + 28);
-      const fileoff = cmd === 0x19 ? Number(buffer.readBigUInt64LE(offset + 40)) : buffer.readUInt32LE(offset + 32);
-      const filesize = cmd === 0x19 ? Number(buffer.readBigUInt64LE(offset + 48)) : buffer.readUInt32LE(offset + 36);
-      structures.segments.push({ name: segname, offset: fileoff, size: filesize, type: 'Mach-O Segment' });
+      const seg64 = cmd === 0x19;
+      const segWord = off => seg64 ? r.u64(off) : r.u32(off);
+      const w = seg64 ? 8 : 4;
+      const segname = readFixedString(buffer, offset + 8, 16);
+      const vmaddr = segWord(offset + 24);
+      const vmsize = segWord(offset + 24 + w);
+      const fileoff = segWord(offset + 24 + 2 * w);
+      const filesize = segWord(offset + 24 + 3 * w);
+      const maxprot = r.u32(offset + 24 + 4 * w);
+      const initprot = r.u32(offset + 28 + 4 * w);
+      const nsects = r.u32(offset + 32 + 4 * w);
+      const perms = (initprot & 1 ? 'R' : '-') + (initprot & 2 ? 'W' : '-') + (initprot & 4 ? 'X' : '-');
+      Object.assign(entry, { segname, vmaddr, vmsize, fileoff, filesize, maxprot, initprot, nsects, segFlags: r.u32(offset + 36 + 4 * w) });
+      if (segname === '__TEXT') textVmaddr = vmaddr;
+      structures.segments.push({ name: segname, offset: base + fileoff, size: filesize, type: 'Mach-O Segment', vaddr: vmaddr, memsz: vmsize, permissions: perms });
+      if (filesize > 0) r.need(fileoff, filesize, segname || `segment_${i}`);
 
-      // Groups (example categorization)
+      // Groups (segments by name)
       if (segname === '__TEXT') structures.groups.logical.push(segname);
-      else if (segname === '__DATA') structures.groups.physical.push(segname);
+      else if (segname.startsWith('__DATA')) structures.groups.physical.push(segname);
+      else if (segname === '__LINKEDIT') structures.groups.mechanical.push(segname);
       else structures.groups.other.push(segname);
+
+      // Sections (section / section_64) follow the segment command
+      const sectSize = seg64 ? 80 : 68;
+      let s_off = offset + (seg64 ? 72 : 56);
+      for (let j = 0; j < nsects && s_off + sectSize <= offset + cmdsize; j++, s_off += sectSize) {
+        const sectFlags = r.u32(s_off + (seg64 ? 64 : 56));
+        const type = sectFlags & 0xFF;
+        const attributes = decodeFlags(sectFlags, MACHO_SECTION_ATTRIBUTES);
+        const sect = {
+          index: sections.length + 1, // n_sect numbering is 1-based across all segments
+          sectname: readFixedString(buffer, s_off, 16),
+          segname: readFixedString(buffer, s_off + 16, 16),
+          addr: segWord(s_off + 32),
+          size: segWord(s_off + 32 + w),
+          offset: r.u32(s_off + 32 + 2 * w),
+          align: 2 ** r.u32(s_off + 36 + 2 * w),
+          reloff: r.u32(s_off + 40 + 2 * w),
+          nreloc: r.u32(s_off + 44 + 2 * w),
+          flags: sectFlags,
+          type: MACHO_SECTION_TYPES[type] || String(type),
+          attributes: Object.keys(attributes.bits).filter(bit => attributes.bits[bit])
+        };
+        sections.push(sect);
+        sectionTable.entries.push(sect);
+        const sectName = `${sect.segname},${sect.sectname}`;
+        const zerofill = MACHO_ZEROFILL_TYPES.includes(type);
+        structures.segments.push({ name: sectName, offset: zerofill ? 0 : base + sect.offset, size: zerofill ? 0 : sect.size, type: 'Mach-O Section', vaddr: sect.addr, memsz: sect.size });
+        if (!zerofill && sect.size > 0) r.need(sect.offset, sect.size, sectName);
+
+        // Groups (sections by attributes, then by segment)
+        if (attributes.bits.pure_instructions || attributes.bits.some_instructions) structures.groups.logical.push(sectName);
+        else if (attributes.bits.debug || sect.segname === '__LINKEDIT') structures.groups.mechanical.push(sectName);
+        else if (sect.segname.startsWith('__DATA') || zerofill) structures.groups.physical.push(sectName);
+        else structures.groups.other.push(sectName);
+      }
+    } else if (cmd === 0x2) { // LC_SYMTAB
+      symtab = { symoff: r.u32(offset + 8), nsyms: r.u32(offset + 12), stroff: r.u32(offset + 16), strsize: r.u32(offset + 20) };
+      Object.assign(entry, symtab);
+    } else if (cmd in MACHO_DYLIB_COMMANDS) { // dylib_command
+      const dylib = {
+        name: lcString(8),
+        kind: MACHO_DYLIB_COMMANDS[cmd],
+        timestamp: r.u32(offset + 12),
+        currentVersion: machOVersion(r.u32(offset + 16)),
+        compatibilityVersion: machOVersion(r.u32(offset + 20))
+      };
+      entry.dylib = dylib.name;
+      if (cmd === 0xD) {
+        structures.headers.push({ name: 'install_name', value: dylib.name, type: 'string', offset: base + offset });
+      } else {
+        dylibs.push(dylib.name);
+        dylib.ordinal = dylibs.length;
+      }
+      dylibTable.entries.push(dylib);
+    } else if (cmd === 0xE || cmd === 0xF) { // LC_LOAD_DYLINKER / LC_ID_DYLINKER
+      entry.path = lcString(8);
+      structures.headers.push({ name: 'dylinker', value: entry.path, type: 'string', offset: base + offset });
+    } else if (cmd === 0x8000001C) { // LC_RPATH
+      entry.path = lcString(8);
+      structures.headers.push({ name: 'rpath', value: entry.path, type: 'string', offset: base + offset });
+    } else if (cmd === 0x1B) { // LC_UUID
+      const hex = buffer.toString('hex', offset + 8, offset + 24).toUpperCase();
+      entry.uuid = `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+      structures.headers.push({ name: 'uuid', value: entry.uuid, type: 'string', offset: base + offset + 8 });
+    } else if (cmd === 0x80000028) { // LC_MAIN (entryoff is relative to the start of __TEXT)
+      entry.entryoff = r.u64(offset + 8);
+      entry.stacksize = r.u64(offset + 16);
+      structures.headers.push({ name: 'entryoff', value: entry.entryoff, type: 'offset', offset: base + offset + 8 });
+      structures.headers.push({ name: 'stacksize', value: entry.stacksize, type: 'integer', offset: base + offset + 16 });
+    } else if (cmd === 0x32) { // LC_BUILD_VERSION
+      entry.platform = MACHO_PLATFORMS[r.u32(offset + 8)] || r.u32(offset + 8);
+      entry.minos = machOVersion(r.u32(offset + 12));
+      entry.sdk = machOVersion(r.u32(offset + 16));
+      structures.headers.push({ name: 'platform', value: entry.platform, type: 'string', offset: base + offset + 8 });
+      structures.headers.push({ name: 'minos', value: entry.minos, type: 'string', offset: base + offset + 12 });
+      structures.headers.push({ name: 'sdk', value: entry.sdk, type: 'string', offset: base + offset + 16 });
+    } else if ([0x24, 0x25, 0x2F, 0x30].includes(cmd)) { // LC_VERSION_MIN_*
+      entry.minos = machOVersion(r.u32(offset + 8));
+      entry.sdk = machOVersion(r.u32(offset + 12));
+      structures.headers.push({ name: 'minos', value: entry.minos, type: 'string', offset: base + offset + 8 });
+      structures.headers.push({ name: 'sdk', value: entry.sdk, type: 'string', offset: base + offset + 12 });
     }
 
+    cmdTable.entries.push(entry);
     offset += cmdsize;
   }
   structures.tables.push(cmdTable);
+  if (sectionTable.entries.length > 0) structures.tables.push(sectionTable);
+  if (dylibTable.entries.length > 0) structures.tables.push(dylibTable);
+  if (textVmaddr !== null) {
+    const main = cmdTable.entries.find(e => e.cmd === 0x80000028);
+    if (main) structures.headers.push({ name: 'entry_point', value: textVmaddr + main.entryoff, type: 'address', offset: main.offset + 8 });
+  }
+
+  // Tables: Symbols (nlist / nlist_64 from LC_SYMTAB); undefined symbols carry their two-level namespace library
+  if (symtab && symtab.nsyms > 0) {
+    const entSize = is64bit ? 16 : 12;
+    const nsyms = r.count(symtab.nsyms, symtab.symoff, entSize, 'symbols');
+    r.need(symtab.stroff, symtab.strsize, 'string_table');
+    const strings = binaryReader(buffer.subarray(0, Math.min(symtab.stroff + symtab.strsize, size)), littleEndian, is64bit, warnings, base);
+    const symTable = { name: 'symbols', entries: [] };
+    for (let i = 0; i < nsyms; i++) {
+      const off = symtab.symoff + i * entSize;
+      const n_strx = r.u32(off);
+      const n_type = buffer[off + 4];
+      const n_sect = buffer[off + 5];
+      const n_desc = r.u16(off + 6);
+      const n_value = r.word(off + 8);
+      const sym = {
+        index: i,
+        name: n_strx > 0 ? strings.cstring(symtab.stroff + n_strx, 'n_strx') : '',
+        n_type,
+        n_sect,
+        n_desc,
+        n_value
+      };
+      if (n_type & 0xE0) {
+        sym.type = 'STAB';
+      } else {
+        sym.type = MACHO_SYMBOL_TYPES[n_type & 0x0E] || String(n_type & 0x0E);
+        sym.external = (n_type & 0x01) !== 0;
+        sym.privateExternal = (n_type & 0x10) !== 0;
+        sym.weak = (n_desc & ((n_type & 0x0E) === 0 ? 0x0040 : 0x0080)) !== 0; // N_WEAK_REF / N_WEAK_DEF
+      }
+      if (n_sect > 0 && n_sect <= sections.length) sym.section = `${sections[n_sect - 1].segname},${sections[n_sect - 1].sectname}`;
+      if (sym.type === 'UNDF' && (flags & 0x80)) {
+        const ordinal = (n_desc >> 8) & 0xFF; // GET_LIBRARY_ORDINAL
+        if (ordinal > 0 && ordinal <= dylibs.length) sym.library = dylibs[ordinal - 1];
+        else if (ordinal === 0xFE) sym.library = 'executable';
+        else if (ordinal === 0xFF) sym.library = 'dynamic lookup';
+      }
+      symTable.entries.push(sym);
+    }
+    structures.tables.push(symTable);
+  }
 }
 
-// Helper for Mach-O flags bits
+// Helper for Mach-O header flags bits
 function parseMachOFlags(value) {
-  return {
-    noundefs: (value & 0x00000001) !== 0,
-    incrlink: (value & 0x00000002) !== 0,
-    // Add more
+  return decodeFlags(value, MACHO_HEADER_FLAGS).bits;
+}
+
+// CRC-32 (ISO 3309, as used by PNG, gzip and ZIP) of buffer[start, end)
+const CRC32_TABLE = Uint32Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(buffer, start = 0, end = buffer.length) {
+  let crc = 0xFFFFFFFF;
+  for (let i = start; i < end; i++) crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Chunk list of a RIFF (little-endian) or IFF (big-endian) container: {index, id, offset, size} for every chunk header
+// in [start, end), with sizes clipped to end (and warned) and chunks word aligned
+function readChunks(r, start, end, name) {
+  const table = { name, entries: [] };
+  for (let off = start; off + 8 <= end && !r.full(table, off);) {
+    const id = r.text(off, 4, 'latin1', name);
+    let size = r.u32(off + 4, name);
+    if (off + 8 + size > end) {
+      r.warn(name, off + 4, `Chunk '${id}' of ${size} bytes extends past the end of its container`);
+      size = end - off - 8;
+    }
+    table.entries.push({ index: table.entries.length, id, offset: off, size });
+    off += 8 + size + (size & 1);
+  }
+  return table;
+}
+
+// One segment per chunk body ({index, id, offset, size} entries with an 8-byte chunk header), in the group named by
+// groupOf(id); repeated ids are named with their chunk index
+function addChunkSegments(structures, chunks, type, groupOf) {
+  const names = new Set();
+  for (const chunk of chunks) {
+    let name = chunk.id.trim() || `chunk_${chunk.index}`;
+    if (names.has(name)) name = `${name}_${chunk.index}`;
+    names.add(name);
+    structures.segments.push({ name, offset: chunk.offset + 8, size: chunk.size, type });
+    structures.groups[groupOf(chunk.id)].push(name);
+  }
+}
+
+// WAV and AIFF lookup tables
+const WAV_FORMAT_CODES = {
+  0x1: 'PCM', 0x2: 'MS_ADPCM', 0x3: 'IEEE_FLOAT', 0x6: 'ALAW', 0x7: 'MULAW', 0x11: 'IMA_ADPCM', 0x31: 'GSM610',
+  0x50: 'MPEG', 0x55: 'MPEGLAYER3', 0xFFFE: 'EXTENSIBLE'
+};
+// dwChannelMask bits, in order from bit 0
+const WAV_SPEAKERS = [
+  'front_left', 'front_right', 'front_center', 'low_frequency', 'back_left', 'back_right', 'front_left_of_center',
+  'front_right_of_center', 'back_center', 'side_left', 'side_right', 'top_center', 'top_front_left', 'top_front_center',
+  'top_front_right', 'top_back_left', 'top_back_center', 'top_back_right'
+];
+// AIFF-C compression types decoded by SSARdsp (anything else is reported by its lower-cased type)
+const AIFF_COMPRESSION_FORMATS = { NONE: 'pcm', twos: 'pcm', sowt: 'pcm', fl32: 'float', FL32: 'float', fl64: 'float', FL64: 'float' };
+// Chunk groups: sample data is physical, format and layout chunks are mechanical, descriptive text is logical
+const WAV_CHUNK_GROUPS = {
+  'data': 'physical', 'fmt ': 'mechanical', 'fact': 'mechanical', 'cue ': 'mechanical', 'smpl': 'mechanical',
+  'inst': 'mechanical', 'plst': 'mechanical', 'LIST': 'logical', 'bext': 'logical', 'iXML': 'logical', 'id3 ': 'logical',
+  'ID3 ': 'logical'
+};
+const AIFF_CHUNK_GROUPS = {
+  'SSND': 'physical', 'COMM': 'mechanical', 'FVER': 'mechanical', 'MARK': 'mechanical', 'INST': 'mechanical',
+  'NAME': 'logical', 'AUTH': 'logical', '(c) ': 'logical', 'ANNO': 'logical', 'COMT': 'logical', 'ID3 ': 'logical'
+};
+
+// Helper: Parse RIFF/WAVE (chunks, the fmt sample format including WAVE_FORMAT_EXTENSIBLE, fact, LIST/INFO text and
+// the data chunk). Returns {audio}: the sample format and the position of the samples, as decoded by SSARdsp.decodeWav.
+function parseWAV(buffer, size, structures, warnings) {
+  const r = binaryReader(buffer, true, false, warnings);
+  if (!r.need(0, 12, 'riff_header')) return {};
+  const riffSize = r.u32(4);
+  structures.headers.push({ name: 'riff_size', value: riffSize, type: 'integer', offset: 4 });
+  structures.headers.push({ name: 'form_type', value: 'WAVE', type: 'string', offset: 8 });
+  if (8 + riffSize > size) r.warn('riff_size', 4, `RIFF size ${riffSize} extends past end of file`);
+
+  // Chunks are read to the end of the file, as decodeWav does (streaming writers leave the RIFF size at 0 or ~0)
+  const chunks = readChunks(r, 12, size, 'chunks');
+  structures.tables.push(chunks);
+  addChunkSegments(structures, chunks.entries, 'RIFF Chunk', id => WAV_CHUNK_GROUPS[id] || 'other');
+
+  const audio = { container: 'WAV', format: null, fs: 0, numChannels: 0, bitsPerSample: 0, byteOrder: 'Little-endian' };
+  let blockAlign = 0;
+  const fmt = chunks.entries.find(c => c.id === 'fmt ');
+  if (!fmt) {
+    r.warn('fmt ', 12, 'No fmt chunk');
+  } else if (fmt.size < 16) {
+    r.warn('fmt ', fmt.offset, `fmt chunk of ${fmt.size} bytes is shorter than 16`);
+  } else {
+    const body = fmt.offset + 8;
+    let code = r.u16(body);
+    structures.headers.push({ name: 'audio_format', value: code, type: 'integer', offset: body, label: WAV_FORMAT_CODES[code] || 'Unknown' });
+    audio.numChannels = r.u16(body + 2);
+    audio.fs = r.u32(body + 4);
+    blockAlign = r.u16(body + 12);
+    audio.bitsPerSample = r.u16(body + 14);
+    structures.headers.push({ name: 'channels', value: audio.numChannels, type: 'integer', offset: body + 2 });
+    structures.headers.push({ name: 'sample_rate', value: audio.fs, type: 'integer', offset: body + 4 });
+    structures.headers.push({ name: 'byte_rate', value: r.u32(body + 8), type: 'integer', offset: body + 8 });
+    structures.headers.push({ name: 'block_align', value: blockAlign, type: 'integer', offset: body + 12 });
+    structures.headers.push({ name: 'bits_per_sample', value: audio.bitsPerSample, type: 'integer', offset: body + 14 });
+    if (code === 0xFFFE && fmt.size >= 40) {
+      // WAVE_FORMAT_EXTENSIBLE: the real format code is the first two bytes of the sub-format GUID
+      const channelMask = r.u32(body + 20);
+      code = r.u16(body + 24);
+      structures.headers.push({ name: 'valid_bits_per_sample', value: r.u16(body + 18), type: 'integer', offset: body + 18 });
+      structures.headers.push({ name: 'channel_mask', value: channelMask, type: 'flags', offset: body + 20 });
+      structures.headers.push({ name: 'sub_format', value: code, type: 'integer', offset: body + 24, label: WAV_FORMAT_CODES[code] || 'Unknown' });
+      const bits = {};
+      WAV_SPEAKERS.forEach((speaker, i) => { bits[speaker] = (channelMask & (1 << i)) !== 0; });
+      structures.flags.push({ name: 'channel_mask', value: channelMask, bits });
+    } else if (code === 0xFFFE) {
+      r.warn('fmt ', fmt.offset, `Extensible fmt chunk of ${fmt.size} bytes is shorter than 40`);
+    }
+    audio.format = code === 1 ? 'pcm' : code === 3 ? 'float' : (WAV_FORMAT_CODES[code] || `format_${code}`).toLowerCase();
+    // A frame holds one sample per channel (PCM and float exactly; compressed blocks may be larger)
+    const sampleBytes = (audio.bitsPerSample + 7) >> 3;
+    const frameBytes = audio.numChannels * sampleBytes;
+    const linear = code === 1 || code === 3;
+    if (frameBytes > 0 && (blockAlign < frameBytes || (linear && blockAlign !== frameBytes))) {
+      r.warn('block_align', body + 12, `block_align ${blockAlign} does not match ${audio.numChannels} channels x ${sampleBytes} bytes`);
+      if (blockAlign < frameBytes) blockAlign = frameBytes;
+    }
+  }
+
+  const fact = chunks.entries.find(c => c.id === 'fact');
+  if (fact && fact.size >= 4) structures.headers.push({ name: 'sample_length', value: r.u32(fact.offset + 8), type: 'integer', offset: fact.offset + 8 });
+
+  // LIST/INFO: NUL-terminated text subchunks (INAM, IART, ICMT, ISFT, ...)
+  const info = { name: 'info', entries: [] };
+  for (const list of chunks.entries.filter(c => c.id === 'LIST' && c.size >= 4)) {
+    if (r.text(list.offset + 8, 4, 'latin1', 'LIST') !== 'INFO') continue;
+    for (const item of readChunks(r, list.offset + 12, list.offset + 8 + list.size, 'info').entries) {
+      info.entries.push({ id: item.id, value: r.text(item.offset + 8, item.size, 'latin1', item.id).replace(/\0+$/, ''), offset: item.offset });
+    }
+  }
+  if (info.entries.length > 0) structures.tables.push(info);
+
+  const data = chunks.entries.find(c => c.id === 'data');
+  if (!data) r.warn('data', 12, 'No data chunk');
+  Object.assign(audio, {
+    dataOffset: data ? data.offset + 8 : 0,
+    dataSize: data ? data.size : 0,
+    frames: data && blockAlign > 0 ? Math.floor(data.size / blockAlign) : 0
+  });
+  audio.duration = audio.fs > 0 ? audio.frames / audio.fs : 0;
+  return { audio };
+}
+
+// Helper: Parse AIFF and AIFF-C (big-endian IFF chunks, COMM with its 80-bit extended sample rate and compression
+// type, SSND, markers and text chunks). Returns {audio} like parseWAV, as decoded by SSARdsp.decodeAiff.
+function parseAIFF(buffer, size, structures, warnings) {
+  const r = binaryReader(buffer, false, false, warnings);
+  if (!r.need(0, 12, 'form_header')) return {};
+  const formSize = r.u32(4);
+  const formType = r.text(8, 4, 'latin1', 'form_type');
+  structures.headers.push({ name: 'form_size', value: formSize, type: 'integer', offset: 4 });
+  structures.headers.push({ name: 'form_type', value: formType, type: 'string', offset: 8 });
+  if (8 + formSize > size) r.warn('form_size', 4, `FORM size ${formSize} extends past end of file`);
+
+  const chunks = readChunks(r, 12, size, 'chunks');
+  structures.tables.push(chunks);
+  addChunkSegments(structures, chunks.entries, 'IFF Chunk', id => AIFF_CHUNK_GROUPS[id] || 'other');
+
+  const audio = { container: formType, format: null, fs: 0, numChannels: 0, bitsPerSample: 0, byteOrder: 'Big-endian' };
+  let frames = 0;
+  const comm = chunks.entries.find(c => c.id === 'COMM');
+  if (!comm) {
+    r.warn('COMM', 12, 'No COMM chunk');
+  } else if (comm.size < 18) {
+    r.warn('COMM', comm.offset, `COMM chunk of ${comm.size} bytes is shorter than 18`);
+  } else {
+    const body = comm.offset + 8;
+    audio.numChannels = r.u16(body);
+    frames = r.u32(body + 2);
+    audio.bitsPerSample = r.u16(body + 6);
+    audio.fs = dsp.readExtended(new DataView(buffer.buffer, buffer.byteOffset, buffer.length), body + 8);
+    structures.headers.push({ name: 'channels', value: audio.numChannels, type: 'integer', offset: body });
+    structures.headers.push({ name: 'sample_frames', value: frames, type: 'integer', offset: body + 2 });
+    structures.headers.push({ name: 'sample_size', value: audio.bitsPerSample, type: 'integer', offset: body + 6 });
+    structures.headers.push({ name: 'sample_rate', value: audio.fs, type: 'number', offset: body + 8 });
+    let compression = 'NONE';
+    if (formType === 'AIFC' && comm.size >= 22) {
+      compression = r.text(body + 18, 4, 'latin1', 'compression_type');
+      structures.headers.push({ name: 'compression_type', value: compression, type: 'string', offset: body + 18 });
+      // Pascal string (length byte) inside the chunk
+      const nameLength = Math.min(r.u8(body + 22), comm.size - 23);
+      if (nameLength > 0) structures.headers.push({ name: 'compression_name', value: r.text(body + 23, nameLength, 'latin1', 'compression_name'), type: 'string', offset: body + 22 });
+    } else if (formType === 'AIFC') {
+      r.warn('COMM', comm.offset, `AIFF-C COMM chunk of ${comm.size} bytes has no compression type`);
+    }
+    audio.format = AIFF_COMPRESSION_FORMATS[compression] || compression.trim().toLowerCase();
+    if (compression === 'sowt') audio.byteOrder = 'Little-endian';
+  }
+
+  const fver = chunks.entries.find(c => c.id === 'FVER');
+  if (fver && fver.size >= 4) structures.headers.push({ name: 'format_version', value: r.u32(fver.offset + 8), type: 'integer', offset: fver.offset + 8 });
+
+  // Markers: {id, position (sample frame), name} with word-aligned Pascal-string names
+  const mark = chunks.entries.find(c => c.id === 'MARK');
+  if (mark && mark.size >= 2) {
+    const markers = { name: 'markers', entries: [] };
+    const end = mark.offset + 8 + mark.size;
+    const count = r.u16(mark.offset + 8);
+    for (let i = 0, p = mark.offset + 10; i < count && p + 7 <= end && !r.full(markers, p); i++) {
+      const nameLength = Math.min(r.u8(p + 6), end - p - 7);
+      markers.entries.push({ id: r.u16(p), position: r.u32(p + 2), name: r.text(p + 7, nameLength, 'latin1', 'MARK'), offset: p });
+      p += 7 + nameLength + ((nameLength + 1) & 1);
+    }
+    structures.tables.push(markers);
+  }
+
+  const text = { name: 'text', entries: [] };
+  for (const chunk of chunks.entries.filter(c => ['NAME', 'AUTH', '(c) ', 'ANNO'].includes(c.id))) {
+    text.entries.push({ id: chunk.id, value: r.text(chunk.offset + 8, chunk.size, 'latin1', chunk.id).replace(/\0+$/, ''), offset: chunk.offset });
+  }
+  if (text.entries.length > 0) structures.tables.push(text);
+
+  // SSND: offset and block size, then the sample frames
+  const ssnd = chunks.entries.find(c => c.id === 'SSND');
+  let dataOffset = 0;
+  let dataSize = 0;
+  if (ssnd && ssnd.size >= 8) {
+    const body = ssnd.offset + 8;
+    const ssndOffset = r.u32(body);
+    structures.headers.push({ name: 'ssnd_offset', value: ssndOffset, type: 'integer', offset: body });
+    structures.headers.push({ name: 'block_size', value: r.u32(body + 4), type: 'integer', offset: body + 4 });
+    dataOffset = body + 8 + ssndOffset;
+    dataSize = Math.max(0, ssnd.size - 8 - ssndOffset);
+  } else if (frames > 0) {
+    r.warn('SSND', ssnd ? ssnd.offset : 12, ssnd ? `SSND chunk of ${ssnd.size} bytes is shorter than 8` : 'No SSND chunk');
+  }
+  // Frames that fit the data (compressed formats keep the COMM count)
+  const blockAlign = audio.numChannels * (audio.format === 'float' ? (audio.bitsPerSample > 32 ? 8 : 4) : (audio.bitsPerSample + 7) >> 3);
+  if (audio.format === 'pcm' || audio.format === 'float') frames = blockAlign > 0 ? Math.min(frames, Math.floor(dataSize / blockAlign)) : 0;
+  Object.assign(audio, { dataOffset, dataSize, frames });
+  audio.duration = audio.fs > 0 ? audio.frames / audio.fs : 0;
+  return { audio };
+}
+
+// PNG lookup tables
+const PNG_COLOR_TYPES = { 0: 'Grayscale', 2: 'RGB', 3: 'Palette', 4: 'Grayscale+Alpha', 6: 'RGBA' };
+const PNG_COLOR_TYPE_FLAGS = [[0x1, 'palette'], [0x2, 'color'], [0x4, 'alpha']];
+// Image data is physical, the other critical and layout chunks mechanical, text and time logical; unknown ancillary
+// chunks are other
+const PNG_CHUNK_GROUPS = {
+  'IDAT': 'physical', 'fdAT': 'physical', 'tRNS': 'mechanical', 'acTL': 'mechanical', 'fcTL': 'mechanical',
+  'tEXt': 'logical', 'zTXt': 'logical', 'iTXt': 'logical', 'tIME': 'logical', 'eXIf': 'logical'
+};
+
+// Helper: Parse PNG (chunks with CRC checks, the IHDR image header, palette size, gamma, physical pixel size, time
+// and text chunks; compressed text is listed without its value)
+function parsePNG(buffer, size, structures, warnings) {
+  const r = binaryReader(buffer, false, false, warnings);
+  structures.headers.push({ name: 'signature', value: '89504E470D0A1A0A', type: 'magic', offset: 0 });
+  const chunks = { name: 'chunks', entries: [] };
+  const text = { name: 'text', entries: [] };
+  let off = 8;
+  let ended = false;
+  while (!ended && off < size && !r.full(chunks, off)) {
+    if (!r.need(off, 12, 'chunks')) break;
+    const length = r.u32(off);
+    const id = r.text(off + 4, 4, 'latin1', 'chunks');
+    const body = off + 8;
+    // Bit 5 of each type letter: ancillary, private, reserved, safe-to-copy
+    const chunk = {
+      index: chunks.entries.length, id, offset: off, size: length,
+      critical: (buffer[off + 4] & 0x20) === 0, public: (buffer[off + 5] & 0x20) === 0, safeToCopy: (buffer[off + 7] & 0x20) !== 0
+    };
+    chunks.entries.push(chunk);
+    if (length > 0x7FFFFFFF || !r.fits(body, length + 4)) {
+      r.warn(id, off, `Chunk of ${length} bytes extends past end of file`);
+      chunk.size = Math.max(0, size - body);
+      break;
+    }
+    chunk.crc = r.u32(body + length);
+    if (crc32(buffer, off + 4, body + length) !== chunk.crc) r.warn(id, body + length, `CRC 0x${chunk.crc.toString(16)} does not match the chunk`);
+
+    if (id === 'IHDR' && length >= 13) {
+      const colorType = buffer[body + 9];
+      structures.headers.push({ name: 'width', value: r.u32(body), type: 'integer', offset: body });
+      structures.headers.push({ name: 'height', value: r.u32(body + 4), type: 'integer', offset: body + 4 });
+      structures.headers.push({ name: 'bit_depth', value: buffer[body + 8], type: 'integer', offset: body + 8 });
+      structures.headers.push({ name: 'color_type', value: colorType, type: 'integer', offset: body + 9, label: PNG_COLOR_TYPES[colorType] || 'Unknown' });
+      structures.headers.push({ name: 'compression_method', value: buffer[body + 10], type: 'integer', offset: body + 10 });
+      structures.headers.push({ name: 'filter_method', value: buffer[body + 11], type: 'integer', offset: body + 11 });
+      structures.headers.push({ name: 'interlace_method', value: buffer[body + 12], type: 'integer', offset: body + 12, label: ['None', 'Adam7'][buffer[body + 12]] || 'Unknown' });
+      structures.flags.push({ name: 'color_type', value: colorType, bits: decodeFlags(colorType, PNG_COLOR_TYPE_FLAGS).bits });
+    } else if (id === 'IHDR') {
+      r.warn(id, off, `IHDR chunk of ${length} bytes is shorter than 13`);
+    } else if (id === 'PLTE') {
+      structures.headers.push({ name: 'palette_entries', value: Math.floor(length / 3), type: 'integer', offset: body });
+    } else if (id === 'gAMA' && length >= 4) {
+      structures.headers.push({ name: 'gamma', value: r.u32(body) / 100000, type: 'number', offset: body });
+    } else if (id === 'pHYs' && length >= 9) {
+      structures.headers.push({ name: 'pixels_per_unit_x', value: r.u32(body), type: 'integer', offset: body });
+      structures.headers.push({ name: 'pixels_per_unit_y', value: r.u32(body + 4), type: 'integer', offset: body + 4 });
+      structures.headers.push({ name: 'unit', value: buffer[body + 8], type: 'integer', offset: body + 8, label: buffer[body + 8] === 1 ? 'meter' : 'unknown' });
+    } else if (id === 'tIME' && length >= 7) {
+      const pad = (v, n = 2) => String(v).padStart(n, '0');
+      const time = `${pad(r.u16(body), 4)}-${pad(buffer[body + 2])}-${pad(buffer[body + 3])}T${pad(buffer[body + 4])}:${pad(buffer[body + 5])}:${pad(buffer[body + 6])}Z`;
+      structures.headers.push({ name: 'modified', value: time, type: 'string', offset: body });
+    } else if ((id === 'tEXt' || id === 'zTXt' || id === 'iTXt') && !r.full(text, off)) {
+      // Keyword, NUL, then Latin-1 text (tEXt), a compression method and data (zTXt), or flags, language and
+      // translated keyword before UTF-8 text (iTXt)
+      const keyword = readCString(buffer.subarray(0, body + length), body, 79);
+      const entry = { keyword, chunk: id, offset: off };
+      const rest = body + keyword.length + 1;
+      const end = body + length;
+      if (id === 'tEXt') {
+        entry.value = r.text(rest, Math.max(0, end - rest), 'latin1', id);
+      } else if (id === 'zTXt' || buffer[rest] === 1) {
+        entry.compressed = true;
+      } else {
+        const language = readCString(buffer.subarray(0, end), rest + 2);
+        const translated = readCString(buffer.subarray(0, end), rest + 3 + language.length);
+        const start = Math.min(end, rest + 4 + language.length + translated.length);
+        entry.value = r.text(start, end - start, 'utf8', id);
+      }
+      text.entries.push(entry);
+    }
+    ended = id === 'IEND';
+    off = body + length + 4;
+  }
+  if (!ended && off >= size) r.warn('IEND', off, 'No IEND chunk');
+  structures.tables.push(chunks);
+  if (text.entries.length > 0) structures.tables.push(text);
+  addChunkSegments(structures, chunks.entries, 'PNG Chunk', id => PNG_CHUNK_GROUPS[id] || ((id.charCodeAt(0) & 0x20) === 0 ? 'mechanical' : 'other'));
+  // Anything after IEND (appended data, polyglot payloads)
+  if (ended && off < size) {
+    structures.segments.push({ name: 'trailing_data', offset: off, size: size - off, type: 'Raw' });
+    structures.groups.other.push('trailing_data');
+  }
+}
+
+// ZIP lookup tables
+const ZIP_METHODS = {
+  0: 'Stored', 1: 'Shrunk', 6: 'Imploded', 8: 'Deflated', 9: 'Deflate64', 12: 'BZIP2', 14: 'LZMA', 93: 'Zstandard',
+  95: 'XZ', 98: 'PPMd', 99: 'AES'
+};
+// Entries with these extensions are code (logical group); other entries are data (physical)
+const ZIP_CODE_EXTENSIONS = ['class', 'dex', 'js', 'mjs', 'py', 'pyc', 'wasm', 'so', 'dll', 'exe', 'dylib', 'o', 'sh'];
+
+// MS-DOS date and time fields as an ISO 8601 local time
+function dosDateTime(date, time) {
+  const pad = v => String(v).padStart(2, '0');
+  return `${1980 + (date >> 9)}-${pad((date >> 5) & 0xF)}-${pad(date & 0x1F)}T${pad(time >> 11)}:${pad((time >> 5) & 0x3F)}:${pad((time & 0x1F) * 2)}`;
+}
+
+// Helper: Parse ZIP (end of central directory record, ZIP64 end record, central directory entries and their local
+// headers). Without an end record (truncated archives) the local file headers are walked from the start.
+function parseZIP(buffer, size, structures, warnings) {
+  const r = binaryReader(buffer, true, false, warnings);
+
+  // End of central directory: the last signature with room for its comment, within 64 KiB of the end
+  let eocd = -1;
+  for (let off = size - 22; off >= Math.max(0, size - 22 - 0xFFFF); off--) {
+    if (buffer.readUInt32LE(off) === 0x06054B50 && off + 22 + buffer.readUInt16LE(off + 20) <= size) {
+      eocd = off;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    r.warn('end_of_central_directory', size, 'No end of central directory record, reading local file headers');
+    return parseZIPLocalHeaders(r, structures);
+  }
+
+  const commentLength = r.u16(eocd + 20);
+  let total = r.u16(eocd + 10);
+  let cdSize = r.u32(eocd + 12);
+  let cdOffset = r.u32(eocd + 16);
+  structures.headers.push({ name: 'disk_number', value: r.u16(eocd + 4), type: 'integer', offset: eocd + 4 });
+  structures.headers.push({ name: 'central_directory_disk', value: r.u16(eocd + 6), type: 'integer', offset: eocd + 6 });
+  structures.headers.push({ name: 'disk_entries', value: r.u16(eocd + 8), type: 'integer', offset: eocd + 8 });
+  structures.headers.push({ name: 'total_entries', value: total, type: 'integer', offset: eocd + 10 });
+  structures.headers.push({ name: 'central_directory_size', value: cdSize, type: 'integer', offset: eocd + 12 });
+  structures.headers.push({ name: 'central_directory_offset', value: cdOffset, type: 'offset', offset: eocd + 16 });
+  if (commentLength > 0) structures.headers.push({ name: 'comment', value: r.text(eocd + 22, commentLength, 'latin1', 'comment'), type: 'string', offset: eocd + 22 });
+  structures.segments.push({ name: 'end_of_central_directory', offset: eocd, size: 22 + commentLength, type: 'ZIP Record' });
+  structures.groups.mechanical.push('end_of_central_directory');
+
+  // ZIP64: a locator just before the end record points at the ZIP64 end of central directory record
+  if ((total === 0xFFFF || cdSize === 0xFFFFFFFF || cdOffset === 0xFFFFFFFF) && eocd >= 20 && r.u32(eocd - 20) === 0x07064B50) {
+    const zip64 = r.u64(eocd - 12);
+    const fits = r.need(zip64, 56, 'zip64_end_of_central_directory'); // else the 32-bit values are kept
+    if (fits && r.u32(zip64) === 0x06064B50) {
+      total = r.u64(zip64 + 32);
+      cdSize = r.u64(zip64 + 40);
+      cdOffset = r.u64(zip64 + 48);
+      structures.headers.push({ name: 'zip64_end_of_central_directory', value: zip64, type: 'offset', offset: eocd - 12 });
+      structures.headers.push({ name: 'zip64_total_entries', value: total, type: 'integer', offset: zip64 + 32 });
+      structures.headers.push({ name: 'zip64_central_directory_size', value: cdSize, type: 'integer', offset: zip64 + 40 });
+      structures.headers.push({ name: 'zip64_central_directory_offset', value: cdOffset, type: 'offset', offset: zip64 + 48 });
+      structures.segments.push({ name: 'zip64_end_of_central_directory', offset: zip64, size: 56, type: 'ZIP Record' });
+      structures.groups.mechanical.push('zip64_end_of_central_directory');
+    } else if (fits) {
+      r.warn('zip64_end_of_central_directory', zip64, 'No ZIP64 end of central directory record at the located offset');
+    }
+  }
+
+  // Central directory: 46-byte headers followed by the name, extra field and comment
+  r.need(cdOffset, cdSize, 'central_directory');
+  structures.segments.push({ name: 'central_directory', offset: cdOffset, size: cdSize, type: 'ZIP Record' });
+  structures.groups.mechanical.push('central_directory');
+  const table = { name: 'central_directory', entries: [] };
+  const count = r.count(total, cdOffset, 46, 'central_directory');
+  for (let i = 0, off = cdOffset; i < count; i++) {
+    if (!r.need(off, 46, 'central_directory')) break;
+    if (r.u32(off) !== 0x02014B50) {
+      r.warn('central_directory', off, `Entry ${i} has no central file header signature`);
+      break;
+    }
+    const flags = r.u16(off + 8);
+    const method = r.u16(off + 10);
+    const nameLength = r.u16(off + 28);
+    const extraLength = r.u16(off + 30);
+    const entryCommentLength = r.u16(off + 32);
+    const entry = {
+      index: i,
+      name: r.text(off + 46, nameLength, flags & 0x800 ? 'utf8' : 'latin1', 'file_name'),
+      versionMadeBy: r.u16(off + 4),
+      versionNeeded: r.u16(off + 6),
+      flags,
+      method,
+      compression: ZIP_METHODS[method] || 'Unknown',
+      modified: dosDateTime(r.u16(off + 14), r.u16(off + 12)),
+      crc32: r.u32(off + 16),
+      compressedSize: r.u32(off + 20),
+      uncompressedSize: r.u32(off + 24),
+      diskStart: r.u16(off + 34),
+      internalAttributes: r.u16(off + 36),
+      externalAttributes: r.u32(off + 38),
+      localHeaderOffset: r.u32(off + 42)
+    };
+    readZip64Extra(r, off + 46 + nameLength, extraLength, entry);
+    if (entryCommentLength > 0) entry.comment = r.text(off + 46 + nameLength + extraLength, entryCommentLength, 'latin1', 'file_comment');
+
+    // The data follows the local header, whose name and extra field lengths may differ from the central ones
+    const local = entry.localHeaderOffset;
+    if (r.need(local, 30, entry.name || `entry_${i}`)) {
+      if (r.u32(local) === 0x04034B50) entry.dataOffset = local + 30 + r.u16(local + 26) + r.u16(local + 28);
+      else r.warn(entry.name || `entry_${i}`, local, 'No local file header at the recorded offset');
+    }
+    addZipEntry(r, structures, table, entry);
+    off += 46 + nameLength + extraLength + entryCommentLength;
+  }
+  structures.tables.push(table);
+}
+
+// Local file headers walked from the start of the file (archives without a readable central directory); stops at
+// the first entry whose sizes are only known from a data descriptor after its data
+function parseZIPLocalHeaders(r, structures) {
+  const table = { name: 'local_headers', entries: [] };
+  for (let off = 0; r.fits(off, 30) && r.u32(off) === 0x04034B50 && !r.full(table, off);) {
+    const flags = r.u16(off + 6);
+    const method = r.u16(off + 8);
+    const nameLength = r.u16(off + 26);
+    const extraLength = r.u16(off + 28);
+    const entry = {
+      index: table.entries.length,
+      name: r.text(off + 30, nameLength, flags & 0x800 ? 'utf8' : 'latin1', 'file_name'),
+      versionNeeded: r.u16(off + 4),
+      flags,
+      method,
+      compression: ZIP_METHODS[method] || 'Unknown',
+      modified: dosDateTime(r.u16(off + 12), r.u16(off + 10)),
+      crc32: r.u32(off + 14),
+      compressedSize: r.u32(off + 18),
+      uncompressedSize: r.u32(off + 22),
+      localHeaderOffset: off,
+      dataOffset: off + 30 + nameLength + extraLength
+    };
+    readZip64Extra(r, off + 30 + nameLength, extraLength, entry);
+    addZipEntry(r, structures, table, entry);
+    if ((flags & 0x8) && entry.compressedSize === 0) {
+      r.warn(entry.name || `entry_${entry.index}`, off, 'Entry sizes are in a data descriptor, the following entries are not located');
+      break;
+    }
+    off = entry.dataOffset + entry.compressedSize;
+  }
+  structures.tables.push(table);
+}
+
+// ZIP64 extended information extra field (0x0001): 64-bit values for the 32-bit fields saturated at 0xFFFFFFFF
+function readZip64Extra(r, start, length, entry) {
+  for (let p = start; p + 4 <= start + length && r.fits(p, 4);) {
+    const id = r.u16(p);
+    const size = r.u16(p + 2);
+    if (id === 0x0001) {
+      let q = p + 4;
+      for (const field of ['uncompressedSize', 'compressedSize', 'localHeaderOffset']) {
+        if (entry[field] !== 0xFFFFFFFF || q + 8 > p + 4 + size) continue;
+        entry[field] = r.u64(q, 'zip64_extra');
+        q += 8;
+      }
+    }
+    p += 4 + size;
+  }
+}
+
+// Adds a file entry to its table, and its compressed data as a segment (directories have none)
+function addZipEntry(r, structures, table, entry) {
+  entry.encrypted = (entry.flags & 0x1) !== 0;
+  entry.directory = entry.name.endsWith('/');
+  table.entries.push(entry);
+  if (entry.directory || entry.dataOffset === undefined) return;
+  const name = entry.name || `entry_${entry.index}`;
+  r.need(entry.dataOffset, entry.compressedSize, name);
+  structures.segments.push({ name, offset: entry.dataOffset, size: entry.compressedSize, type: 'ZIP Entry' });
+  const extension = name.includes('.') ? name.slice(name.lastIndexOf('.') + 1).toLowerCase() : '';
+  structures.groups[ZIP_CODE_EXTENSIONS.includes(extension) ? 'logical' : 'physical'].push(name);
+}
+
+// PDF lookup tables
+const PDF_SPACE = '[\\0\\t\\n\\f\\r ]'; // PDF white-space characters
+// Document structure (mechanical group); other typed streams are resources (physical), untyped streams are page
+// content, the drawing program of the page (logical)
+const PDF_STRUCTURE_TYPES = ['Catalog', 'Pages', 'Page', 'Outlines', 'Outline', 'XRef', 'ObjStm', 'Annot', 'AcroForm', 'StructTreeRoot', 'StructElem', 'Names'];
+
+// Dictionary text at offset at ('<<' after white space, balanced up to '>>', at most 64 KiB), or '' when there is none
+function pdfDictionary(text, at) {
+  let i = at;
+  while (i < text.length && /[\0\t\n\f\r ]/.test(text[i])) i++;
+  if (!text.startsWith('<<', i)) return '';
+  const end = Math.min(text.length, i + 0x10000);
+  let depth = 0;
+  for (let j = i; j < end - 1; j++) {
+    const pair = text[j] + text[j + 1];
+    if (pair === '<<') depth++;
+    else if (pair === '>>') depth--;
+    else continue;
+    j++;
+    if (depth === 0) return text.slice(i, j + 1);
+  }
+  return text.slice(i, end);
+}
+
+// Value of /Key in a dictionary: a name, number, reference ('n g R') or the raw text of an array, or null
+function pdfValue(dict, key) {
+  const match = new RegExp(`/${key}(?![A-Za-z0-9])${PDF_SPACE}*(/[^\\0\\t\\n\\f\\r ()<>\\[\\]{}/%]*|\\d+${PDF_SPACE}+\\d+${PDF_SPACE}+R|[-+]?[\\d.]+|\\[[^\\]]*\\])`).exec(dict);
+  if (!match) return null;
+  const value = match[1];
+  if (value.startsWith('/')) return value.slice(1);
+  if (/R$/.test(value)) return value.split(/[\0\t\n\f\r ]+/).join(' ');
+  if (value.startsWith('[')) return value;
+  return Number(value);
+}
+
+// Undoes PNG row predictors (/Predictor >= 10) on rows of columns bytes, each preceded by its filter type byte
+function pdfUnpredict(data, columns) {
+  const rows = Math.floor(data.length / (columns + 1));
+  const out = Buffer.alloc(rows * columns);
+  for (let row = 0; row < rows; row++) {
+    const filter = data[row * (columns + 1)];
+    for (let i = 0; i < columns; i++) {
+      const x = data[row * (columns + 1) + 1 + i];
+      const left = i > 0 ? out[row * columns + i - 1] : 0;
+      const up = row > 0 ? out[(row - 1) * columns + i] : 0;
+      const upLeft = i > 0 && row > 0 ? out[(row - 1) * columns + i - 1] : 0;
+      let predicted = 0;
+      if (filter === 1) predicted = left;
+      else if (filter === 2) predicted = up;
+      else if (filter === 3) predicted = (left + up) >> 1;
+      else if (filter === 4) {
+        const p = left + up - upLeft;
+        const [pa, pb, pc] = [Math.abs(p - left), Math.abs(p - up), Math.abs(p - upLeft)];
+        predicted = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+      out[row * columns + i] = (x + predicted) & 0xFF;
+    }
+  }
+  return out;
+}
+
+// Helper: Parse PDF (header version, indirect objects with their dictionaries' /Type and stream data, cross-reference
+// tables and streams along the /Prev chain from startxref, and the trailer). Objects are found by scanning for
+// "n g obj"; stream data is skipped by its /Length, so binary content is not mistaken for objects.
+function parsePDF(buffer, size, structures, warnings) {
+  const r = binaryReader(buffer, false, false, warnings);
+  const text = buffer.toString('latin1');
+  const version = /^%PDF-(\d+\.\d+)/.exec(text.slice(0, 16));
+  if (version) structures.headers.push({ name: 'version', value: version[1], type: 'string', offset: 5 });
+  else r.warn('version', 5, 'No version in the %PDF header');
+
+  // Next match of a global pattern at or after from, cached: objects are visited in file order, so each search
+  // scans the text once
+  const finder = pattern => {
+    let last = null;
+    return from => {
+      if (!last || last.from > from || (last.at >= 0 && last.at < from)) {
+        pattern.lastIndex = from;
+        const match = pattern.exec(text);
+        last = { from, at: match ? match.index : -1 };
+      }
+      return last.at;
+    };
+  };
+
+  // Indirect objects
+  const objects = { name: 'objects', entries: [] };
+  const objectsByOffset = new Map();
+  const xrefDictionaries = new Map(); // offset of an XRef stream object -> its dictionary
+  const objectPattern = new RegExp(`(?<![\\d.])(\\d{1,10})${PDF_SPACE}+(\\d{1,5})${PDF_SPACE}+obj(?![A-Za-z0-9])`, 'g');
+  const streamPattern = new RegExp(`${PDF_SPACE}*stream(\\r\\n|\\n|\\r)?`, 'y');
+  const endstreamPattern = new RegExp(`${PDF_SPACE}*endstream`, 'y');
+  const nextObject = finder(new RegExp(objectPattern.source, 'g'));
+  const nextEndobj = finder(/endobj/g);
+  const nextEndstream = finder(/endstream/g);
+  let match;
+  while ((match = objectPattern.exec(text)) !== null && !r.full(objects, match.index)) {
+    const start = match.index;
+    const bodyStart = objectPattern.lastIndex;
+    const object = { number: Number(match[1]), generation: Number(match[2]), offset: start };
+    const label = `${object.number} ${object.generation} obj`;
+    const dict = pdfDictionary(text, bodyStart);
+    let end = dict ? text.indexOf('<<', bodyStart) + dict.length : bodyStart;
+    for (const key of ['Type', 'Subtype']) {
+      const value = pdfValue(dict, key);
+      if (typeof value === 'string' && !value.endsWith(' R')) object[key.toLowerCase()] = value;
+    }
+    if (objects.entries.length === 0 && dict.includes('/Linearized')) structures.headers.push({ name: 'linearized', value: true, type: 'boolean', offset: start });
+
+    streamPattern.lastIndex = end;
+    if (dict && streamPattern.test(text)) {
+      // Stream data: /Length when it lands on endstream, else up to the next endstream (indirect or wrong lengths)
+      const dataStart = streamPattern.lastIndex;
+      const length = pdfValue(dict, 'Length');
+      let dataEnd = -1;
+      if (Number.isSafeInteger(length) && dataStart + length <= size) {
+        endstreamPattern.lastIndex = dataStart + length;
+        if (endstreamPattern.test(text)) {
+          dataEnd = dataStart + length;
+          end = endstreamPattern.lastIndex;
+        }
+      }
+      if (dataEnd < 0) {
+        const endstream = nextEndstream(dataStart);
+        if (endstream < 0) {
+          r.warn(label, dataStart, 'Stream has no endstream');
+          dataEnd = end = size;
+        } else {
+          dataEnd = endstream;
+          end = endstream + 9;
+          if (text[dataEnd - 1] === '\n' && dataEnd > dataStart) dataEnd--; // the EOL before endstream is not data
+          if (text[dataEnd - 1] === '\r' && dataEnd > dataStart) dataEnd--;
+          if (typeof length === 'number') r.warn(label, dataStart, `Stream /Length ${length} does not end at endstream (${dataEnd - dataStart} bytes)`);
+        }
+      }
+      const filter = pdfValue(dict, 'Filter');
+      Object.assign(object, {
+        streamOffset: dataStart,
+        streamLength: dataEnd - dataStart,
+        filters: filter === null ? [] : typeof filter === 'string' ? [filter] : String(filter).match(/[^\s/[\]]+/g) || []
+      });
+      if (/\/Length[123](?![A-Za-z0-9])/.test(dict)) object.fontFile = true; // embedded font programs
+      if (object.type === 'XRef') xrefDictionaries.set(start, dict);
+    }
+    // endobj, unless the next object starts first
+    const endobj = nextEndobj(end);
+    const following = nextObject(end);
+    if (endobj >= 0 && (following < 0 || endobj < following)) end = endobj + 6;
+    else r.warn(label, start, 'Object has no endobj');
+    object.size = Math.max(end, bodyStart) - start;
+    objects.entries.push(object);
+    objectsByOffset.set(start, object);
+    objectPattern.lastIndex = start + object.size;
+  }
+  structures.tables.push(objects);
+  structures.headers.push({ name: 'object_count', value: objects.entries.length, type: 'integer', offset: 0 });
+  structures.headers.push({ name: 'page_count', value: objects.entries.filter(o => o.type === 'Page').length, type: 'integer', offset: 0 });
+  for (const object of objects.entries) {
+    const name = `${object.number} ${object.generation} obj`;
+    structures.segments.push({ name, offset: object.offset, size: object.size, type: 'PDF Object' });
+    let group = 'other';
+    if (PDF_STRUCTURE_TYPES.includes(object.type)) group = 'mechanical';
+    else if (object.streamOffset !== undefined) group = object.type || object.subtype || object.fontFile ? 'physical' : 'logical';
+    structures.groups[group].push(name);
+  }
+
+  // Cross-reference sections from startxref, newest first (section 0), following /Prev
+  const startxref = text.lastIndexOf('startxref');
+  const startPattern = new RegExp(`startxref${PDF_SPACE}+(\\d{1,15})`, 'y');
+  startPattern.lastIndex = Math.max(0, startxref);
+  const startValue = startxref >= 0 ? startPattern.exec(text) : null;
+  if (!startValue) {
+    r.warn('startxref', startxref < 0 ? size : startxref, 'No startxref offset');
+    return;
+  }
+  structures.headers.push({ name: 'startxref', value: Number(startValue[1]), type: 'offset', offset: startxref });
+  const xref = { name: 'xref', entries: [] };
+  const visited = new Set();
+  let trailer = null;
+  for (let at = Number(startValue[1]), section = 0; at !== null && !visited.has(at) && !r.full(xref, at); section++) {
+    visited.add(at);
+    let dict = '';
+    if (text.startsWith('xref', at)) {
+      dict = readXrefTable(r, text, at, section, xref, objectsByOffset);
+      if (section === 0) structures.headers.push({ name: 'xref_type', value: 'table', type: 'string', offset: at });
+    } else if (xrefDictionaries.has(at)) {
+      dict = xrefDictionaries.get(at);
+      readXrefStream(r, buffer, dict, objectsByOffset.get(at), section, xref);
+      if (section === 0) structures.headers.push({ name: 'xref_type', value: 'stream', type: 'string', offset: at });
+    } else {
+      r.warn('xref', at, `No cross-reference table or stream at offset ${at}`);
+      break;
+    }
+    if (trailer === null) trailer = { dict, offset: at };
+    const prev = pdfValue(dict, 'Prev');
+    at = Number.isSafeInteger(prev) ? prev : null;
+  }
+  structures.tables.push(xref);
+  if (trailer) {
+    for (const [key, name] of [['Size', 'trailer_size'], ['Root', 'root'], ['Info', 'info']]) {
+      const value = pdfValue(trailer.dict, key);
+      if (value !== null) structures.headers.push({ name, value, type: key === 'Size' ? 'integer' : 'string', offset: trailer.offset });
+    }
+    structures.headers.push({ name: 'encrypted', value: trailer.dict.includes('/Encrypt'), type: 'boolean', offset: trailer.offset });
+  }
+}
+
+// Classic cross-reference table at at ('xref', subsections of 20-byte entries, then the trailer); returns the trailer
+// dictionary. In-use entries are checked against the objects found in the file.
+function readXrefTable(r, text, at, section, xref, objectsByOffset) {
+  const subsection = new RegExp(`${PDF_SPACE}*(\\d{1,10}) +(\\d{1,10})[ \\t]*(?:\\r\\n|\\r|\\n)`, 'y');
+  const line = /(\d{10}) (\d{5}) ([nf])(?: \r| \n|\r\n|\n|\r)?/y;
+  let p = at + 4;
+  for (;;) {
+    subsection.lastIndex = p;
+    const match = subsection.exec(text);
+    if (!match) break;
+    const first = Number(match[1]);
+    p = subsection.lastIndex;
+    const count = r.count(Number(match[2]), p, 20, 'xref');
+    for (let i = 0; i < count; i++) {
+      line.lastIndex = p;
+      const entry = line.exec(text);
+      if (!entry) {
+        r.warn('xref', p, `Malformed cross-reference entry for object ${first + i}`);
+        return '';
+      }
+      const offset = Number(entry[1]);
+      const generation = Number(entry[2]);
+      const inUse = entry[3] === 'n';
+      xref.entries.push({ object: first + i, offset, generation, inUse, section });
+      if (inUse) {
+        const object = objectsByOffset.get(offset);
+        if (!object || object.number !== first + i) r.warn('xref', p, `Object ${first + i} ${generation} is not at offset ${offset}`);
+      }
+      p = line.lastIndex;
+    }
+  }
+  const trailer = new RegExp(`${PDF_SPACE}*trailer`, 'y');
+  trailer.lastIndex = p;
+  if (!trailer.test(text)) {
+    r.warn('trailer', p, 'No trailer after the cross-reference table');
+    return '';
+  }
+  return pdfDictionary(text, trailer.lastIndex);
+}
+
+// Cross-reference stream (PDF 1.5): /W field widths over /Index subsections, Flate-compressed with an optional PNG
+// predictor. Entries are free (type 0), at a file offset (type 1) or inside an object stream (type 2).
+function readXrefStream(r, buffer, dict, object, section, xref) {
+  const label = `${object.number} ${object.generation} obj`;
+  const widths = (String(pdfValue(dict, 'W') || '').match(/\d+/g) || []).map(Number);
+  const rowWidth = widths.reduce((a, b) => a + b, 0);
+  if (widths.length !== 3 || rowWidth === 0 || widths.some(w => w > 8)) {
+    r.warn(label, object.offset, `Invalid cross-reference stream /W ${pdfValue(dict, 'W')}`);
+    return;
+  }
+  let data = buffer.subarray(object.streamOffset, object.streamOffset + object.streamLength);
+  if (object.filters.some(f => f !== 'FlateDecode')) {
+    r.warn(label, object.streamOffset, `Unsupported cross-reference stream filter ${object.filters.join(' ')}`);
+    return;
+  }
+  if (object.filters.length > 0) {
+    try {
+      data = zlib.inflateSync(data, { maxOutputLength: MAX_FILE_TEXT });
+    } catch (error) {
+      r.warn(label, object.streamOffset, `Cross-reference stream does not inflate: ${error.message}`);
+      return;
+    }
+  }
+  const predictor = pdfValue(dict, 'Predictor');
+  const columns = pdfValue(dict, 'Columns');
+  if (typeof predictor === 'number' && predictor >= 10) data = pdfUnpredict(data, Number.isSafeInteger(columns) && columns > 0 ? columns : 1);
+  else if (typeof predictor === 'number' && predictor > 1) r.warn(label, object.offset, `Unsupported predictor ${predictor}`);
+
+  const size = pdfValue(dict, 'Size');
+  const index = (String(pdfValue(dict, 'Index') || '').match(/\d+/g) || [0, Number.isSafeInteger(size) ? size : 0]).map(Number);
+  const starts = [0, widths[0], widths[0] + widths[1]];
+  // Big-endian field f of a row
+  const field = (row, f) => {
+    let value = 0;
+    for (let b = 0, p = row * rowWidth + starts[f]; b < widths[f]; b++, p++) value = value * 256 + data[p];
+    return value;
   };
+  let expected = 0;
+  let row = 0;
+  for (let s = 0; s + 1 < index.length; s += 2) {
+    expected += index[s + 1];
+    for (let i = 0; i < index[s + 1] && (row + 1) * rowWidth <= data.length && !r.full(xref, object.offset); i++, row++) {
+      const type = widths[0] === 0 ? 1 : field(row, 0);
+      const entry = { object: index[s] + i, section };
+      if (type === 0) Object.assign(entry, { inUse: false, generation: field(row, 2) });
+      else if (type === 1) Object.assign(entry, { inUse: true, offset: field(row, 1), generation: field(row, 2) });
+      else if (type === 2) Object.assign(entry, { inUse: true, compressed: true, stream: field(row, 1), index: field(row, 2) });
+      else Object.assign(entry, { inUse: false, type });
+      xref.entries.push(entry);
+    }
+  }
+  if (row < expected && !r.full(xref, object.offset)) r.warn(label, object.streamOffset, `Cross-reference stream holds ${row} of its ${expected} entries`);
+}
+
+// gzip lookup tables
+const GZIP_OS = {
+  0: 'FAT', 1: 'Amiga', 2: 'VMS', 3: 'Unix', 4: 'VM/CMS', 5: 'Atari TOS', 6: 'HPFS', 7: 'Macintosh', 8: 'Z-System',
+  9: 'CP/M', 10: 'TOPS-20', 11: 'NTFS', 12: 'QDOS', 13: 'Acorn RISCOS', 255: 'Unknown'
+};
+const GZIP_FLAGS = [[0x1, 'text'], [0x2, 'header_crc'], [0x4, 'extra'], [0x8, 'name'], [0x10, 'comment']];
+
+// Helper: Parse gzip (member header with its optional extra subfields, original name, comment and header CRC, the
+// deflate stream, and the CRC-32 / ISIZE trailer at the end of the file, i.e. of the last member)
+function parseGzip(buffer, size, structures, warnings) {
+  const r = binaryReader(buffer, true, false, warnings);
+  if (!r.need(0, 10, 'gzip_header')) return;
+  const method = buffer[2];
+  const flags = buffer[3];
+  const mtime = r.u32(4);
+  structures.headers.push({ name: 'method', value: method, type: 'integer', offset: 2, label: method === 8 ? 'Deflate' : 'Unknown' });
+  structures.headers.push({ name: 'flags', value: flags, type: 'flags', offset: 3 });
+  structures.headers.push(Object.assign({ name: 'mtime', value: mtime, type: 'integer', offset: 4 }, mtime > 0 ? { label: new Date(mtime * 1000).toISOString() } : {}));
+  structures.headers.push({ name: 'xfl', value: buffer[8], type: 'integer', offset: 8, label: { 2: 'Maximum compression', 4: 'Fastest' }[buffer[8]] || 'None' });
+  structures.headers.push({ name: 'os', value: buffer[9], type: 'integer', offset: 9, label: GZIP_OS[buffer[9]] || 'Unknown' });
+  structures.flags.push({ name: 'flags', value: flags, bits: decodeFlags(flags, GZIP_FLAGS).bits });
+  if (method !== 8) r.warn('method', 2, `Unknown compression method ${method}`);
+  if (flags & 0xE0) r.warn('flags', 3, `Reserved flag bits set (0x${flags.toString(16)})`);
+
+  let off = 10;
+  if (flags & 0x4) {
+    // Extra field: subfields of a two-letter id and a length
+    const xlen = r.u16(off, 'extra');
+    const end = off + 2 + xlen;
+    r.need(off + 2, xlen, 'extra');
+    const extra = { name: 'extra', entries: [] };
+    for (let p = off + 2; p + 4 <= Math.min(end, size) && !r.full(extra, p);) {
+      const length = r.u16(p + 2);
+      extra.entries.push({ id: r.text(p, 2, 'latin1', 'extra'), length, offset: p + 4 });
+      p += 4 + length;
+    }
+    structures.tables.push(extra);
+    off = end;
+  }
+  for (const [mask, name] of [[0x8, 'original_name'], [0x10, 'comment']]) {
+    if (!(flags & mask)) continue;
+    const terminator = buffer.indexOf(0, off);
+    structures.headers.push({ name, value: r.cstring(off, name), type: 'string', offset: off });
+    if (terminator < 0) r.warn(name, off, 'Unterminated string');
+    off = terminator < 0 ? size : terminator + 1;
+  }
+  if (flags & 0x2) {
+    const headerCrc = r.u16(off, 'header_crc');
+    structures.headers.push({ name: 'header_crc', value: headerCrc, type: 'integer', offset: off });
+    if (off + 2 <= size && (crc32(buffer, 0, off) & 0xFFFF) !== headerCrc) r.warn('header_crc', off, 'Header CRC does not match the header');
+    off += 2;
+  }
+  structures.segments.push({ name: 'header', offset: 0, size: Math.min(off, size), type: 'gzip Header' });
+  structures.groups.mechanical.push('header');
+  if (off + 8 > size) {
+    r.warn('trailer', off, 'No room for the deflate stream and the trailer');
+    return;
+  }
+  structures.headers.push({ name: 'crc32', value: r.u32(size - 8), type: 'integer', offset: size - 8 });
+  structures.headers.push({ name: 'isize', value: r.u32(size - 4), type: 'integer', offset: size - 4 });
+  structures.segments.push({ name: 'deflate_stream', offset: off, size: size - 8 - off, type: 'Deflate' });
+  structures.segments.push({ name: 'trailer', offset: size - 8, size: 8, type: 'gzip Trailer' });
+  structures.groups.physical.push('deflate_stream');
+  structures.groups.mechanical.push('trailer');
 }
 
 // Generic parse for unknown formats
@@ -349,9 +2314,13 @@ function calculateEntropy(buf) {
   return ent.toFixed(4);
 }
 
-// Usage: node script.js <file_path>
-if (process.argv.length !== 3) {
-  console.log('Usage: node script.js <path_to_binary_file>');
-} else {
-  console.log(inspectBinary(process.argv[2]));
-}
\ No newline at end of file
+// Usage: node sonicTranductor.js <file_path>
+if (require.main === module) {
+  if (process.argv.length !== 3) {
+    console.log('Usage: node sonicTranductor.js <path_to_binary_file>');
+  } else {
+    console.log(inspectBinary(process.argv[2]));
+  }
+}
+
+module.exports = { inspectBinary, inspectBuffer, calculateEntropy, registerFormat, detectFormat, decodeAudio };
\ No newline at end of file
@@ -0,0 +1,526 @@
+const fs = require('fs');
+const path = require('path');
+const dsp = require('./SSARdsp.js');
+const { inspectBinary, calculateEntropy } = require('./sonicTranductor.js');
+
+// Sonification of inspectBinary results. The file is laid out on a timeline (file offset -> time); each of the
+// logical/mechanical/physical/other groups becomes a voice that sounds while its segments play, with pitch and level
+// following the local byte entropy. Raw segment bytes are played as PCM, header flag bits become a step rhythm and
+// symbols become pings. Control streams are [time, value] breakpoint tracks, the trajectory format of formantSynthesis,
+// so the same score drives the speech layer ("speaking" binaries) or goes to Max as a qlist.
+
+const usage = `Usage: node sonifyBinary.js [options] <binary>
+
+Options:
+  --preset default|raw|drone|pulse|speech|bytespeech   mapping preset (default: default)
+  --out <file.wav>                 rendered mix (default: <name>.sonify.wav in the current directory)
+  --control <file.json|file.txt>   writes the score as JSON, or as a Max qlist for .txt
+  --sections <dir>                 writes each segment's raw bytes as <dir>/<segment>.wav
+  --duration <s> --fs <Hz> --chunk-size <bytes> --octaves <n> --step-rate <steps/s>
+  --raw-format u8|s8|s16le|s16be --speech-source glottal|bytes --seed <n> --bits 16|24|32`;
+
+const groupNames = ['logical', 'mechanical', 'physical', 'other'];
+
+// Default mapping; presets and options override it field by field (layers and voices per entry)
+const defaults = {
+  fs: 16000,
+  duration: 10, // seconds for the whole file
+  chunkSize: 256, // bytes per entropy value
+  octaves: 2, // pitch range covered by entropy 0..8 bits
+  stepRate: 8, // flag rhythm steps per second
+  maxSymbols: 512,
+  rawFormat: 's8', // zero padding plays as silence
+  speechSource: 'glottal', // 'glottal' (formantSynthesis) | 'bytes' (segment bytes through vowel LPC filters)
+  seed: 1,
+  layers: { raw: 0.25, tones: 0.5, rhythm: 0.35, symbols: 0.2, speech: 0 },
+  // Per group: tone base frequency and waveform, speech vowel and base F0
+  voices: {
+    logical: { frequency: 220, waveform: 'triangle', vowel: 'a', f0: 110 },
+    mechanical: { frequency: 330, waveform: 'square', vowel: 'i', f0: 140 },
+    physical: { frequency: 165, waveform: 'sine', vowel: 'o', f0: 95 },
+    other: { frequency: 440, waveform: 'saw', vowel: 'u', f0: 180 }
+  }
+};
+
+const presets = {
+  default: {},
+  raw: { layers: { raw: 1, tones: 0, rhythm: 0, symbols: 0, speech: 0 } },
+  drone: { layers: { raw: 0, tones: 0.8, rhythm: 0, symbols: 0.1, speech: 0 }, octaves: 1, chunkSize: 1024 },
+  pulse: { layers: { raw: 0.1, tones: 0.2, rhythm: 0.8, symbols: 0.4, speech: 0 }, stepRate: 12 },
+  speech: { layers: { raw: 0, tones: 0, rhythm: 0.2, symbols: 0, speech: 1 } },
+  bytespeech: { layers: { raw: 0, tones: 0, rhythm: 0.2, symbols: 0, speech: 1 }, speechSource: 'bytes' }
+};
+
+// Preset + options over the defaults
+function resolveOptions(options = {}) {
+  const name = options.preset || 'default';
+  const preset = presets[name];
+  if (!preset) throw new Error(`Unknown preset ${name}`);
+  const voices = {};
+  for (const group of groupNames) {
+    voices[group] = Object.assign({}, defaults.voices[group], (preset.voices || {})[group], (options.voices || {})[group]);
+  }
+  const layers = Object.assign({}, defaults.layers, preset.layers, options.layers);
+  return Object.assign({}, defaults, preset, options, { preset: name, layers, voices });
+}
+
+// Bytes as PCM in [-1, 1): 'u8' (offset binary), 's8', 's16le', 's16be'. maxSamples > 0 reads with a stride so
+// very large segments stay bounded.
+function bytesToPcm(bytes, format = 'u8', maxSamples = 0) {
+  const width = format === 's16le' || format === 's16be' ? 2 : 1;
+  const count = Math.floor(bytes.length / width);
+  const stride = maxSamples > 0 && count > maxSamples ? count / maxSamples : 1;
+  const length = Math.floor(count / stride);
+  const output = new Float64Array(length);
+  for (let n = 0; n < length; n++) {
+    const i = Math.floor(n * stride) * width;
+    if (format === 'u8') output[n] = (bytes[i] - 128) / 128;
+    else if (format === 's8') output[n] = (bytes[i] << 24 >> 24) / 128;
+    else if (format === 's16le') output[n] = ((bytes[i] | bytes[i + 1] << 8) << 16 >> 16) / 32768;
+    else if (format === 's16be') output[n] = ((bytes[i] << 8 | bytes[i + 1]) << 16 >> 16) / 32768;
+    else throw new Error(`Unknown raw format ${format}`);
+  }
+  return output;
+}
+
+// Per-chunk byte entropy (bits) as a breakpoint track at the chunk centres
+function entropyTrack(buffer, chunkSize, duration) {
+  const size = buffer.length;
+  const track = [];
+  for (let offset = 0; offset < size; offset += chunkSize) {
+    const length = Math.min(chunkSize, size - offset);
+    track.push([(offset + length / 2) / size * duration, Number(calculateEntropy(buffer.subarray(offset, offset + length)))]);
+  }
+  return track;
+}
+
+// File-backed segments of each group, clamped to the file
+function groupSegments(structures, size) {
+  const byName = {};
+  for (const seg of structures.segments) {
+    if (!(seg.size > 0) || !(seg.offset >= 0) || seg.offset >= size) continue;
+    (byName[seg.name] = byName[seg.name] || []).push({ name: seg.name, offset: seg.offset, size: Math.min(seg.size, size - seg.offset) });
+  }
+  const groups = {};
+  for (const group of groupNames) {
+    const names = new Set(structures.groups[group] || []);
+    groups[group] = [].concat(...Array.from(names, name => byName[name] || [])).sort((a, b) => a.offset - b.offset);
+  }
+  return groups;
+}
+
+// Union of the segments' time spans, as sorted [t0, t1] intervals
+function mergeIntervals(segments, size, duration) {
+  const intervals = [];
+  for (const seg of segments) {
+    const t0 = seg.offset / size * duration;
+    const t1 = (seg.offset + seg.size) / size * duration;
+    const last = intervals[intervals.length - 1];
+    if (last && t0 <= last[1]) last[1] = Math.max(last[1], t1);
+    else intervals.push([t0, t1]);
+  }
+  return intervals;
+}
+
+// Pitch and amplitude tracks of a voice: entropy e maps to frequency * 2^(octaves * e / 8) and level 0.2 + 0.8 e / 8
+// inside the voice's intervals, with short ramps to silence between them
+function voiceTracks(intervals, entropy, frequency, octaves) {
+  const pitch = [];
+  const amplitude = [];
+  for (const [t0, t1] of intervals) {
+    const ramp = Math.min(0.005, (t1 - t0) / 4);
+    const points = entropy.filter(([t]) => t >= t0 && t <= t1);
+    if (points.length === 0) points.push([(t0 + t1) / 2, dsp.trackValue(entropy, (t0 + t1) / 2)]);
+    amplitude.push([t0, 0]);
+    points.forEach(([t, e], i) => {
+      const level = 0.2 + 0.8 * e / 8;
+      pitch.push([t, frequency * Math.pow(2, octaves * e / 8)]);
+      if (i === 0) amplitude.push([Math.min(t0 + ramp, t), level]);
+      amplitude.push([t, level]);
+      if (i === points.length - 1) amplitude.push([Math.max(t1 - ramp, t), level]);
+    });
+    amplitude.push([t1, 0]);
+  }
+  return { pitch, amplitude };
+}
+
+// Flag bits as a looping step pattern: every boolean bit of every flags entry is one step, set bits are hits and the
+// first bit of each entry is accented
+function flagEvents(structures, duration, stepRate) {
+  const pattern = [];
+  for (const flag of structures.flags) {
+    Object.keys(flag.bits).filter(bit => typeof flag.bits[bit] === 'boolean').forEach((bit, i) => {
+      pattern.push({ flag: flag.name, bit, on: flag.bits[bit], accent: i === 0 });
+    });
+  }
+  const events = [];
+  if (!pattern.some(step => step.on)) return events;
+  for (let k = 0; k / stepRate < duration; k++) {
+    const step = pattern[k % pattern.length];
+    if (step.on) events.push({ time: k / stepRate, flag: step.flag, bit: step.bit, velocity: step.accent ? 1 : 0.6 });
+  }
+  return events;
+}
+
+// Defined symbols (ELF symbols, Mach-O nlist, PE exports) placed at the file offset of their address; objects without
+// mapped segments fall back to the value as an offset into the symbol's section. Pitch comes from a name hash.
+function symbolEvents(structures, size, duration, maxSymbols) {
+  const mapped = structures.segments.filter(seg => typeof seg.vaddr === 'number' && seg.size > 0);
+  const byName = {};
+  for (const seg of structures.segments) byName[seg.name] = byName[seg.name] || seg;
+  const events = [];
+  const seen = new Set();
+  for (const table of structures.tables) {
+    if (!['symbols', 'dynamic_symbols', 'exports'].includes(table.name)) continue;
+    for (const entry of table.entries) {
+      const address = entry.value !== undefined ? entry.value : entry.n_value !== undefined ? entry.n_value : entry.rva;
+      if (!entry.name || typeof address !== 'number' || entry.forwarder) continue;
+      if (entry.section === 'UNDEF' || entry.type === 'UNDF' || entry.type === 'STAB') continue;
+      let offset = -1;
+      const seg = mapped.find(s => address >= s.vaddr && address < s.vaddr + s.size);
+      if (seg) offset = seg.offset + address - seg.vaddr;
+      else if (byName[entry.section] && address < byName[entry.section].size) offset = byName[entry.section].offset + address;
+      if (offset < 0 || offset >= size || seen.has(entry.name + '@' + offset)) continue;
+      seen.add(entry.name + '@' + offset);
+      let hash = 0;
+      for (let i = 0; i < entry.name.length; i++) hash = (hash * 31 + entry.name.charCodeAt(i)) >>> 0;
+      events.push({ time: offset / size * duration, name: entry.name, table: table.name, address, midi: 48 + hash % 36 });
+    }
+  }
+  events.sort((a, b) => a.time - b.time);
+  if (events.length <= maxSymbols) return events;
+  return Array.from({ length: maxSymbols }, (_, i) => events[Math.floor(i * events.length / maxSymbols)]);
+}
+
+// Structures of a result with those of its universal-binary slices appended (slice offsets are file offsets)
+function sliceStructures(result) {
+  const structures = result.structures;
+  if (!result.slices) return structures;
+  const merged = {
+    headers: structures.headers.slice(),
+    tables: structures.tables.slice(),
+    segments: structures.segments.slice(),
+    groups: {},
+    flags: structures.flags.slice()
+  };
+  for (const group of groupNames) merged.groups[group] = (structures.groups[group] || []).slice();
+  for (const slice of result.slices) {
+    const s = slice.structures;
+    merged.headers.push(...s.headers);
+    merged.tables.push(...s.tables);
+    merged.segments.push(...s.segments);
+    merged.flags.push(...s.flags);
+    for (const group of groupNames) merged.groups[group].push(...(s.groups[group] || []));
+  }
+  return merged;
+}
+
+// Score (all control data, no audio) from an inspectBinary result and the file bytes
+function buildScore(result, buffer, options = {}) {
+  const opts = resolveOptions(options);
+  const size = buffer.length;
+  if (size === 0) throw new Error('Empty file');
+  const structures = sliceStructures(result);
+  const entropy = entropyTrack(buffer, opts.chunkSize, opts.duration);
+  const segments = groupSegments(structures, size);
+  const voices = {};
+  for (const group of groupNames) {
+    const voice = opts.voices[group];
+    const intervals = mergeIntervals(segments[group], size, opts.duration);
+    voices[group] = Object.assign({ segments: segments[group], intervals }, voiceTracks(intervals, entropy, voice.frequency, opts.octaves));
+  }
+  return {
+    source: result.metadata ? result.metadata.filePath : null,
+    fileType: result.metadata ? result.metadata.fileType : null,
+    size,
+    duration: opts.duration,
+    preset: opts.preset,
+    entropy,
+    voices,
+    events: {
+      flags: flagEvents(structures, opts.duration, opts.stepRate),
+      symbols: symbolEvents(structures, size, opts.duration, opts.maxSymbols)
+    }
+  };
+}
+
+// Band-unlimited oscillator shapes over a phase in [0, 1)
+const waveforms = {
+  sine: p => Math.sin(2 * Math.PI * p),
+  triangle: p => 1 - 4 * Math.abs(p - 0.5),
+  square: p => p < 0.5 ? 0.5 : -0.5,
+  saw: p => 2 * p - 1
+};
+
+// One oscillator per voice following its pitch and amplitude tracks (updated every 16 samples)
+function renderTones(score, opts) {
+  const length = Math.floor(opts.fs * score.duration);
+  const output = new Float64Array(length);
+  for (const group of groupNames) {
+    const voice = score.voices[group];
+    if (voice.intervals.length === 0) continue;
+    const shape = waveforms[opts.voices[group].waveform];
+    if (!shape) throw new Error(`Unknown waveform ${opts.voices[group].waveform}`);
+    let phase = 0;
+    let frequency = 0;
+    let amplitude = 0;
+    for (let n = 0; n < length; n++) {
+      if (n % 16 === 0) {
+        frequency = dsp.trackValue(voice.pitch, n / opts.fs);
+        amplitude = dsp.trackValue(voice.amplitude, n / opts.fs);
+      }
+      if (amplitude > 0) output[n] += amplitude * shape(phase) / groupNames.length;
+      phase = (phase + frequency / opts.fs) % 1;
+    }
+  }
+  return output;
+}
+
+// Segment bytes as PCM, stretched (linear interpolation) over each segment's time span; per voice when byVoice
+function renderRaw(score, buffer, opts, byVoice = false) {
+  const length = Math.floor(opts.fs * score.duration);
+  const perVoice = {};
+  for (const group of groupNames) {
+    const output = new Float64Array(length);
+    for (const seg of score.voices[group].segments) {
+      const start = Math.floor(seg.offset / score.size * score.duration * opts.fs);
+      const span = Math.max(1, Math.min(length, Math.floor((seg.offset + seg.size) / score.size * score.duration * opts.fs)) - start);
+      const pcm = bytesToPcm(buffer.subarray(seg.offset, seg.offset + seg.size), opts.rawFormat, 4 * span);
+      if (pcm.length === 0) continue;
+      const stretched = dsp.resample(pcm, pcm.length, span, 'fast');
+      const fade = Math.min(64, span >> 2);
+      for (let n = 0; n < span && start + n < length; n++) {
+        const edge = Math.min(1, (n + 1) / (fade + 1), (span - n) / (fade + 1));
+        output[start + n] += stretched[Math.min(n, stretched.length - 1)] * edge;
+      }
+    }
+    perVoice[group] = output;
+  }
+  if (byVoice) return perVoice;
+  const mix = new Float64Array(length);
+  for (const group of groupNames) perVoice[group].forEach((x, n) => { mix[n] += x / groupNames.length; });
+  return mix;
+}
+
+// Adds a decaying sine (and optional seeded noise) burst at time t
+function addBurst(output, fs, t, frequency, amplitude, decay, noise, rng) {
+  const start = Math.floor(t * fs);
+  const length = Math.min(output.length - start, Math.floor(decay * 6 * fs));
+  for (let n = 0; n < length; n++) {
+    const env = amplitude * Math.exp(-n / (decay * fs));
+    output[start + n] += env * ((1 - noise) * Math.sin(2 * Math.PI * frequency * n / fs) + noise * (2 * rng() - 1));
+  }
+}
+
+// Flag hits as noisy clicks (one pitch per flags entry) and symbols as pings at their hashed MIDI note
+function renderEvents(score, opts) {
+  const length = Math.floor(opts.fs * score.duration);
+  const rng = dsp.createRng(opts.seed);
+  const rhythm = new Float64Array(length);
+  const flagNames = Array.from(new Set(score.events.flags.map(e => e.flag)));
+  for (const e of score.events.flags) {
+    addBurst(rhythm, opts.fs, e.time, 1200 * Math.pow(2, flagNames.indexOf(e.flag) / 3), e.velocity, 0.01, 0.7, rng);
+  }
+  const symbols = new Float64Array(length);
+  for (const e of score.events.symbols) {
+    addBurst(symbols, opts.fs, e.time, 440 * Math.pow(2, (e.midi - 69) / 12), 0.5, 0.04, 0, rng);
+  }
+  return { rhythm, symbols };
+}
+
+// Speech layer: each voice's entropy drives a formantSynthesis F0 track (one octave above its base F0), voicing
+// (its amplitude track) and breathiness (aspiration above 6 bits of entropy), through its group's vowel. With
+// speechSource 'bytes', the voice's raw segment PCM excites an LPC model of the vowel instead (lpcSynthesis).
+function renderSpeech(score, buffer, opts) {
+  const length = Math.floor(opts.fs * score.duration);
+  const output = new Float64Array(length);
+  const raw = opts.speechSource === 'bytes' ? renderRaw(score, buffer, opts, true) : null;
+  if (opts.speechSource !== 'bytes' && opts.speechSource !== 'glottal') throw new Error(`Unknown speech source ${opts.speechSource}`);
+  for (const group of groupNames) {
+    const voice = score.voices[group];
+    if (voice.intervals.length === 0) continue;
+    const settings = opts.voices[group];
+    const vowel = dsp.vowelFormants[settings.vowel];
+    if (!vowel) throw new Error('Unknown vowel: ' + settings.vowel);
+    let signal;
+    if (raw) {
+      const model = dsp.lpcAnalysisFull(dsp.speechProductionModel(1, settings.f0, 0.1, opts.fs, settings.vowel), 16, 0);
+      signal = dsp.lpcSynthesis(raw[group], model.a, 1);
+      for (let n = 0; n < length; n++) signal[n] *= dsp.trackValue(voice.amplitude, n / opts.fs);
+    } else {
+      const inside = score.entropy.filter(([t]) => voice.intervals.some(([t0, t1]) => t >= t0 && t <= t1));
+      const points = inside.length > 0 ? inside : score.entropy;
+      signal = dsp.formantSynthesis({
+        duration: score.duration,
+        f0: points.map(([t, e]) => [t, settings.f0 * Math.pow(2, e / 8)]),
+        voicing: voice.amplitude,
+        aspiration: points.map(([t, e]) => [t, Math.max(0, e - 6) / 4]),
+        formants: vowel.formants,
+        bandwidths: vowel.bandwidths
+      }, { fs: opts.fs, seed: opts.seed, jitter: 0.01, shimmer: 0.05 });
+    }
+    normalizePeak(signal, 1);
+    for (let n = 0; n < length; n++) output[n] += signal[n] / groupNames.length;
+  }
+  return output;
+}
+
+function normalizePeak(signal, peak) {
+  let max = 0;
+  for (let n = 0; n < signal.length; n++) max = Math.max(max, Math.abs(signal[n]));
+  if (max > 0) for (let n = 0; n < signal.length; n++) signal[n] *= peak / max;
+  return signal;
+}
+
+// Renders a score: the layers with non-zero gain and their mix, peak-normalized to 0.9
+function renderScore(score, buffer, options = {}) {
+  const opts = resolveOptions(options);
+  const gains = opts.layers;
+  const layers = {};
+  if (gains.tones > 0) layers.tones = renderTones(score, opts);
+  if (gains.raw > 0) layers.raw = renderRaw(score, buffer, opts);
+  if (gains.rhythm > 0 || gains.symbols > 0) {
+    const events = renderEvents(score, opts);
+    if (gains.rhythm > 0) layers.rhythm = events.rhythm;
+    if (gains.symbols > 0) layers.symbols = events.symbols;
+  }
+  if (gains.speech > 0) layers.speech = renderSpeech(score, buffer, opts);
+  const mix = new Float64Array(Math.floor(opts.fs * score.duration));
+  for (const name of Object.keys(layers)) {
+    const layer = layers[name];
+    for (let n = 0; n < mix.length; n++) mix[n] += gains[name] * layer[n];
+  }
+  return { fs: opts.fs, mix: normalizePeak(mix, 0.9), layers };
+}
+
+// Sonifies a binary. input: a file path, an inspectBinary JSON string or its parsed result; the bytes come from
+// options.buffer or the result's metadata.filePath. Returns {score, fs, mix, layers}.
+function sonify(input, options = {}) {
+  const result = typeof input === 'string' && !input.trimStart().startsWith('{') ? JSON.parse(inspectBinary(input))
+    : typeof input === 'string' ? JSON.parse(input) : input;
+  if (result.error) throw new Error(result.error);
+  const buffer = options.buffer || fs.readFileSync(result.metadata.filePath);
+  const score = buildScore(result, buffer, options);
+  return Object.assign({ score }, renderScore(score, buffer, options));
+}
+
+// Max [qlist] text: one line per control change, "<delay ms> <receive name> <values>;" with voices sending
+// "<pitch Hz> <amplitude>", flags "<flag> <bit> <velocity>" and symbols "<midi> <name>"
+function toQlist(score) {
+  const lines = [];
+  for (const group of groupNames) {
+    const voice = score.voices[group];
+    for (const [t] of voice.amplitude) {
+      lines.push([t, `${group} ${dsp.trackValue(voice.pitch, t).toFixed(2)} ${dsp.trackValue(voice.amplitude, t).toFixed(3)}`]);
+    }
+  }
+  for (const e of score.events.flags) lines.push([e.time, `flags ${e.flag} ${e.bit} ${e.velocity}`]);
+  for (const e of score.events.symbols) lines.push([e.time, `symbols ${e.midi} ${e.name.replace(/[;,\s]/g, '_')}`]);
+  lines.sort((a, b) => a[0] - b[0]);
+  let previous = 0;
+  return lines.map(([t, message]) => {
+    const delay = Math.round((t - previous) * 1000);
+    previous += delay / 1000;
+    return `${delay} ${message};`;
+  }).join('\n') + '\n';
+}
+
+// Option name -> parser (as in batchSSARdsp.js)
+const optionParsers = {
+  preset: v => oneOf('preset', v, Object.keys(presets)),
+  out: String,
+  control: String,
+  sections: String,
+  duration: v => positiveNumber('duration', v),
+  fs: v => positiveNumber('fs', v),
+  chunkSize: v => positiveNumber('chunk-size', v),
+  octaves: v => positiveNumber('octaves', v, true),
+  stepRate: v => positiveNumber('step-rate', v),
+  rawFormat: v => oneOf('raw-format', v, ['u8', 's8', 's16le', 's16be']),
+  speechSource: v => oneOf('speech-source', v, ['glottal', 'bytes']),
+  seed: v => positiveNumber('seed', v, true),
+  bits: v => Number(oneOf('bits', v, ['16', '24', '32']))
+};
+
+function positiveNumber(name, v, allowZero = false) {
+  const x = Number(v);
+  if (!isFinite(x) || x < 0 || (x === 0 && !allowZero)) throw new Error(`--${name} expects a positive number, got ${v}`);
+  return x;
+}
+
+function oneOf(name, v, values) {
+  if (values.indexOf(v) < 0) throw new Error(`--${name} expects one of ${values.join(', ')}, got ${v}`);
+  return v;
+}
+
+// Splits argv into {options, file}; --kebab-case options map to camelCase keys
+function parseArgs(argv) {
+  const options = { bits: 16 };
+  let file = null;
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const key = arg.slice(2).replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+      if (!(key in optionParsers)) throw new Error(`Unknown option ${arg}`);
+      if (i + 1 >= argv.length) throw new Error(`${arg} expects a value`);
+      options[key] = optionParsers[key](argv[++i]);
+    } else if (file === null) {
+      file = arg;
+    } else {
+      throw new Error(`Unexpected argument ${arg}`);
+    }
+  }
+  if (!file) throw new Error('No input file');
+  return { options, file };
+}
+
+function run(argv) {
+  const { options, file } = parseArgs(argv);
+  const output = sonify(file, options);
+  const name = path.basename(file);
+  const target = options.out || `${name}.sonify.wav`;
+  dsp.writeWav(target, output.mix, output.fs, options.bits);
+  console.error(`${file} -> ${target}`);
+  if (options.control) {
+    const text = options.control.endsWith('.txt') ? toQlist(output.score) : JSON.stringify(output.score) + '\n';
+    fs.writeFileSync(options.control, text);
+    console.error(`score -> ${options.control}`);
+  }
+  if (options.sections) {
+    const buffer = fs.readFileSync(file);
+    const opts = resolveOptions(options);
+    fs.mkdirSync(options.sections, { recursive: true });
+    for (const group of groupNames) {
+      for (const seg of output.score.voices[group].segments) {
+        const pcm = bytesToPcm(buffer.subarray(seg.offset, seg.offset + seg.size), opts.rawFormat);
+        const sectionFile = path.join(options.sections, `${seg.name.replace(/[^\w.-]/g, '_') || 'unnamed'}@${seg.offset}.wav`);
+        dsp.writeWav(sectionFile, pcm, opts.fs, options.bits);
+      }
+    }
+    console.error(`segments -> ${options.sections}`);
+  }
+}
+
+// Usage: node sonifyBinary.js [options] <binary>
+if (require.main === module) {
+  try {
+    run(process.argv.slice(2));
+  } catch (e) {
+    console.error(`sonifyBinary: ${e.message}\n\n${usage}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  presets,
+  sonify,
+  buildScore,
+  renderScore,
+  bytesToPcm,
+  entropyTrack,
+  flagEvents,
+  symbolEvents,
+  toQlist,
+  parseArgs,
+  run
+};
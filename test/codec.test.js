@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dsp, assertClose, gaussian, arProcess, sine } = require('./helpers.js');
+
+test('packBits / unpackBits round trip fixed and per-code widths', () => {
+  const codes = Uint32Array.of(5, 0, 7, 3, 1, 6, 2);
+  const packed = dsp.packBits(codes, 3);
+  assert.equal(packed.length, Math.ceil(codes.length * 3 / 8));
+  assert.deepEqual(Array.from(dsp.unpackBits(packed, 3, codes.length)), Array.from(codes));
+  const widths = [1, 8, 3, 12, 5];
+  const mixed = Uint32Array.of(1, 200, 5, 4000, 17);
+  assert.deepEqual(Array.from(dsp.unpackBits(dsp.packBits(mixed, widths), widths, mixed.length)), Array.from(mixed));
+  // MSB first: 0b101 followed by 0b000 and 0b11 of the next code
+  assert.equal(dsp.packBits(Uint32Array.of(5, 0, 7), 3)[0], 0b10100011);
+});
+
+test('snr is very large for identical signals and 20 dB for a 10% error', () => {
+  const x = sine(100, 8000, 800);
+  assert.ok(dsp.snr(x, x) > 150);
+  assertClose(dsp.snr(x, x.map(v => 1.1 * v)), 20, 1e-9);
+});
+
+test('G.711 matches the reference code tables', () => {
+  assert.equal(dsp.linearToMulaw(0), 0xFF);
+  assert.equal(dsp.mulawToLinear(0x80), 32124);
+  assert.equal(dsp.mulawToLinear(0x00), -32124);
+  assert.equal(dsp.linearToAlaw(0), 0xD5);
+  assert.equal(dsp.alawToLinear(0xD5), 8);
+  assert.equal(dsp.alawToLinear(0xAA), 32256);
+  for (let code = 0; code < 256; code++) {
+    // mu-law has two zeros; 0x7F (negative zero) re-encodes as 0xFF
+    if (code !== 0x7F) assert.equal(dsp.linearToMulaw(dsp.mulawToLinear(code)), code, `mu-law ${code}`);
+    assert.equal(dsp.linearToAlaw(dsp.alawToLinear(code)), code, `A-law ${code}`);
+  }
+});
+
+test('uniform PCM error is bounded by half a step', () => {
+  const x = gaussian(1000, 3).map(v => Math.max(-0.99, Math.min(0.99, 0.3 * v)));
+  for (const bits of [4, 8, 12]) {
+    const decoded = dsp.pcmDecode(dsp.pcmEncode(x, bits));
+    const step = 2 / (1 << bits);
+    for (let i = 0; i < x.length; i++) assert.ok(Math.abs(decoded[i] - x[i]) <= step / 2 + 1e-12, `${bits} bits`);
+  }
+});
+
+test('PCM SNR grows by about 6 dB per bit', () => {
+  const x = sine(440, 8000, 8000, 0.9);
+  const snr = bits => dsp.snr(x, dsp.pcmDecode(dsp.pcmEncode(x, bits)));
+  assertClose(snr(10) - snr(8), 12.04, 1.0);
+});
+
+test('companding keeps quiet signals better than uniform PCM at the same rate', () => {
+  const quiet = sine(300, 8000, 4000, 0.01);
+  const uniform = dsp.snr(quiet, dsp.pcmDecode(dsp.pcmEncode(quiet, 8)));
+  const companded = dsp.snr(quiet, dsp.companderDecode(dsp.companderEncode(quiet, 8)));
+  const g711 = dsp.snr(quiet, dsp.mulawDecode(dsp.mulawEncode(quiet)));
+  assert.ok(companded > uniform + 15, `compander ${companded} dB vs uniform ${uniform} dB`);
+  assert.ok(g711 > uniform + 15, `G.711 ${g711} dB vs uniform ${uniform} dB`);
+});
+
+test('waveform codecs reach their expected quality on a correlated signal', () => {
+  const a = Float64Array.of(1, -1.6, 0.8);
+  const x = arProcess(a, 8000, 2);
+  let peak = 0;
+  for (const v of x) peak = Math.max(peak, Math.abs(v));
+  const signal = x.map(v => 0.5 * v / peak);
+  const expected = { pcm: [8, 35], mulaw: [8, 25], alaw: [8, 25], dpcm: [4, 10], adpcm: [4, 15], apc: [null, 15] };
+  for (const name of Object.keys(dsp.waveformCodecs)) {
+    if (!expected[name]) continue;
+    const result = dsp.runCodec(name, signal, { fs: 8000 });
+    const [bitsPerSample, minSnr] = expected[name];
+    if (bitsPerSample) assertClose(result.bitsPerSample, bitsPerSample, 0.01, `${name} bits per sample`);
+    assert.ok(result.snr > minSnr, `${name} SNR ${result.snr.toFixed(1)} dB`);
+    assert.equal(result.decoded.length, signal.length, `${name} length`);
+    assert.equal(result.bitstream.length, Math.ceil(result.totalBits / 8), `${name} bitstream`);
+  }
+});
+
+test('runCodec decodes what the bitstream carries', () => {
+  const signal = sine(300, 8000, 2000, 0.6).map((v, n) => v + 0.1 * Math.sin(n));
+  for (const name of Object.keys(dsp.waveformCodecs)) {
+    const result = dsp.runCodec(name, signal, { fs: 8000 });
+    assertClose(result.decoded, dsp.waveformCodecs[name].decode(result.encoded), 0, name);
+  }
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dsp, assertClose, gaussian, sine, energy } = require('./helpers.js');
+
+// Direct O(N^2) DFT as the reference
+function dft(re, im, inverse = false) {
+  const N = re.length;
+  const outRe = new Float64Array(N);
+  const outIm = new Float64Array(N);
+  const sign = inverse ? 1 : -1;
+  for (let k = 0; k < N; k++) {
+    for (let n = 0; n < N; n++) {
+      const w = sign * 2 * Math.PI * k * n / N;
+      outRe[k] += re[n] * Math.cos(w) - im[n] * Math.sin(w);
+      outIm[k] += re[n] * Math.sin(w) + im[n] * Math.cos(w);
+    }
+    if (inverse) {
+      outRe[k] /= N;
+      outIm[k] /= N;
+    }
+  }
+  return { re: outRe, im: outIm };
+}
+
+test('fft matches the direct DFT for power-of-two and Bluestein lengths', () => {
+  for (const N of [1, 2, 8, 64, 3, 12, 100, 257]) {
+    const re = gaussian(N, N);
+    const im = gaussian(N, N + 1000);
+    const expected = dft(re, im);
+    const outRe = Float64Array.from(re);
+    const outIm = Float64Array.from(im);
+    dsp.fft(outRe, outIm);
+    assertClose(outRe, expected.re, 1e-9 * N, `N=${N} re`);
+    assertClose(outIm, expected.im, 1e-9 * N, `N=${N} im`);
+  }
+});
+
+test('fft round trip restores the input', () => {
+  for (const N of [16, 1024, 30, 441]) {
+    const re = gaussian(N, 7);
+    const im = gaussian(N, 8);
+    const outRe = Float64Array.from(re);
+    const outIm = Float64Array.from(im);
+    dsp.fft(outRe, outIm);
+    dsp.fft(outRe, outIm, true);
+    assertClose(outRe, re, 1e-12, `N=${N} re`);
+    assertClose(outIm, im, 1e-12, `N=${N} im`);
+  }
+});
+
+test('Parseval: time-domain energy equals spectral energy / N', () => {
+  for (const N of [256, 300]) {
+    const x = gaussian(N, 3);
+    const re = Float64Array.from(x);
+    const im = new Float64Array(N);
+    dsp.fft(re, im);
+    let spectral = 0;
+    for (let k = 0; k < N; k++) spectral += re[k] * re[k] + im[k] * im[k];
+    assertClose(spectral / N, energy(x), 1e-9 * energy(x), `N=${N}`);
+  }
+});
+
+test('fft of a sinusoid on a bin puts N/2 in bins k and N-k', () => {
+  const N = 64;
+  const re = Float64Array.from({ length: N }, (_, n) => Math.cos(2 * Math.PI * 5 * n / N));
+  const im = new Float64Array(N);
+  dsp.fft(re, im);
+  for (let k = 0; k < N; k++) {
+    assertClose(Math.hypot(re[k], im[k]), k === 5 || k === N - 5 ? N / 2 : 0, 1e-10, `bin ${k}`);
+  }
+});
+
+test('rfft equals the first half of the complex fft and irfft inverts it', () => {
+  for (const N of [2, 4, 512, 250, 7]) {
+    const x = gaussian(N, 11);
+    const half = dsp.rfft(x);
+    const full = dft(x, new Float64Array(N));
+    assert.equal(half.re.length, (N >> 1) + 1);
+    assertClose(half.re, full.re.subarray(0, half.re.length), 1e-9, `N=${N} re`);
+    assertClose(half.im, full.im.subarray(0, half.im.length), 1e-9, `N=${N} im`);
+    assertClose(dsp.irfft(half.re, half.im, N), x, 1e-12, `N=${N} irfft`);
+  }
+});
+
+test('cfft / icfft use the twiddle products and do not mutate their input', () => {
+  const input = [1, 2, 3, 4, 0, -1, -2, -3].map(v => new dsp.Complex(v, 0));
+  const copy = input.map(c => [c.re, c.im]);
+  const spectrum = dsp.cfft(input);
+  const expected = dft(Float64Array.from(copy, c => c[0]), new Float64Array(8));
+  assertClose(spectrum.map(c => c.re), expected.re, 1e-12, 're');
+  assertClose(spectrum.map(c => c.im), expected.im, 1e-12, 'im');
+  assert.deepEqual(input.map(c => [c.re, c.im]), copy);
+  assertClose(dsp.icfft(spectrum).map(c => c.re), copy.map(c => c[0]), 1e-12, 'round trip');
+});
+
+test('real cepstrum of a minimum-phase echo is the log series', () => {
+  // x = delta + a delta(n - 1): log(1 + a z^-1) = sum (-1)^(n+1) a^n / n z^-n
+  const a = 0.5;
+  const x = new Float64Array(256);
+  x[0] = 1;
+  x[1] = a;
+  const ceps = dsp.cepstralAnalysis(x, 6);
+  // The real cepstrum is half the complex cepstrum for n > 0 (which is causal for a minimum-phase signal)
+  const expected = [0, a, -a * a / 2, a ** 3 / 3, -(a ** 4) / 4, a ** 5 / 5].map(v => v / 2);
+  assertClose(ceps, Float64Array.from(expected), 1e-9);
+});
+
+test('powerSpectrum of a windowed sine peaks at its frequency', () => {
+  const fs = 8000;
+  const frame = dsp.getFrame(sine(1000, fs, 512), 0, 512, dsp.makeWindow('hann', 512));
+  const power = dsp.powerSpectrum(frame, 512);
+  let peak = 0;
+  for (let k = 1; k < power.length; k++) if (power[k] > power[peak]) peak = k;
+  assert.equal(peak, 1000 * 512 / fs);
+});
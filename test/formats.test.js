@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { dsp, assertClose, sine } = require('./helpers.js');
+const { inspectBuffer, registerFormat, detectFormat, decodeAudio } = require('../sonicTranductor.js');
+
+// Container seeds in test/corpus (see fuzz.test.js for the executables):
+//   sine.wav         0.05 s stereo 16-bit WAV at 8 kHz (x, -x) with a LIST/INFO chunk after the data
+//   tone.aifc        the same x as mono AIFF-C 'sowt' with FVER, a marker and a NAME chunk
+//   image.png        8x4 RGBA image with gAMA, pHYs, tIME, tEXt and iTXt chunks and two IDAT chunks
+//   archive.zip      a directory, a deflated script and a stored 256-byte binary, with an archive comment
+//   doc.pdf          PDF 1.4 with an xref table and an incremental update chained by /Prev
+//   xref-stream.pdf  PDF 1.5 with a predicted, Flate-compressed xref stream and an object stream
+//   data.gz          gzip member with extra field, name, comment and header CRC
+const corpusDir = path.join(__dirname, 'corpus');
+const seed = name => fs.readFileSync(path.join(corpusDir, name));
+const x = sine(440, 8000, 400, 0.5);
+
+const header = (result, name) => (result.structures.headers.find(h => h.name === name) || {}).value;
+const table = (result, name) => result.structures.tables.find(t => t.name === name);
+const segment = (result, name) => result.structures.segments.find(s => s.name === name);
+
+test('signatures with offsets and masks select the registered format', () => {
+  const types = {
+    'sine.wav': 'WAV', 'tone.aifc': 'AIFF', 'image.png': 'PNG', 'archive.zip': 'ZIP', 'doc.pdf': 'PDF', 'data.gz': 'gzip',
+    'elf64-so': 'ELF', 'pe32.dll': 'PE', 'macho64': 'Mach-O', 'macho-fat': 'Mach-O Universal'
+  };
+  for (const [name, type] of Object.entries(types)) assert.equal(detectFormat(seed(name)).name, type, name);
+  // FEEDFACE/FEEDFACF and their byte-swapped forms through one masked signature each
+  for (const magic of ['FEEDFACE', 'FEEDFACF', 'CEFAEDFE', 'CFFAEDFE']) assert.equal(detectFormat(Buffer.from(magic, 'hex')).name, 'Mach-O', magic);
+  // A Java class file (version 52 where a fat header has its arch count) is not a universal binary
+  assert.equal(detectFormat(Buffer.from('CAFEBABE00000034', 'hex')), null);
+  assert.equal(detectFormat(Buffer.from('RIFF\0\0\0\0AVI ', 'latin1')), null);
+  assert.equal(inspectBuffer(Buffer.from('RIFF')).metadata.fileType, 'Unknown');
+});
+
+test('registered formats take precedence and fill the universal schema', () => {
+  // A ZIP-based format claimed by its first entry name
+  registerFormat({
+    name: 'Test JAR',
+    signatures: [[{ hex: '504B0304' }, { offset: 30, ascii: 'META-INF/' }]],
+    parse: (buffer, size, structures) => {
+      structures.headers.push({ name: 'manifest', value: true, type: 'boolean', offset: 30 });
+      return { archive: 'jar' };
+    }
+  });
+  const jar = Buffer.alloc(64);
+  jar.write('PK\x03\x04', 0, 'latin1');
+  jar.write('META-INF/MANIFEST.MF', 30, 'latin1');
+  const result = inspectBuffer(jar);
+  assert.equal(result.metadata.fileType, 'Test JAR');
+  assert.equal(result.archive, 'jar');
+  assert.equal(header(result, 'manifest'), true);
+  assert.equal(detectFormat(seed('archive.zip')).name, 'ZIP');
+
+  // Parser exceptions are reported as warnings with the partial result
+  registerFormat({ name: 'Test JAR', signatures: [[{ hex: '504B0304' }, { offset: 30, ascii: 'META-INF/' }]], parse: () => { throw new Error('boom'); } });
+  assert.deepEqual(inspectBuffer(jar).warnings.map(w => [w.field, w.reason]), [['Test JAR', 'Unexpected error: boom']]);
+
+  assert.throws(() => registerFormat({ name: 'Bad', signatures: [{ hex: 'ABC' }], parse: () => {} }), /Invalid signature for format Bad/);
+  assert.throws(() => registerFormat({ name: 'Bad', signatures: [{ hex: 'AB', mask: 'FFFF' }], parse: () => {} }), /Invalid signature/);
+  assert.throws(() => registerFormat({ name: 'Bad', signatures: [], parse: () => {} }), /has no signatures/);
+  assert.throws(() => registerFormat({ name: 'Bad', signatures: [{ ascii: 'B' }] }), /needs a name and a parse function/);
+});
+
+test('WAV and AIFF report their sample format and decode through SSARdsp', () => {
+  const wavBytes = seed('sine.wav');
+  const wav = inspectBuffer(wavBytes);
+  assert.deepEqual(wav.warnings, []);
+  assert.deepEqual(table(wav, 'chunks').entries.map(c => c.id), ['fmt ', 'data', 'LIST']);
+  assert.deepEqual(table(wav, 'info').entries.map(e => [e.id, e.value]), [['INAM', 'Sine'], ['ISFT', 'SSARdsp']]);
+  assert.deepEqual(wav.structures.groups, { logical: ['LIST'], mechanical: ['fmt'], physical: ['data'], other: [] });
+  assert.deepEqual(wav.audio, {
+    container: 'WAV', format: 'pcm', fs: 8000, numChannels: 2, bitsPerSample: 16, byteOrder: 'Little-endian',
+    dataOffset: 44, dataSize: 1600, frames: 400, duration: 0.05
+  });
+  // The first sample frame sits at dataOffset
+  assertClose(wavBytes.readInt16LE(wav.audio.dataOffset) / 32768, x[0], 1 / 32768);
+  assertClose(wavBytes.readInt16LE(wav.audio.dataOffset + 2 * 100) / 32768, x[50], 1 / 32768);
+
+  const aiff = inspectBuffer(seed('tone.aifc'));
+  assert.deepEqual(aiff.warnings, []);
+  assert.equal(header(aiff, 'compression_type'), 'sowt');
+  assert.equal(header(aiff, 'sample_rate'), 8000);
+  assert.deepEqual(table(aiff, 'markers').entries.map(m => [m.id, m.position, m.name]), [[1, 200, 'Start']]);
+  assert.deepEqual(table(aiff, 'text').entries.map(t => t.value), ['Tone']);
+  assert.equal(aiff.audio.container, 'AIFC');
+  assert.equal(aiff.audio.byteOrder, 'Little-endian');
+  assert.equal(aiff.audio.frames, 400);
+  assert.deepEqual(aiff.structures.groups.physical, ['SSND']);
+
+  const decodedWav = decodeAudio(wavBytes);
+  const decodedAiff = decodeAudio(seed('tone.aifc'));
+  assertClose(decodedWav.channels[0], x, 1 / 32768, 'wav');
+  assertClose(decodedWav.signal, new Float64Array(400), 1e-12, 'wav mono mix');
+  assert.equal(decodedAiff.fs, 8000);
+  assertClose(decodedAiff.signal, x, 1 / 32768, 'aiff');
+  assert.throws(() => decodeAudio(seed('image.png')), /No audio decoder for PNG files/);
+
+  // A data chunk cut short keeps the frames that are there
+  const cut = inspectBuffer(wavBytes.subarray(0, 44 + 1000));
+  assert.equal(cut.audio.frames, 250);
+  assert.deepEqual(cut.warnings.map(w => w.field), ['riff_size', 'chunks']);
+
+  // A block_align smaller than one sample per channel is reported and frames are counted from the channel layout
+  const wide = Buffer.from(dsp.encodeWav(Array.from({ length: 64 }, () => x.subarray(0, 12)), 8000, 16));
+  wide.writeUInt16LE(1, 32);
+  const inconsistent = inspectBuffer(wide);
+  assert.deepEqual(inconsistent.warnings.map(w => [w.field, w.offset]), [['block_align', 32]]);
+  assert.equal(inconsistent.audio.frames, 12);
+  assert.throws(() => decodeAudio(wide), /WAV block align 1 is smaller than 64 channels x 2 bytes/);
+});
+
+test('PNG chunks carry their properties, CRC checks and image header', () => {
+  const bytes = seed('image.png');
+  const png = inspectBuffer(bytes);
+  assert.deepEqual(png.warnings, []);
+  assert.deepEqual(table(png, 'chunks').entries.map(c => c.id), ['IHDR', 'gAMA', 'pHYs', 'tIME', 'tEXt', 'iTXt', 'IDAT', 'IDAT', 'IEND']);
+  assert.deepEqual([header(png, 'width'), header(png, 'height'), header(png, 'bit_depth')], [8, 4, 8]);
+  assert.equal(png.structures.headers.find(h => h.name === 'color_type').label, 'RGBA');
+  assert.equal(header(png, 'modified'), '2024-05-17T12:30:00Z');
+  assert.deepEqual(png.structures.flags, [{ name: 'color_type', value: 6, bits: { palette: false, color: true, alpha: true } }]);
+  assert.deepEqual(table(png, 'text').entries.map(t => [t.keyword, t.value]), [['Title', 'Gradient'], ['Comment', 'Ton für Bytes']]);
+  assert.deepEqual(png.structures.groups.physical, ['IDAT', 'IDAT_7']);
+  const gama = table(png, 'chunks').entries[1];
+  assert.deepEqual([gama.critical, gama.public, gama.safeToCopy], [false, true, false]);
+
+  const corrupt = Buffer.from(bytes);
+  corrupt[segment(png, 'tEXt').offset] ^= 1;
+  assert.deepEqual(inspectBuffer(corrupt).warnings.map(w => w.field), ['tEXt']);
+  const appended = inspectBuffer(Buffer.concat([bytes, Buffer.from('payload')]));
+  assert.deepEqual(segment(appended, 'trailing_data'), { name: 'trailing_data', offset: bytes.length, size: 7, type: 'Raw' });
+});
+
+test('ZIP central directory entries locate their data', () => {
+  const bytes = seed('archive.zip');
+  const zip = inspectBuffer(bytes);
+  assert.deepEqual(zip.warnings, []);
+  assert.equal(header(zip, 'total_entries'), 3);
+  assert.equal(header(zip, 'comment'), 'sonification seeds');
+  const entries = table(zip, 'central_directory').entries;
+  assert.deepEqual(entries.map(e => [e.name, e.compression, e.directory]), [['src/', 'Stored', true], ['src/main.js', 'Deflated', false], ['data/blob.bin', 'Stored', false]]);
+  assert.equal(entries[1].modified, '2024-05-17T12:30:02');
+  const script = segment(zip, 'src/main.js');
+  assert.equal(zlib.inflateRawSync(bytes.subarray(script.offset, script.offset + script.size)).toString(), "console.log('hello');\n".repeat(20));
+  const blob = segment(zip, 'data/blob.bin');
+  assert.deepEqual(Array.from(bytes.subarray(blob.offset, blob.offset + blob.size)), Array.from({ length: 256 }, (_, i) => i));
+  assert.deepEqual(zip.structures.groups, { logical: ['src/main.js'], mechanical: ['end_of_central_directory', 'central_directory'], physical: ['data/blob.bin'], other: [] });
+
+  // Without the end record the local headers are walked
+  const truncated = inspectBuffer(bytes.subarray(0, entries[2].localHeaderOffset + 100));
+  assert.equal(truncated.warnings[0].field, 'end_of_central_directory');
+  assert.deepEqual(table(truncated, 'local_headers').entries.map(e => e.name), ['src/', 'src/main.js', 'data/blob.bin']);
+  assert.equal(truncated.warnings[1].field, 'data/blob.bin');
+});
+
+test('PDF objects, cross-reference sections and the trailer', () => {
+  const doc = inspectBuffer(seed('doc.pdf'));
+  assert.deepEqual(doc.warnings, []);
+  assert.equal(header(doc, 'version'), '1.4');
+  assert.equal(header(doc, 'xref_type'), 'table');
+  assert.equal(header(doc, 'root'), '1 0 R');
+  assert.equal(header(doc, 'page_count'), 1);
+  const objects = table(doc, 'objects').entries;
+  assert.deepEqual(objects.map(o => o.type || null), ['Catalog', 'Pages', 'Page', 'Font', null, null, null]);
+  assert.deepEqual(objects[4].filters, ['FlateDecode']);
+  assert.equal(zlib.inflateSync(seed('doc.pdf').subarray(objects[4].streamOffset, objects[4].streamOffset + objects[4].streamLength)).toString(), 'BT /F1 24 Tf 72 720 Td (Hello, bytes) Tj ET\n');
+  // The update section (0) redefines object 6; section 1 is the original table
+  const xref = table(doc, 'xref').entries;
+  assert.deepEqual(xref.filter(e => e.object === 6).map(e => [e.section, e.offset]), [[0, objects[6].offset], [1, objects[5].offset]]);
+  assert.deepEqual(doc.structures.groups.logical, ['5 0 obj']);
+
+  const stream = inspectBuffer(seed('xref-stream.pdf'));
+  assert.deepEqual(stream.warnings, []);
+  assert.equal(header(stream, 'xref_type'), 'stream');
+  assert.equal(header(stream, 'trailer_size'), 6);
+  const entries = table(stream, 'xref').entries;
+  assert.equal(entries.length, 6);
+  assert.deepEqual(entries[2], { object: 2, section: 0, inUse: true, compressed: true, stream: 3, index: 0 });
+  assert.deepEqual(entries.filter(e => e.offset !== undefined).map(e => e.offset), table(stream, 'objects').entries.map(o => o.offset));
+
+  // An xref offset that misses its object is reported
+  const moved = Buffer.from(seed('doc.pdf').toString('latin1').replace('0000000064 00000 n', '0000000065 00000 n'), 'latin1');
+  assert.deepEqual(inspectBuffer(moved).warnings.map(w => w.reason), ['Object 2 0 is not at offset 65']);
+});
+
+test('gzip header fields, deflate stream and trailer', () => {
+  const bytes = seed('data.gz');
+  const gz = inspectBuffer(bytes);
+  assert.deepEqual(gz.warnings, []);
+  assert.equal(header(gz, 'original_name'), 'fox.txt');
+  assert.equal(header(gz, 'comment'), 'seed corpus');
+  assert.equal(gz.structures.headers.find(h => h.name === 'os').label, 'Unix');
+  assert.deepEqual(table(gz, 'extra').entries, [{ id: 'AP', length: 4, offset: 16 }]);
+  assert.deepEqual(gz.structures.flags[0].bits, { text: false, header_crc: true, extra: true, name: true, comment: true });
+  const payload = zlib.gunzipSync(bytes);
+  assert.equal(header(gz, 'isize'), payload.length);
+  const deflate = segment(gz, 'deflate_stream');
+  assert.deepEqual(zlib.inflateRawSync(bytes.subarray(deflate.offset, deflate.offset + deflate.size)), payload);
+
+  const corrupt = Buffer.from(bytes);
+  corrupt[20] = 0x46; // 'fox.txt' -> 'Fox.txt' behind the header CRC
+  assert.deepEqual(inspectBuffer(corrupt).warnings.map(w => w.field), ['header_crc']);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { dsp } = require('./helpers.js');
+const { inspectBinary, inspectBuffer } = require('../sonicTranductor.js');
+
+// Seed corpus (test/corpus), small images built with binutils and llvm:
+//   elf32-be     i386 static executable with a build-id note, byte-swapped to big-endian
+//   elf64-so     x86-64 shared object (dynamic section, relocations, symbols)
+//   elf64-be.o   x86-64 relocatable object, byte-swapped to big-endian
+//   pe32.exe     PE32 executable with imports by name and ordinal and a named/id resource tree
+//   pe32.dll     PE32 DLL with a named and a NONAME export
+//   pe64-tls.exe PE32+ executable with imports and TLS callbacks
+//   pe64.dll     PE32+ DLL with a forwarded export
+//   macho64      x86-64 Mach-O executable (LC_MAIN, dylib, rpath, symbols)
+//   macho-fat    universal binary with x86_64, i386, ppc (big-endian) and arm64 objects
+// and the audio, image, archive and document containers described in formats.test.js
+const corpusDir = path.join(__dirname, 'corpus');
+const corpus = fs.readdirSync(corpusDir).sort().map(name => ({ name, bytes: fs.readFileSync(path.join(corpusDir, name)) }));
+
+const table = (structures, name) => structures.tables.find(t => t.name === name);
+
+// Every result must be complete (no thrown or unexpected errors) with well-formed warnings
+function checkResult(result, label) {
+  assert.equal(result.error, undefined, label);
+  assert.ok(Array.isArray(result.warnings), label);
+  assert.ok(result.warnings.length <= 257, `${label}: ${result.warnings.length} warnings`);
+  for (const w of result.warnings) {
+    assert.equal(typeof w.field, 'string', `${label}: field of ${JSON.stringify(w)}`);
+    assert.ok(Number.isFinite(w.offset), `${label}: offset of ${JSON.stringify(w)}`);
+    assert.equal(typeof w.reason, 'string', `${label}: reason of ${JSON.stringify(w)}`);
+    assert.ok(!w.reason.startsWith('Unexpected'), `${label}: ${w.reason}`);
+  }
+  for (const structures of [result.structures].concat((result.slices || []).map(s => s.structures))) {
+    for (const t of structures.tables) assert.ok(t.entries.length <= 0x40000, `${label}: ${t.name} has ${t.entries.length} entries`);
+  }
+  JSON.stringify(result);
+}
+
+test('the seed corpus parses without warnings', () => {
+  const results = {};
+  for (const { name, bytes } of corpus) {
+    results[name] = inspectBuffer(bytes, name);
+    checkResult(results[name], name);
+    assert.deepEqual(results[name].warnings, [], name);
+  }
+  assert.equal(results['elf32-be'].metadata.fileType, 'ELF');
+  assert.equal(table(results['pe32.exe'].structures, 'resources').entries.map(e => e.type).join(), 'DATA,RCDATA');
+  assert.equal(table(results['pe64-tls.exe'].structures, 'tls_callbacks').entries.length, 2);
+  assert.deepEqual(results['macho-fat'].slices.map(s => s.cpu), ['X86_64', 'X86', 'POWERPC', 'ARM64']);
+});
+
+test('truncated files return the headers that fit and a warning for the rest', () => {
+  const pe = corpus.find(c => c.name === 'pe32.exe').bytes;
+  const peResult = inspectBuffer(pe.subarray(0, 0x100));
+  checkResult(peResult, 'pe32.exe[0:256]');
+  assert.ok(peResult.structures.headers.some(h => h.name === 'machine' && h.label === 'I386'));
+  assert.equal(peResult.warnings[0].field, 'section_table');
+
+  // e_shoff past the end: the ELF header and program headers are still reported
+  const elf = Buffer.from(corpus.find(c => c.name === 'elf32-be').bytes);
+  elf.writeUInt32BE(0x7FFFFFF0, 32);
+  const elfResult = inspectBuffer(elf);
+  checkResult(elfResult, 'elf32-be shoff');
+  assert.deepEqual(elfResult.warnings.map(w => [w.field, w.offset]), [['section_headers', 0x7FFFFFF0]]);
+  assert.equal(table(elfResult.structures, 'section_headers').entries.length, 0);
+  assert.equal(table(elfResult.structures, 'program_headers').entries.length, 3);
+});
+
+test('loop counts are clamped to the file and the table limit', () => {
+  // ncmds = 0xFFFFFFFF: only the commands that fit the file are walked
+  const macho = Buffer.from(corpus.find(c => c.name === 'macho64').bytes);
+  const sizeofcmds = macho.readUInt32LE(20);
+  macho.writeUInt32LE(0xFFFFFFFF, 16);
+  const result = inspectBuffer(macho);
+  checkResult(result, 'macho64 ncmds');
+  assert.equal(result.warnings[0].field, 'load_commands');
+  assert.ok(table(result.structures, 'load_commands').entries.length * 8 <= sizeofcmds + 32);
+
+  // A fat header claiming 40 architectures in 128 bytes: 6 fat_arch entries fit, none of their slices
+  const fat = Buffer.alloc(128);
+  fat.writeUInt32BE(0xCAFEBABE, 0);
+  fat.writeUInt32BE(40, 4);
+  for (let i = 0; i < 6; i++) fat.writeUInt32BE(0x1000, 8 + i * 20 + 8);
+  const fatResult = inspectBuffer(fat);
+  checkResult(fatResult, 'fat nfat_arch');
+  assert.equal(fatResult.slices.length, 6);
+  assert.deepEqual(fatResult.warnings.map(w => w.field), ['fat_arches'].concat(fatResult.slices.map(s => `Unknown_${s.index} slice`)));
+});
+
+test('inspectBinary reports warnings instead of failing on a truncated file', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inspect-'));
+  try {
+    const file = path.join(dir, 'trunc.dll');
+    fs.writeFileSync(file, corpus.find(c => c.name === 'pe64.dll').bytes.subarray(0, 700));
+    const result = JSON.parse(inspectBinary(file));
+    assert.equal(result.error, undefined);
+    assert.equal(result.metadata.fileType, 'PE');
+    assert.ok(result.warnings.length > 0);
+    assert.ok(table(result.structures, 'section_table').entries.length > 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('truncated and corrupted corpus files never throw', () => {
+  const rng = dsp.createRng(24);
+  const randomInt = n => Math.floor(rng() * n);
+  const fieldValues = [0, 0xFFFFFFFF, 0x7FFFFFFF, 0x80000000, 0xFFFF, 0x10000];
+  for (const { name, bytes } of corpus) {
+    // Every prefix through the headers, then evenly spaced prefixes
+    const lengths = [];
+    for (let n = 0; n < Math.min(256, bytes.length); n++) lengths.push(n);
+    for (let k = 1; k < 64; k++) lengths.push(Math.floor(bytes.length * k / 64));
+    for (const n of lengths) checkResult(inspectBuffer(bytes.subarray(0, n)), `${name}[0:${n}]`);
+
+    // A few overwritten bytes or 32-bit fields, half of them in the first 512 bytes where the headers live
+    for (let trial = 0; trial < 150; trial++) {
+      const corrupt = Buffer.from(bytes);
+      const edits = 1 + randomInt(4);
+      for (let e = 0; e < edits; e++) {
+        const span = rng() < 0.5 ? Math.min(512, corrupt.length) : corrupt.length;
+        const off = randomInt(span - 4) & ~3;
+        if (rng() < 0.5) corrupt[off + randomInt(4)] = randomInt(256);
+        else corrupt.writeUInt32LE(rng() < 0.8 ? fieldValues[randomInt(fieldValues.length)] : randomInt(0x100000000), off);
+      }
+      checkResult(inspectBuffer(corrupt), `${name} corruption ${trial}`);
+    }
+  }
+});
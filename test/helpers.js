@@ -0,0 +1,100 @@
+const assert = require('node:assert/strict');
+const dsp = require('../SSARdsp.js');
+
+// Shared reference signals and numeric assertions for the SSARdsp tests
+
+function assertClose(actual, expected, tol, message = '') {
+  if (typeof expected === 'number') {
+    assert.ok(Math.abs(actual - expected) <= tol, `${message} expected ${expected}, got ${actual} (tol ${tol})`);
+    return;
+  }
+  assert.equal(actual.length, expected.length, `${message} length`);
+  for (let i = 0; i < expected.length; i++) {
+    assert.ok(Math.abs(actual[i] - expected[i]) <= tol, `${message}[${i}] expected ${expected[i]}, got ${actual[i]} (tol ${tol})`);
+  }
+}
+
+// Deterministic zero-mean, unit-variance Gaussian noise
+function gaussian(length, seed = 1) {
+  const rng = dsp.createRng(seed);
+  const out = new Float64Array(length);
+  for (let i = 0; i < length; i++) out[i] = Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+  return out;
+}
+
+// AR process x[n] = e[n] - a[1] x[n-1] - ... (a in the library's [1, a1, a2, ...] convention)
+function arProcess(a, length, seed = 1) {
+  return dsp.iirFilter(gaussian(length, seed), a);
+}
+
+// Unit impulses every fs / f0 samples (fractional periods rounded per pulse)
+function pulseTrain(f0, fs, length) {
+  const out = new Float64Array(length);
+  for (let t = 0; t < length; t += fs / f0) out[Math.round(t) % length] = 1;
+  return out;
+}
+
+function sine(frequency, fs, length, amplitude = 1) {
+  return Float64Array.from({ length }, (_, n) => amplitude * Math.sin(2 * Math.PI * frequency * n / fs));
+}
+
+function energy(x) {
+  let e = 0;
+  for (const v of x) e += v * v;
+  return e;
+}
+
+// AIFF bytes for channels of samples in [-1, 1): bits-bit big-endian PCM, or AIFF-C when compression is given
+// ('sowt' little-endian 16-bit, 'fl32' float)
+function aiffBytes(channels, fs, bits = 16, compression = null) {
+  const bytesPerSample = compression === 'fl32' ? 4 : (bits + 7) >> 3;
+  const length = channels[0].length;
+  const dataLength = length * channels.length * bytesPerSample;
+  const commLength = compression ? 24 : 18;
+  const chunks = (compression ? 12 : 0) + 8 + commLength + 16 + dataLength + (dataLength & 1);
+  const bytes = Buffer.alloc(12 + chunks);
+  bytes.write('FORM', 0, 'latin1');
+  bytes.writeUInt32BE(4 + chunks, 4);
+  bytes.write(compression ? 'AIFC' : 'AIFF', 8, 'latin1');
+  let p = 12;
+  if (compression) {
+    bytes.write('FVER', p, 'latin1');
+    bytes.writeUInt32BE(4, p + 4);
+    bytes.writeUInt32BE(0xA2805140, p + 8);
+    p += 12;
+  }
+  bytes.write('COMM', p, 'latin1');
+  bytes.writeUInt32BE(commLength, p + 4);
+  bytes.writeUInt16BE(channels.length, p + 8);
+  bytes.writeUInt32BE(length, p + 10);
+  bytes.writeUInt16BE(compression === 'fl32' ? 32 : bits, p + 14);
+  // 80-bit extended sample rate (integer rates: the mantissa fits its high word)
+  const exponent = Math.floor(Math.log2(fs));
+  bytes.writeUInt16BE(16383 + exponent, p + 16);
+  bytes.writeUInt32BE(fs * Math.pow(2, 31 - exponent), p + 18);
+  if (compression) {
+    bytes.write(compression, p + 26, 'latin1');
+    bytes.writeUInt16BE(0, p + 30); // empty pascal-string name
+  }
+  p += 8 + commLength;
+  bytes.write('SSND', p, 'latin1');
+  bytes.writeUInt32BE(8 + dataLength, p + 4);
+  p += 16;
+  const full = Math.pow(2, bits - 1);
+  for (let n = 0; n < length; n++) {
+    for (const channel of channels) {
+      if (compression === 'fl32') {
+        bytes.writeFloatBE(channel[n], p);
+      } else {
+        // Left-justified in whole bytes
+        const v = Math.max(-full, Math.min(full - 1, Math.round(channel[n] * full))) * Math.pow(2, 8 * bytesPerSample - bits);
+        if (compression === 'sowt') bytes.writeIntLE(v, p, bytesPerSample);
+        else bytes.writeIntBE(v, p, bytesPerSample);
+      }
+      p += bytesPerSample;
+    }
+  }
+  return bytes;
+}
+
+module.exports = { dsp, assertClose, gaussian, arProcess, pulseTrain, sine, energy, aiffBytes };
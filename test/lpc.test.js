@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dsp, assertClose, gaussian, arProcess } = require('./helpers.js');
+
+// Stable AR(4) with resonances near 500 Hz and 1500 Hz at fs = 8000
+function resonantAr(fs = 8000) {
+  const poles = [[500, 0.95], [1500, 0.9]];
+  let a = Float64Array.of(1);
+  for (const [f, r] of poles) {
+    const w = 2 * Math.PI * f / fs;
+    a = dsp.polyMulQuadratic(a, -2 * r * Math.cos(w), r * r);
+  }
+  return a;
+}
+
+test('autocorr and autocorrFft agree', () => {
+  const x = gaussian(300, 2);
+  assertClose(dsp.autocorrFft(x, 40), dsp.autocorr(x, 40), 1e-9);
+});
+
+test('Levinson-Durbin solves the normal equations exactly for a known autocorrelation', () => {
+  // AR(1) with coefficient rho has R[m] = rho^m (unit variance): a = [1, -rho, 0, ...], k = [_, -rho, 0, ...]
+  const rho = 0.8;
+  const R = Float64Array.from({ length: 5 }, (_, m) => rho ** m);
+  const result = dsp.levinsonRecursion(R, 4);
+  assertClose(result.a, Float64Array.of(1, -rho, 0, 0, 0), 1e-12, 'a');
+  assertClose(result.k.subarray(1), Float64Array.of(-rho, 0, 0, 0), 1e-12, 'k');
+  assertClose(result.error, 1 - rho * rho, 1e-12, 'error');
+  assertClose(dsp.levinsonDurbin(R, 4), result.a, 0, 'levinsonDurbin');
+});
+
+test('lpcAnalysis recovers the coefficients of an AR process', () => {
+  const a = resonantAr();
+  const x = arProcess(a, 20000, 5);
+  const estimate = dsp.lpcAnalysis(x, 4, 0);
+  assertClose(estimate, a, 0.03);
+  const full = dsp.lpcAnalysisFull(x, 4, 0);
+  assertClose(full.gain * full.gain / x.length, 1, 0.05, 'residual variance');
+});
+
+test('lpcFormants finds the AR resonances', () => {
+  const formants = dsp.lpcFormants(resonantAr(), 8000);
+  assertClose(formants.frequencies, Float64Array.of(500, 1500), 1e-6);
+  assertClose(formants.bandwidths, Float64Array.of(-Math.log(0.95) * 8000 / Math.PI, -Math.log(0.9) * 8000 / Math.PI), 1e-6);
+});
+
+test('LPC parameter conversions round trip', () => {
+  const a = resonantAr();
+  const k = dsp.lpcToReflection(a);
+  for (let m = 1; m < k.length; m++) assert.ok(Math.abs(k[m]) < 1, 'stable filter has |k| < 1');
+  assertClose(dsp.reflectionToLpc(k), a, 1e-12, 'reflection');
+  assertClose(dsp.larToReflection(dsp.reflectionToLar(k)), k, 1e-12, 'LAR');
+  const lsf = dsp.lpcToLsp(a);
+  for (let i = 1; i < lsf.length; i++) assert.ok(lsf[i] > lsf[i - 1], 'LSFs are ascending');
+  assertClose(dsp.lspToLpc(lsf), a, 1e-9, 'LSP');
+  assertClose(dsp.cepstrumToLpc(dsp.lpcToCepstrum(a, 20), 4), a, 1e-12, 'cepstrum');
+});
+
+test('iirFilter impulse response of a one-pole filter is a geometric series', () => {
+  const impulse = new Float64Array(20);
+  impulse[0] = 1;
+  const y = dsp.iirFilter(impulse, Float64Array.of(1, -0.9), 2);
+  assertClose(y, Float64Array.from({ length: 20 }, (_, n) => 2 * 0.9 ** n), 1e-12);
+});
+
+test('two-pole resonator rings at its design frequency', () => {
+  const fs = 8000;
+  const r = 0.99;
+  const w = 2 * Math.PI * 1000 / fs;
+  const impulse = new Float64Array(400);
+  impulse[0] = 1;
+  const y = dsp.iirFilter(impulse, Float64Array.of(1, -2 * r * Math.cos(w), r * r));
+  // h[n] = r^n sin((n + 1) w) / sin(w)
+  assertClose(y, Float64Array.from({ length: 400 }, (_, n) => r ** n * Math.sin((n + 1) * w) / Math.sin(w)), 1e-9);
+});
+
+test('StreamingIirFilter over blocks equals the one-shot filter', () => {
+  const a = resonantAr();
+  const x = gaussian(1000, 9);
+  const filter = new dsp.StreamingIirFilter(a, 0.5);
+  const blocks = [];
+  for (let i = 0; i < x.length; i += 77) blocks.push(...filter.process(x.subarray(i, i + 77)));
+  assertClose(Float64Array.from(blocks), dsp.iirFilter(x, a, 0.5), 1e-12);
+});
+
+test('preEmphasize is a first-order FIR filter', () => {
+  const y = dsp.preEmphasize(Float64Array.of(1, 2, 3, 4), 0.5);
+  assertClose(y, Float64Array.of(1, 1.5, 2, 2.5), 1e-12);
+});
+
+test('LPC synthesis inverts LPC residual filtering', () => {
+  const a = resonantAr();
+  const x = arProcess(a, 2000, 4);
+  const residual = new Float64Array(x.length);
+  for (let n = 0; n < x.length; n++) {
+    for (let j = 0; j < a.length && j <= n; j++) residual[n] += a[j] * x[n - j];
+  }
+  assertClose(residual, gaussian(2000, 4), 1e-9, 'residual is the driving noise');
+  assertClose(dsp.lpcSynthesis(residual, a), x, 1e-9, 'resynthesis');
+});
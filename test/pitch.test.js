@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dsp, assertClose, gaussian, pulseTrain } = require('./helpers.js');
+
+// Pulse train through a two-pole "vocal tract" so the frames look like voiced speech
+function voiced(f0, fs, length) {
+  const w = 2 * Math.PI * 700 / fs;
+  return dsp.iirFilter(pulseTrain(f0, fs, length), Float64Array.of(1, -2 * 0.97 * Math.cos(w), 0.97 * 0.97));
+}
+
+test('every pitch estimator recovers the period of synthetic pulse trains', () => {
+  for (const [f0, fs] of [[125, 8000], [200, 16000], [100, 16000]]) {
+    const frame = voiced(f0, fs, 1024);
+    for (const name of Object.keys(dsp.pitchEstimators)) {
+      const estimate = dsp.pitchEstimators[name](frame, fs, 60, 400);
+      assertClose(estimate.frequency, f0, f0 * 0.02, `${name} at ${f0} Hz`);
+      assert.ok(estimate.confidence > 0.5, `${name} confidence ${estimate.confidence}`);
+    }
+    assertClose(dsp.pitchDetectionAutocorr(frame, fs, 60, 400), f0, f0 * 0.02, 'pitchDetectionAutocorr');
+  }
+});
+
+test('pitch estimators report white noise as unvoiced', () => {
+  const frame = gaussian(1024, 12);
+  for (const name of ['autocorr', 'yin']) {
+    assert.equal(dsp.pitchEstimators[name](frame, 16000, 80, 300).frequency, 0, name);
+  }
+});
+
+test('parabolicPeak locates the vertex of a sampled parabola', () => {
+  const y = [0, 1, 2, 3, 4].map(x => -((x - 2.3) ** 2));
+  const peak = dsp.parabolicPeak(y, 2);
+  assertClose(peak.position, 2.3, 1e-12, 'position');
+  assertClose(peak.value, 0, 1e-12, 'value');
+});
+
+test('pitchTrack follows a pitch glide and marks silence unvoiced', () => {
+  const fs = 16000;
+  const x = new Float64Array(fs);
+  // 0.5 s glide from 120 Hz to 180 Hz, then 0.5 s of silence
+  let phase = 0;
+  for (let n = 0; n < fs / 2; n++) {
+    const f = 120 + 60 * n / (fs / 2);
+    phase += f / fs;
+    if (phase >= 1) {
+      phase -= 1;
+      x[n] = 1;
+    }
+  }
+  const w = 2 * Math.PI * 700 / fs;
+  const signal = dsp.iirFilter(x, Float64Array.of(1, -2 * 0.97 * Math.cos(w), 0.97 * 0.97));
+  const track = dsp.pitchTrack(signal, { fs, frameLength: 1024, hopSize: 256 });
+  for (let f = 0; f < track.numFrames; f++) {
+    const t = track.times[f];
+    if (t > 0.05 && t < 0.45) {
+      assertClose(track.frequency[f], 120 + 120 * t, 6, `frame at ${t.toFixed(3)} s`);
+      assertClose(track.midi[f], dsp.hzToMidi(track.frequency[f]), 1e-9, 'midi');
+    } else if (t > 0.6) {
+      assert.equal(track.voiced[f] ? 1 : 0, 0, `frame at ${t.toFixed(3)} s is silent`);
+    }
+  }
+});
+
+test('hzToMidi maps A4 to 69 and octaves to 12 semitones', () => {
+  assert.equal(dsp.hzToMidi(440), 69);
+  assertClose(dsp.hzToMidi(220), 57, 1e-12);
+});
@@ -0,0 +1,220 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dsp, assertClose, gaussian, sine, energy, aiffBytes } = require('./helpers.js');
+
+function dominantFrequency(x, fs) {
+  const frame = dsp.getFrame(x, 0, x.length, dsp.makeWindow('hann', x.length));
+  const power = dsp.powerSpectrum(frame);
+  let peak = 1;
+  for (let k = 1; k < power.length; k++) if (power[k] > power[peak]) peak = k;
+  return peak * fs / (2 * (power.length - 1));
+}
+
+test('windows are symmetric with the textbook end points', () => {
+  const hann = dsp.makeWindow('hann', 65);
+  const hamming = dsp.makeWindow('hamming', 65);
+  assertClose(hann[0], 0, 1e-15);
+  assertClose(hann[32], 1, 1e-15);
+  assertClose(hamming[0], 0.08, 1e-15);
+  for (let i = 0; i < 65; i++) assertClose(hann[i], hann[64 - i], 1e-15, 'symmetry');
+  assert.throws(() => dsp.makeWindow('kaiser', 8), /Unknown window type/);
+  hann[32] = 0;
+  assert.equal(dsp.makeWindow('hann', 65)[32], 1, 'the cached window is not shared with callers');
+});
+
+test('analyzeFrames covers the signal with the expected frame grid', () => {
+  assert.equal(dsp.frameCount(1000, 256, 128, true), 7);
+  assert.equal(dsp.frameCount(1000, 256, 128, false), 6);
+  const frames = dsp.analyzeFrames(sine(200, 8000, 1000), 'energy', { frameLength: 256, hopSize: 128, fs: 8000 });
+  assert.equal(frames.numFrames, 7);
+  assert.equal(frames.dim, 1);
+  assertClose(frames.times[0], 128 / 8000, 1e-15);
+  assert.deepEqual(Array.from(frames.starts), [0, 128, 256, 384, 512, 640, 768]);
+  assert.throws(() => dsp.frameCount(1000, 256, 0), /hopSize must be a positive integer/);
+  assert.throws(() => dsp.analyzeFrames(sine(200, 8000, 1000), 'energy', { hopSize: -128 }), /hopSize must be a positive integer/);
+  assert.throws(() => dsp.analyzeFrames(sine(200, 8000, 1000), 'energy', { frameLength: 256.5 }), /frameLength must be a positive integer/);
+});
+
+test('mel scale round trips and the orthonormal DCT preserves energy', () => {
+  assertClose(dsp.melToHz(dsp.hzToMel(1234)), 1234, 1e-9);
+  assertClose(dsp.hzToMel(1000), 1000, 0.1);
+  const x = gaussian(26, 8);
+  assertClose(energy(dsp.dct(x)), energy(x), 1e-9);
+  const constant = dsp.dct(new Float64Array(16).fill(1));
+  assertClose(constant, Float64Array.from({ length: 16 }, (_, k) => k === 0 ? 4 : 0), 1e-12);
+});
+
+test('mfcc of a frame has nCeps coefficients and deltas of a linear ramp are constant', () => {
+  const frame = dsp.getFrame(sine(440, 16000, 512), 0, 512, dsp.makeWindow('hamming', 512));
+  const coefficients = dsp.mfcc(frame, { nCeps: 13 });
+  assert.equal(coefficients.length, 13);
+  dsp.melFilterbank(26, 512, 16000)[3].fill(0);
+  assertClose(dsp.mfcc(frame, { nCeps: 13 }), coefficients, 0, 'the cached filterbank is not shared with callers');
+  assertClose(dsp.powerSpectrum(Array.from(frame), 256), dsp.powerSpectrum(frame.subarray(0, 256)), 0, 'plain array input');
+  const ramp = Array.from({ length: 10 }, (_, t) => Float64Array.of(2 * t));
+  const d = dsp.deltas(ramp, 2);
+  for (let t = 2; t < 8; t++) assertClose(d[t][0], 2, 1e-12, `frame ${t}`);
+});
+
+test('resample preserves an in-band sine and rejects aliases', () => {
+  const x = sine(1000, 16000, 16000);
+  const down = dsp.resample(x, 16000, 8000);
+  assert.equal(down.length, 8000);
+  const reference = sine(1000, 8000, 8000);
+  let error = 0;
+  for (let n = 200; n < 7800; n++) error = Math.max(error, Math.abs(down[n] - reference[n]));
+  assert.ok(error < 1e-3, `in-band error ${error}`);
+  // 6 kHz is above the new Nyquist frequency: the sinc resampler filters it, linear interpolation aliases it to 2 kHz
+  const alias = sine(6000, 16000, 16000);
+  const rms = y => Math.sqrt(energy(y.subarray(200, y.length - 200)) / (y.length - 400));
+  assert.ok(rms(dsp.resample(alias, 16000, 8000)) < 0.01);
+  assert.ok(rms(dsp.resample(alias, 16000, 8000, 'fast')) > 0.1);
+});
+
+test('SincResampler streaming output equals the one-shot resample', () => {
+  const x = gaussian(5000, 6);
+  const whole = dsp.resample(x, 44100, 16000);
+  const resampler = new dsp.SincResampler(44100, 16000);
+  const parts = [];
+  for (let i = 0; i < x.length; i += 333) parts.push(...resampler.process(x.subarray(i, i + 333)));
+  parts.push(...resampler.flush());
+  assertClose(Float64Array.from(parts), whole, 1e-12);
+});
+
+test('non-integer rate ratios interpolate the tap table accurately and equal rates copy the input', () => {
+  const x = sine(1000, 16000, 8000);
+  const y = dsp.resample(x, 16000, 11025.5);
+  const reference = Float64Array.from({ length: y.length }, (_, n) => Math.sin(2 * Math.PI * 1000 * n / 11025.5));
+  let error = 0;
+  for (let n = 200; n < y.length - 200; n++) error = Math.max(error, Math.abs(y[n] - reference[n]));
+  assert.ok(error < 1e-3, `in-band error ${error}`);
+  const resampler = new dsp.SincResampler(16000, 11025.5);
+  const parts = [...resampler.process(x.subarray(0, 3001)), ...resampler.process(x.subarray(3001)), ...resampler.flush()];
+  assertClose(Float64Array.from(parts), y, 1e-12);
+  const same = dsp.resample(x, 16000, 16000);
+  assert.notEqual(same, x);
+  assert.deepEqual(same, x);
+});
+
+test('formant synthesis puts LPC formants near the vowel targets and F0 at the source rate', () => {
+  const fs = 16000;
+  for (const vowel of ['a', 'i', 'u']) {
+    const x = dsp.speechProductionModel(0.9, 120, 0.5, fs, vowel);
+    let peak = 0;
+    for (const v of x) peak = Math.max(peak, Math.abs(v));
+    assertClose(peak, 0.9, 1e-12, `${vowel} peak`);
+    assertClose(dsp.pitchYin(x.subarray(4000, 5024), fs).frequency, 120, 2, `${vowel} F0`);
+    const { a } = dsp.lpcAnalysisFull(dsp.getFrame(x, 4000, 1024, dsp.makeWindow('hamming', 1024)), 18, 0.97);
+    const found = Array.from(dsp.lpcFormants(a, fs, 600).frequencies);
+    const targets = dsp.vowelFormants[vowel].formants.slice(0, 2);
+    for (const target of targets) {
+      const nearest = found.reduce((best, f) => Math.abs(f - target) < Math.abs(best - target) ? f : best, Infinity);
+      assert.ok(Math.abs(nearest - target) < 0.15 * target + 60, `${vowel}: ${target} Hz, found ${found.map(Math.round)}`);
+    }
+  }
+});
+
+test('LF glottal pulse table has zero net flow and a unit negative peak', () => {
+  const table = dsp.lfPulseTable();
+  let sum = 0;
+  let min = 0;
+  for (const v of table) {
+    sum += v;
+    min = Math.min(min, v);
+  }
+  assertClose(sum, 0, 1e-9);
+  assertClose(min, -1, 0.01);
+});
+
+test('lpcEnvelope equals the analytic all-pole magnitude', () => {
+  const a = Float64Array.of(1, -0.9);
+  const env = dsp.lpcEnvelope(a, 2, 64);
+  for (let k = 0; k <= 32; k++) {
+    const w = Math.PI * k / 32;
+    const mag2 = 4 / (1 - 1.8 * Math.cos(w) + 0.81);
+    assertClose(env[k], 10 * Math.log10(mag2), 1e-9, `bin ${k}`);
+  }
+  // Plain arrays longer than fftSize are truncated like typed arrays
+  const long = [1, -0.9, 0, 0, 0, 0, 0, 0, 0.5];
+  assertClose(dsp.lpcEnvelope(long, 2, 8), dsp.lpcEnvelope(Float64Array.from(long), 2, 8), 0, 'lpc');
+  const frame = sine(500, 8000, 300);
+  assertClose(dsp.cepstralEnvelope(Array.from(frame), 20, 256), dsp.cepstralEnvelope(frame, 20, 256), 0, 'cepstral');
+});
+
+test('group delay of a delayed impulse is the delay', () => {
+  const x = new Float64Array(32);
+  x[7] = 1;
+  assertClose(dsp.groupDelay(x), new Float64Array(17).fill(7), 1e-9);
+});
+
+test('spectrogram returns a Float32 row-major matrix with its dimensions', () => {
+  const fs = 8000;
+  const result = dsp.spectrogram(sine(1000, fs, 4096), { fs, frameLength: 256, hopSize: 128 });
+  assert.ok(result.data instanceof Float32Array);
+  assert.equal(result.cols, 129);
+  assert.equal(result.data.length, result.rows * result.cols);
+  assert.deepEqual(result.dim, [result.cols, result.rows]);
+  const row = result.data.subarray(5 * result.cols, 6 * result.cols);
+  let peak = 0;
+  for (let k = 0; k < row.length; k++) if (row[k] > row[peak]) peak = k;
+  assertClose(result.frequencies[peak], 1000, fs / 256);
+});
+
+test('detectEndpoints finds a tone burst in low-level noise', () => {
+  const fs = 8000;
+  const x = gaussian(fs, 10).map(v => 0.001 * v);
+  const burst = sine(200, fs, fs / 4, 0.5);
+  for (let n = 0; n < burst.length; n++) x[3000 + n] += burst[n];
+  const result = dsp.detectEndpoints(x, { fs });
+  const speech = result.segments.filter(s => s.label === 'speech');
+  assert.equal(speech.length, 1);
+  assertClose(speech[0].start, 3000, 0.02 * fs);
+  assertClose(speech[0].end, 5000, 0.03 * fs);
+  const middle = result.times.findIndex(t => t >= 0.5);
+  assert.equal(result.labels[middle], 'voiced');
+  assert.equal(result.labels[0], 'silence');
+});
+
+test('LPC vocoder keeps the pitch and applies pitchShift', () => {
+  const fs = 16000;
+  const x = dsp.speechProductionModel(0.8, 150, 0.5, fs, 'a');
+  const resynth = dsp.lpcVocoder(x, { fs });
+  const shifted = dsp.lpcVocoder(x, { fs, pitchShift: 1.5 });
+  assert.equal(resynth.length, x.length);
+  assertClose(dsp.pitchYin(resynth.subarray(3000, 4024), fs).frequency, 150, 5, 'pitch kept');
+  assertClose(dsp.pitchYin(shifted.subarray(3000, 4024), fs, 80, 400).frequency, 225, 8, 'pitch shifted');
+});
+
+test('WAV encode / decode round trip at every bit depth', () => {
+  const x = sine(440, 16000, 1000, 0.7);
+  for (const [bits, tol] of [[16, 1 / 32768], [24, 1 / 8388608], [32, 1e-7]]) {
+    const wav = dsp.decodeWav(dsp.encodeWav(x, 16000, bits));
+    assert.equal(wav.fs, 16000);
+    assert.equal(wav.bitsPerSample, bits);
+    assert.equal(wav.format, bits === 32 ? 'float' : 'pcm');
+    assertClose(wav.channels[0], x, tol, `${bits}-bit`);
+  }
+  const stereo = dsp.decodeWav(dsp.encodeWav([x, x.map(v => -v)], 8000, 16));
+  assert.equal(stereo.numChannels, 2);
+  assertClose(dsp.mixToMono(stereo.channels), new Float64Array(1000), 1e-12, 'mono mix');
+  assert.throws(() => dsp.decodeWav(new Uint8Array(12)), /Not a RIFF\/WAVE file/);
+});
+
+test('AIFF and AIFF-C decode to the samples and rate they were written with', () => {
+  const x = sine(440, 22050, 1000, 0.7);
+  for (const [bits, compression, tol] of [[16, null, 1 / 32768], [24, null, 1 / 8388608], [12, null, 1 / 2048], [8, null, 1 / 128],
+    [16, 'sowt', 1 / 32768], [32, 'fl32', 1e-7]]) {
+    const aiff = dsp.decodeAiff(aiffBytes([x, x.map(v => -v)], 22050, bits, compression));
+    const label = `${bits}-bit ${compression}`;
+    assert.equal(aiff.fs, 22050, label);
+    assert.equal(aiff.numChannels, 2, label);
+    assert.equal(aiff.length, 1000, label);
+    assert.equal(aiff.format, compression === 'fl32' ? 'float' : 'pcm', label);
+    assertClose(aiff.channels[0], x, tol, label);
+    assertClose(aiff.channels[1], x.map(v => -v), tol, label);
+  }
+  assertClose(dsp.decodeAiff(aiffBytes([x], 44100)).fs, 44100, 0);
+  assert.throws(() => dsp.decodeAiff(dsp.encodeWav(x)), /Not an AIFF\/AIFF-C file/);
+  const ulaw = aiffBytes([x], 8000, 16, 'ulaw');
+  assert.throws(() => dsp.decodeAiff(ulaw), /Unsupported AIFF-C compression: ulaw/);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { dsp, assertClose } = require('./helpers.js');
+const sonify = require('../sonifyBinary.js');
+
+// 4 KiB: a zero-filled half (entropy 0) followed by a pseudo-random half (entropy near 8 bits)
+function testBytes() {
+  const rng = dsp.createRng(3);
+  const bytes = Buffer.alloc(4096);
+  for (let i = 2048; i < 4096; i++) bytes[i] = Math.floor(rng() * 256);
+  return bytes;
+}
+
+// Minimal inspectBinary-style result over testBytes: one segment per half, a mapped load segment, three flag bits
+// and one symbol at address 0x1010 (file offset 0x10)
+function testResult() {
+  return {
+    metadata: { filePath: null, fileType: 'Test' },
+    structures: {
+      headers: [],
+      tables: [{ name: 'symbols', entries: [{ name: 'main', value: 0x1010, section: 'code' }, { name: 'ext', value: 0, section: 'UNDEF' }] }],
+      segments: [
+        { name: 'code', offset: 0, size: 2048, type: 'Test' },
+        { name: 'blob', offset: 2048, size: 2048, type: 'Test' },
+        { name: 'LOAD', offset: 0, size: 4096, type: 'Test', vaddr: 0x1000 }
+      ],
+      groups: { logical: ['code'], mechanical: ['blob'], physical: [], other: [] },
+      flags: [{ name: 'f', value: 5, bits: { a: true, b: false, c: true } }]
+    }
+  };
+}
+
+test('bytesToPcm decodes each raw format and bounds long inputs', () => {
+  assert.deepEqual(Array.from(sonify.bytesToPcm(Uint8Array.of(0, 128, 255), 'u8')), [-1, 0, 127 / 128]);
+  assert.deepEqual(Array.from(sonify.bytesToPcm(Uint8Array.of(0, 128, 255), 's8')), [0, -1, -1 / 128]);
+  assert.deepEqual(Array.from(sonify.bytesToPcm(Uint8Array.of(0x00, 0x80, 0xFF, 0x7F), 's16le')), [-1, 32767 / 32768]);
+  assert.deepEqual(Array.from(sonify.bytesToPcm(Uint8Array.of(0x7F, 0xFF, 0x80, 0x00), 's16be')), [32767 / 32768, -1]);
+  assert.equal(sonify.bytesToPcm(new Uint8Array(1000), 's8', 100).length, 100);
+  assert.throws(() => sonify.bytesToPcm(Uint8Array.of(1), 'f32'), /Unknown raw format/);
+});
+
+test('buildScore maps groups to voices over their time spans with entropy-driven pitch', () => {
+  const score = sonify.buildScore(testResult(), testBytes(), { duration: 2 });
+  assert.deepEqual(score.voices.logical.intervals, [[0, 1]]);
+  assert.deepEqual(score.voices.mechanical.intervals, [[1, 2]]);
+  assert.equal(score.voices.physical.intervals.length, 0);
+  assert.equal(score.entropy.length, 4096 / 256);
+  // Zero bytes: entropy 0, so the logical voice stays at its base frequency and minimum level
+  for (const [, hz] of score.voices.logical.pitch) assertClose(hz, 220, 1e-9);
+  assertClose(dsp.trackValue(score.voices.logical.amplitude, 0.5), 0.2, 1e-9);
+  assert.equal(dsp.trackValue(score.voices.logical.amplitude, 1.5), 0);
+  // Random bytes: well above 6 bits, i.e. more than 1.5 of the 2 octaves above 330 Hz
+  for (const [, hz] of score.voices.mechanical.pitch) assert.ok(hz > 330 * Math.pow(2, 1.5), `pitch ${hz}`);
+});
+
+test('flag bits loop as a step rhythm and symbols land at their mapped offsets', () => {
+  const score = sonify.buildScore(testResult(), testBytes(), { duration: 1, stepRate: 8 });
+  // Pattern [a on, b off, c on]: steps 0, 2, 3, 5, 6 hit, accented on the first bit
+  assert.deepEqual(score.events.flags.map(e => e.time * 8), [0, 2, 3, 5, 6]);
+  assert.deepEqual(score.events.flags.map(e => e.velocity), [1, 0.6, 1, 0.6, 1]);
+  assert.equal(score.events.symbols.length, 1);
+  assert.equal(score.events.symbols[0].name, 'main');
+  assertClose(score.events.symbols[0].time, 0x10 / 4096, 1e-12);
+  assert.ok(score.events.symbols[0].midi >= 48 && score.events.symbols[0].midi < 84);
+});
+
+test('renderScore is deterministic, peak-normalized and keeps zero bytes silent in the raw layer', () => {
+  const bytes = testBytes();
+  const score = sonify.buildScore(testResult(), bytes, { duration: 1 });
+  const options = { fs: 8000, duration: 1, layers: { speech: 0.5 } };
+  const a = sonify.renderScore(score, bytes, options);
+  const b = sonify.renderScore(score, bytes, options);
+  assert.equal(a.mix.length, 8000);
+  assert.deepEqual(Array.from(a.mix), Array.from(b.mix));
+  assertClose(a.mix.reduce((m, x) => Math.max(m, Math.abs(x)), 0), 0.9, 1e-9);
+  assert.deepEqual(Object.keys(a.layers).sort(), ['raw', 'rhythm', 'speech', 'symbols', 'tones']);
+  for (const layer of Object.values(a.layers)) assert.ok(layer.every(Number.isFinite));
+  const raw = a.layers.raw;
+  assert.ok(raw.subarray(0, 4000).every(x => x === 0));
+  assert.ok(raw.subarray(4000).some(x => Math.abs(x) > 0.1));
+});
+
+test('toQlist emits non-negative millisecond delays for voices, flags and symbols', () => {
+  const score = sonify.buildScore(testResult(), testBytes(), { duration: 1 });
+  const lines = sonify.toQlist(score).trim().split('\n');
+  for (const line of lines) assert.match(line, /^\d+ (logical|mechanical|physical|other|flags|symbols) .*;$/);
+  const total = lines.reduce((t, line) => t + Number(line.split(' ')[0]), 0);
+  assert.ok(total <= 1000);
+  assert.ok(lines.some(line => line.includes('flags f a 1;')));
+  assert.ok(lines.some(line => line.includes('symbols') && line.endsWith(' main;')));
+});
+
+test('sonify inspects a file path end to end', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sonify-'));
+  try {
+    const file = path.join(dir, 'blob.bin');
+    fs.writeFileSync(file, testBytes());
+    const out = sonify.sonify(file, { fs: 8000, duration: 0.5 });
+    assert.equal(out.score.fileType, 'Unknown');
+    assert.equal(out.mix.length, 4000);
+    // Generic chunks: the zero half is grouped as low entropy (logical), the random half as high entropy (mechanical)
+    assert.deepEqual(out.score.voices.logical.intervals, [[0, 0.25]]);
+    assert.deepEqual(out.score.voices.mechanical.intervals, [[0.25, 0.5]]);
+    assert.throws(() => sonify.sonify(file, { preset: 'nope' }), /Unknown preset/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
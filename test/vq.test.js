@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { dsp, assertClose, gaussian } = require('./helpers.js');
+const batch = require('../batchSSARdsp.js');
+
+// Asymmetric layout (in sortedCodebook order): a square grid makes every LBG split direction a saddle point
+const centres = [[0, 0], [2, 11], [10, 1], [14, 13]];
+
+// 50 points per centre with spread 0.5: the clusters are far apart, so any sane codebook separates them
+function clusters(seed = 1) {
+  const noise = gaussian(centres.length * 100, seed);
+  const points = [];
+  centres.forEach((c, i) => {
+    for (let j = 0; j < 50; j++) {
+      const p = (i * 50 + j) * 2;
+      points.push(Float64Array.of(c[0] + 0.5 * noise[p], c[1] + 0.5 * noise[p + 1]));
+    }
+  });
+  return points;
+}
+
+function sortedCodebook(codebook) {
+  return codebook.map(c => Array.from(c)).sort((x, y) => x[0] - y[0] || x[1] - y[1]);
+}
+
+test('trainVqCodebook recovers separable cluster centres with LBG and k-means++ initialization', () => {
+  const points = clusters();
+  for (const init of ['lbg', 'kmeans++']) {
+    const result = dsp.trainVqCodebookFull(points, 4, 100, 1e-6, { init, seed: 3 });
+    const codebook = sortedCodebook(result.codebook);
+    codebook.forEach((c, i) => assertClose(c, centres[i], 0.25, `${init} centre ${i}`));
+    assert.deepEqual(Array.from(result.counts), [50, 50, 50, 50], `${init} counts`);
+    assert.ok(result.distortion < 0.6, `${init} distortion ${result.distortion}`);
+  }
+});
+
+test('Lloyd iterations never increase the distortion', () => {
+  const points = clusters(6);
+  for (const init of ['lbg', 'kmeans++', 'random']) {
+    const result = dsp.trainVqCodebookFull(points, 4, 100, 1e-6, { init, seed: 5 });
+    // Holds across LBG splits too: a split codebook is at least as good as its parent
+    for (let i = 1; i < result.distortions.length; i++) {
+      assert.ok(result.distortions[i] <= result.distortions[i - 1] + 1e-12, `${init} iteration ${i}`);
+    }
+    assert.equal(result.counts.reduce((a, b) => a + b, 0), points.length, `${init} counts`);
+  }
+});
+
+test('vectorQuantization assigns every point to its own cluster', () => {
+  const points = clusters(2);
+  const codebook = dsp.trainVqCodebook(points, 4, 100, 1e-6, { seed: 1 });
+  const indices = dsp.vectorQuantization(codebook, points);
+  for (let i = 0; i < centres.length; i++) {
+    const group = indices.slice(i * 50, (i + 1) * 50);
+    assert.ok(group.every(k => k === group[0]), `cluster ${i} maps to one codeword`);
+  }
+  assert.equal(new Set(indices).size, 4);
+});
+
+test('training with a seed is reproducible', () => {
+  const points = clusters(4);
+  const a = dsp.trainVqCodebookFull(points, 8, 50, 1e-6, { init: 'kmeans++', seed: 11 });
+  const b = dsp.trainVqCodebookFull(points, 8, 50, 1e-6, { init: 'kmeans++', seed: 11 });
+  assert.deepEqual(a.codebook.map(c => Array.from(c)), b.codebook.map(c => Array.from(c)));
+});
+
+test('codebooks survive JSON and binary serialization', () => {
+  const result = dsp.trainVqCodebookFull(clusters(), 4, 50, 1e-6, { seed: 1 });
+  const json = dsp.parseCodebook(dsp.serializeCodebook(result, { distance: 'euclidean' }));
+  assertClose([].concat(...json.codebook.map(c => Array.from(c))), [].concat(...result.codebook.map(c => Array.from(c))), 0);
+  const binary = dsp.decodeCodebookBinary(dsp.encodeCodebookBinary(result));
+  binary.codebook.forEach((c, i) => assertClose(c, result.codebook[i], 1e-5, `codeword ${i}`));
+});
+
+test('dtwDistance is zero on identical sequences and tolerates time warping', () => {
+  const a = [0, 1, 2, 3, 2, 1, 0].map(v => Float64Array.of(v));
+  const stretched = [0, 0, 1, 1, 2, 2, 3, 3, 2, 2, 1, 1, 0, 0].map(v => Float64Array.of(v));
+  const other = [3, 2, 1, 0, 1, 2, 3].map(v => Float64Array.of(v));
+  assert.equal(dsp.dtwDistance(a, a), 0);
+  assert.equal(dsp.dtwDistance(a, stretched), 0);
+  assert.ok(dsp.dtwDistance(a, other) > 0.5);
+});
+
+test('DtwRecognizer and VqClassifier pick the matching class', () => {
+  const up = n => Array.from({ length: n }, (_, i) => Float64Array.of(i / n, 0));
+  const down = n => Array.from({ length: n }, (_, i) => Float64Array.of(1 - i / n, 1));
+  const dtw = new dsp.DtwRecognizer();
+  dtw.enroll('up', up(20));
+  dtw.enroll('down', down(20));
+  assert.equal(dtw.recognize(up(27))[0].label, 'up');
+  assert.equal(dtw.recognize(down(15))[0].label, 'down');
+  const vq = new dsp.VqClassifier({ codebookSize: 4, seed: 1 });
+  vq.train('up', [up(40)]);
+  vq.train('down', [down(40)]);
+  assert.equal(vq.classify(up(25))[0].label, 'up');
+  assert.equal(vq.classify(down(25))[0].label, 'down');
+});
+
+test('DiscreteHmm likelihoods match brute-force enumeration and Viterbi finds the best path', () => {
+  const hmm = new dsp.DiscreteHmm(2, 2, { topology: 'ergodic' });
+  const pi = [0.6, 0.4];
+  const A = [[0.7, 0.3], [0.4, 0.6]];
+  const B = [[0.9, 0.1], [0.2, 0.8]];
+  hmm.setParameters(pi, A, B);
+  const seq = [0, 1, 1, 0];
+  let total = 0;
+  let best = 0;
+  let bestPath = null;
+  for (let s = 0; s < 16; s++) {
+    const path = [0, 1, 2, 3].map(t => (s >> t) & 1);
+    let p = pi[path[0]] * B[path[0]][seq[0]];
+    for (let t = 1; t < 4; t++) p *= A[path[t - 1]][path[t]] * B[path[t]][seq[t]];
+    total += p;
+    if (p > best) {
+      best = p;
+      bestPath = path;
+    }
+  }
+  assertClose(hmm.logLikelihood(seq), Math.log(total), 1e-12, 'forward');
+  const viterbi = hmm.viterbi(seq);
+  assert.deepEqual(Array.from(viterbi.path), bestPath);
+  assertClose(viterbi.logProbability, Math.log(best), 1e-12, 'viterbi');
+});
+
+test('Baum-Welch training increases the likelihood and HmmClassifier separates sources', () => {
+  const rng = dsp.createRng(5);
+  const source = bias => Array.from({ length: 40 }, () => (rng() < bias ? 1 : 0));
+  const hmm = new dsp.DiscreteHmm(3, 2, { topology: 'ergodic', seed: 2 });
+  const training = [source(0.9), source(0.9), source(0.9)];
+  const before = training.reduce((sum, seq) => sum + hmm.logLikelihood(seq), 0);
+  hmm.train(training);
+  const after = training.reduce((sum, seq) => sum + hmm.logLikelihood(seq), 0);
+  assert.ok(after > before, `log-likelihood ${before} -> ${after}`);
+  const classifier = new dsp.HmmClassifier({ numStates: 2, numSymbols: 2, topology: 'ergodic' });
+  classifier.train('ones', [source(0.9), source(0.9)]);
+  classifier.train('zeros', [source(0.1), source(0.1)]);
+  assert.equal(classifier.classify(source(0.9))[0].label, 'ones');
+  assert.equal(classifier.classify(source(0.1))[0].label, 'zeros');
+});
+
+test('batch vq never writes the codebook over an --out table file', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vq-'));
+  try {
+    const file = path.join(dir, 'noise.wav');
+    fs.writeFileSync(file, dsp.encodeWav(gaussian(4000, 3).map(v => 0.1 * v), 8000));
+    const table = path.join(dir, 'tables', 'indices.csv');
+    fs.mkdirSync(path.dirname(table));
+    batch.run(['vq', '--codebook-size', '4', '--seed', '1', '--out', table, file]);
+    assert.match(fs.readFileSync(table, 'utf8'), /^time,index,distance\n/);
+    const codebookFile = path.join(dir, 'tables', 'noise.codebook.json');
+    const saved = dsp.loadCodebook(codebookFile);
+    assert.equal(saved.codebook.length, 4);
+    assert.equal(saved.training.features, 'mfcc');
+    assert.equal(saved.training.fs, 8000);
+    assert.throws(() => batch.run(['vq', '--features', 'lpc', '--codebook', codebookFile, '--out', table, file]),
+      /trained on mfcc features, this run uses --features lpc/);
+    assert.throws(() => batch.run(['vq', '--deltas', '--codebook', codebookFile, '--out', table, file]),
+      /13-dimensional codewords, this run's mfcc frames have 39/);
+    assert.throws(() => batch.parseArgs(['vq', '--codebook-out', '-', file]), /--codebook-out expects a file path/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
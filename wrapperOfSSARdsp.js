@@ -1,20 +1,344 @@
-inlets = 1;  // For input messages/lists
-outlets = 1;  // For output arrays/lists
+inlets = 1;  // Messages, lists and attribute settings
+outlets = 4;  // 0: vectors (coefficients, spectra, features)  1: pitch  2: gain / scalar results  3: status
 
-include("furui_dsp_library.js");  // Load the library
+include("SSARdsp.js");  // Load the library
+
+setinletassist(0, "Messages: list, buffer, lpc, pitch, mfcc, spectrum, synth, write ... and attributes (order, fs, ...)");
+setoutletassist(0, "Vectors: coefficients, spectra, features");
+setoutletassist(1, "Pitch: frequency (Hz) and confidence");
+setoutletassist(2, "Scalars: gain, energy, SNR, bit rate");
+setoutletassist(3, "Status: message name followed by result size or attribute value");
+
+// Message interface
+//   list <samples>             set the working signal from a list and run lpc (as before)
+//   signal <samples>           set the working signal without analysing it
+//   buffer <name> [channel] [start] [count]   read the working signal from a buffer~
+//   lpc | reflection | lsp | formants | cepstrum | mfcc | spectrum | envelope | energy | zcr
+//                              analyse the working signal as one frame
+//   pitch [method]             single-frame pitch (yin, autocorr, amdf, cepstral) -> outlet 1
+//   pitchtrack [method]        pitch contour over the whole signal -> outlet 0, voiced ratio -> outlet 2
+//   endpoints                  speech segments as start/end sample pairs -> outlet 0
+//   synth [vowel] [f0] [duration]            formant-synthesized vowel -> result (and outbuffer)
+//   vocoder [pitchShift] [timeStretch]       LPC vocoder resynthesis of the working signal
+//   resample <newFs> [quality] resampled working signal
+//   codec <name> [bits]        encode/decode round trip; SNR and bit rate -> outlet 2
+//   write <buffer> [channel]   write the last result to a buffer~ (resized to fit)
+//   bang                       repeat the last analysis or synthesis message
+//   getattr <name> | dump      report attributes on outlet 3
+// Attributes (set with "<name> <value>" or "@name value" box arguments):
+//   order, preemphasis, fs, nCeps, window, frameLength, hopSize, minFreq, maxFreq, fftSize, outbuffer
+
+var attributes = {
+  order: { value: 12, check: function(v) { return integerIn(v, 1, 64); } },
+  preemphasis: { value: 0.97, check: function(v) { return numberIn(v, 0, 1); } },
+  fs: { value: 16000, check: function(v) { return numberIn(v, 1, 768000); } },
+  nCeps: { value: 13, check: function(v) { return integerIn(v, 1, 256); } },
+  window: { value: "hamming", check: function(v) { return oneOf(v, ["hann", "hamming", "blackman", "rectangular"]); } },
+  frameLength: { value: 512, check: function(v) { return integerIn(v, 16, 65536); } },
+  hopSize: { value: 256, check: function(v) { return integerIn(v, 1, 65536); } },
+  minFreq: { value: 80, check: function(v) { return numberIn(v, 1, 4000); } },
+  maxFreq: { value: 300, check: function(v) { return numberIn(v, 1, 8000); } },
+  fftSize: { value: 512, check: function(v) { return integerIn(v, 16, 65536); } },
+  outbuffer: { value: "", check: function(v) { return typeof v === "string" ? null : "expected a buffer~ name"; } }
+};
+
+var signal = new Float64Array(0);  // Working signal
+var result = new Float64Array(0);  // Last vector result, written by "write"
+var lastCommand = null;
+
+// Validation helpers return an error string or null
+function numberIn(v, lo, hi) {
+  if (typeof v !== "number" || !isFinite(v)) return "expected a number";
+  if (v < lo || v > hi) return "expected a value between " + lo + " and " + hi;
+  return null;
+}
+
+function integerIn(v, lo, hi) {
+  if (typeof v !== "number" || Math.floor(v) !== v) return "expected an integer";
+  return numberIn(v, lo, hi);
+}
+
+function oneOf(v, names) {
+  return names.indexOf(v) >= 0 ? null : "expected one of " + names.join(", ");
+}
+
+function fail(message) {
+  throw new Error(message);
+}
+
+function setAttribute(name, value) {
+  var attr = attributes[name];
+  if (!attr) fail("unknown attribute " + name);
+  var problem = attr.check(value);
+  if (problem) fail(name + ": " + problem + " (got " + value + ")");
+  attr.value = value;
+}
+
+// Current attribute values as a library options object
+function params() {
+  var opts = {};
+  for (var name in attributes) opts[name] = attributes[name].value;
+  if (opts.minFreq >= opts.maxFreq) fail("minFreq (" + opts.minFreq + ") must be below maxFreq (" + opts.maxFreq + ")");
+  if (opts.hopSize > opts.frameLength) fail("hopSize (" + opts.hopSize + ") must not exceed frameLength (" + opts.frameLength + ")");
+  return opts;
+}
+
+function requireSignal(minLength) {
+  if (signal.length === 0) fail("no signal: send a list or a buffer message first");
+  if (minLength && signal.length < minLength) fail("signal has " + signal.length + " samples, needs at least " + minLength);
+  return signal;
+}
+
+function toList(values) {
+  return Array.prototype.slice.call(values);
+}
+
+// Sends a vector on outlet 0, keeps it for "write" and reports its size on outlet 3
+function outputVector(name, values) {
+  result = Float64Array.from(values);
+  outlet(3, name, result.length);
+  outlet(0, toList(result));
+}
+
+// Stores an audio result; writes it to @outbuffer when set instead of flooding outlet 0 with a list
+function outputAudio(name, values) {
+  result = Float64Array.from(values);
+  if (attributes.outbuffer.value) writeBuffer(attributes.outbuffer.value, 1, result);
+  else outlet(0, toList(result));
+  outlet(3, name, result.length);
+}
+
+// buffer~ access by name
+function readBuffer(name, channel, start, count) {
+  var buf = new Buffer(name);
+  var frames = buf.framecount();
+  if (!(frames > 0)) fail("buffer~ " + name + " not found or empty");
+  if (channel < 1 || channel > buf.channelcount()) fail("buffer~ " + name + " has no channel " + channel);
+  if (start < 0 || start >= frames) fail("start " + start + " is outside buffer~ " + name + " (" + frames + " frames)");
+  count = Math.min(count > 0 ? count : frames - start, frames - start);
+  var samples = buf.peek(channel, start, count);
+  return Float64Array.from(typeof samples === "number" ? [samples] : samples);
+}
+
+function writeBuffer(name, channel, values) {
+  var buf = new Buffer(name);
+  if (!(buf.channelcount() > 0)) fail("buffer~ " + name + " not found");
+  if (channel < 1 || channel > buf.channelcount()) fail("buffer~ " + name + " has no channel " + channel);
+  if (buf.framecount() !== values.length) buf.send("sizeinsamps", values.length);
+  buf.poke(channel, 0, toList(values));
+}
+
+// Message handlers; each receives the message arguments as an array
+var commands = {
+  signal: function(args) {
+    signal = Float64Array.from(args);
+    outlet(3, "signal", signal.length);
+  },
+
+  buffer: function(args) {
+    if (typeof args[0] !== "string") fail("buffer: expected a buffer~ name");
+    signal = readBuffer(args[0], args.length > 1 ? args[1] : 1, args.length > 2 ? args[2] : 0, args.length > 3 ? args[3] : 0);
+    outlet(3, "buffer", signal.length);
+  },
+
+  lpc: function() {
+    var opts = params();
+    var lpc = lpcAnalysisFull(requireSignal(opts.order + 1), opts.order, opts.preemphasis);
+    outlet(2, lpc.gain);
+    outputVector("lpc", lpc.a);
+  },
+
+  reflection: function() {
+    var opts = params();
+    var lpc = lpcAnalysisFull(requireSignal(opts.order + 1), opts.order, opts.preemphasis);
+    outlet(2, lpc.gain);
+    outputVector("reflection", lpc.k.subarray(1));
+  },
+
+  lsp: function() {
+    var opts = params();
+    var a = lpcAnalysis(requireSignal(opts.order + 1), opts.order, opts.preemphasis);
+    outputVector("lsp", lpcToLsp(a).map(function(w) { return w * opts.fs / (2 * Math.PI); }));
+  },
+
+  formants: function() {
+    var opts = params();
+    var a = lpcAnalysis(requireSignal(opts.order + 1), opts.order, opts.preemphasis);
+    var formants = lpcFormants(a, opts.fs);
+    outlet(2, toList(formants.bandwidths));
+    outputVector("formants", formants.frequencies);
+  },
+
+  cepstrum: function() {
+    var opts = params();
+    outputVector("cepstrum", cepstralAnalysis(requireSignal(opts.nCeps), opts.nCeps));
+  },
+
+  mfcc: function() {
+    var opts = params();
+    var frame = getFrame(requireSignal(), 0, signal.length, makeWindow(opts.window, signal.length));
+    // Same FFT size as spectrum: long buffers are not truncated to the default fftSize
+    opts.fftSize = nextPowerOfTwo(Math.max(opts.fftSize, signal.length));
+    outputVector("mfcc", mfcc(frame, opts));
+  },
+
+  spectrum: function() {
+    var opts = params();
+    var frame = getFrame(requireSignal(), 0, signal.length, makeWindow(opts.window, signal.length));
+    outputVector("spectrum", magnitudeSpectrum(frame, nextPowerOfTwo(Math.max(opts.fftSize, signal.length)), true));
+  },
+
+  envelope: function() {
+    var opts = params();
+    var lpc = lpcAnalysisFull(requireSignal(opts.order + 1), opts.order, opts.preemphasis);
+    outputVector("envelope", lpcEnvelope(lpc.a, lpc.gain, opts.fftSize));
+  },
+
+  energy: function() {
+    var value = frameEnergyDb(requireSignal());
+    outlet(3, "energy", 1);
+    outlet(2, value);
+  },
+
+  zcr: function() {
+    var value = zeroCrossingRate(requireSignal(2));
+    outlet(3, "zcr", 1);
+    outlet(2, value);
+  },
+
+  pitch: function(args) {
+    var opts = params();
+    var method = args.length > 0 ? args[0] : "yin";
+    var estimator = pitchEstimators[method];
+    if (!estimator) fail("pitch: unknown method " + method + " (expected " + Object.keys(pitchEstimators).join(", ") + ")");
+    var estimate = estimator(requireSignal(Math.ceil(2 * opts.fs / opts.minFreq)), opts.fs, opts.minFreq, opts.maxFreq);
+    outlet(3, "pitch", 1);
+    outlet(1, estimate.frequency, estimate.confidence);
+  },
+
+  pitchtrack: function(args) {
+    var opts = params();
+    opts.method = args.length > 0 ? args[0] : "yin";
+    if (!pitchEstimators[opts.method]) fail("pitchtrack: unknown method " + opts.method);
+    var track = pitchTrack(requireSignal(opts.frameLength), opts);
+    var voiced = 0;
+    for (var i = 0; i < track.numFrames; i++) voiced += track.voiced[i] ? 1 : 0;
+    outlet(2, track.numFrames > 0 ? voiced / track.numFrames : 0);
+    outputVector("pitchtrack", track.frequency);
+  },
+
+  endpoints: function() {
+    var opts = params();
+    var detected = detectEndpoints(requireSignal(), { fs: opts.fs });
+    var pairs = [];
+    detected.segments.forEach(function(segment) { pairs.push(segment.start, segment.end); });
+    outputVector("endpoints", pairs);
+  },
+
+  synth: function(args) {
+    var opts = params();
+    var vowel = args.length > 0 ? args[0] : "a";
+    var f0 = args.length > 1 ? args[1] : 120;
+    var duration = args.length > 2 ? args[2] : 0.5;
+    if (!vowelFormants[vowel]) fail("synth: unknown vowel " + vowel + " (expected " + Object.keys(vowelFormants).join(", ") + ")");
+    var problem = numberIn(f0, 20, 2000) || numberIn(duration, 0.001, 60);
+    if (problem) fail("synth: " + problem);
+    outputAudio("synth", speechProductionModel(0.9, f0, duration, opts.fs, vowel));
+  },
+
+  vocoder: function(args) {
+    var opts = params();
+    opts.pitchShift = args.length > 0 ? args[0] : 1;
+    opts.timeStretch = args.length > 1 ? args[1] : 1;
+    var problem = numberIn(opts.pitchShift, 0.1, 10) || numberIn(opts.timeStretch, 0.1, 10);
+    if (problem) fail("vocoder: " + problem);
+    outputAudio("vocoder", lpcVocoder(requireSignal(opts.frameLength), opts));
+  },
+
+  resample: function(args) {
+    var opts = params();
+    var problem = numberIn(args[0], 1, 768000);
+    if (problem) fail("resample: " + problem);
+    var quality = args.length > 1 ? args[1] : "medium";
+    if (quality !== "fast" && !resamplerQualities[quality]) fail("resample: unknown quality " + quality);
+    outputAudio("resample", resample(requireSignal(), opts.fs, args[0], quality));
+  },
+
+  codec: function(args) {
+    var opts = params();
+    var name = args[0];
+    if (!waveformCodecs[name]) fail("codec: unknown codec " + name + " (expected " + Object.keys(waveformCodecs).join(", ") + ")");
+    if (args.length > 1) {
+      var problem = integerIn(args[1], 1, 16);
+      if (problem) fail("codec: bits " + problem);
+      opts.bits = args[1];
+    }
+    var coded = runCodec(name, requireSignal(), opts);
+    outlet(2, coded.snr, coded.bitRate);
+    outputAudio("codec", coded.decoded);
+  },
+
+  write: function(args) {
+    if (typeof args[0] !== "string") fail("write: expected a buffer~ name");
+    if (result.length === 0) fail("write: nothing to write yet");
+    writeBuffer(args[0], args.length > 1 ? args[1] : 1, result);
+    outlet(3, "write", result.length);
+  },
+
+  getattr: function(args) {
+    if (!attributes[args[0]]) fail("getattr: unknown attribute " + args[0]);
+    outlet(3, args[0], attributes[args[0]].value);
+  },
+
+  dump: function() {
+    for (var name in attributes) outlet(3, name, attributes[name].value);
+  }
+};
+
+// Commands that "bang" may repeat (reading and writing buffers is not repeated)
+var repeatable = ["lpc", "reflection", "lsp", "formants", "cepstrum", "mfcc", "spectrum", "envelope", "energy", "zcr",
+  "pitch", "pitchtrack", "endpoints", "synth", "vocoder", "resample", "codec"];
+
+function run(name, args) {
+  try {
+    if (attributes[name]) {
+      if (args.length !== 1) fail(name + ": expected one value");
+      setAttribute(name, args[0]);
+      return;
+    }
+    var handler = commands[name];
+    if (!handler) fail("unknown message " + name);
+    handler(args);
+    if (repeatable.indexOf(name) >= 0) lastCommand = { name: name, args: args };
+  } catch (e) {
+    error("SSARdsp " + name + ": " + e.message + "\n");
+  }
+}
 
 function list() {
   var args = arrayfromargs(arguments);
-  // Example: Convert Max list to Float64Array
-  var signal = new Float64Array(args);
-  var coeffs = lpcAnalysis(signal, 12);
-  outlet(0, Array.from(coeffs));  // Output as Max list
+  run("signal", args);
+  run("lpc", []);
 }
 
 function bang() {
-  // Test synthesis
-  var excitation = new Float64Array(512).map(() => Math.random() * 2 - 1);  // Noise
-  var coeffs = new Float64Array([1, -1.6, 0.98]);  // Dummy LPC
-  var synth = lpcSynthesis(excitation, coeffs);
-  outlet(0, Array.from(synth.slice(0, 10)));  // Output first 10 samples
-}
\ No newline at end of file
+  if (lastCommand) run(lastCommand.name, lastCommand.args);
+  else run("lpc", []);
+}
+
+function anything() {
+  run(messagename, arrayfromargs(arguments));
+}
+
+// "@name value" box arguments
+(function() {
+  for (var i = 1; i + 1 < jsarguments.length; i += 2) {
+    var key = String(jsarguments[i]);
+    if (key.charAt(0) !== "@") {
+      error("SSARdsp: ignoring argument " + key + " (expected @attribute value)\n");
+      i--;
+      continue;
+    }
+    run(key.slice(1), [jsarguments[i + 1]]);
+  }
+})();